@@ -0,0 +1,60 @@
+// Permission catalog used by requirePermission() and the Settings role matrix.
+// Admins implicitly hold every permission; the other roles read their grants
+// from the role_permissions table (seeded with DEFAULT_ROLE_PERMISSIONS).
+
+export const ROLES = ['admin', 'manager', 'staff', 'driver'];
+
+export const PERMISSIONS = [
+  { key: 'dashboard.view', label: 'View dashboard' },
+  { key: 'sales.view', label: 'View sales and orders' },
+  { key: 'sales.create', label: 'Create sales' },
+  { key: 'sales.update', label: 'Update orders' },
+  { key: 'sales.delete', label: 'Void (cancel) sales' },
+  { key: 'sales.discount', label: 'Give manual discounts at checkout' },
+  { key: 'sales.price_override', label: 'Override prices at checkout' },
+  { key: 'sales.approve_override', label: 'Approve large price overrides' },
+  { key: 'sales.charge', label: 'Charge sales to customer accounts' },
+  { key: 'sales.backdate', label: 'Sync offline sales rung up before the current shift' },
+  { key: 'quotations.manage', label: 'Create, print and cancel quotations' },
+  { key: 'deliveries.view', label: 'View assigned deliveries' },
+  { key: 'deliveries.update', label: 'Update delivery status and proof' },
+  { key: 'returns.process', label: 'Process returns' },
+  { key: 'shifts.operate', label: 'Open and close cash drawer shifts' },
+  { key: 'inventory.view', label: 'View inventory' },
+  { key: 'inventory.manage', label: 'Stock in, adjust and return to supplier' },
+  { key: 'products.manage', label: 'Create, edit and delete products' },
+  { key: 'promotions.manage', label: 'Create and edit promotions and coupons' },
+  { key: 'suppliers.view', label: 'View suppliers' },
+  { key: 'suppliers.manage', label: 'Create, edit and delete suppliers' },
+  { key: 'customers.view', label: 'View customers' },
+  { key: 'customers.manage', label: 'Edit customers and assign their price tier' },
+  { key: 'price_tiers.manage', label: 'Create and edit customer price tiers' },
+  { key: 'store_credit.adjust', label: 'Manually adjust customer store credit' },
+  { key: 'accounts.manage', label: 'Open charge accounts and set credit limits' },
+  { key: 'reports.view', label: 'View reports' },
+  { key: 'settings.manage', label: 'Edit business settings and preferences' },
+  { key: 'users.manage', label: 'Manage users and role permissions' },
+  { key: 'audit.view', label: 'View audit log' }
+];
+
+export const PERMISSION_KEYS = PERMISSIONS.map(p => p.key);
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+  manager: PERMISSION_KEYS.filter(key => !['settings.manage', 'users.manage', 'audit.view'].includes(key)),
+  staff: [
+    'dashboard.view',
+    'sales.view',
+    'sales.create',
+    'sales.update',
+    'sales.price_override',
+    'sales.charge',
+    'quotations.manage',
+    'returns.process',
+    'shifts.operate',
+    'inventory.view',
+    'inventory.manage',
+    'suppliers.view',
+    'customers.view'
+  ],
+  driver: ['deliveries.view', 'deliveries.update']
+};
@@ -0,0 +1,25 @@
+import { AuditLog } from '../models/AuditLog.js';
+
+export class AuditLogController {
+  // Search the audit trail by user, entity, action and date range
+  static async search(req, res) {
+    try {
+      const { user_id, entity_type, entity_id, action, date_from, date_to, page = 1, limit = 20 } = req.query;
+      const result = await AuditLog.search({ user_id, entity_type, entity_id, action, date_from, date_to, page, limit });
+      res.json({ success: true, data: result });
+    } catch (err) {
+      console.error('Audit log search error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch audit log' });
+    }
+  }
+
+  static async getFilterOptions(req, res) {
+    try {
+      const options = await AuditLog.getFilterOptions();
+      res.json({ success: true, data: options });
+    } catch (err) {
+      console.error('Audit log filters error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch audit log filters' });
+    }
+  }
+}
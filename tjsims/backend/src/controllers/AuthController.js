@@ -1,5 +1,48 @@
 import bcrypt from 'bcryptjs';
 import { getPool } from '../config/database.js';
+import { signAccessToken, signTwoFactorChallenge, verifyTwoFactorChallenge } from '../middleware/auth.js';
+import { RolePermission } from '../models/RolePermission.js';
+import { PasswordReset } from '../models/PasswordReset.js';
+import { User } from '../models/User.js';
+import { LoginHistory } from '../models/LoginHistory.js';
+import { Session } from '../models/Session.js';
+import { TwoFactor, TWO_FACTOR_ENFORCED_ROLES } from '../models/TwoFactor.js';
+import { verifyCode } from '../services/totp.js';
+import { checkPassword, passwordPolicy } from '../services/passwordPolicy.js';
+
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const LOGIN_COLUMNS = `id, username, email, password_hash, must_change_password, role, status, avatar, two_factor_enabled,
+  locked_until, locked_until > NOW() AS is_locked, CEIL(TIMESTAMPDIFF(SECOND, NOW(), locked_until) / 60) AS lock_minutes_left,
+  (SELECT require_two_factor FROM app_settings ORDER BY id LIMIT 1) AS require_two_factor`;
+
+// Count a failed password or 2FA code against the account and answer 401/423
+const rejectLogin = async (res, user, attempt, reason) => {
+  const counters = await User.recordFailedLogin(user.id, MAX_LOGIN_ATTEMPTS, LOCKOUT_MINUTES);
+  await LoginHistory.record({ ...attempt, success: false, failureReason: reason });
+  if (counters && counters.failed_login_attempts >= MAX_LOGIN_ATTEMPTS) {
+    return res.status(423).json({ success: false, message: `Too many failed attempts. Account is locked for ${LOCKOUT_MINUTES} minutes.` });
+  }
+  return res.status(401).json({ success: false, message: reason === 'invalid_2fa' ? 'Invalid authentication code' : 'Invalid credentials' });
+};
+
+const rejectLocked = async (res, user, attempt) => {
+  await LoginHistory.record({ ...attempt, success: false, failureReason: 'locked' });
+  return res.status(423).json({ success: false, message: `Account is locked after too many failed attempts. Try again in ${user.lock_minutes_left} minute(s) or ask an administrator to unlock it.` });
+};
+
+// All factors passed: open a session and hand out the tokens
+const completeLogin = async (req, res, user, attempt) => {
+  await User.resetLoginAttempts(user.id);
+  await LoginHistory.record({ ...attempt, success: true });
+  const { sessionId, refreshToken } = await Session.create(user.id, { ipAddress: req.ip, userAgent: req.get('user-agent'), ttlDays: REFRESH_TOKEN_DAYS });
+  const token = signAccessToken(user, sessionId);
+  const permissions = await RolePermission.getPermissionsForRole(user.role);
+  const twoFactorSetupRequired = !!user.require_two_factor && !user.two_factor_enabled && TWO_FACTOR_ENFORCED_ROLES.includes(user.role);
+  res.json({ success: true, data: { id: user.id, username: user.username, email: user.email, role: user.role, status: user.status, avatar: user.avatar, permissions, token, refresh_token: refreshToken, must_change_password: !!user.must_change_password, two_factor_setup_required: twoFactorSetupRequired } });
+};
 
 export class AuthController {
   static async login(req, res) {
@@ -9,7 +52,8 @@ export class AuthController {
         return res.status(400).json({ success: false, message: 'Email and password are required' });
       }
       const pool = getPool();
-      let [rows] = await pool.execute('SELECT id, username, email, password_hash, role, status, avatar FROM users WHERE email = ?', [email]);
+      const attempt = { email, ipAddress: req.ip, userAgent: req.get('user-agent') };
+      let [rows] = await pool.execute(`SELECT ${LOGIN_COLUMNS} FROM users WHERE email = ?`, [email]);
 
       // Bootstrap default admin if users table is empty
       if (rows.length === 0) {
@@ -17,36 +61,85 @@ export class AuthController {
         if ((countRows[0]?.cnt || 0) === 0) {
           const defaultHash = await bcrypt.hash('admin', 10);
           await pool.execute(
-            "INSERT INTO users (username, email, password_hash, role, status) VALUES ('Admin', 'admin@gmail.com', ?, 'admin', 'Active')",
+            "INSERT INTO users (username, email, password_hash, must_change_password, role, status) VALUES ('Admin', 'admin@gmail.com', ?, 1, 'admin', 'Active')",
             [defaultHash]
           );
           // Try to fetch again
-          ;[rows] = await pool.execute('SELECT id, username, email, password_hash, role, status, avatar FROM users WHERE email = ?', [email]);
+          ;[rows] = await pool.execute(`SELECT ${LOGIN_COLUMNS} FROM users WHERE email = ?`, [email]);
         }
       }
 
       if (rows.length === 0) {
+        await LoginHistory.record({ ...attempt, success: false, failureReason: 'unknown_email' });
         return res.status(401).json({ success: false, message: 'Invalid credentials' });
       }
       const user = rows[0];
+      attempt.userId = user.id;
+
+      if (user.is_locked) return rejectLocked(res, user, attempt);
+      // An expired lock starts the count over
+      if (user.locked_until) await User.resetLoginAttempts(user.id);
+
       const ok = await bcrypt.compare(password, user.password_hash).catch(() => false);
-      if (!ok) {
-        return res.status(401).json({ success: false, message: 'Invalid credentials' });
-      }
+      if (!ok) return rejectLogin(res, user, attempt, 'invalid_password');
       if (user.status !== 'Active') {
+        await LoginHistory.record({ ...attempt, success: false, failureReason: 'inactive' });
         return res.status(403).json({ success: false, message: 'User is inactive' });
       }
-      res.json({ success: true, data: { id: user.id, username: user.username, email: user.email, role: user.role, status: user.status, avatar: user.avatar } });
+
+      // No tokens yet: the client must come back with a code via /auth/login/verify-2fa
+      if (user.two_factor_enabled) {
+        return res.json({ success: true, data: { two_factor_required: true, challenge_token: signTwoFactorChallenge(user) } });
+      }
+      await completeLogin(req, res, user, attempt);
     } catch (err) {
       console.error('Login error:', err);
       res.status(500).json({ success: false, message: 'Login failed' });
     }
   }
 
+  // Second login step: a TOTP code or one of the recovery codes
+  static async verifyTwoFactorLogin(req, res) {
+    try {
+      const { challenge_token, code, recovery_code } = req.body;
+      if (!challenge_token || (!code && !recovery_code)) {
+        return res.status(400).json({ success: false, message: 'Challenge token and an authentication or recovery code are required' });
+      }
+      const userId = verifyTwoFactorChallenge(challenge_token);
+      if (!userId) {
+        return res.status(401).json({ success: false, message: 'Your sign-in attempt has expired. Please log in again.' });
+      }
+      const pool = getPool();
+      const [rows] = await pool.execute(`SELECT ${LOGIN_COLUMNS} FROM users WHERE id = ?`, [userId]);
+      const user = rows[0];
+      if (!user || user.status !== 'Active' || !user.two_factor_enabled) {
+        return res.status(401).json({ success: false, message: 'Your sign-in attempt has expired. Please log in again.' });
+      }
+      const attempt = { userId: user.id, email: user.email, ipAddress: req.ip, userAgent: req.get('user-agent') };
+      if (user.is_locked) return rejectLocked(res, user, attempt);
+
+      let verified = false;
+      if (code) {
+        const state = await TwoFactor.getState(user.id);
+        const step = verifyCode(state.secret, code, { afterStep: state.lastStep });
+        verified = step != null && await TwoFactor.markStepUsed(user.id, step);
+      } else {
+        verified = await TwoFactor.redeemRecoveryCode(user.id, recovery_code);
+      }
+      if (!verified) return rejectLogin(res, user, attempt, 'invalid_2fa');
+
+      await completeLogin(req, res, user, attempt);
+    } catch (err) {
+      console.error('Two-factor login error:', err);
+      res.status(500).json({ success: false, message: 'Login failed' });
+    }
+  }
+
   static async changePassword(req, res) {
     try {
-      const { userId, current_password, new_password } = req.body;
-      if (!userId || !current_password || !new_password) {
+      const userId = req.user.id;
+      const { current_password, new_password } = req.body;
+      if (!current_password || !new_password) {
         return res.status(400).json({ success: false, message: 'Missing fields' });
       }
       const pool = getPool();
@@ -54,12 +147,154 @@ export class AuthController {
       if (rows.length === 0) return res.status(404).json({ success: false, message: 'User not found' });
       const ok = await bcrypt.compare(current_password, rows[0].password_hash).catch(() => false);
       if (!ok) return res.status(401).json({ success: false, message: 'Current password incorrect' });
+      const weakness = checkPassword(new_password, req.user);
+      if (weakness) return res.status(400).json({ success: false, message: weakness });
+      if (await bcrypt.compare(new_password, rows[0].password_hash).catch(() => false)) {
+        return res.status(400).json({ success: false, message: 'New password must be different from the current password' });
+      }
       const newHash = await bcrypt.hash(new_password, 10);
-      await pool.execute('UPDATE users SET password_hash = ? WHERE id = ?', [newHash, userId]);
+      await User.setPassword(userId, newHash);
+      // Other devices must sign in again with the new password
+      await Session.revokeAllForUser(userId, 'password_changed', req.user.session_id);
       res.json({ success: true, message: 'Password updated' });
     } catch (err) {
       console.error('Change password error:', err);
       res.status(500).json({ success: false, message: 'Failed to change password' });
     }
   }
+
+  // Whether the signed-in approver has set an override PIN
+  static async overridePinStatus(req, res) {
+    try {
+      res.json({ success: true, data: { enabled: await User.hasOverridePin(req.user.id) } });
+    } catch (err) {
+      console.error('Override PIN status error:', err);
+      res.status(500).json({ success: false, message: 'Failed to load override PIN status' });
+    }
+  }
+
+  // Sets or changes the PIN entered on a cashier's terminal to approve price
+  // overrides; the account password confirms it is the approver themselves
+  static async setOverridePin(req, res) {
+    try {
+      const { password, pin } = req.body;
+      const pool = getPool();
+      const [rows] = await pool.execute('SELECT password_hash FROM users WHERE id = ?', [req.user.id]);
+      const ok = rows[0] && await bcrypt.compare(password, rows[0].password_hash).catch(() => false);
+      if (!ok) return res.status(401).json({ success: false, message: 'Password incorrect' });
+      await User.setOverridePin(req.user.id, await bcrypt.hash(pin, 10));
+      res.json({ success: true, message: 'Override PIN saved' });
+    } catch (err) {
+      console.error('Set override PIN error:', err);
+      res.status(500).json({ success: false, message: 'Failed to save override PIN' });
+    }
+  }
+
+  // Always answers the same way so the endpoint cannot be used to probe which emails exist
+  static async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+      if (!email) {
+        return res.status(400).json({ success: false, message: 'Email is required' });
+      }
+      const pool = getPool();
+      const [rows] = await pool.execute("SELECT id, username, email FROM users WHERE email = ? AND status = 'Active'", [email]);
+      if (rows.length > 0) await PasswordReset.sendLink(rows[0]);
+      res.json({ success: true, message: 'If that email belongs to an active account, a recovery link has been sent' });
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      res.status(500).json({ success: false, message: 'Failed to start password recovery' });
+    }
+  }
+
+  static async resetPassword(req, res) {
+    try {
+      const { token, new_password } = req.body;
+      if (!token || !new_password) {
+        return res.status(400).json({ success: false, message: 'Token and new password are required' });
+      }
+      const weakness = checkPassword(new_password);
+      if (weakness) return res.status(400).json({ success: false, message: weakness });
+      const newHash = await bcrypt.hash(new_password, 10);
+      const userId = await PasswordReset.resetPassword(token, newHash);
+      if (!userId) {
+        return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired' });
+      }
+      await Session.revokeAllForUser(userId, 'password_reset');
+      res.json({ success: true, message: 'Password has been reset. You can now log in.' });
+    } catch (err) {
+      console.error('Reset password error:', err);
+      res.status(500).json({ success: false, message: 'Failed to reset password' });
+    }
+  }
+
+  static passwordPolicy(req, res) {
+    res.json({ success: true, data: passwordPolicy() });
+  }
+
+  // Swap a refresh token for a new access token and a new refresh token
+  static async refresh(req, res) {
+    try {
+      const { refresh_token } = req.body;
+      if (!refresh_token) {
+        return res.status(400).json({ success: false, message: 'Refresh token is required' });
+      }
+      const rotated = await Session.rotate(refresh_token, { ipAddress: req.ip });
+      if (!rotated) {
+        return res.status(401).json({ success: false, message: 'Your session has ended. Please log in again.' });
+      }
+      const user = await User.findById(rotated.userId);
+      if (!user || user.status !== 'Active') {
+        await Session.revoke(rotated.sessionId, rotated.userId, 'deactivated');
+        return res.status(401).json({ success: false, message: 'Account is inactive or no longer exists' });
+      }
+      const token = signAccessToken(user, rotated.sessionId);
+      const permissions = await RolePermission.getPermissionsForRole(user.role);
+      res.json({ success: true, data: { token, refresh_token: rotated.refreshToken, role: user.role, permissions } });
+    } catch (err) {
+      console.error('Refresh token error:', err);
+      res.status(500).json({ success: false, message: 'Failed to refresh session' });
+    }
+  }
+
+  static async logout(req, res) {
+    try {
+      await Session.revoke(req.user.session_id, req.user.id, 'logout');
+      res.json({ success: true, message: 'Logged out' });
+    } catch (err) {
+      console.error('Logout error:', err);
+      res.status(500).json({ success: false, message: 'Failed to log out' });
+    }
+  }
+
+  static async logoutAll(req, res) {
+    try {
+      const count = await Session.revokeAllForUser(req.user.id, 'logout_all');
+      res.json({ success: true, message: `Logged out of ${count} session(s)` });
+    } catch (err) {
+      console.error('Logout all error:', err);
+      res.status(500).json({ success: false, message: 'Failed to log out of all devices' });
+    }
+  }
+
+  static async listSessions(req, res) {
+    try {
+      const sessions = await Session.listActive(req.user.id);
+      res.json({ success: true, data: sessions.map(s => ({ ...s, current: s.session_id === req.user.session_id })) });
+    } catch (err) {
+      console.error('List sessions error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch sessions' });
+    }
+  }
+
+  static async revokeSession(req, res) {
+    try {
+      const revoked = await Session.revoke(req.params.sessionId, req.user.id, 'revoked_by_user');
+      if (!revoked) return res.status(404).json({ success: false, message: 'Session not found' });
+      res.json({ success: true, message: 'Session revoked' });
+    } catch (err) {
+      console.error('Revoke session error:', err);
+      res.status(500).json({ success: false, message: 'Failed to revoke session' });
+    }
+  }
 }
@@ -1,27 +1,12 @@
-import { getPool } from '../config/database.js';
+import { Customer } from '../models/Customer.js';
+import { StoreCredit } from '../models/StoreCredit.js';
+import { ChargeAccount } from '../models/ChargeAccount.js';
 
 export class CustomersController {
+  // Customer records plus the distinct customers found on past sales
   static async list(req, res) {
     try {
-      const { search } = req.query;
-      const pool = getPool();
-
-      let query = `
-        SELECT DISTINCT customer_name, contact, address
-        FROM sales
-        WHERE customer_name IS NOT NULL AND customer_name <> ''
-      `;
-      const params = [];
-
-      if (search) {
-        const like = `%${search}%`;
-        query += ' AND (customer_name LIKE ? OR contact LIKE ?)';
-        params.push(like, like);
-      }
-
-      query += ' ORDER BY customer_name ASC';
-
-      const [rows] = await pool.execute(query, params);
+      const rows = await Customer.findAll({ search: req.query.search });
 
       res.json({
         success: true,
@@ -35,4 +20,114 @@ export class CustomersController {
       });
     }
   }
+
+  // Creates a record (e.g. to give a walk-in customer a price tier); an
+  // existing name + contact is updated instead
+  static async create(req, res) {
+    try {
+      const id = await Customer.save(req.body);
+      res.status(201).json({ success: true, message: 'Customer saved', data: await Customer.findById(id) });
+    } catch (error) {
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') return res.status(400).json({ success: false, message: 'Price tier not found' });
+      console.error('Save customer error:', error);
+      res.status(500).json({ success: false, message: 'Failed to save customer' });
+    }
+  }
+
+  static async update(req, res) {
+    try {
+      const updated = await Customer.update(req.params.id, req.body);
+      if (!updated) return res.status(404).json({ success: false, message: 'Customer not found' });
+      res.json({ success: true, message: 'Customer updated', data: await Customer.findById(req.params.id) });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: 'Another customer already has this name and contact number' });
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') return res.status(400).json({ success: false, message: 'Price tier not found' });
+      console.error('Update customer error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update customer' });
+    }
+  }
+
+  // Store credit balance and statement (?date_from, ?date_to)
+  static async storeCredit(req, res) {
+    try {
+      const customer = await Customer.findById(req.params.id);
+      if (!customer) return res.status(404).json({ success: false, message: 'Customer not found' });
+      const statement = await StoreCredit.statement(customer.id, req.query);
+      res.json({
+        success: true,
+        data: {
+          customer: { id: customer.id, customer_name: customer.customer_name, contact: customer.contact },
+          balance: Number(customer.store_credit_balance),
+          ...statement
+        }
+      });
+    } catch (error) {
+      console.error('Store credit statement error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch store credit' });
+    }
+  }
+
+  // Manual credit (positive amount) or debit (negative) with a reason
+  static async adjustStoreCredit(req, res) {
+    try {
+      const { amount, reason } = req.body;
+      const balance = await StoreCredit.adjust(req.params.id, amount, reason, req.user.username);
+      res.status(201).json({ success: true, message: 'Store credit adjusted', data: { id: Number(req.params.id), balance } });
+    } catch (error) {
+      if (error.code === 'CUSTOMER_NOT_FOUND') return res.status(404).json({ success: false, message: error.message });
+      if (error.code === 'INSUFFICIENT_STORE_CREDIT') return res.status(409).json({ success: false, message: error.message });
+      console.error('Adjust store credit error:', error);
+      res.status(500).json({ success: false, message: 'Failed to adjust store credit' });
+    }
+  }
+
+  // Charge account settings, balance, available credit and open invoices
+  static async chargeAccount(req, res) {
+    try {
+      const account = await ChargeAccount.summary(req.params.id);
+      if (!account) return res.status(404).json({ success: false, message: 'Customer not found' });
+      const invoices = await ChargeAccount.openInvoices(account.id);
+      res.json({ success: true, data: { ...account, invoices } });
+    } catch (error) {
+      console.error('Charge account error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch charge account' });
+    }
+  }
+
+  static async updateChargeAccount(req, res) {
+    try {
+      const updated = await ChargeAccount.updateSettings(req.params.id, req.body);
+      if (!updated) return res.status(404).json({ success: false, message: 'Customer not found' });
+      res.json({ success: true, message: 'Charge account updated', data: await ChargeAccount.summary(req.params.id) });
+    } catch (error) {
+      console.error('Update charge account error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update charge account' });
+    }
+  }
+
+  // Payment on the account, applied to the oldest invoices first
+  static async receiveAccountPayment(req, res) {
+    try {
+      const result = await ChargeAccount.receivePayment(req.params.id, req.body, req.user.username);
+      res.status(201).json({ success: true, message: 'Payment recorded', data: result });
+    } catch (error) {
+      const status = { CUSTOMER_NOT_FOUND: 404, PAYMENT_EXCEEDS_BALANCE: 400, INSUFFICIENT_STORE_CREDIT: 409 }[error.code];
+      if (status) return res.status(status).json({ success: false, message: error.message });
+      console.error('Account payment error:', error);
+      res.status(500).json({ success: false, message: 'Failed to record payment' });
+    }
+  }
+
+  // Statement of account (?date_from, ?date_to)
+  static async accountStatement(req, res) {
+    try {
+      const account = await ChargeAccount.summary(req.params.id);
+      if (!account) return res.status(404).json({ success: false, message: 'Customer not found' });
+      const statement = await ChargeAccount.statement(account.id, req.query);
+      res.json({ success: true, data: { account, ...statement } });
+    } catch (error) {
+      console.error('Account statement error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch statement of account' });
+    }
+  }
 }
@@ -49,7 +49,7 @@ export const InventoryController = {
   updateStock: async (req, res) => {
     try {
       const { id } = req.params; // This will be the product_id (e.g., PRD-006)
-      const { quantityToAdd, reorderPoint, notes, createdBy, transactionDate, supplierId } = req.body;
+      const { quantityToAdd, reorderPoint, notes, transactionDate, supplierId } = req.body;
 
 
       // Find product by product_id
@@ -61,9 +61,9 @@ export const InventoryController = {
         });
       }
 
-      await Inventory.updateStock(id, parseInt(quantityToAdd) || 0, reorderPoint, {
+      await Inventory.updateStock(id, quantityToAdd, reorderPoint, {
         notes,
-        createdBy,
+        createdBy: req.user.username,
         transactionDate,
         supplierId
       });
@@ -93,25 +93,12 @@ export const InventoryController = {
     try {
       const { supplier, receivedBy, serialNumber, products } = req.body;
 
-      if (!products || products.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'No products provided'
-        });
-      }
-
-      if (!supplier || !receivedBy) {
-        return res.status(400).json({
-          success: false,
-          message: 'Supplier and receivedBy are required'
-        });
-      }
-
       await Inventory.bulkStockIn({
         supplier,
         receivedBy,
         serialNumber,
-        products
+        products,
+        createdBy: req.user.username
       });
 
       res.json({
@@ -132,26 +119,13 @@ export const InventoryController = {
     try {
       const { supplier, returnedBy, returnDate, products, reason } = req.body;
 
-      if (!products || products.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'No products provided'
-        });
-      }
-
-      if (!supplier || !returnedBy) {
-        return res.status(400).json({
-          success: false,
-          message: 'Supplier and returnedBy are required'
-        });
-      }
-
       await Inventory.returnToSupplier({
         supplier,
         returnedBy,
         returnDate,
         products,
-        reason
+        reason,
+        createdBy: req.user.username
       });
 
       res.json({
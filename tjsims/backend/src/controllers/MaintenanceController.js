@@ -0,0 +1,33 @@
+import { Upload } from '../models/Upload.js';
+import { findOrphans, removeUpload } from '../services/uploads.js';
+
+const summarize = (files) => ({
+  files,
+  count: files.length,
+  total_size: files.reduce((sum, file) => sum + file.size, 0)
+});
+
+export class MaintenanceController {
+  // Uploaded files no product, user, sale or return points to any more
+  static async listOrphanUploads(req, res) {
+    try {
+      const orphans = await findOrphans(await Upload.referencedPaths());
+      res.json({ success: true, data: summarize(orphans) });
+    } catch (err) {
+      console.error('Orphan upload scan error:', err);
+      res.status(500).json({ success: false, message: 'Failed to scan uploaded files' });
+    }
+  }
+
+  // Scans again rather than trusting a list from the client, then deletes
+  static async purgeOrphanUploads(req, res) {
+    try {
+      const orphans = await findOrphans(await Upload.referencedPaths());
+      await removeUpload(...orphans.map(file => file.path));
+      res.json({ success: true, message: `Deleted ${orphans.length} orphaned file(s)`, data: summarize(orphans) });
+    } catch (err) {
+      console.error('Orphan upload purge error:', err);
+      res.status(500).json({ success: false, message: 'Failed to delete orphaned files' });
+    }
+  }
+}
@@ -0,0 +1,57 @@
+import { ParkedSale } from '../models/ParkedSale.js';
+import { AppSettings } from '../models/AppSettings.js';
+
+const PARK_ERRORS = { SERIAL_UNAVAILABLE: 409, PARKED_SALE_NOT_FOUND: 404 };
+
+export class ParkedSalesController {
+  // Carts parked on any terminal that have not expired yet
+  static async list(req, res) {
+    try {
+      await ParkedSale.releaseExpired();
+      const parked = await ParkedSale.findAll();
+      res.json({ success: true, data: parked });
+    } catch (err) {
+      console.error('List parked sales error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch parked sales' });
+    }
+  }
+
+  // Nothing is charged or deducted; the cart's serials are reserved until it
+  // is resumed, discarded or expires (app_settings.park_expiry_minutes)
+  static async park(req, res) {
+    try {
+      await ParkedSale.releaseExpired();
+      const settings = await AppSettings.get();
+      const expiryMinutes = settings?.park_expiry_minutes || 120;
+      const id = await ParkedSale.park(req.body, req.user.username, expiryMinutes);
+      res.status(201).json({ success: true, message: 'Sale parked', data: { id, expiry_minutes: expiryMinutes } });
+    } catch (err) {
+      if (PARK_ERRORS[err.code]) return res.status(PARK_ERRORS[err.code]).json({ success: false, message: err.message });
+      console.error('Park sale error:', err);
+      res.status(500).json({ success: false, message: 'Failed to park sale' });
+    }
+  }
+
+  // Hands the cart back and releases its serials so the resuming terminal can select them
+  static async resume(req, res) {
+    try {
+      const parked = await ParkedSale.take(req.params.id);
+      res.json({ success: true, message: 'Parked sale resumed', data: parked });
+    } catch (err) {
+      if (PARK_ERRORS[err.code]) return res.status(PARK_ERRORS[err.code]).json({ success: false, message: err.message });
+      console.error('Resume parked sale error:', err);
+      res.status(500).json({ success: false, message: 'Failed to resume parked sale' });
+    }
+  }
+
+  static async discard(req, res) {
+    try {
+      await ParkedSale.take(req.params.id);
+      res.json({ success: true, message: 'Parked sale discarded' });
+    } catch (err) {
+      if (PARK_ERRORS[err.code]) return res.status(PARK_ERRORS[err.code]).json({ success: false, message: err.message });
+      console.error('Discard parked sale error:', err);
+      res.status(500).json({ success: false, message: 'Failed to discard parked sale' });
+    }
+  }
+}
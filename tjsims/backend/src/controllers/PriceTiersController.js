@@ -0,0 +1,81 @@
+import { getPool } from '../config/database.js';
+import { PriceTier } from '../models/PriceTier.js';
+import { tierPrice } from '../services/pricing.js';
+
+export class PriceTiersController {
+  static async list(req, res) {
+    try {
+      const tiers = await PriceTier.findAll({ status: req.query.status });
+      res.json({ success: true, data: tiers });
+    } catch (err) {
+      console.error('List price tiers error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch price tiers' });
+    }
+  }
+
+  static async get(req, res) {
+    try {
+      const tier = await PriceTier.findById(req.params.id);
+      if (!tier) return res.status(404).json({ success: false, message: 'Price tier not found' });
+      res.json({ success: true, data: tier });
+    } catch (err) {
+      console.error('Get price tier error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch price tier' });
+    }
+  }
+
+  // Every product's price in the tier, for the Sales page product list
+  static async prices(req, res) {
+    try {
+      const tier = await PriceTier.findForPricing(req.params.id);
+      if (!tier) return res.status(404).json({ success: false, message: 'Price tier not found or inactive' });
+      const [products] = await getPool().execute('SELECT product_id, price FROM products');
+      res.json({
+        success: true,
+        data: {
+          tier: { id: tier.id, name: tier.name, kind: tier.kind },
+          prices: products.map(product => ({ product_id: product.product_id, price: tierPrice(tier, product) }))
+        }
+      });
+    } catch (err) {
+      console.error('Price tier prices error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch tier prices' });
+    }
+  }
+
+  static async create(req, res) {
+    try {
+      const id = await PriceTier.create(req.body, req.user.username);
+      res.status(201).json({ success: true, message: 'Price tier created', data: { id } });
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: `A price tier named ${req.body.name} already exists` });
+      if (err.code === 'ER_NO_REFERENCED_ROW_2') return res.status(400).json({ success: false, message: 'A product in this tier does not exist' });
+      console.error('Create price tier error:', err);
+      res.status(500).json({ success: false, message: 'Failed to create price tier' });
+    }
+  }
+
+  static async update(req, res) {
+    try {
+      const updated = await PriceTier.update(req.params.id, req.body);
+      if (!updated) return res.status(404).json({ success: false, message: 'Price tier not found' });
+      res.json({ success: true, message: 'Price tier updated' });
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: `A price tier named ${req.body.name} already exists` });
+      if (err.code === 'ER_NO_REFERENCED_ROW_2') return res.status(400).json({ success: false, message: 'A product in this tier does not exist' });
+      console.error('Update price tier error:', err);
+      res.status(500).json({ success: false, message: 'Failed to update price tier' });
+    }
+  }
+
+  static async remove(req, res) {
+    try {
+      const deleted = await PriceTier.delete(req.params.id);
+      if (!deleted) return res.status(404).json({ success: false, message: 'Price tier not found' });
+      res.json({ success: true, message: 'Price tier deleted' });
+    } catch (err) {
+      console.error('Delete price tier error:', err);
+      res.status(500).json({ success: false, message: 'Failed to delete price tier' });
+    }
+  }
+}
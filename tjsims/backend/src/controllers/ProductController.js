@@ -1,4 +1,16 @@
 import { Product } from '../models/Product.js';
+import { removeUpload } from '../services/uploads.js';
+
+// 409 response when another product already carries one of the barcodes
+const barcodeConflict = async (res, barcodes, productId = null) => {
+  const owners = await Product.findBarcodeOwners(barcodes, productId);
+  if (owners.length === 0) return false;
+  res.status(409).json({
+    success: false,
+    message: owners.map(o => `Barcode ${o.barcode} is already assigned to ${o.name} (${o.product_id})`).join('; ')
+  });
+  return true;
+};
 
 export class ProductController {
   // Get all products with server-side pagination
@@ -76,12 +88,38 @@ export class ProductController {
     }
   }
 
+  // Resolve a scanned barcode, product ID or serial number
+  static async lookupCode(req, res) {
+    try {
+      const match = await Product.lookupCode(req.params.code);
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          message: `No product or serial number matches ${req.params.code}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: match
+      });
+    } catch (error) {
+      console.error('Error looking up code:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to look up code',
+        error: error.message
+      });
+    }
+  }
+
   // Create new product
   static async createProduct(req, res) {
     try {
       const productData = req.body;
-      productData.image = req.file ? `/uploads/${req.file.filename}` : null;
-      productData.requires_serial = req.body.requires_serial === 'true';
+      if (await barcodeConflict(res, productData.barcodes)) return;
+      productData.image = req.file ? req.file.url : null;
+      productData.thumbnail = req.file ? req.file.thumbnail : null;
 
       const productId = await Product.create(productData);
 
@@ -105,9 +143,6 @@ export class ProductController {
     try {
       const { id } = req.params;
       const productData = req.body;
-      
-      // Convert string 'true'/'false' to boolean
-      productData.requires_serial = req.body.requires_serial === 'true';
 
       // --- VALIDATION BLOCK ---
       if (productData.requires_serial === false) {
@@ -127,11 +162,26 @@ export class ProductController {
       }
       // --- END VALIDATION ---
 
-      // Image handling
+      if (await barcodeConflict(res, productData.barcodes, id)) return;
+
+      // Image handling: a new upload replaces the current image, an empty
+      // image field removes it, anything else keeps what is stored
+      const current = await Product.findById(id);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
       if (req.file) {
-        productData.image = `/uploads/${req.file.filename}`;
+        productData.image = req.file.url;
+        productData.thumbnail = req.file.thumbnail;
+      } else if (productData.image) {
+        productData.image = current.image;
+        productData.thumbnail = current.thumbnail;
       } else {
-        productData.image = productData.image || null;
+        productData.image = null;
+        productData.thumbnail = null;
       }
       
       const updated = await Product.update(id, productData);
@@ -142,6 +192,9 @@ export class ProductController {
           message: 'Product not found'
         });
       }
+      if (current.image !== productData.image) {
+        await removeUpload(current.image, current.thumbnail);
+      }
 
       res.json({
         success: true,
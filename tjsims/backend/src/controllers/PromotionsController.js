@@ -0,0 +1,54 @@
+import { Promotion } from '../models/Promotion.js';
+
+export class PromotionsController {
+  // Promotions and coupons, newest first (?status, ?kind=automatic|coupon)
+  static async list(req, res) {
+    try {
+      const { status, kind } = req.query;
+      const promotions = await Promotion.findAll({ status, kind });
+      res.json({ success: true, data: promotions });
+    } catch (err) {
+      console.error('List promotions error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch promotions' });
+    }
+  }
+
+  static async create(req, res) {
+    try {
+      const id = await Promotion.create(req.body, req.user.username);
+      res.status(201).json({ success: true, message: 'Promotion created', data: { id } });
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: `Coupon code ${req.body.code} is already in use` });
+      console.error('Create promotion error:', err);
+      res.status(500).json({ success: false, message: 'Failed to create promotion' });
+    }
+  }
+
+  static async update(req, res) {
+    try {
+      const updated = await Promotion.update(req.params.id, req.body);
+      if (!updated) return res.status(404).json({ success: false, message: 'Promotion not found' });
+      res.json({ success: true, message: 'Promotion updated' });
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: `Coupon code ${req.body.code} is already in use` });
+      console.error('Update promotion error:', err);
+      res.status(500).json({ success: false, message: 'Failed to update promotion' });
+    }
+  }
+
+  // Promotions already used on a sale stay for the record; deactivate those instead
+  static async remove(req, res) {
+    try {
+      const promotion = await Promotion.findById(req.params.id);
+      if (!promotion) return res.status(404).json({ success: false, message: 'Promotion not found' });
+      if (promotion.usage_count > 0) {
+        return res.status(409).json({ success: false, message: 'This promotion has been used on sales and cannot be deleted. Set it to Inactive instead.' });
+      }
+      await Promotion.delete(req.params.id);
+      res.json({ success: true, message: 'Promotion deleted' });
+    } catch (err) {
+      console.error('Delete promotion error:', err);
+      res.status(500).json({ success: false, message: 'Failed to delete promotion' });
+    }
+  }
+}
@@ -0,0 +1,77 @@
+import { Quotation } from '../models/Quotation.js';
+import { buildQuote, QUOTE_ERRORS } from '../services/checkout.js';
+
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+export class QuotationsController {
+  // Quotations, newest first (?search, ?status incl. Expired)
+  static async list(req, res) {
+    try {
+      const { search, status } = req.query;
+      const quotations = await Quotation.findAll({ search, status });
+      res.json({ success: true, data: quotations });
+    } catch (err) {
+      console.error('List quotations error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch quotations' });
+    }
+  }
+
+  // A quotation with its lines checked against today's price and stock
+  static async getById(req, res) {
+    try {
+      const quotation = await Quotation.findById(req.params.id);
+      if (!quotation) return res.status(404).json({ success: false, message: 'Quotation not found' });
+      const rows = await Quotation.getItems(quotation.id);
+      const items = rows.map(item => ({
+        ...item,
+        price_changed: item.current_price != null && Number(item.current_price) !== Number(item.price),
+        available: item.current_price != null && item.product_status !== 'Inactive' && Number(item.stock) >= item.quantity
+      }));
+      res.json({ success: true, data: { ...quotation, items } });
+    } catch (err) {
+      console.error('Get quotation error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch quotation' });
+    }
+  }
+
+  // Priced like a sale (promotions, coupon, manual discounts, VAT); no stock is reserved or deducted
+  static async create(req, res) {
+    try {
+      if (req.body.valid_until < today()) {
+        return res.status(400).json({ success: false, message: 'Valid until cannot be in the past' });
+      }
+      const quote = await buildQuote(req.body, req.user);
+      const { quotationId, quoteNumber } = await Quotation.create(req.body, quote, req.user.username);
+      res.status(201).json({
+        success: true,
+        message: 'Quotation created',
+        data: { id: quotationId, quote_number: quoteNumber, ...quote }
+      });
+    } catch (err) {
+      if (QUOTE_ERRORS[err.code]) {
+        return res.status(QUOTE_ERRORS[err.code]).json({ success: false, message: err.message });
+      }
+      console.error('Create quotation error:', err);
+      res.status(500).json({ success: false, message: 'Failed to create quotation' });
+    }
+  }
+
+  // Only Open quotations can be cancelled; converted ones stay linked to their sale
+  static async cancel(req, res) {
+    try {
+      const quotation = await Quotation.findById(req.params.id);
+      if (!quotation) return res.status(404).json({ success: false, message: 'Quotation not found' });
+      const cancelled = await Quotation.cancel(quotation.id, req.user.username);
+      if (!cancelled) {
+        return res.status(409).json({ success: false, message: `Quotation ${quotation.quote_number} is already ${quotation.status.toLowerCase()}` });
+      }
+      res.json({ success: true, message: 'Quotation cancelled' });
+    } catch (err) {
+      console.error('Cancel quotation error:', err);
+      res.status(500).json({ success: false, message: 'Failed to cancel quotation' });
+    }
+  }
+}
@@ -1,5 +1,6 @@
 import { Sales } from '../models/Sales.js';
 import { Return } from '../models/Return.js';
+import { ChargeAccount } from '../models/ChargeAccount.js';
 import { getPool } from '../config/database.js';
 
 export class ReportsController {
@@ -14,7 +15,7 @@ export class ReportsController {
   // REVISED: Get sales report data paginated by ITEMS, filtering ONLY Completed & Partially Returned
   static async getSalesReport(req, res) {
     try {
-      const { page = 1, limit = 10, start_date, end_date } = req.query;
+      const { page = 1, limit = 10, start_date, end_date, overrides_only } = req.query;
       const offset = (page - 1) * limit;
       const pool = getPool();
 
@@ -37,6 +38,9 @@ export class ReportsController {
         dateFilter += ' AND DATE(s.created_at) <= ?';
         params.push(end_date);
       }
+      if (overrides_only) {
+        dateFilter += ' AND si.original_price IS NOT NULL';
+      }
 
       // 2. Fetch Paginated Items
       const query = `
@@ -44,8 +48,13 @@ export class ReportsController {
           si.product_name,
           si.brand,
           si.price as unit_price,
+          si.original_price,
+          si.override_reason,
+          si.override_approved_by,
           (si.quantity - COALESCE(si.returned_quantity, 0)) as quantity_sold,
-          ((si.quantity - COALESCE(si.returned_quantity, 0)) * si.price) as total_item_price,
+          ((si.quantity - COALESCE(si.returned_quantity, 0)) * si.price) as gross_item_price,
+          ROUND((si.quantity - COALESCE(si.returned_quantity, 0)) * si.subtotal / si.quantity, 2) as total_item_price,
+          si.discount_label,
           s.id as sale_id,
           s.sale_number as order_id,
           s.customer_name,
@@ -74,10 +83,22 @@ export class ReportsController {
       const totalPages = Math.ceil(totalItems / limit);
 
       // 4. Calculate Global Summary
+      // Tax columns split what was kept after returns by each line's tax class
+      // at the time of sale; lines without one were sold while not VAT-registered
+      const keptNet = 'ROUND((si.quantity - COALESCE(si.returned_quantity, 0)) * si.subtotal / si.quantity, 2)';
+      const keptVat = 'ROUND((si.quantity - COALESCE(si.returned_quantity, 0)) * si.vat_amount / si.quantity, 2)';
       const summaryQuery = `
         SELECT 
           COUNT(DISTINCT s.id) as total_sales_count,
-          SUM((si.quantity - COALESCE(si.returned_quantity, 0)) * si.price) as total_revenue
+          SUM((si.quantity - COALESCE(si.returned_quantity, 0)) * si.price) as gross_revenue,
+          SUM(${keptNet}) as total_revenue,
+          SUM(CASE WHEN si.tax_class = 'vatable' THEN ${keptNet} - ${keptVat} ELSE 0 END) as vatable_sales,
+          SUM(CASE WHEN si.tax_class = 'vatable' THEN ${keptVat} ELSE 0 END) as vat_amount,
+          SUM(CASE WHEN si.tax_class = 'exempt' THEN ${keptNet} ELSE 0 END) as vat_exempt_sales,
+          SUM(CASE WHEN si.tax_class = 'zero_rated' THEN ${keptNet} ELSE 0 END) as zero_rated_sales,
+          SUM(CASE WHEN si.tax_class IS NULL THEN ${keptNet} ELSE 0 END) as non_vat_sales,
+          SUM(si.original_price IS NOT NULL) as override_count,
+          SUM(CASE WHEN si.original_price IS NOT NULL THEN (si.quantity - COALESCE(si.returned_quantity, 0)) * (si.original_price - si.price) ELSE 0 END) as override_amount
         FROM sale_items si
         JOIN sales s ON si.sale_id = s.id
         ${baseWhere}
@@ -87,9 +108,24 @@ export class ReportsController {
       
       const summary = {
         totalSales: summaryResult[0].total_sales_count || 0,
+        grossRevenue: summaryResult[0].gross_revenue || 0,
+        totalDiscounts: Math.round(((summaryResult[0].gross_revenue || 0) - (summaryResult[0].total_revenue || 0)) * 100) / 100,
         totalRevenue: summaryResult[0].total_revenue || 0,
         averageSale: 0,
-        totalItems: totalItems
+        totalItems: totalItems,
+        tax: {
+          vatableSales: parseFloat(summaryResult[0].vatable_sales || 0),
+          vatAmount: parseFloat(summaryResult[0].vat_amount || 0),
+          vatExemptSales: parseFloat(summaryResult[0].vat_exempt_sales || 0),
+          zeroRatedSales: parseFloat(summaryResult[0].zero_rated_sales || 0),
+          nonVatSales: parseFloat(summaryResult[0].non_vat_sales || 0)
+        },
+        // Lines sold at an overridden price; amount is list price minus the
+        // price charged (negative when overrides raised prices)
+        priceOverrides: {
+          count: Number(summaryResult[0].override_count || 0),
+          amount: parseFloat(summaryResult[0].override_amount || 0)
+        }
       };
 
       if (summary.totalSales > 0) {
@@ -105,6 +141,11 @@ export class ReportsController {
         brand: item.brand,
         quantity: item.quantity_sold,
         unitPrice: parseFloat(item.unit_price),
+        originalPrice: item.original_price != null ? parseFloat(item.original_price) : null,
+        overrideReason: item.override_reason,
+        overrideApprovedBy: item.override_approved_by,
+        discount: Math.round((item.gross_item_price - item.total_item_price) * 100) / 100,
+        discountLabel: item.discount_label,
         totalPrice: parseFloat(item.total_item_price),
         orderDate: ReportsController.convertToPhilippineTime(item.order_date)
       }));
@@ -378,4 +419,18 @@ export class ReportsController {
       });
     }
   }
-}
\ No newline at end of file
+
+  // Accounts receivable aging: what each charge account owes by days past due
+  static async getReceivablesAging(req, res) {
+    try {
+      const aging = await ChargeAccount.aging(req.query.as_of || null);
+      res.json({ success: true, data: aging });
+    } catch (error) {
+      console.error('Error fetching receivables aging:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch receivables aging'
+      });
+    }
+  }
+}
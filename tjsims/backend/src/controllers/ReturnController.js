@@ -1,39 +1,4 @@
 import { Return } from '../models/Return.js';
-import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
-
-// Configure multer for photo uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = 'src/uploads/returns';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `return-${Date.now()}-${Math.floor(Math.random() * 10000)}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
-  }
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    if (extname && mimetype) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
-  }
-});
-
-export const uploadReturnPhoto = upload.single('photoProof');
 
 export const ReturnController = {
   // Process a return
@@ -47,22 +12,11 @@ export const ReturnController = {
         refundMethod,
         restocked,
         additionalNotes,
-        returnItems: returnItemsString
+        returnItems
       } = req.body;
-      
-      // Parse returnItems from JSON string (FormData sends it as string)
-      const returnItems = JSON.parse(returnItemsString || '[]');
-      
-      // Get photo proof path if uploaded
-      const photoProof = req.file ? `/uploads/returns/${req.file.filename}` : null;
 
-      // Validation
-      if (!orderId || !returnReason || !refundMethod || !returnItems || returnItems.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Missing required fields'
-        });
-      }
+      // Get photo proof path if uploaded
+      const photoProof = req.file ? req.file.url : null;
 
       // Validate at least one item has quantity > 0
       const hasValidItems = returnItems.some(item => item.quantity > 0);
@@ -73,8 +27,8 @@ export const ReturnController = {
         });
       }
 
-      // Get processed by from session/auth (for now use a default or from body)
-      const processedBy = req.body.processedBy || req.user?.username || 'Admin';
+      // Recorded against the signed-in user, never a client-supplied name
+      const processedBy = req.user.username;
 
       const result = await Return.processReturn({
         orderId,
@@ -82,7 +36,7 @@ export const ReturnController = {
         customerName,
         returnReason,
         refundMethod,
-        restocked: restocked !== false, // Default to true
+        restocked,
         photoProof,
         additionalNotes,
         processedBy,
@@ -1,65 +1,144 @@
 import { Sales } from '../models/Sales.js';
 import { SaleItem } from '../models/SaleItem.js';
-import { Product } from '../models/Product.js';
+import { Payment } from '../models/Payment.js';
+import { buildQuote, approveOverrides, QUOTE_ERRORS } from '../services/checkout.js';
+import { allocatePayments, derivePaymentStatus, describeMethods } from '../services/payments.js';
+import { assertInitialStatus, assertTransition, nextStatuses } from '../services/orderStatus.js';
+import { SaleStatusHistory } from '../models/SaleStatusHistory.js';
+import { CashShift } from '../models/CashShift.js';
 import { getPool } from '../config/database.js'; // Added import for getPool
+import { hasPermission } from '../middleware/auth.js';
+
+// Users without sales.view (drivers) only see Company Delivery orders that are
+// unclaimed or already assigned to them
+const isDeliveryOnly = (user) => !hasPermission(user, 'sales.view');
+const canAccessDelivery = (user, sale) =>
+  sale.delivery_type === 'Company Delivery' && (!sale.driver_id || sale.driver_id === user.id);
+
+// Also used for voids, which fail on the same missing or closed sales
+const PAYMENT_ERRORS = { SALE_NOT_FOUND: 404, SALE_CLOSED: 409, PAYMENT_EXCEEDS_BALANCE: 400, INSUFFICIENT_STORE_CREDIT: 409, STORE_CREDIT_NO_CUSTOMER: 400 };
+
+const OFFLINE_SALE_MAX_HOURS = parseInt(process.env.OFFLINE_SALE_MAX_HOURS) || 12;
+
+// Earliest rung_up_at an offline sale may carry without sales.backdate: the
+// open shift's opening (or OFFLINE_SALE_MAX_HOURS ago with no shift open), so
+// syncing never changes a closed shift's Z-report or past sales reports
+const offlineWindowStart = async () => {
+  const shift = await CashShift.findOpen();
+  return shift ? new Date(shift.opened_at) : new Date(Date.now() - OFFLINE_SALE_MAX_HOURS * 60 * 60 * 1000);
+};
+
+// Replies to a till resending a sale it already recorded (same client_ref)
+// with that sale, as if it had just been created; nothing new is audited
+const sendRecordedSale = async (res, sale) => {
+  res.locals.skipAudit = true;
+  const payments = (await Payment.findBySale(sale.id)).filter(line => line.reversal_of == null && Number(line.amount) > 0);
+  const amountPaid = Number(sale.amount_paid);
+  res.json({
+    success: true,
+    message: 'Sale was already recorded',
+    data: {
+      id: sale.id,
+      sale_number: sale.sale_number,
+      subtotal: Number(sale.subtotal),
+      discount_total: Number(sale.discount_total),
+      tax: {
+        vatable_sales: Number(sale.vatable_sales),
+        vat_amount: Number(sale.vat_amount),
+        vat_exempt_sales: Number(sale.vat_exempt_sales),
+        zero_rated_sales: Number(sale.zero_rated_sales),
+        vat_rate: sale.vat_rate
+      },
+      total: Number(sale.total),
+      payments,
+      amount_paid: amountPaid,
+      change: payments.reduce((sum, line) => sum + Number(line.change_given), 0),
+      balance: Math.max(0, Number(sale.total) - amountPaid),
+      on_account: Boolean(sale.on_account),
+      payment_status: sale.payment_status,
+      already_recorded: true
+    }
+  });
+};
 
 export class SalesController {
+  // Preview totals and discounts for the cart on the Sales page
+  static async quoteSale(req, res) {
+    try {
+      const quote = await buildQuote(req.body, req.user);
+      res.json({ success: true, data: quote });
+    } catch (error) {
+      if (QUOTE_ERRORS[error.code]) {
+        return res.status(QUOTE_ERRORS[error.code]).json({ success: false, message: error.message });
+      }
+      console.error('Error pricing sale:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to price sale'
+      });
+    }
+  }
+
   // Create a new sale
   static async createSale(req, res) {
     try {
-      const { customer_name, contact, payment, payment_status, status, address, delivery_type, items } = req.body;
-
-      if (!customer_name || !payment || !items || items.length === 0) {
-        return res.status(400).json({
+      const { customer_name, contact, payment, payments, status, address, delivery_type, client_ref } = req.body;
+      if (client_ref) {
+        const recorded = await Sales.findByClientRef(client_ref);
+        if (recorded) return sendRecordedSale(res, recorded);
+      }
+      if (req.body.rung_up_at && !hasPermission(req.user, 'sales.backdate') && req.body.rung_up_at < await offlineWindowStart()) {
+        return res.status(409).json({
           success: false,
-          message: 'Customer name, payment method, and items are required'
+          message: `This offline sale was rung up before the open shift (or over ${OFFLINE_SALE_MAX_HOURS} hours ago); only a user allowed to backdate sales can record it`
         });
       }
 
-      let total = 0;
-      const enrichedItems = [];
-
-      for (const item of items) {
-        const { product_id, quantity, serialNumbers } = item;
-
-        if (!product_id || !quantity || quantity <= 0) {
-          return res.status(400).json({
-            success: false,
-            message: `Invalid product_id or quantity for item`
-          });
-        }
-
-        const product = await Product.findById(product_id);
-        if (!product) {
-          return res.status(404).json({
-            success: false,
-            message: `Product not found: ${product_id}`
-          });
-        }
-
-        const subtotal = product.price * quantity;
-        total += subtotal;
-
-        enrichedItems.push({
-          product_id: product.product_id,
-          product_name: product.name,
-          brand: product.brand,
-          price: product.price,
-          quantity: quantity,
-          serialNumbers: serialNumbers || []
+      assertInitialStatus(delivery_type, status || 'Pending');
+      const quote = await approveOverrides(await buildQuote(req.body, req.user), req.body.items, req.user, { ipAddress: req.ip });
+      const allocation = allocatePayments(payments, quote.total);
+      const paymentStatus = derivePaymentStatus({ total: quote.total, amount_paid: allocation.paid });
+      // On account, the balance becomes an invoice on the customer's charge
+      // account, so the sale can be completed unpaid
+      const onAccount = Boolean(req.body.on_account) && allocation.balance > 0;
+      if (onAccount && !hasPermission(req.user, 'sales.charge')) {
+        return res.status(403).json({ success: false, message: 'You are not allowed to charge sales to customer accounts' });
+      }
+      if (status === 'Completed' && paymentStatus !== 'Paid' && !onAccount) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot complete a sale with a balance of ${allocation.balance.toFixed(2)}`
         });
       }
 
       const saleData = {
         customer_name,
+        // Customer record the cart was priced for (price tier), if any
+        customer_id: quote.customer_id,
+        price_tier_id: quote.price_tier?.id ?? null,
+        on_account: onAccount,
         contact,
-        payment,
-        payment_status,
+        payment: describeMethods(allocation.lines, payment),
+        payment_status: paymentStatus,
+        payments: allocation.lines,
         status,
         address,
         delivery_type,
-        total,
-        items: enrichedItems
+        subtotal: quote.subtotal,
+        discount_total: quote.discount_total,
+        order_discount: quote.order_discount,
+        order_discount_label: quote.order_discount_label,
+        promotion_id: quote.promotion_id,
+        coupon_code: quote.coupon?.applied ? quote.coupon.code : null,
+        applied_promotion_ids: quote.applied_promotion_ids,
+        tax: quote.tax,
+        total: quote.total,
+        items: quote.items,
+        // Converting a quotation: the cart was re-priced above from current prices
+        quotation_id: req.body.quotation_id || null,
+        client_ref: client_ref || null,
+        rung_up_at: req.body.rung_up_at || null,
+        created_by: req.user.username
       };
 
       const { saleId, saleNumber } = await Sales.create(saleData);
@@ -70,10 +149,26 @@ export class SalesController {
         data: {
           id: saleId,
           sale_number: saleNumber,
-          total: total
+          subtotal: quote.subtotal,
+          discount_total: quote.discount_total,
+          tax: quote.tax,
+          total: quote.total,
+          payments: allocation.lines,
+          amount_paid: allocation.paid,
+          change: allocation.change,
+          balance: allocation.balance,
+          on_account: onAccount,
+          payment_status: paymentStatus
         }
       });
     } catch (error) {
+      if (error.code === 'SALE_ALREADY_RECORDED') {
+        // Sent twice at the same time; the other request recorded it
+        return sendRecordedSale(res, await Sales.findByClientRef(req.body.client_ref));
+      }
+      if (QUOTE_ERRORS[error.code]) {
+        return res.status(QUOTE_ERRORS[error.code]).json({ success: false, message: error.message });
+      }
       console.error('Error creating sale:', error);
       res.status(500).json({
         success: false,
@@ -123,6 +218,13 @@ export class SalesController {
         countParams.push(delivery_type);
       }
 
+      if (isDeliveryOnly(req.user)) {
+        query += " AND delivery_type = 'Company Delivery' AND (driver_id IS NULL OR driver_id = ?)";
+        params.push(req.user.id);
+        countQuery += " AND delivery_type = 'Company Delivery' AND (driver_id IS NULL OR driver_id = ?)";
+        countParams.push(req.user.id);
+      }
+
       const pool = getPool();
       
       const [totalResult] = await pool.execute(countQuery, countParams);
@@ -132,7 +234,8 @@ export class SalesController {
       query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
       params.push(parseInt(limit), parseInt(offset));
 
-      const [sales] = await pool.execute(query, params);
+      const [rows] = await pool.execute(query, params);
+      const sales = rows.map(sale => ({ ...sale, next_statuses: nextStatuses(sale, { manual: true }) }));
 
       res.json({
         success: true,
@@ -162,7 +265,7 @@ export class SalesController {
     try {
       const { id } = req.params;
       const sale = await Sales.findById(id);
-      if (!sale) {
+      if (!sale || (isDeliveryOnly(req.user) && !canAccessDelivery(req.user, sale))) {
         return res.status(404).json({
           success: false,
           message: 'Sale not found'
@@ -182,20 +285,71 @@ export class SalesController {
     }
   }
 
+  // Public order tracking: only exposes what the customer needs to see
+  static async trackOrder(req, res) {
+    try {
+      const { saleNumber } = req.params;
+      const sale = await Sales.findBySaleNumber(saleNumber);
+      if (!sale || sale.status === 'Cancelled') {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+      const saleItems = await Sales.getSaleItems(sale.id);
+      res.json({
+        success: true,
+        data: {
+          sale_number: sale.sale_number,
+          customer_name: sale.customer_name,
+          delivery_type: sale.delivery_type,
+          payment: sale.payment,
+          payment_status: sale.payment_status,
+          status: sale.status,
+          created_at: sale.created_at,
+          items: saleItems.map(item => ({
+            product_name: item.product_name,
+            brand: item.brand,
+            price: item.price,
+            quantity: item.quantity,
+            subtotal: item.subtotal
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Error tracking order:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch order'
+      });
+    }
+  }
+
   // Update a sale
   static async updateSale(req, res) {
     try {
       const { id } = req.params;
-      const { customer_name, contact, payment, payment_status, total, status } = req.body;
+      const { customer_name, contact, payment, status } = req.body;
 
       const currentSale = await Sales.findById(id);
-      if (!currentSale) {
+      const driverOnly = !hasPermission(req.user, 'sales.update');
+      if (!currentSale || (driverOnly && !canAccessDelivery(req.user, currentSale))) {
         return res.status(404).json({
           success: false,
           message: 'Sale not found'
         });
       }
 
+      if (driverOnly) {
+        const disallowed = Object.keys(req.body).filter(key => key !== 'status');
+        if (disallowed.length > 0) {
+          return res.status(403).json({
+            success: false,
+            message: `Drivers can only update the delivery status. Not allowed: ${disallowed.join(', ')}`
+          });
+        }
+      }
+
       if (currentSale.status === 'Completed' || currentSale.status === 'Cancelled') {
         return res.status(400).json({
           success: false,
@@ -207,32 +361,42 @@ export class SalesController {
       if (customer_name !== undefined) updateData.customer_name = customer_name;
       if (contact !== undefined) updateData.contact = contact;
       if (payment !== undefined) updateData.payment = payment;
-      if (payment_status !== undefined) updateData.payment_status = payment_status;
-      if (total !== undefined) updateData.total = total;
-      if (status !== undefined) updateData.status = status;
+      // A driver's first update claims the delivery
+      if (driverOnly && !currentSale.driver_id) updateData.driver_id = req.user.id;
+
+      const statusChange = status !== undefined && status !== currentSale.status;
+      if (statusChange) assertTransition(currentSale, status, { manual: true });
 
-      const nextPaymentStatus = (payment_status !== undefined ? payment_status : (currentSale.payment_status || 'Unpaid'));
+      // Payment status follows the payment ledger; record payments first
+      const nextPaymentStatus = derivePaymentStatus({ total: currentSale.total, amount_paid: currentSale.amount_paid });
       const nextOrderStatus = (status !== undefined ? status : currentSale.status);
       
-      if (nextOrderStatus === 'Completed' && nextPaymentStatus !== 'Paid') {
+      // Charge account invoices are completed unpaid and settled later
+      if (nextOrderStatus === 'Completed' && nextPaymentStatus !== 'Paid' && !currentSale.on_account) {
         return res.status(400).json({
           success: false,
-          message: 'Cannot mark order as Completed unless payment status is Paid'
+          message: 'Cannot mark order as Completed until it is fully paid'
         });
       }
 
-      const updated = await Sales.update(id, updateData);
-      if (!updated) {
-        return res.status(404).json({
-          success: false,
-          message: 'Sale not found or no changes made'
-        });
+      if (Object.keys(updateData).length > 0) {
+        const updated = await Sales.update(id, updateData);
+        if (!updated) {
+          return res.status(404).json({
+            success: false,
+            message: 'Sale not found or no changes made'
+          });
+        }
       }
+      if (statusChange) await Sales.changeStatus(id, status, { changedBy: req.user.username });
       res.json({
         success: true,
         message: 'Sale updated successfully'
       });
     } catch (error) {
+      if (error.code === 'INVALID_TRANSITION') {
+        return res.status(409).json({ success: false, message: error.message });
+      }
       console.error('Error updating sale:', error);
       res.status(500).json({
         success: false,
@@ -241,26 +405,111 @@ export class SalesController {
     }
   }
 
-  // Delete a sale
-  static async deleteSale(req, res) {
+  // Status timeline of a sale, with the moves it can make next
+  static async getSaleHistory(req, res) {
+    try {
+      const { id } = req.params;
+      const sale = await Sales.findById(id);
+      if (!sale || (isDeliveryOnly(req.user) && !canAccessDelivery(req.user, sale))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sale not found'
+        });
+      }
+      const history = await SaleStatusHistory.findBySale(id);
+      res.json({
+        success: true,
+        data: { status: sale.status, history, next_statuses: nextStatuses(sale, { manual: true }) }
+      });
+    } catch (error) {
+      console.error('Error fetching sale history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sale history'
+      });
+    }
+  }
+
+  // Payment history of a sale
+  static async getSalePayments(req, res) {
+    try {
+      const { id } = req.params;
+      const sale = await Sales.findById(id);
+      if (!sale || (isDeliveryOnly(req.user) && !canAccessDelivery(req.user, sale))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sale not found'
+        });
+      }
+      const payments = await Payment.findBySale(id);
+      res.json({
+        success: true,
+        data: {
+          payments,
+          total: sale.total,
+          amount_paid: sale.amount_paid,
+          balance: Math.max(0, Number(sale.total) - Number(sale.amount_paid)),
+          payment_status: sale.payment_status
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching sale payments:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sale payments'
+      });
+    }
+  }
+
+  // Record a later payment: settling a partial payment or collecting COD
+  static async recordPayment(req, res) {
     try {
       const { id } = req.params;
-      const deleted = await Sales.delete(id);
-      if (!deleted) {
+      const sale = await Sales.findById(id);
+      const driverOnly = !hasPermission(req.user, 'sales.update');
+      if (!sale || (driverOnly && !canAccessDelivery(req.user, sale))) {
         return res.status(404).json({
           success: false,
           message: 'Sale not found'
         });
       }
+      const result = await Payment.record(id, req.body.payments, req.user.username);
+      if (driverOnly && !sale.driver_id) await Sales.update(id, { driver_id: req.user.id });
+      res.status(201).json({
+        success: true,
+        message: result.balance > 0 ? 'Payment recorded' : 'Payment recorded; sale is fully paid',
+        data: result
+      });
+    } catch (error) {
+      if (PAYMENT_ERRORS[error.code]) {
+        return res.status(PAYMENT_ERRORS[error.code]).json({ success: false, message: error.message });
+      }
+      console.error('Error recording payment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record payment'
+      });
+    }
+  }
+
+  // Void a sale: it stays on record as Cancelled with stock, serials and payments reversed
+  static async voidSale(req, res) {
+    try {
+      const { id } = req.params;
+      const result = await Sales.void(id, { reason: req.body.reason, voided_by: req.user.username });
       res.json({
         success: true,
-        message: 'Sale deleted successfully and inventory restored'
+        message: `Sale ${result.sale_number} voided; ${result.restocked} item(s) returned to stock`,
+        data: result
       });
     } catch (error) {
-      console.error('Error deleting sale:', error);
+      if (PAYMENT_ERRORS[error.code]) {
+        return res.status(PAYMENT_ERRORS[error.code]).json({ success: false, message: error.message });
+      }
+      console.error('Error voiding sale:', error);
       res.status(500).json({
         success: false,
-        message: error.message || 'Failed to delete sale'
+        message: error.message || 'Failed to void sale'
       });
     }
   }
@@ -281,7 +530,7 @@ export class SalesController {
           COUNT(CASE WHEN status IN ('Pending', 'Processing') THEN 1 END) as pending_orders,
           COUNT(CASE WHEN payment_status = 'Paid' THEN 1 END) as paid_orders
         FROM sales
-        WHERE 1=1
+        WHERE (status IS NULL OR status <> 'Cancelled')
       `;
       let params = [];
 
@@ -315,7 +564,7 @@ export class SalesController {
     try {
       const { sale_id } = req.params;
       const sale = await Sales.findById(sale_id);
-      if (!sale) {
+      if (!sale || (isDeliveryOnly(req.user) && !canAccessDelivery(req.user, sale))) {
         return res.status(404).json({
           success: false,
           message: 'Sale not found'
@@ -346,14 +595,16 @@ export class SalesController {
         });
       }
       const sale = await Sales.findById(id);
-      if (!sale) {
+      const driverOnly = !hasPermission(req.user, 'sales.update');
+      if (!sale || (driverOnly && !canAccessDelivery(req.user, sale))) {
         return res.status(404).json({
           success: false,
           message: 'Sale not found'
         });
       }
-      const proofPath = `/uploads/${req.file.filename}`;
+      const proofPath = req.file.url;
       await Sales.attachDeliveryProof(id, proofPath);
+      if (driverOnly && !sale.driver_id) await Sales.update(id, { driver_id: req.user.id });
       res.json({
         success: true,
         message: 'Delivery proof uploaded successfully',
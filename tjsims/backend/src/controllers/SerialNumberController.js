@@ -1,4 +1,5 @@
 import { SerialNumber } from '../models/SerialNumber.js';
+import { ParkedSale } from '../models/ParkedSale.js';
 
 export const SerialNumberController = {
   // Get available serial numbers for a product
@@ -6,6 +7,8 @@ export const SerialNumberController = {
     try {
       const { productId } = req.params;
 
+      // Serials held by expired parked carts become available again
+      await ParkedSale.releaseExpired();
       const serials = await SerialNumber.getAvailableByProductId(productId);
 
       res.json({
@@ -21,11 +24,31 @@ export const SerialNumberController = {
     }
   },
 
+  // Get available serial numbers of every product (cached by the POS for offline use)
+  getAllAvailableSerials: async (req, res) => {
+    try {
+      await ParkedSale.releaseExpired();
+      const serials = await SerialNumber.getAllAvailable();
+
+      res.json({
+        success: true,
+        data: serials
+      });
+    } catch (error) {
+      console.error('Error fetching available serials:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  },
+
   // Get all serial numbers for a product
   getAllSerials: async (req, res) => {
     try {
       const { productId } = req.params;
 
+      await ParkedSale.releaseExpired();
       const serials = await SerialNumber.getAllByProductId(productId);
 
       res.json({
@@ -46,23 +69,6 @@ export const SerialNumberController = {
     try {
       const { serialNumbers } = req.body;
 
-      if (!serialNumbers || !Array.isArray(serialNumbers) || serialNumbers.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Serial numbers array is required'
-        });
-      }
-
-      // Validate each serial number
-      for (const sn of serialNumbers) {
-        if (!sn.serialNumber || !sn.productId) {
-          return res.status(400).json({
-            success: false,
-            message: 'Each serial number must have serialNumber and productId'
-          });
-        }
-      }
-
       // bulkCreate will handle duplicate checking within a transaction
       const ids = await SerialNumber.bulkCreate(serialNumbers);
 
@@ -85,20 +91,6 @@ export const SerialNumberController = {
     try {
       const { serialNumbers, saleId, saleItemId } = req.body;
 
-      if (!serialNumbers || !Array.isArray(serialNumbers) || serialNumbers.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Serial numbers array is required'
-        });
-      }
-
-      if (!saleId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Sale ID is required'
-        });
-      }
-
       await SerialNumber.markAsSold(serialNumbers, saleId, saleItemId);
 
       res.json({
@@ -119,13 +111,6 @@ export const SerialNumberController = {
     try {
       const { serialNumbers, notes } = req.body;
 
-      if (!serialNumbers || !Array.isArray(serialNumbers) || serialNumbers.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Serial numbers array is required'
-        });
-      }
-
       await SerialNumber.markAsDefective(serialNumbers, notes);
 
       res.json({
@@ -146,13 +131,6 @@ export const SerialNumberController = {
     try {
       const { serialNumbers } = req.body;
 
-      if (!serialNumbers || !Array.isArray(serialNumbers) || serialNumbers.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Serial numbers array is required'
-        });
-      }
-
       await SerialNumber.delete(serialNumbers);
 
       res.json({
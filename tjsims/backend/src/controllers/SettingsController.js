@@ -1,11 +1,17 @@
-import { getPool } from '../config/database.js';
+import { RolePermission } from '../models/RolePermission.js';
+import { AppSettings } from '../models/AppSettings.js';
+import { DocumentSequence } from '../models/DocumentSequence.js';
+import { DOCUMENT_TYPES, formatProblem } from '../services/numbering.js';
+import { ROLES, PERMISSIONS } from '../config/permissions.js';
+
+// Fields left out of a request keep their stored value (see AppSettings.update)
+const flag = (value) => (value === undefined ? undefined : value ? 1 : 0);
+const text = (value) => (value === undefined ? undefined : value || '');
 
 export class SettingsController {
   static async getSettings(req, res) {
     try {
-      const pool = getPool();
-      const [rows] = await pool.execute('SELECT * FROM app_settings ORDER BY id LIMIT 1');
-      const s = rows[0] || null;
+      const s = await AppSettings.get();
       res.json({ success: true, data: s });
     } catch (err) {
       console.error('Get settings error:', err);
@@ -16,19 +22,7 @@ export class SettingsController {
   static async updateBusinessInfo(req, res) {
     try {
       const { store_name, address, contact_number, email } = req.body;
-      const pool = getPool();
-      const [rows] = await pool.execute('SELECT id FROM app_settings ORDER BY id LIMIT 1');
-      if (rows.length === 0) {
-        await pool.execute(
-          'INSERT INTO app_settings (store_name, address, contact_number, email) VALUES (?,?,?,?)',
-          [store_name || '', address || '', contact_number || '', email || '']
-        );
-      } else {
-        await pool.execute(
-          'UPDATE app_settings SET store_name=?, address=?, contact_number=?, email=? WHERE id=?',
-          [store_name || '', address || '', contact_number || '', email || '', rows[0].id]
-        );
-      }
+      await AppSettings.update({ store_name: text(store_name), address: text(address), contact_number: text(contact_number), email: text(email) });
       res.json({ success: true, message: 'Business information saved' });
     } catch (err) {
       console.error('Update business info error:', err);
@@ -38,24 +32,88 @@ export class SettingsController {
 
   static async updatePreferences(req, res) {
     try {
-      const { cash_enabled, gcash_enabled, cod_enabled } = req.body;
-      const pool = getPool();
-      const [rows] = await pool.execute('SELECT id FROM app_settings ORDER BY id LIMIT 1');
-      if (rows.length === 0) {
-        await pool.execute(
-          'INSERT INTO app_settings (store_name, address, contact_number, email, cash_enabled, gcash_enabled, cod_enabled) VALUES ("", "", "", "", ?, ?, ?)',
-          [cash_enabled ? 1 : 0, gcash_enabled ? 1 : 0, cod_enabled ? 1 : 0]
-        );
-      } else {
-        await pool.execute(
-          'UPDATE app_settings SET cash_enabled=?, gcash_enabled=?, cod_enabled=? WHERE id=?',
-          [cash_enabled ? 1 : 0, gcash_enabled ? 1 : 0, cod_enabled ? 1 : 0, rows[0].id]
-        );
-      }
+      const { cash_enabled, gcash_enabled, cod_enabled, park_expiry_minutes, override_approval_percent } = req.body;
+      await AppSettings.update({ cash_enabled: flag(cash_enabled), gcash_enabled: flag(gcash_enabled), cod_enabled: flag(cod_enabled), park_expiry_minutes, override_approval_percent });
       res.json({ success: true, message: 'Preferences saved' });
     } catch (err) {
       console.error('Update preferences error:', err);
       res.status(500).json({ success: false, message: 'Failed to save preferences' });
     }
   }
+
+  static async updateTax(req, res) {
+    try {
+      const { vat_registered, tin, vat_rate } = req.body;
+      await AppSettings.update({ vat_registered: flag(vat_registered), tin: tin === undefined ? undefined : tin || null, vat_rate });
+      res.json({ success: true, message: 'Tax settings saved' });
+    } catch (err) {
+      console.error('Update tax settings error:', err);
+      res.status(500).json({ success: false, message: 'Failed to save tax settings' });
+    }
+  }
+
+  static async getNumbering(req, res) {
+    try {
+      const sequences = await DocumentSequence.findAll();
+      res.json({ success: true, data: sequences.map(row => ({ ...row, label: DOCUMENT_TYPES[row.doc_type]?.label || row.doc_type, min_padding: DOCUMENT_TYPES[row.doc_type]?.minPadding || 1 })) });
+    } catch (err) {
+      console.error('Get numbering error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch document numbering' });
+    }
+  }
+
+  static async updateNumbering(req, res) {
+    try {
+      const { doc_type } = req.params;
+      const problem = formatProblem(doc_type, req.body);
+      if (problem) {
+        return res.status(400).json({ success: false, message: problem });
+      }
+      const updated = await DocumentSequence.update(doc_type, req.body, req.user.username);
+      if (!updated) {
+        return res.status(404).json({ success: false, message: `No sequence configured for ${doc_type}` });
+      }
+      res.json({ success: true, message: 'Document numbering saved' });
+    } catch (err) {
+      console.error('Update numbering error:', err);
+      res.status(500).json({ success: false, message: 'Failed to save document numbering' });
+    }
+  }
+
+  static async updateSecurity(req, res) {
+    try {
+      await AppSettings.update({ require_two_factor: flag(req.body.require_two_factor) });
+      res.json({ success: true, message: 'Security settings saved' });
+    } catch (err) {
+      console.error('Update security settings error:', err);
+      res.status(500).json({ success: false, message: 'Failed to save security settings' });
+    }
+  }
+
+  static async getPermissions(req, res) {
+    try {
+      const matrix = await RolePermission.getMatrix();
+      res.json({ success: true, data: { roles: ROLES, permissions: PERMISSIONS, matrix } });
+    } catch (err) {
+      console.error('Get permissions error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch role permissions' });
+    }
+  }
+
+  static async updatePermissions(req, res) {
+    try {
+      const { matrix } = req.body;
+      if (!matrix || typeof matrix !== 'object') {
+        return res.status(400).json({ success: false, message: 'matrix is required' });
+      }
+      const updated = await RolePermission.updateMatrix(matrix);
+      res.json({ success: true, message: 'Role permissions saved', data: { matrix: updated } });
+    } catch (err) {
+      if (err.code === 'UNKNOWN_PERMISSION') {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      console.error('Update permissions error:', err);
+      res.status(500).json({ success: false, message: 'Failed to save role permissions' });
+    }
+  }
 }
@@ -0,0 +1,79 @@
+import { CashShift } from '../models/CashShift.js';
+
+const SHIFT_ERRORS = { SHIFT_ALREADY_OPEN: 409, SHIFT_NOT_FOUND: 404, SHIFT_CLOSED: 409, CASH_SHORT: 400 };
+
+// The shift with its cash movements and running totals (Z-report figures)
+const shiftDetails = async (id) => {
+  const summary = await CashShift.summary(id);
+  if (!summary) return null;
+  return { ...summary, movements: await CashShift.findMovements(id) };
+};
+
+export class ShiftsController {
+  // Closed and open shifts, newest first
+  static async list(req, res) {
+    try {
+      const { shifts, pagination } = await CashShift.findAll(req.query);
+      res.json({ success: true, data: shifts, pagination });
+    } catch (error) {
+      console.error('List shifts error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch shifts' });
+    }
+  }
+
+  // The drawer's open shift, or null when none is open
+  static async current(req, res) {
+    try {
+      const shift = await CashShift.findOpen();
+      res.json({ success: true, data: shift ? await shiftDetails(shift.id) : null });
+    } catch (error) {
+      console.error('Current shift error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch the current shift' });
+    }
+  }
+
+  static async get(req, res) {
+    try {
+      const details = await shiftDetails(req.params.id);
+      if (!details) return res.status(404).json({ success: false, message: 'Shift not found' });
+      res.json({ success: true, data: details });
+    } catch (error) {
+      console.error('Get shift error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch shift' });
+    }
+  }
+
+  static async open(req, res) {
+    try {
+      const id = await CashShift.open(req.body, req.user.username);
+      res.status(201).json({ success: true, message: 'Shift opened', data: await shiftDetails(id) });
+    } catch (error) {
+      if (SHIFT_ERRORS[error.code]) return res.status(SHIFT_ERRORS[error.code]).json({ success: false, message: error.message });
+      console.error('Open shift error:', error);
+      res.status(500).json({ success: false, message: 'Failed to open shift' });
+    }
+  }
+
+  static async addMovement(req, res) {
+    try {
+      await CashShift.addMovement(req.params.id, req.body, req.user.username);
+      res.status(201).json({ success: true, message: req.body.type === 'in' ? 'Cash in recorded' : 'Cash out recorded', data: await shiftDetails(req.params.id) });
+    } catch (error) {
+      if (SHIFT_ERRORS[error.code]) return res.status(SHIFT_ERRORS[error.code]).json({ success: false, message: error.message });
+      console.error('Cash movement error:', error);
+      res.status(500).json({ success: false, message: 'Failed to record cash movement' });
+    }
+  }
+
+  // Closes with the counted cash; the response is the Z-report data
+  static async close(req, res) {
+    try {
+      const result = await CashShift.close(req.params.id, req.body, req.user.username);
+      res.json({ success: true, message: 'Shift closed', data: { ...(await shiftDetails(req.params.id)), ...result } });
+    } catch (error) {
+      if (SHIFT_ERRORS[error.code]) return res.status(SHIFT_ERRORS[error.code]).json({ success: false, message: error.message });
+      console.error('Close shift error:', error);
+      res.status(500).json({ success: false, message: 'Failed to close shift' });
+    }
+  }
+}
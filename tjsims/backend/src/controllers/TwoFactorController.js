@@ -0,0 +1,104 @@
+import bcrypt from 'bcryptjs';
+import QRCode from 'qrcode';
+import { getPool } from '../config/database.js';
+import { TwoFactor } from '../models/TwoFactor.js';
+import { generateSecret, buildOtpAuthUrl, verifyCode } from '../services/totp.js';
+
+const ISSUER = process.env.TOTP_ISSUER || 'TJ Sims';
+
+// Check a TOTP code for the signed-in user and burn its time step
+const acceptCode = async (userId, state, code) => {
+  const step = verifyCode(state.secret, code, { afterStep: state.lastStep });
+  return step != null && TwoFactor.markStepUsed(userId, step);
+};
+
+export class TwoFactorController {
+  static async status(req, res) {
+    try {
+      const state = await TwoFactor.getState(req.user.id);
+      res.json({ success: true, data: { enabled: state.enabled, required: state.required, recovery_codes_remaining: state.recoveryCodesRemaining } });
+    } catch (err) {
+      console.error('Two-factor status error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch two-factor status' });
+    }
+  }
+
+  // Step 1 of enrollment: new secret plus a QR code for the authenticator app
+  static async setup(req, res) {
+    try {
+      const state = await TwoFactor.getState(req.user.id);
+      if (state.enabled) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+      }
+      const secret = generateSecret();
+      await TwoFactor.startSetup(req.user.id, secret);
+      const otpauthUrl = buildOtpAuthUrl(secret, req.user.email, ISSUER);
+      const qrCode = await QRCode.toDataURL(otpauthUrl);
+      res.json({ success: true, data: { secret, otpauth_url: otpauthUrl, qr_code: qrCode } });
+    } catch (err) {
+      console.error('Two-factor setup error:', err);
+      res.status(500).json({ success: false, message: 'Failed to start two-factor setup' });
+    }
+  }
+
+  // Step 2: confirm a code from the app; returns the recovery codes once
+  static async enable(req, res) {
+    try {
+      const { code } = req.body;
+      if (!code) return res.status(400).json({ success: false, message: 'Authentication code is required' });
+      const state = await TwoFactor.getState(req.user.id);
+      if (state.enabled) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+      }
+      if (!state.secret) {
+        return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+      }
+      const step = verifyCode(state.secret, code);
+      if (step == null) return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+      const recoveryCodes = await TwoFactor.enable(req.user.id, step);
+      res.json({ success: true, message: 'Two-factor authentication enabled', data: { recovery_codes: recoveryCodes } });
+    } catch (err) {
+      console.error('Two-factor enable error:', err);
+      res.status(500).json({ success: false, message: 'Failed to enable two-factor authentication' });
+    }
+  }
+
+  static async disable(req, res) {
+    try {
+      const { password } = req.body;
+      if (!password) return res.status(400).json({ success: false, message: 'Password is required' });
+      const state = await TwoFactor.getState(req.user.id);
+      if (state.required) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is required for your role and cannot be turned off' });
+      }
+      const pool = getPool();
+      const [rows] = await pool.execute('SELECT password_hash FROM users WHERE id = ?', [req.user.id]);
+      const ok = rows[0] && await bcrypt.compare(password, rows[0].password_hash).catch(() => false);
+      if (!ok) return res.status(401).json({ success: false, message: 'Password incorrect' });
+      await TwoFactor.disable(req.user.id);
+      res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (err) {
+      console.error('Two-factor disable error:', err);
+      res.status(500).json({ success: false, message: 'Failed to disable two-factor authentication' });
+    }
+  }
+
+  static async regenerateRecoveryCodes(req, res) {
+    try {
+      const { code } = req.body;
+      if (!code) return res.status(400).json({ success: false, message: 'Authentication code is required' });
+      const state = await TwoFactor.getState(req.user.id);
+      if (!state.enabled) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+      }
+      if (!await acceptCode(req.user.id, state, code)) {
+        return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+      }
+      const recoveryCodes = await TwoFactor.replaceRecoveryCodes(req.user.id);
+      res.json({ success: true, message: 'New recovery codes generated', data: { recovery_codes: recoveryCodes } });
+    } catch (err) {
+      console.error('Recovery codes error:', err);
+      res.status(500).json({ success: false, message: 'Failed to generate recovery codes' });
+    }
+  }
+}
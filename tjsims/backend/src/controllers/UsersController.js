@@ -1,11 +1,28 @@
 import bcrypt from 'bcryptjs';
 import { getPool } from '../config/database.js';
+import { User } from '../models/User.js';
+import { LoginHistory } from '../models/LoginHistory.js';
+import { Session } from '../models/Session.js';
+import { TwoFactor } from '../models/TwoFactor.js';
+import { PasswordReset } from '../models/PasswordReset.js';
+import { checkPassword } from '../services/passwordPolicy.js';
+import { removeUpload } from '../services/uploads.js';
+
+// Reason an account may not be archived or deleted, or null
+const removalGuard = async (req, user) => {
+  if (String(user.id) === String(req.user.id)) return 'You cannot remove your own account';
+  if (user.role === 'admin' && user.status === 'Active' && !user.archived_at && await User.countOtherActiveAdmins(user.id) === 0) {
+    return 'At least one active admin account is required';
+  }
+  return null;
+};
 
 export class UsersController {
   static async list(req, res) {
     try {
       const pool = getPool();
-      const [rows] = await pool.execute('SELECT id, username, first_name, middle_name, last_name, email, role, status, avatar FROM users ORDER BY created_at DESC');
+      const where = req.query.include_archived ? '' : 'WHERE archived_at IS NULL';
+      const [rows] = await pool.execute(`SELECT id, username, first_name, middle_name, last_name, email, role, status, archived_at, must_change_password, password_changed_at, avatar, failed_login_attempts, locked_until, locked_until > NOW() AS is_locked, two_factor_enabled FROM users ${where} ORDER BY created_at DESC`);
       res.json({ success: true, data: rows });
     } catch (err) {
       console.error('List users error:', err);
@@ -15,54 +32,230 @@ export class UsersController {
 
   static async create(req, res) {
     try {
-      const { username, first_name, middle_name, last_name, email, password, role = 'staff', status = 'Active' } = req.body;
-      if (!email || !password) {
-        return res.status(400).json({ success: false, message: 'email and password are required' });
-      }
-      if (!first_name || !last_name) {
-        return res.status(400).json({ success: false, message: 'first_name and last_name are required' });
-      }
-      const pool = getPool();
-      const hash = await bcrypt.hash(password, 10);
-      const avatarPath = req.file ? `/${req.file.path.replace(/\\/g, '/')}`.replace('src/', '') : null;
-      
+      const { username, first_name, middle_name, last_name, email, password, role, status, must_change_password } = req.body;
       // Generate username from name fields if not provided
       const fullUsername = username || `${last_name}, ${first_name}${middle_name ? ' ' + middle_name : ''}`;
-      
-      await pool.execute(
-        'INSERT INTO users (username, first_name, middle_name, last_name, email, password_hash, role, status, avatar) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [fullUsername, first_name, middle_name || null, last_name, email, hash, role, status, avatarPath]
+
+      const weakness = checkPassword(password, { username: fullUsername, email });
+      if (weakness) return res.status(400).json({ success: false, message: weakness });
+      const conflicts = await User.findConflicts({ username: fullUsername, email });
+      if (conflicts.length > 0) return res.status(409).json({ success: false, message: conflicts.join('. ') });
+
+      const pool = getPool();
+      const hash = await bcrypt.hash(password, 10);
+      const avatarPath = req.file ? req.file.url : null;
+
+      const [result] = await pool.execute(
+        'INSERT INTO users (username, first_name, middle_name, last_name, email, password_hash, must_change_password, role, status, avatar) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [fullUsername, first_name, middle_name || null, last_name, email, hash, must_change_password ? 1 : 0, role, status, avatarPath]
       );
-      res.status(201).json({ success: true, message: 'User created' });
+      res.status(201).json({ success: true, message: 'User created', data: { id: result.insertId } });
     } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: 'Username or email is already in use' });
       console.error('Create user error:', err);
       res.status(500).json({ success: false, message: 'Failed to create user' });
     }
   }
 
+  // Profile, role and status changes. Passwords go through resetPassword.
   static async update(req, res) {
     try {
       const { id } = req.params;
-      const { username, role, status } = req.body;
+      const { username, first_name, middle_name, last_name, email, role, status } = req.body;
+      const current = await User.findById(id);
+      if (!current) return res.status(404).json({ success: false, message: 'User not found' });
+
+      const isSelf = String(id) === String(req.user.id);
+      if (isSelf && ((status !== undefined && status !== 'Active') || (role !== undefined && role !== current.role))) {
+        return res.status(400).json({ success: false, message: 'You cannot deactivate your own account or change your own role' });
+      }
+      const losesAdmin = current.role === 'admin' && ((role !== undefined && role !== 'admin') || (status !== undefined && status !== 'Active'));
+      if (losesAdmin && await User.countOtherActiveAdmins(id) === 0) {
+        return res.status(400).json({ success: false, message: 'At least one active admin account is required' });
+      }
+      const conflicts = await User.findConflicts({ username, email }, id);
+      if (conflicts.length > 0) return res.status(409).json({ success: false, message: conflicts.join('. ') });
+
       const pool = getPool();
       const updates = [];
       const params = [];
-      if (username !== undefined) { updates.push('username = ?'); params.push(username); }
-      if (role !== undefined) { updates.push('role = ?'); params.push(role); }
-      if (status !== undefined) { updates.push('status = ?'); params.push(status); }
+      const fields = { username, first_name, middle_name, last_name, email, role, status };
+      for (const [column, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        updates.push(`${column} = ?`);
+        params.push(column === 'middle_name' ? (value || null) : value);
+      }
       let avatarPath = null;
-      if (req.file) { 
-        avatarPath = `/${req.file.path.replace(/\\/g, '/')}`.replace('src/', '');
-        updates.push('avatar = ?'); 
-        params.push(avatarPath); 
+      if (req.file) {
+        avatarPath = req.file.url;
+        updates.push('avatar = ?');
+        params.push(avatarPath);
       }
       if (updates.length === 0) return res.status(400).json({ success: false, message: 'No fields to update' });
       params.push(id);
       await pool.execute(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, params);
+      if (avatarPath && current.avatar !== avatarPath) await removeUpload(current.avatar);
+
+      // Deactivation or a role change ends every open session of that user
+      if (status === 'Inactive' && current.status !== 'Inactive') {
+        await Session.revokeAllForUser(id, 'deactivated');
+      } else if (role !== undefined && role !== current.role) {
+        await Session.revokeAllForUser(id, 'role_changed');
+      }
       res.json({ success: true, message: 'User updated', avatar: avatarPath || undefined });
     } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: 'Username or email is already in use' });
       console.error('Update user error:', err);
       res.status(500).json({ success: false, message: 'Failed to update user' });
     }
   }
+
+  // Administrator reset: either set a temporary password (the user must
+  // replace it at next login unless require_change is false) or email the
+  // user a one-time reset link. Either way their open sessions end.
+  static async resetPassword(req, res) {
+    try {
+      const { id } = req.params;
+      const { password, send_link, require_change } = req.body;
+      const user = await User.findById(id);
+      if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+      if (user.archived_at) return res.status(400).json({ success: false, message: 'Restore the account before resetting its password' });
+
+      if (send_link) {
+        await PasswordReset.sendLink(user);
+        await Session.revokeAllForUser(id, 'password_reset');
+        return res.json({ success: true, message: `A password reset link has been emailed to ${user.email}` });
+      }
+
+      const weakness = checkPassword(password, user);
+      if (weakness) return res.status(400).json({ success: false, message: weakness });
+      const hash = await bcrypt.hash(password, 10);
+      await User.setPassword(id, hash, { mustChange: require_change });
+      await Session.revokeAllForUser(id, 'password_reset');
+      res.json({ success: true, message: 'Password has been reset' });
+    } catch (err) {
+      console.error('Admin reset password error:', err);
+      res.status(500).json({ success: false, message: 'Failed to reset password' });
+    }
+  }
+
+  static async archive(req, res) {
+    try {
+      const { id } = req.params;
+      const user = await User.findById(id);
+      if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+      const guard = await removalGuard(req, user);
+      if (guard) return res.status(400).json({ success: false, message: guard });
+      const archived = await User.archive(id);
+      if (!archived) return res.status(400).json({ success: false, message: 'User is already archived' });
+      await Session.revokeAllForUser(id, 'archived');
+      res.json({ success: true, message: 'User archived' });
+    } catch (err) {
+      console.error('Archive user error:', err);
+      res.status(500).json({ success: false, message: 'Failed to archive user' });
+    }
+  }
+
+  static async restore(req, res) {
+    try {
+      const { id } = req.params;
+      const user = await User.findById(id);
+      if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+      const restored = await User.restore(id);
+      if (!restored) return res.status(400).json({ success: false, message: 'User is not archived' });
+      res.json({ success: true, message: 'User restored. Set the status to Active to let them sign in again.' });
+    } catch (err) {
+      console.error('Restore user error:', err);
+      res.status(500).json({ success: false, message: 'Failed to restore user' });
+    }
+  }
+
+  // Only accounts with no business history can be removed outright
+  static async remove(req, res) {
+    try {
+      const { id } = req.params;
+      const user = await User.findById(id);
+      if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+      const guard = await removalGuard(req, user);
+      if (guard) return res.status(400).json({ success: false, message: guard });
+      if (await User.hasActivity(id)) {
+        return res.status(409).json({ success: false, message: 'This user has deliveries or audit history and cannot be deleted. Archive the account instead.' });
+      }
+      await User.delete(id);
+      await removeUpload(user.avatar);
+      res.json({ success: true, message: 'User deleted' });
+    } catch (err) {
+      console.error('Delete user error:', err);
+      res.status(500).json({ success: false, message: 'Failed to delete user' });
+    }
+  }
+
+  static async loginHistory(req, res) {
+    try {
+      const { id } = req.params;
+      const user = await User.findById(id);
+      if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+      const history = await LoginHistory.findByUserId(id, req.query.limit || 50);
+      res.json({ success: true, data: history });
+    } catch (err) {
+      console.error('Login history error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch login history' });
+    }
+  }
+
+  static async unlock(req, res) {
+    try {
+      const { id } = req.params;
+      const unlocked = await User.resetLoginAttempts(id);
+      if (!unlocked) return res.status(404).json({ success: false, message: 'User not found' });
+      res.json({ success: true, message: 'Account unlocked' });
+    } catch (err) {
+      console.error('Unlock user error:', err);
+      res.status(500).json({ success: false, message: 'Failed to unlock account' });
+    }
+  }
+
+  static async listSessions(req, res) {
+    try {
+      const { id } = req.params;
+      const user = await User.findById(id);
+      if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+      const sessions = await Session.listActive(id);
+      res.json({ success: true, data: sessions });
+    } catch (err) {
+      console.error('List user sessions error:', err);
+      res.status(500).json({ success: false, message: 'Failed to fetch sessions' });
+    }
+  }
+
+  static async revokeSessions(req, res) {
+    try {
+      const { id, sessionId } = req.params;
+      if (sessionId) {
+        const revoked = await Session.revoke(sessionId, id, 'revoked_by_admin');
+        if (!revoked) return res.status(404).json({ success: false, message: 'Session not found' });
+        return res.json({ success: true, message: 'Session revoked' });
+      }
+      const count = await Session.revokeAllForUser(id, 'revoked_by_admin');
+      res.json({ success: true, message: `Revoked ${count} session(s)` });
+    } catch (err) {
+      console.error('Revoke user sessions error:', err);
+      res.status(500).json({ success: false, message: 'Failed to revoke sessions' });
+    }
+  }
+
+  // For users who lost their authenticator: they enroll again at next sign-in
+  static async resetTwoFactor(req, res) {
+    try {
+      const { id } = req.params;
+      const user = await User.findById(id);
+      if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+      await TwoFactor.disable(id);
+      await Session.revokeAllForUser(id, 'two_factor_reset');
+      res.json({ success: true, message: 'Two-factor authentication reset' });
+    } catch (err) {
+      console.error('Reset two-factor error:', err);
+      res.status(500).json({ success: false, message: 'Failed to reset two-factor authentication' });
+    }
+  }
 }
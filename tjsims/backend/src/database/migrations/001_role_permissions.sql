@@ -0,0 +1,53 @@
+-- Role permission matrix and driver assignment on sales
+-- Apply after tjsims_db.sql
+
+--
+-- Table structure for table `role_permissions`
+--
+
+CREATE TABLE IF NOT EXISTS `role_permissions` (
+  `role` enum('admin','manager','staff','driver') NOT NULL,
+  `permission` varchar(64) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`role`,`permission`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Default grants (admin holds every permission implicitly)
+--
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission`) VALUES
+('manager', 'dashboard.view'),
+('manager', 'sales.view'),
+('manager', 'sales.create'),
+('manager', 'sales.update'),
+('manager', 'sales.delete'),
+('manager', 'deliveries.view'),
+('manager', 'deliveries.update'),
+('manager', 'returns.process'),
+('manager', 'inventory.view'),
+('manager', 'inventory.manage'),
+('manager', 'products.manage'),
+('manager', 'suppliers.view'),
+('manager', 'suppliers.manage'),
+('manager', 'customers.view'),
+('manager', 'reports.view'),
+('staff', 'dashboard.view'),
+('staff', 'sales.view'),
+('staff', 'sales.create'),
+('staff', 'sales.update'),
+('staff', 'returns.process'),
+('staff', 'inventory.view'),
+('staff', 'inventory.manage'),
+('staff', 'suppliers.view'),
+('staff', 'customers.view'),
+('driver', 'deliveries.view'),
+('driver', 'deliveries.update');
+
+--
+-- Driver who has claimed a Company Delivery order
+--
+
+ALTER TABLE `sales`
+  ADD COLUMN IF NOT EXISTS `driver_id` int(11) DEFAULT NULL AFTER `delivery_type`,
+  ADD KEY IF NOT EXISTS `idx_sales_driver_id` (`driver_id`);
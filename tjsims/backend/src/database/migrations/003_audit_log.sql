@@ -0,0 +1,24 @@
+-- Audit trail for every data-changing API call
+-- Apply after 002_password_resets.sql
+
+--
+-- Table structure for table `audit_log`
+-- before_data / after_data hold JSON snapshots of the entity (passwords and tokens stripped)
+--
+
+CREATE TABLE IF NOT EXISTS `audit_log` (
+  `id` bigint(20) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) DEFAULT NULL,
+  `username` varchar(50) DEFAULT NULL,
+  `action` varchar(50) NOT NULL,
+  `entity_type` varchar(50) NOT NULL,
+  `entity_id` varchar(100) DEFAULT NULL,
+  `before_data` longtext DEFAULT NULL,
+  `after_data` longtext DEFAULT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_audit_log_user_id` (`user_id`),
+  KEY `idx_audit_log_entity` (`entity_type`,`entity_id`),
+  KEY `idx_audit_log_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,29 @@
+-- Per-account login lockout and login history
+-- Apply after 003_audit_log.sql
+
+--
+-- Failed-attempt counter and temporary lock on `users`
+--
+
+ALTER TABLE `users`
+  ADD COLUMN IF NOT EXISTS `failed_login_attempts` int(11) NOT NULL DEFAULT 0 AFTER `status`,
+  ADD COLUMN IF NOT EXISTS `locked_until` datetime DEFAULT NULL AFTER `failed_login_attempts`;
+
+--
+-- Table structure for table `login_history`
+-- user_id is NULL when the email did not match any account
+--
+
+CREATE TABLE IF NOT EXISTS `login_history` (
+  `id` bigint(20) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) DEFAULT NULL,
+  `email` varchar(100) NOT NULL,
+  `success` tinyint(1) NOT NULL DEFAULT 0,
+  `failure_reason` varchar(50) DEFAULT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `user_agent` varchar(255) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_login_history_user_id` (`user_id`,`created_at`),
+  KEY `idx_login_history_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,26 @@
+-- Server-tracked login sessions with rotating refresh tokens
+-- Apply after 004_login_security.sql
+
+--
+-- Table structure for table `user_sessions`
+-- The refresh token handed to the client is "<session_id>.<secret>"; only the
+-- SHA-256 of the current secret is stored and it changes on every refresh.
+--
+
+CREATE TABLE IF NOT EXISTS `user_sessions` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `session_id` char(32) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `refresh_token_hash` char(64) NOT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `user_agent` varchar(255) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `last_used_at` datetime DEFAULT NULL,
+  `expires_at` datetime NOT NULL,
+  `revoked_at` datetime DEFAULT NULL,
+  `revoked_reason` varchar(50) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_user_sessions_session_id` (`session_id`),
+  KEY `idx_user_sessions_user_id` (`user_id`,`revoked_at`),
+  CONSTRAINT `fk_user_sessions_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
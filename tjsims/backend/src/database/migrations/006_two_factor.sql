@@ -0,0 +1,34 @@
+-- TOTP two-factor authentication
+-- Apply after 005_user_sessions.sql
+
+--
+-- Per-user TOTP secret; two_factor_last_step blocks replaying a code
+--
+
+ALTER TABLE `users`
+  ADD COLUMN IF NOT EXISTS `two_factor_secret` varchar(64) DEFAULT NULL AFTER `locked_until`,
+  ADD COLUMN IF NOT EXISTS `two_factor_enabled` tinyint(1) NOT NULL DEFAULT 0 AFTER `two_factor_secret`,
+  ADD COLUMN IF NOT EXISTS `two_factor_last_step` bigint(20) DEFAULT NULL AFTER `two_factor_enabled`;
+
+--
+-- Store-wide switch: admin and manager accounts must enroll before using the system
+--
+
+ALTER TABLE `app_settings`
+  ADD COLUMN IF NOT EXISTS `require_two_factor` tinyint(1) NOT NULL DEFAULT 0;
+
+--
+-- Table structure for table `user_recovery_codes`
+-- One-time backup codes, stored as SHA-256 hashes
+--
+
+CREATE TABLE IF NOT EXISTS `user_recovery_codes` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL,
+  `code_hash` char(64) NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_user_recovery_codes_user_id` (`user_id`),
+  CONSTRAINT `fk_user_recovery_codes_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,13 @@
+-- User lifecycle: forced password change and archiving
+-- Apply after 006_two_factor.sql
+
+--
+-- must_change_password: set by an administrator reset, cleared when the user picks a new password
+-- archived_at: archived accounts are inactive and hidden from the user list, but keep their history
+--
+
+ALTER TABLE `users`
+  ADD COLUMN IF NOT EXISTS `must_change_password` tinyint(1) NOT NULL DEFAULT 0 AFTER `password_hash`,
+  ADD COLUMN IF NOT EXISTS `password_changed_at` datetime DEFAULT NULL AFTER `must_change_password`,
+  ADD COLUMN IF NOT EXISTS `archived_at` datetime DEFAULT NULL AFTER `status`,
+  ADD KEY IF NOT EXISTS `idx_users_archived_at` (`archived_at`);
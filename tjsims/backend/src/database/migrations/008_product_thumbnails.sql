@@ -0,0 +1,10 @@
+-- Catalog thumbnails for product images
+-- Apply after 007_user_lifecycle.sql
+
+--
+-- thumbnail: resized WebP copy of `image`, generated on upload; NULL for images uploaded before this migration
+--
+
+ALTER TABLE `products`
+  ADD COLUMN IF NOT EXISTS `thumbnail` varchar(255) DEFAULT NULL AFTER `image`;
+
@@ -0,0 +1,69 @@
+-- Promotions, coupon codes and discounts on sales
+-- Apply after 008_product_thumbnails.sql
+
+--
+-- Table structure for table `promotions`
+-- A promotion without a code applies automatically while it runs; one with a
+-- code is a coupon and only applies when the cashier enters it.
+-- scope/target: 'order' (target NULL), or a product_id, brand or category name.
+-- Fixed discounts on product/brand/category promotions are per unit sold.
+--
+
+CREATE TABLE IF NOT EXISTS `promotions` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `name` varchar(100) NOT NULL,
+  `code` varchar(50) DEFAULT NULL,
+  `scope` enum('order','product','brand','category') NOT NULL DEFAULT 'order',
+  `target` varchar(100) DEFAULT NULL,
+  `discount_type` enum('percent','fixed') NOT NULL,
+  `discount_value` decimal(10,2) NOT NULL,
+  `min_purchase` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `starts_at` datetime DEFAULT NULL,
+  `ends_at` datetime DEFAULT NULL,
+  `usage_limit` int(11) DEFAULT NULL,
+  `usage_count` int(11) NOT NULL DEFAULT 0,
+  `status` enum('Active','Inactive') NOT NULL DEFAULT 'Active',
+  `created_by` varchar(50) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_promotions_code` (`code`),
+  KEY `idx_promotions_window` (`status`,`starts_at`,`ends_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Discounts on sales
+-- sales.subtotal is the list-price total; total = subtotal - discount_total
+-- sales.order_discount is the order-level part of discount_total
+--
+
+ALTER TABLE `sales`
+  ADD COLUMN IF NOT EXISTS `subtotal` decimal(10,2) DEFAULT NULL AFTER `payment_reference`,
+  ADD COLUMN IF NOT EXISTS `discount_total` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `subtotal`,
+  ADD COLUMN IF NOT EXISTS `order_discount` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `discount_total`,
+  ADD COLUMN IF NOT EXISTS `order_discount_label` varchar(150) DEFAULT NULL AFTER `order_discount`,
+  ADD COLUMN IF NOT EXISTS `promotion_id` int(11) DEFAULT NULL AFTER `order_discount_label`,
+  ADD COLUMN IF NOT EXISTS `coupon_code` varchar(50) DEFAULT NULL AFTER `promotion_id`;
+
+UPDATE `sales` SET `subtotal` = `total` WHERE `subtotal` IS NULL;
+
+--
+-- sale_items.discount_amount: line discount (promotion, coupon or manual)
+-- sale_items.order_discount_share: the line's part of the order-level discount
+-- sale_items.subtotal stays what the customer paid for the line:
+--   price * quantity - discount_amount - order_discount_share
+--
+
+ALTER TABLE `sale_items`
+  ADD COLUMN IF NOT EXISTS `discount_amount` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `quantity`,
+  ADD COLUMN IF NOT EXISTS `discount_label` varchar(150) DEFAULT NULL AFTER `discount_amount`,
+  ADD COLUMN IF NOT EXISTS `promotion_id` int(11) DEFAULT NULL AFTER `discount_label`,
+  ADD COLUMN IF NOT EXISTS `order_discount_share` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `promotion_id`;
+
+--
+-- Default grants for the new permissions
+--
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission`) VALUES
+('manager', 'sales.discount'),
+('manager', 'promotions.manage');
@@ -0,0 +1,42 @@
+-- VAT settings, product tax classes and the tax breakdown of each sale
+-- Apply after 009_promotions.sql
+
+--
+-- Store tax registration, printed on receipts
+-- vat_registered: 0 issues non-VAT receipts and records no VAT
+-- vat_rate: percentage; shelf prices are VAT-inclusive
+--
+
+ALTER TABLE `app_settings`
+  ADD COLUMN IF NOT EXISTS `vat_registered` tinyint(1) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS `tin` varchar(20) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `vat_rate` decimal(5,2) NOT NULL DEFAULT 12.00;
+
+--
+-- How a product is treated for VAT
+--
+
+ALTER TABLE `products`
+  ADD COLUMN IF NOT EXISTS `tax_class` enum('vatable','exempt','zero_rated') NOT NULL DEFAULT 'vatable' AFTER `price`;
+
+--
+-- Tax breakdown per sale, as printed on the receipt
+-- vatable_sales is net of VAT; vatable_sales + vat_amount + vat_exempt_sales + zero_rated_sales = total
+-- Sales made while the store was not VAT-registered keep all zeros and a NULL vat_rate
+--
+
+ALTER TABLE `sales`
+  ADD COLUMN IF NOT EXISTS `vatable_sales` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `coupon_code`,
+  ADD COLUMN IF NOT EXISTS `vat_amount` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `vatable_sales`,
+  ADD COLUMN IF NOT EXISTS `vat_exempt_sales` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `vat_amount`,
+  ADD COLUMN IF NOT EXISTS `zero_rated_sales` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `vat_exempt_sales`,
+  ADD COLUMN IF NOT EXISTS `vat_rate` decimal(5,2) DEFAULT NULL AFTER `zero_rated_sales`;
+
+--
+-- Tax class at the time of sale (NULL when not VAT-registered) and the VAT
+-- inside the line's subtotal
+--
+
+ALTER TABLE `sale_items`
+  ADD COLUMN IF NOT EXISTS `tax_class` enum('vatable','exempt','zero_rated') DEFAULT NULL AFTER `order_discount_share`,
+  ADD COLUMN IF NOT EXISTS `vat_amount` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `tax_class`;
@@ -0,0 +1,47 @@
+-- Payment ledger: split, partial and collect-on-delivery payments
+-- Apply after 010_tax.sql
+
+--
+-- Table structure for table `payments`
+-- One row per amount received against a sale. `tendered` is what the customer
+-- handed over, `amount` the part applied to the sale and `change_given` the rest.
+--
+
+CREATE TABLE IF NOT EXISTS `payments` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `sale_id` int(11) NOT NULL,
+  `method` varchar(50) NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `tendered` decimal(10,2) NOT NULL,
+  `change_given` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `reference` varchar(64) DEFAULT NULL,
+  `notes` varchar(255) DEFAULT NULL,
+  `received_by` varchar(50) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_payments_sale_id` (`sale_id`),
+  KEY `idx_payments_created_at` (`created_at`),
+  CONSTRAINT `fk_payments_sale` FOREIGN KEY (`sale_id`) REFERENCES `sales` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- sales.amount_paid: sum of payments.amount, kept with payment_status in the
+-- same transaction as every payment; payment_status is no longer set by clients
+--
+
+ALTER TABLE `sales`
+  MODIFY `payment_status` enum('Paid','Partially Paid','Unpaid','Refunded','Partially Refunded') NOT NULL DEFAULT 'Unpaid',
+  ADD COLUMN IF NOT EXISTS `amount_paid` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `total`;
+
+--
+-- Sales recorded as paid before the ledger existed get one payment for their total
+--
+
+INSERT INTO `payments` (`sale_id`, `method`, `amount`, `tendered`, `reference`, `notes`, `created_at`)
+SELECT s.`id`, s.`payment`, s.`total`, s.`total`, s.`payment_reference`, 'Recorded before the payment ledger', s.`created_at`
+FROM `sales` s
+WHERE s.`payment_status` IN ('Paid', 'Refunded', 'Partially Refunded')
+  AND NOT EXISTS (SELECT 1 FROM `payments` p WHERE p.`sale_id` = s.`id`);
+
+UPDATE `sales` s
+SET s.`amount_paid` = (SELECT COALESCE(SUM(p.`amount`), 0) FROM `payments` p WHERE p.`sale_id` = s.`id`);
@@ -0,0 +1,20 @@
+-- Voiding sales instead of deleting them
+-- Apply after 011_payments.sql
+
+--
+-- Who cancelled a sale, when and why. Voided sales keep status 'Cancelled'
+-- together with their items, serial history and payments.
+--
+
+ALTER TABLE `sales`
+  ADD COLUMN IF NOT EXISTS `void_reason` varchar(255) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `voided_by` varchar(50) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `voided_at` datetime DEFAULT NULL;
+
+--
+-- A void reverses each payment with a negative row pointing at the original
+--
+
+ALTER TABLE `payments`
+  ADD COLUMN IF NOT EXISTS `reversal_of` int(11) DEFAULT NULL AFTER `received_by`,
+  ADD KEY IF NOT EXISTS `idx_payments_reversal_of` (`reversal_of`);
@@ -0,0 +1,39 @@
+-- Document numbering from a sequence table
+-- Apply after 012_sale_void.sql
+
+--
+-- Table structure for table `document_sequences`
+-- One counter per document type. The row is locked (SELECT ... FOR UPDATE) by
+-- the transaction that issues a number, so numbers are unique and, because a
+-- rolled-back transaction also rolls back the counter, gapless.
+-- period_key: the day/month/year the counter belongs to; it restarts at 1
+-- when reset_period moves on. See services/numbering.js for format tokens.
+--
+
+CREATE TABLE IF NOT EXISTS `document_sequences` (
+  `doc_type` varchar(30) NOT NULL,
+  `prefix` varchar(20) NOT NULL DEFAULT '',
+  `format` varchar(60) NOT NULL,
+  `padding` tinyint(3) UNSIGNED NOT NULL DEFAULT 4,
+  `reset_period` enum('never','daily','monthly','yearly') NOT NULL DEFAULT 'never',
+  `period_key` varchar(8) NOT NULL DEFAULT '',
+  `next_value` int(11) UNSIGNED NOT NULL DEFAULT 1,
+  `updated_by` varchar(50) DEFAULT NULL,
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`doc_type`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Default formats. Sale numbers keep the SL{yymmdd} shape with a 4-digit
+-- counter, so they cannot collide with the 3-digit numbers issued before.
+-- Suppliers continue from the highest existing SUP-nnn.
+--
+
+INSERT IGNORE INTO `document_sequences` (`doc_type`, `prefix`, `format`, `padding`, `reset_period`, `next_value`) VALUES
+('sale', 'SL', '{prefix}{yy}{mm}{dd}{seq}', 4, 'daily', 1),
+('return', 'RET-', '{prefix}{yyyy}{mm}-{seq}', 5, 'monthly', 1),
+('refund', 'RFND-', '{prefix}{yyyy}{mm}-{seq}', 5, 'monthly', 1),
+('stock_in', 'IN-', '{prefix}{yy}{mm}{dd}-{seq}', 5, 'daily', 1),
+('stock_out', 'OUT-', '{prefix}{yy}{mm}{dd}-{seq}', 5, 'daily', 1),
+('supplier', 'SUP-', '{prefix}{seq}', 3, 'never',
+  (SELECT COALESCE(MAX(CAST(SUBSTRING(`supplier_id`, 5) AS UNSIGNED)), 0) + 1 FROM `suppliers` WHERE `supplier_id` LIKE 'SUP-%'));
@@ -0,0 +1,37 @@
+-- Order status state machine and status history
+-- Apply after 013_document_sequences.sql
+
+--
+-- 'Out for Delivery' is a step of Company Delivery orders
+-- (see services/orderStatus.js for the allowed moves)
+--
+
+ALTER TABLE `sales`
+  MODIFY `status` enum('Pending','Processing','Out for Delivery','Completed','Cancelled','Returned','Partially Returned') DEFAULT 'Pending';
+
+--
+-- Table structure for table `sale_status_history`
+-- One row per status change; from_status is NULL for the status a sale was created with
+--
+
+CREATE TABLE IF NOT EXISTS `sale_status_history` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `sale_id` int(11) NOT NULL,
+  `from_status` varchar(30) DEFAULT NULL,
+  `to_status` varchar(30) NOT NULL,
+  `note` varchar(255) DEFAULT NULL,
+  `changed_by` varchar(50) DEFAULT NULL,
+  `changed_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_sale_status_history_sale` (`sale_id`,`changed_at`),
+  CONSTRAINT `fk_sale_status_history_sale` FOREIGN KEY (`sale_id`) REFERENCES `sales` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Existing sales start their timeline at their current status
+--
+
+INSERT INTO `sale_status_history` (`sale_id`, `from_status`, `to_status`, `note`, `changed_at`)
+SELECT s.`id`, NULL, COALESCE(s.`status`, 'Pending'), 'Recorded before status history', s.`created_at`
+FROM `sales` s
+WHERE NOT EXISTS (SELECT 1 FROM `sale_status_history` h WHERE h.`sale_id` = s.`id`);
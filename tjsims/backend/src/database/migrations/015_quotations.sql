@@ -0,0 +1,84 @@
+-- Price quotations that can be converted into sales
+-- Apply after 014_status_history.sql
+
+--
+-- Table structure for table `quotations`
+-- A quote prices a cart the same way a sale does (services/checkout.js) but
+-- deducts no stock. It is Open until converted into a sale or cancelled; an
+-- Open quote past valid_until is shown as Expired and can no longer be converted.
+-- coupon_code and order_discount_* are the inputs the cashier entered, kept so
+-- the quote can be re-priced when it is converted.
+--
+
+CREATE TABLE IF NOT EXISTS `quotations` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `quote_number` varchar(50) NOT NULL,
+  `customer_name` varchar(100) NOT NULL,
+  `contact` varchar(50) DEFAULT NULL,
+  `address` varchar(255) DEFAULT NULL,
+  `valid_until` date NOT NULL,
+  `status` enum('Open','Converted','Cancelled') NOT NULL DEFAULT 'Open',
+  `notes` varchar(255) DEFAULT NULL,
+  `coupon_code` varchar(50) DEFAULT NULL,
+  `order_discount_type` enum('percent','fixed') DEFAULT NULL,
+  `order_discount_value` decimal(10,2) DEFAULT NULL,
+  `order_discount_reason` varchar(100) DEFAULT NULL,
+  `subtotal` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `discount_total` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `order_discount` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `order_discount_label` varchar(150) DEFAULT NULL,
+  `vat_amount` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `vat_rate` decimal(5,2) DEFAULT NULL,
+  `total` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `sale_id` int(11) DEFAULT NULL,
+  `converted_at` timestamp NULL DEFAULT NULL,
+  `cancelled_by` varchar(50) DEFAULT NULL,
+  `created_by` varchar(50) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_quotations_number` (`quote_number`),
+  KEY `idx_quotations_status` (`status`,`valid_until`),
+  KEY `idx_quotations_sale` (`sale_id`),
+  CONSTRAINT `fk_quotations_sale` FOREIGN KEY (`sale_id`) REFERENCES `sales` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Table structure for table `quotation_items`
+-- price is the list price when quoted; discount_type/value/reason is the
+-- cashier's manual line discount, discount_amount/label the discount that won
+--
+
+CREATE TABLE IF NOT EXISTS `quotation_items` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `quotation_id` int(11) NOT NULL,
+  `product_id` varchar(20) NOT NULL,
+  `product_name` varchar(100) NOT NULL,
+  `brand` varchar(100) DEFAULT NULL,
+  `price` decimal(10,2) NOT NULL,
+  `quantity` int(11) NOT NULL,
+  `discount_type` enum('percent','fixed') DEFAULT NULL,
+  `discount_value` decimal(10,2) DEFAULT NULL,
+  `discount_reason` varchar(100) DEFAULT NULL,
+  `discount_amount` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `discount_label` varchar(150) DEFAULT NULL,
+  `subtotal` decimal(10,2) NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_quotation_items_quotation` (`quotation_id`),
+  CONSTRAINT `fk_quotation_items_quotation` FOREIGN KEY (`quotation_id`) REFERENCES `quotations` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Quote numbers, e.g. QT-202610-00001
+--
+
+INSERT IGNORE INTO `document_sequences` (`doc_type`, `prefix`, `format`, `padding`, `reset_period`, `next_value`) VALUES
+('quotation', 'QT-', '{prefix}{yyyy}{mm}-{seq}', 5, 'monthly', 1);
+
+--
+-- Default grants for the new permission
+--
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission`) VALUES
+('manager', 'quotations.manage'),
+('staff', 'quotations.manage');
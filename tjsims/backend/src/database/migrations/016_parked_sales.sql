@@ -0,0 +1,40 @@
+-- Parked (held) sales in the POS
+-- Apply after 015_quotations.sql
+
+--
+-- How long a parked cart is kept before it expires and its serials are released
+--
+
+ALTER TABLE `app_settings`
+  ADD COLUMN IF NOT EXISTS `park_expiry_minutes` int(11) NOT NULL DEFAULT 120;
+
+--
+-- Table structure for table `parked_sales`
+-- cart: the Sales page cart as JSON (items with their serials, customer
+-- fields, coupon and discounts). Nothing is charged and no stock is deducted;
+-- only the serials in the cart are held (serial_numbers.status = 'reserved').
+-- Expired rows are cleared, and their serials released, by ParkedSale.releaseExpired().
+--
+
+CREATE TABLE IF NOT EXISTS `parked_sales` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `customer_name` varchar(100) DEFAULT NULL,
+  `note` varchar(255) DEFAULT NULL,
+  `cart` longtext NOT NULL,
+  `item_count` int(11) NOT NULL DEFAULT 0,
+  `total` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `parked_by` varchar(50) DEFAULT NULL,
+  `parked_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `expires_at` datetime NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_parked_sales_expires` (`expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Serials held by a parked cart
+--
+
+ALTER TABLE `serial_numbers`
+  MODIFY `status` enum('available','reserved','sold','returned','defective') NOT NULL DEFAULT 'available',
+  ADD COLUMN IF NOT EXISTS `parked_sale_id` int(11) DEFAULT NULL AFTER `sale_item_id`,
+  ADD KEY IF NOT EXISTS `idx_serial_numbers_parked` (`parked_sale_id`);
@@ -0,0 +1,20 @@
+-- Barcodes and SKUs for scanning products at the POS and at stock-in
+-- Apply after 016_parked_sales.sql
+
+--
+-- Table structure for table `product_barcodes`
+-- A product can carry several codes (manufacturer EAN/UPC, supplier SKU, shelf
+-- label); each code belongs to one product. Serial numbers are not stored here:
+-- a scanned code that matches no barcode is looked up in `serial_numbers`.
+--
+
+CREATE TABLE IF NOT EXISTS `product_barcodes` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `product_id` varchar(20) NOT NULL,
+  `barcode` varchar(64) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_product_barcodes_barcode` (`barcode`),
+  KEY `idx_product_barcodes_product` (`product_id`),
+  CONSTRAINT `fk_product_barcodes_product` FOREIGN KEY (`product_id`) REFERENCES `products` (`product_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,41 @@
+-- Manager-approved price overrides at checkout
+-- Apply after 017_product_barcodes.sql
+
+--
+-- Overrides that cut the list price by more than this percentage need a
+-- manager's approval (their override PIN, or a manager ringing the sale)
+--
+
+ALTER TABLE `app_settings`
+  ADD COLUMN IF NOT EXISTS `override_approval_percent` decimal(5,2) NOT NULL DEFAULT 10.00;
+
+--
+-- override_pin_hash: bcrypt hash of the PIN a manager enters on a cashier's
+-- terminal to approve an override; set from Settings > Security. Wrong PINs
+-- are counted and lock the PIN for a while, like failed logins
+--
+
+ALTER TABLE `users`
+  ADD COLUMN IF NOT EXISTS `override_pin_hash` varchar(255) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `override_pin_failed_attempts` int(11) NOT NULL DEFAULT 0 AFTER `override_pin_hash`,
+  ADD COLUMN IF NOT EXISTS `override_pin_locked_until` datetime DEFAULT NULL AFTER `override_pin_failed_attempts`;
+
+--
+-- An overridden line keeps the list price it replaced (original_price; NULL
+-- when the line was sold at list price), the cashier's reason and who
+-- approved it (NULL when no approval was needed)
+--
+
+ALTER TABLE `sale_items`
+  ADD COLUMN IF NOT EXISTS `original_price` decimal(10,2) DEFAULT NULL AFTER `price`,
+  ADD COLUMN IF NOT EXISTS `override_reason` varchar(150) DEFAULT NULL AFTER `original_price`,
+  ADD COLUMN IF NOT EXISTS `override_approved_by` varchar(50) DEFAULT NULL AFTER `override_reason`;
+
+--
+-- Default grants for the new permissions
+--
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission`) VALUES
+('manager', 'sales.price_override'),
+('manager', 'sales.approve_override'),
+('staff', 'sales.price_override');
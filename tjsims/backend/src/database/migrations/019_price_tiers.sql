@@ -0,0 +1,85 @@
+-- Customer price tiers (retail, wholesale, shop, custom) and customer records
+-- Apply after 018_price_overrides.sql
+
+--
+-- Table structure for table `price_tiers`
+-- percent_off applies to every product without its own rule; 0 sells at list
+-- price. Inactive tiers are ignored at checkout (their customers pay list).
+--
+
+CREATE TABLE IF NOT EXISTS `price_tiers` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `name` varchar(50) NOT NULL,
+  `kind` enum('retail','wholesale','shop','custom') NOT NULL DEFAULT 'custom',
+  `percent_off` decimal(5,2) NOT NULL DEFAULT 0.00,
+  `status` enum('Active','Inactive') NOT NULL DEFAULT 'Active',
+  `created_by` varchar(50) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_price_tiers_name` (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Table structure for table `price_tier_items`
+-- Per-product rule inside a tier: a fixed price, or a percentage off the list
+-- price (exactly one of the two is set)
+--
+
+CREATE TABLE IF NOT EXISTS `price_tier_items` (
+  `tier_id` int(11) NOT NULL,
+  `product_id` varchar(20) NOT NULL,
+  `price` decimal(10,2) DEFAULT NULL,
+  `percent_off` decimal(5,2) DEFAULT NULL,
+  PRIMARY KEY (`tier_id`, `product_id`),
+  KEY `idx_price_tier_items_product` (`product_id`),
+  CONSTRAINT `fk_price_tier_items_tier` FOREIGN KEY (`tier_id`) REFERENCES `price_tiers` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_price_tier_items_product` FOREIGN KEY (`product_id`) REFERENCES `products` (`product_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Table structure for table `customers`
+-- Customers the store keeps a record for (so far: their price tier). Walk-in
+-- customers still only live on their sales; a record is created the first
+-- time one is given a tier. Identified by name + contact, as on `sales`.
+--
+
+CREATE TABLE IF NOT EXISTS `customers` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `customer_name` varchar(100) NOT NULL,
+  `contact` varchar(50) NOT NULL DEFAULT '',
+  `address` varchar(255) DEFAULT NULL,
+  `price_tier_id` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_customers_name_contact` (`customer_name`, `contact`),
+  KEY `idx_customers_price_tier` (`price_tier_id`),
+  CONSTRAINT `fk_customers_price_tier` FOREIGN KEY (`price_tier_id`) REFERENCES `price_tiers` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- The customer record a sale was rung up for and the tier it was priced at
+--
+
+ALTER TABLE `sales`
+  ADD COLUMN IF NOT EXISTS `customer_id` int(11) DEFAULT NULL AFTER `customer_name`,
+  ADD COLUMN IF NOT EXISTS `price_tier_id` int(11) DEFAULT NULL AFTER `customer_id`,
+  ADD KEY IF NOT EXISTS `idx_sales_customer` (`customer_id`);
+
+--
+-- Starting tiers; set their discounts and product prices in Customers > Price Tiers
+--
+
+INSERT IGNORE INTO `price_tiers` (`name`, `kind`, `percent_off`, `created_by`) VALUES
+('Retail', 'retail', 0.00, 'System'),
+('Wholesale', 'wholesale', 0.00, 'System'),
+('Shop', 'shop', 0.00, 'System');
+
+--
+-- Default grants for the new permissions
+--
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission`) VALUES
+('manager', 'customers.manage'),
+('manager', 'price_tiers.manage');
@@ -0,0 +1,50 @@
+-- Store credit wallet: refunds as store credit, manual adjustments and
+-- "Store Credit" as a payment method
+-- Apply after 019_price_tiers.sql
+
+--
+-- customers.store_credit_balance: sum of the customer's ledger entries, kept
+-- in the same transaction as every entry (the row is locked while posting)
+--
+
+ALTER TABLE `customers`
+  ADD COLUMN IF NOT EXISTS `store_credit_balance` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `price_tier_id`;
+
+--
+-- Table structure for table `store_credit_ledger`
+-- One row per movement: positive amounts credit the wallet (refund, manual
+-- adjustment, a voided sale's store credit payment handed back), negative
+-- amounts debit it (payments, manual adjustments). balance_after is the
+-- balance once the entry was posted.
+--
+
+CREATE TABLE IF NOT EXISTS `store_credit_ledger` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `customer_id` int(11) NOT NULL,
+  `entry_type` enum('refund','payment','payment_reversal','adjustment') NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `balance_after` decimal(10,2) NOT NULL,
+  `sale_id` int(11) DEFAULT NULL,
+  `return_id` varchar(50) DEFAULT NULL,
+  `notes` varchar(255) DEFAULT NULL,
+  `created_by` varchar(50) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_store_credit_customer` (`customer_id`, `created_at`),
+  KEY `idx_store_credit_sale` (`sale_id`),
+  CONSTRAINT `fk_store_credit_customer` FOREIGN KEY (`customer_id`) REFERENCES `customers` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- The customer whose wallet a store credit refund went to
+--
+
+ALTER TABLE `returns`
+  ADD COLUMN IF NOT EXISTS `customer_id` int(11) DEFAULT NULL AFTER `customer_name`;
+
+--
+-- Default grants for the new permission
+--
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission`) VALUES
+('manager', 'store_credit.adjust');
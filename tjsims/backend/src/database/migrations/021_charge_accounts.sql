@@ -0,0 +1,57 @@
+-- Charge accounts (utang): selling on credit to customers with a credit limit
+-- and payment terms, payments against open invoices and receivables aging
+-- Apply after 020_store_credit.sql
+
+--
+-- A customer can buy on account once charge_enabled is set; what they owe on
+-- open invoices may not go past credit_limit. Invoices fall due
+-- payment_terms_days after the sale.
+--
+
+ALTER TABLE `customers`
+  ADD COLUMN IF NOT EXISTS `charge_enabled` tinyint(1) NOT NULL DEFAULT 0 AFTER `store_credit_balance`,
+  ADD COLUMN IF NOT EXISTS `credit_limit` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `charge_enabled`,
+  ADD COLUMN IF NOT EXISTS `payment_terms_days` int(11) NOT NULL DEFAULT 30 AFTER `credit_limit`;
+
+--
+-- Sales charged to the customer's account are the account's invoices; what is
+-- still owed is total - amount_paid - refund_amount
+--
+
+ALTER TABLE `sales`
+  ADD COLUMN IF NOT EXISTS `on_account` tinyint(1) NOT NULL DEFAULT 0 AFTER `price_tier_id`,
+  ADD COLUMN IF NOT EXISTS `due_date` date DEFAULT NULL AFTER `on_account`,
+  ADD KEY IF NOT EXISTS `idx_sales_on_account` (`customer_id`, `on_account`, `due_date`);
+
+--
+-- Table structure for table `account_payments`
+-- Money received on a charge account. It is applied to the oldest invoices
+-- first; each invoice's share is a row in `payments` pointing back here.
+--
+
+CREATE TABLE IF NOT EXISTS `account_payments` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `customer_id` int(11) NOT NULL,
+  `method` varchar(50) NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `reference` varchar(64) DEFAULT NULL,
+  `notes` varchar(255) DEFAULT NULL,
+  `received_by` varchar(50) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_account_payments_customer` (`customer_id`, `created_at`),
+  CONSTRAINT `fk_account_payments_customer` FOREIGN KEY (`customer_id`) REFERENCES `customers` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+ALTER TABLE `payments`
+  ADD COLUMN IF NOT EXISTS `account_payment_id` int(11) DEFAULT NULL AFTER `reversal_of`,
+  ADD KEY IF NOT EXISTS `idx_payments_account_payment` (`account_payment_id`);
+
+--
+-- Default grants for the new permissions
+--
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission`) VALUES
+('manager', 'accounts.manage'),
+('manager', 'sales.charge'),
+('staff', 'sales.charge');
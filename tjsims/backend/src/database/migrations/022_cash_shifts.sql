@@ -0,0 +1,73 @@
+-- Cash drawer shifts: opening float, cash in/out during the shift and the
+-- end-of-shift count against the cash the sales say should be there
+-- Apply after 021_charge_accounts.sql
+
+--
+-- Table structure for table `cash_shifts`
+-- The store has one drawer, so only one shift is open at a time (open_marker
+-- is 1 while open and NULL once closed; the unique key allows a single 1).
+-- Everything paid or refunded between opened_at and closed_at belongs to the
+-- shift. expected_cash, counted_cash and variance are set when it is closed.
+--
+
+CREATE TABLE IF NOT EXISTS `cash_shifts` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `shift_number` varchar(50) NOT NULL,
+  `status` enum('Open','Closed') NOT NULL DEFAULT 'Open',
+  `open_marker` tinyint(1) GENERATED ALWAYS AS (IF(`status` = 'Open', 1, NULL)) STORED,
+  `opening_float` decimal(10,2) NOT NULL DEFAULT 0.00,
+  `opening_notes` varchar(255) DEFAULT NULL,
+  `opened_by` varchar(50) DEFAULT NULL,
+  `opened_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `expected_cash` decimal(10,2) DEFAULT NULL,
+  `counted_cash` decimal(10,2) DEFAULT NULL,
+  `variance` decimal(10,2) DEFAULT NULL,
+  `closing_notes` varchar(255) DEFAULT NULL,
+  `closed_by` varchar(50) DEFAULT NULL,
+  `closed_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_cash_shift_number` (`shift_number`),
+  UNIQUE KEY `uniq_cash_shift_open` (`open_marker`),
+  KEY `idx_cash_shifts_opened_at` (`opened_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Table structure for table `cash_movements`
+-- Cash put into (e.g. more change) or taken out of (e.g. a pickup to the
+-- safe, petty cash) the drawer during a shift, with the reason
+--
+
+CREATE TABLE IF NOT EXISTS `cash_movements` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `shift_id` int(11) NOT NULL,
+  `movement_type` enum('in','out') NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `reason` varchar(255) NOT NULL,
+  `created_by` varchar(50) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_cash_movements_shift` (`shift_id`),
+  CONSTRAINT `fk_cash_movements_shift` FOREIGN KEY (`shift_id`) REFERENCES `cash_shifts` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Refunds are summed by time for the shift totals
+--
+
+ALTER TABLE `refund_transactions`
+  ADD KEY IF NOT EXISTS `idx_refund_transactions_date` (`transaction_date`);
+
+--
+-- Shift (Z-report) numbers, e.g. SH-20261019-01
+--
+
+INSERT IGNORE INTO `document_sequences` (`doc_type`, `prefix`, `format`, `padding`, `reset_period`, `next_value`) VALUES
+('shift', 'SH-', '{prefix}{yyyy}{mm}{dd}-{seq}', 2, 'daily', 1);
+
+--
+-- Default grants for the new permission
+--
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission`) VALUES
+('manager', 'shifts.operate'),
+('staff', 'shifts.operate');
@@ -0,0 +1,24 @@
+-- Offline point of sale: sales rung up while the till could not reach the
+-- server are queued on the till and sent once it is back online
+-- Apply after 022_cash_shifts.sql
+
+--
+-- client_ref is generated by the till for each sale and sent with every
+-- attempt to record it, so a sale whose response was lost is not recorded
+-- twice. An offline sale and its payments are dated when the cashier
+-- confirmed it (created_at), so reports and cash shifts count it where it was
+-- rung up; synced_at is when it reached the server (NULL for online sales).
+--
+
+ALTER TABLE `sales`
+  ADD COLUMN IF NOT EXISTS `client_ref` varchar(64) DEFAULT NULL AFTER `sale_number`,
+  ADD COLUMN IF NOT EXISTS `synced_at` datetime DEFAULT NULL AFTER `due_date`,
+  ADD UNIQUE KEY IF NOT EXISTS `uniq_sales_client_ref` (`client_ref`);
+
+--
+-- Offline sales may only be dated back into the open shift (or the last
+-- OFFLINE_SALE_MAX_HOURS with no shift open); this grant lifts the limit
+--
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission`) VALUES
+('manager', 'sales.backdate');
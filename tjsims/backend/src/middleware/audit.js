@@ -0,0 +1,74 @@
+import { AuditLog } from '../models/AuditLog.js';
+
+const DEFAULT_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+const SECRET_KEY = /password|token|secret|^pin$|^(recovery_)?code$/i;
+
+// Deep copy with credentials removed, so snapshots are safe to store and
+// cannot be mutated by the handler after they were taken
+const scrub = (value) => {
+  if (value == null) return value;
+  if (Array.isArray(value)) return value.map(scrub);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [key, val] of Object.entries(value)) {
+      if (!SECRET_KEY.test(key)) out[key] = scrub(val);
+    }
+    return out;
+  }
+  return value;
+};
+
+// Route middleware recording who changed what.
+//   entityType         e.g. 'sale', 'product'
+//   options.action     defaults from the HTTP method (create/update/delete)
+//   options.load(id)   fetches the current entity; used for before/after snapshots
+//   options.getId(req, body) resolves the entity id; defaults to req.params.id or body.data.id
+// Only successful responses are logged, after they have been sent, so audit
+// failures never break the request itself. A handler that changed nothing
+// (e.g. a replayed request) sets res.locals.skipAudit.
+export const audit = (entityType, { action, load, getId } = {}) => async (req, res, next) => {
+  const resolveId = (body) => (getId ? getId(req, body) : (req.params.id ?? body?.data?.id ?? null));
+
+  let before = null;
+  const idBefore = resolveId(null);
+  if (load && idBefore != null) {
+    try {
+      before = scrub(await load(idBefore));
+    } catch (err) {
+      console.error('Audit snapshot error:', err);
+    }
+  }
+
+  let responseBody = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', async () => {
+    if (res.statusCode >= 400 || responseBody?.success === false || res.locals.skipAudit) return;
+    try {
+      const entityId = resolveId(responseBody);
+      let after = null;
+      if (action !== 'delete' && req.method !== 'DELETE') {
+        after = load && entityId != null ? await load(entityId) : req.body;
+      }
+      await AuditLog.record({
+        userId: req.user?.id ?? null,
+        username: req.user?.username ?? null,
+        action: action || DEFAULT_ACTIONS[req.method] || req.method.toLowerCase(),
+        entityType,
+        entityId,
+        before,
+        after: scrub(after),
+        ipAddress: req.ip
+      });
+    } catch (err) {
+      console.error('Audit log error:', err);
+    }
+  });
+
+  next();
+};
@@ -0,0 +1,117 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { getPool } from '../config/database.js';
+import { RolePermission } from '../models/RolePermission.js';
+import { TWO_FACTOR_ENFORCED_ROLES } from '../models/TwoFactor.js';
+
+dotenv.config();
+
+// Called at startup: without a secret no token can be signed or checked
+export const checkAuthConfig = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set. Add it to the backend .env file (see .env.example).');
+  }
+};
+
+// Sign a short-lived access token bound to a server-side session (see models/Session.js)
+export const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { sub: user.id, sid: sessionId, role: user.role, username: user.username },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+// Short-lived proof that the password step passed; exchanged for real tokens
+// once the second factor is verified. It carries no session id, so
+// authenticate() never accepts it as an access token.
+export const signTwoFactorChallenge = (user) => {
+  return jwt.sign({ sub: user.id, purpose: 'two_factor' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+};
+
+export const verifyTwoFactorChallenge = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === 'two_factor' ? payload.sub : null;
+  } catch {
+    return null;
+  }
+};
+
+// While a forced password change or required 2FA enrollment is pending, only these stay reachable
+const isAccountSetupPath = (req) => req.path.startsWith('/auth/') || (req.method === 'GET' && req.path === '/settings');
+
+// Turn '/sales/track/:saleNumber' into a regex matching '/sales/track/SL251101001'
+const toPattern = (path) => new RegExp(`^${path.replace(/:[^/]+/g, '[^/]+')}/?$`);
+
+// Authentication middleware
+// Every request must carry a valid Bearer token unless it matches one of the
+// whitelisted public routes ({ method, path } relative to the router mount).
+// The token's session must still be open, so logout and revocation take effect
+// immediately rather than when the token expires.
+export const authenticate = ({ publicRoutes = [] } = {}) => {
+  const whitelist = publicRoutes.map(({ method, path }) => ({ method, pattern: toPattern(path) }));
+
+  return async (req, res, next) => {
+    if (req.method === 'OPTIONS') return next();
+
+    const isPublic = whitelist.some(({ method, pattern }) => method === req.method && pattern.test(req.path));
+    if (isPublic) return next();
+
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      const pool = getPool();
+      const [rows] = await pool.execute(
+        `SELECT u.id, u.username, u.email, u.role, u.status, u.must_change_password, u.two_factor_enabled,
+                (SELECT require_two_factor FROM app_settings ORDER BY id LIMIT 1) AS require_two_factor
+         FROM users u
+         JOIN user_sessions s ON s.user_id = u.id AND s.session_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+         WHERE u.id = ?`,
+        [payload.sid || '', payload.sub]
+      );
+      const user = rows[0];
+      if (!user) {
+        return res.status(401).json({ success: false, message: 'Your session has ended. Please log in again.' });
+      }
+      if (user.status !== 'Active') {
+        return res.status(401).json({ success: false, message: 'Account is inactive or no longer exists' });
+      }
+      if (user.must_change_password && !isAccountSetupPath(req)) {
+        return res.status(403).json({ success: false, code: 'PASSWORD_CHANGE_REQUIRED', message: 'Change your password in Settings before continuing' });
+      }
+      if (user.require_two_factor && !user.two_factor_enabled && TWO_FACTOR_ENFORCED_ROLES.includes(user.role) && !isAccountSetupPath(req)) {
+        return res.status(403).json({ success: false, code: 'TWO_FACTOR_SETUP_REQUIRED', message: 'Set up two-factor authentication in Settings before continuing' });
+      }
+      user.session_id = payload.sid;
+      user.permissions = await RolePermission.getPermissionsForRole(user.role);
+      req.user = user;
+      next();
+    } catch (err) {
+      if (err.name === 'TokenExpiredError' || err.name === 'JsonWebTokenError') {
+        return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+      }
+      console.error('Authentication error:', err);
+      res.status(500).json({ success: false, message: 'Failed to authenticate request' });
+    }
+  };
+};
+
+// True when the authenticated user holds at least one of the given permissions
+export const hasPermission = (user, ...permissions) => {
+  const granted = user?.permissions || [];
+  return permissions.some(p => granted.includes(p));
+};
+
+// Route guard: 403 unless the user holds at least one of the given permissions
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!hasPermission(req.user, ...permissions)) {
+    return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+  }
+  next();
+};
@@ -24,6 +24,18 @@ export const limiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Stricter per-IP limit for the login endpoint; per-account lockout lives in AuthController
+export const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: {
+    success: false,
+    message: 'Too many login attempts from this IP, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Security headers
 export const securityHeaders = helmet({
   contentSecurityPolicy: false, // Disabled for development
@@ -0,0 +1,42 @@
+// Route middleware that checks req.params, req.query and req.body against Joi
+// schemas (see src/validators) before the handler runs.
+//   validate({ params, query, body })
+// Values are converted (e.g. '5' -> 5, 'true' -> true) and unknown keys are
+// dropped, so handlers only ever see fields the schema declares. Every problem
+// is reported at once:
+//   400 { success: false, message, errors: [{ field, location, message }] }
+// Multipart routes must put this after multer so req.body is populated.
+
+const OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+};
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+export const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    const schema = schemas[location];
+    if (!schema) continue;
+    const { value, error } = schema.label(location).validate(req[location] ?? {}, OPTIONS);
+    if (error) {
+      for (const detail of error.details) {
+        errors.push({ field: detail.context?.label || detail.path.join('.') || location, location, message: detail.message });
+      }
+    } else {
+      req[location] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid request: ${errors.map(e => e.message).join('; ')}`,
+      errors
+    });
+  }
+  next();
+};
@@ -0,0 +1,30 @@
+import { getPool } from '../config/database.js';
+
+export class AppSettings {
+  // The store keeps a single settings row
+  static async get() {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM app_settings ORDER BY id LIMIT 1');
+    return rows[0] || null;
+  }
+
+  // Saves the given columns; undefined ones keep their stored value. The row
+  // is created on the first save, with the column defaults for the rest.
+  static async update(fields) {
+    const pool = getPool();
+    const changes = Object.entries(fields).filter(([, value]) => value !== undefined);
+    const [rows] = await pool.execute('SELECT id FROM app_settings ORDER BY id LIMIT 1');
+    if (rows.length === 0) {
+      const values = { store_name: '', address: '', contact_number: '', email: '', ...Object.fromEntries(changes) };
+      await pool.execute(
+        `INSERT INTO app_settings (${Object.keys(values).join(', ')}) VALUES (${Object.keys(values).map(() => '?').join(', ')})`,
+        Object.values(values)
+      );
+    } else if (changes.length > 0) {
+      await pool.execute(
+        `UPDATE app_settings SET ${changes.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...changes.map(([, value]) => value), rows[0].id]
+      );
+    }
+  }
+}
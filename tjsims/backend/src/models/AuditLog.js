@@ -0,0 +1,97 @@
+import { getPool } from '../config/database.js';
+
+const parseJson = (value) => {
+  if (value == null) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+export class AuditLog {
+  static async record({ userId = null, username = null, action, entityType, entityId = null, before = null, after = null, ipAddress = null }) {
+    const pool = getPool();
+    await pool.execute(
+      `INSERT INTO audit_log (user_id, username, action, entity_type, entity_id, before_data, after_data, ip_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        username,
+        action,
+        entityType,
+        entityId != null ? String(entityId) : null,
+        before != null ? JSON.stringify(before) : null,
+        after != null ? JSON.stringify(after) : null,
+        ipAddress
+      ]
+    );
+  }
+
+  static async search(filters = {}) {
+    const { user_id, entity_type, entity_id, action, date_from, date_to, page = 1, limit = 20 } = filters;
+    const pool = getPool();
+
+    let where = ' WHERE 1=1';
+    const params = [];
+
+    if (user_id) {
+      where += ' AND user_id = ?';
+      params.push(user_id);
+    }
+    if (entity_type) {
+      where += ' AND entity_type = ?';
+      params.push(entity_type);
+    }
+    if (entity_id) {
+      where += ' AND entity_id = ?';
+      params.push(entity_id);
+    }
+    if (action) {
+      where += ' AND action = ?';
+      params.push(action);
+    }
+    if (date_from) {
+      where += ' AND DATE(created_at) >= ?';
+      params.push(date_from);
+    }
+    if (date_to) {
+      where += ' AND DATE(created_at) <= ?';
+      params.push(date_to);
+    }
+
+    const [countRows] = await pool.execute(`SELECT COUNT(*) as total FROM audit_log${where}`, params);
+    const total = countRows[0].total;
+    const offset = (page - 1) * limit;
+
+    const [rows] = await pool.execute(
+      `SELECT * FROM audit_log${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), parseInt(offset)]
+    );
+
+    return {
+      entries: rows.map(row => ({ ...row, before_data: parseJson(row.before_data), after_data: parseJson(row.after_data) })),
+      pagination: {
+        current_page: parseInt(page),
+        per_page: parseInt(limit),
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Values for the filter dropdowns on the audit page
+  static async getFilterOptions() {
+    const pool = getPool();
+    const [users] = await pool.execute(
+      'SELECT DISTINCT user_id, username FROM audit_log WHERE user_id IS NOT NULL ORDER BY username'
+    );
+    const [entities] = await pool.execute('SELECT DISTINCT entity_type FROM audit_log ORDER BY entity_type');
+    const [actions] = await pool.execute('SELECT DISTINCT action FROM audit_log ORDER BY action');
+    return {
+      users,
+      entity_types: entities.map(r => r.entity_type),
+      actions: actions.map(r => r.action)
+    };
+  }
+}
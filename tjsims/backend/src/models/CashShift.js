@@ -0,0 +1,244 @@
+import { getPool } from '../config/database.js';
+import { DocumentSequence } from './DocumentSequence.js';
+import { CASH_METHODS } from '../services/payments.js';
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const shiftError = (message, code) => Object.assign(new Error(message), { code });
+
+// Refunds handed back from the drawer (returns.refund_method)
+const CASH_REFUND_METHODS = ['Cash'];
+
+// Rows that fall inside the shift: from opening until closing (or now, while
+// it is still open). `column` is the row's timestamp.
+const inShift = (column) => `${column} >= sh.opened_at AND ${column} <= COALESCE(sh.closed_at, NOW())`;
+
+export class CashShift {
+  static async findAll({ date_from, date_to, page = 1, limit = 20 } = {}) {
+    const pool = getPool();
+    let where = ' WHERE 1=1';
+    const params = [];
+    if (date_from) {
+      where += ' AND DATE(opened_at) >= ?';
+      params.push(date_from);
+    }
+    if (date_to) {
+      where += ' AND DATE(opened_at) <= ?';
+      params.push(date_to);
+    }
+    const [[{ total }]] = await pool.execute(`SELECT COUNT(*) AS total FROM cash_shifts${where}`, params);
+    const offset = (page - 1) * limit;
+    const [rows] = await pool.execute(
+      `SELECT * FROM cash_shifts${where} ORDER BY opened_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), parseInt(offset)]
+    );
+    return {
+      shifts: rows,
+      pagination: {
+        current_page: parseInt(page),
+        per_page: parseInt(limit),
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM cash_shifts WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  static async findOpen() {
+    const pool = getPool();
+    const [rows] = await pool.execute("SELECT * FROM cash_shifts WHERE status = 'Open'");
+    return rows[0] || null;
+  }
+
+  static async findMovements(shiftId) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM cash_movements WHERE shift_id = ? ORDER BY created_at, id', [shiftId]);
+    return rows;
+  }
+
+  // Opens the store's drawer with the float counted into it
+  static async open({ opening_float, notes }, openedBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const shiftNumber = await DocumentSequence.next(connection, 'shift');
+      const [result] = await connection.execute(
+        'INSERT INTO cash_shifts (shift_number, opening_float, opening_notes, opened_by) VALUES (?, ?, ?, ?)',
+        [shiftNumber, round2(opening_float), notes || null, openedBy || null]
+      );
+      await connection.commit();
+      return result.insertId;
+    } catch (error) {
+      await connection.rollback();
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw shiftError('A shift is already open; close it before opening a new one', 'SHIFT_ALREADY_OPEN');
+      }
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Locks an open shift inside the caller's transaction
+  static async lockOpen(connection, id) {
+    const [[shift]] = await connection.execute('SELECT * FROM cash_shifts WHERE id = ? FOR UPDATE', [id]);
+    if (!shift) {
+      throw shiftError('Shift not found', 'SHIFT_NOT_FOUND');
+    }
+    if (shift.status !== 'Open') {
+      throw shiftError(`Shift ${shift.shift_number} is already closed`, 'SHIFT_CLOSED');
+    }
+    return shift;
+  }
+
+  // Cash put into or taken out of the drawer; more than is in it cannot be taken out
+  static async addMovement(id, { type, amount, reason }, createdBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      await this.lockOpen(connection, id);
+      if (type === 'out') {
+        const { expected_cash } = await this.summary(id, connection);
+        if (round2(amount) > expected_cash) {
+          throw shiftError(`Only ${expected_cash.toFixed(2)} should be in the drawer`, 'CASH_SHORT');
+        }
+      }
+      const [result] = await connection.execute(
+        'INSERT INTO cash_movements (shift_id, movement_type, amount, reason, created_by) VALUES (?, ?, ?, ?, ?)',
+        [id, type, round2(amount), reason, createdBy || null]
+      );
+      await connection.commit();
+      return result.insertId;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Closes the shift with the cash counted in the drawer; the expected cash
+  // and the variance (counted - expected, negative when short) are kept
+  static async close(id, { counted_cash, notes }, closedBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      await this.lockOpen(connection, id);
+      await connection.execute('UPDATE cash_shifts SET closed_at = NOW() WHERE id = ?', [id]);
+      const { expected_cash } = await this.summary(id, connection);
+      const variance = round2(counted_cash - expected_cash);
+      await connection.execute(
+        `UPDATE cash_shifts SET status = 'Closed', expected_cash = ?, counted_cash = ?, variance = ?, closing_notes = ?, closed_by = ?
+         WHERE id = ?`,
+        [expected_cash, round2(counted_cash), variance, notes || null, closedBy || null, id]
+      );
+      await connection.commit();
+      return { expected_cash, counted_cash: round2(counted_cash), variance };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // What went through the drawer during the shift (the Z-report figures).
+  // Payments are what was applied to sales (change already taken off);
+  // reversals are payments handed back when a sale was voided. Offline sales
+  // count in the shift they were rung up in; late_synced lists those that
+  // reached the server after it closed, so were not in its expected cash.
+  static async summary(id, connection = null) {
+    const db = connection || getPool();
+    const [[shift]] = await db.execute('SELECT * FROM cash_shifts WHERE id = ?', [id]);
+    if (!shift) return null;
+
+    const [payments] = await db.execute(
+      `SELECT p.method,
+              COUNT(CASE WHEN p.reversal_of IS NULL THEN 1 END) AS count,
+              COALESCE(SUM(CASE WHEN p.reversal_of IS NULL THEN p.amount END), 0) AS received,
+              COALESCE(-SUM(CASE WHEN p.reversal_of IS NOT NULL THEN p.amount END), 0) AS reversed
+       FROM payments p JOIN cash_shifts sh ON sh.id = ?
+       WHERE ${inShift('p.created_at')}
+       GROUP BY p.method
+       ORDER BY p.method`,
+      [id]
+    );
+    const [refunds] = await db.execute(
+      `SELECT r.refund_method AS method, COUNT(*) AS count, SUM(r.amount) AS amount
+       FROM refund_transactions r JOIN cash_shifts sh ON sh.id = ?
+       WHERE ${inShift('r.transaction_date')}
+       GROUP BY r.refund_method
+       ORDER BY r.refund_method`,
+      [id]
+    );
+    const [[sales]] = await db.execute(
+      `SELECT COUNT(*) AS count, COALESCE(SUM(s.subtotal), 0) AS gross, COALESCE(SUM(s.discount_total), 0) AS discounts,
+              COALESCE(SUM(s.vat_amount), 0) AS vat, COALESCE(SUM(s.total), 0) AS net,
+              COALESCE(SUM(s.on_account = 1), 0) AS on_account_count,
+              COALESCE(SUM(CASE WHEN s.on_account = 1 THEN s.total END), 0) AS on_account_total
+       FROM sales s JOIN cash_shifts sh ON sh.id = ?
+       WHERE ${inShift('s.created_at')} AND s.status <> 'Cancelled'`,
+      [id]
+    );
+    const [[voids]] = await db.execute(
+      `SELECT COUNT(*) AS count, COALESCE(SUM(s.total), 0) AS amount
+       FROM sales s JOIN cash_shifts sh ON sh.id = ?
+       WHERE ${inShift('s.voided_at')}`,
+      [id]
+    );
+    const [lateSynced] = await db.execute(
+      `SELECT s.id, s.sale_number, s.created_at, s.synced_at, s.total
+       FROM sales s JOIN cash_shifts sh ON sh.id = ?
+       WHERE ${inShift('s.created_at')} AND s.synced_at > sh.closed_at AND s.status <> 'Cancelled'
+       ORDER BY s.created_at`,
+      [id]
+    );
+    const [[movements]] = await db.execute(
+      `SELECT COALESCE(SUM(CASE WHEN movement_type = 'in' THEN amount END), 0) AS cash_in,
+              COALESCE(SUM(CASE WHEN movement_type = 'out' THEN amount END), 0) AS cash_out
+       FROM cash_movements WHERE shift_id = ?`,
+      [id]
+    );
+
+    const byMethod = payments.map(row => ({
+      method: row.method,
+      count: Number(row.count),
+      received: Number(row.received),
+      reversed: Number(row.reversed),
+      net: round2(row.received - row.reversed)
+    }));
+    const refundRows = refunds.map(row => ({ method: row.method, count: Number(row.count), amount: Number(row.amount) }));
+    const cashSales = round2(byMethod.filter(row => CASH_METHODS.includes(row.method)).reduce((sum, row) => sum + row.net, 0));
+    const cashRefunds = round2(refundRows.filter(row => CASH_REFUND_METHODS.includes(row.method)).reduce((sum, row) => sum + row.amount, 0));
+    const cashIn = Number(movements.cash_in);
+    const cashOut = Number(movements.cash_out);
+
+    return {
+      shift,
+      sales: Object.fromEntries(Object.entries(sales).map(([key, value]) => [key, Number(value)])),
+      voids: { count: Number(voids.count), amount: Number(voids.amount) },
+      payments: byMethod,
+      refunds: refundRows,
+      late_synced: lateSynced.map(row => ({ ...row, total: Number(row.total) })),
+      cash: {
+        opening_float: Number(shift.opening_float),
+        sales: cashSales,
+        refunds: cashRefunds,
+        cash_in: cashIn,
+        cash_out: cashOut
+      },
+      expected_cash: round2(Number(shift.opening_float) + cashSales - cashRefunds + cashIn - cashOut)
+    };
+  }
+}
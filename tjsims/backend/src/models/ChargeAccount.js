@@ -0,0 +1,247 @@
+import { getPool } from '../config/database.js';
+import { Payment } from './Payment.js';
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const accountError = (message, code) => Object.assign(new Error(message), { code });
+
+// What is still owed on an invoice (a sale charged to an account); returned
+// items come off the balance before anything is refunded
+const OWED = 'GREATEST(s.total - s.amount_paid - COALESCE(s.refund_amount, 0), 0)';
+const INVOICES = "s.on_account = 1 AND s.status <> 'Cancelled'";
+
+// Days past due_date: not yet due (current), then 1-30, 31-60, 61-90, over 90
+const AGING_BUCKETS = ['not_due', 'days_1_30', 'days_31_60', 'days_61_90', 'days_over_90'];
+
+export class ChargeAccount {
+  // Unpaid invoices, oldest due first. Pass a connection to lock them.
+  static async openInvoices(customerId, connection = null) {
+    const db = connection || getPool();
+    const [rows] = await db.execute(
+      `SELECT s.id, s.sale_number, s.created_at, s.due_date, s.total, s.amount_paid, COALESCE(s.refund_amount, 0) AS refund_amount,
+              ${OWED} AS balance, GREATEST(DATEDIFF(CURDATE(), s.due_date), 0) AS days_overdue
+       FROM sales s
+       WHERE s.customer_id = ? AND ${INVOICES} AND ${OWED} > 0
+       ORDER BY s.due_date, s.id${connection ? ' FOR UPDATE' : ''}`,
+      [customerId]
+    );
+    return rows;
+  }
+
+  // Account settings with what is owed and the credit still available
+  static async summary(customerId) {
+    const pool = getPool();
+    const [[customer]] = await pool.execute(
+      `SELECT c.id, c.customer_name, c.contact, c.address, c.charge_enabled, c.credit_limit, c.payment_terms_days,
+              COALESCE((SELECT SUM(${OWED}) FROM sales s WHERE s.customer_id = c.id AND ${INVOICES}), 0) AS balance,
+              COALESCE((SELECT SUM(${OWED}) FROM sales s WHERE s.customer_id = c.id AND ${INVOICES} AND s.due_date < CURDATE()), 0) AS overdue
+       FROM customers c
+       WHERE c.id = ?`,
+      [customerId]
+    );
+    if (!customer) return null;
+    return {
+      ...customer,
+      charge_enabled: Boolean(customer.charge_enabled),
+      credit_limit: Number(customer.credit_limit),
+      balance: Number(customer.balance),
+      overdue: Number(customer.overdue),
+      available_credit: Math.max(0, round2(customer.credit_limit - customer.balance))
+    };
+  }
+
+  static async updateSettings(customerId, { charge_enabled, credit_limit, payment_terms_days }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE customers SET charge_enabled = ?, credit_limit = ?, payment_terms_days = ? WHERE id = ?',
+      [charge_enabled ? 1 : 0, credit_limit, payment_terms_days, customerId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Checks, inside the caller's transaction, that `amount` can be charged to
+  // the customer's account. The customer row is locked first so two terminals
+  // cannot both use the last of the limit. Returns the invoice's due date.
+  static async reserveCredit(connection, customerId, amount) {
+    if (!customerId) {
+      throw accountError('Select a saved customer with a charge account to sell on account', 'CHARGE_ACCOUNT_REQUIRED');
+    }
+    const [[customer]] = await connection.execute(
+      `SELECT customer_name, charge_enabled, credit_limit, DATE_ADD(CURDATE(), INTERVAL payment_terms_days DAY) AS due_date
+       FROM customers WHERE id = ? FOR UPDATE`,
+      [customerId]
+    );
+    if (!customer) {
+      throw accountError('Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+    if (!customer.charge_enabled) {
+      throw accountError(`${customer.customer_name} does not have a charge account`, 'CHARGE_ACCOUNT_REQUIRED');
+    }
+    const [[{ balance }]] = await connection.execute(
+      `SELECT COALESCE(SUM(${OWED}), 0) AS balance FROM sales s WHERE s.customer_id = ? AND ${INVOICES}`,
+      [customerId]
+    );
+    const available = round2(customer.credit_limit - balance);
+    if (round2(amount) > available) {
+      throw accountError(
+        `Charging ${round2(amount).toFixed(2)} would put ${customer.customer_name} over their credit limit; ${Math.max(0, available).toFixed(2)} is available`,
+        'CREDIT_LIMIT_EXCEEDED'
+      );
+    }
+    return customer.due_date;
+  }
+
+  // Applies money received on the account to the oldest invoices first.
+  // Returns { id, allocations: [{ sale_id, sale_number, amount }], balance }
+  static async receivePayment(customerId, { method, amount, reference, notes }, receivedBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [[customer]] = await connection.execute('SELECT id FROM customers WHERE id = ? FOR UPDATE', [customerId]);
+      if (!customer) {
+        throw accountError('Customer not found', 'CUSTOMER_NOT_FOUND');
+      }
+      const invoices = await this.openInvoices(customerId, connection);
+      const owed = round2(invoices.reduce((sum, invoice) => sum + Number(invoice.balance), 0));
+      if (owed <= 0) {
+        throw accountError('This account has no open invoices', 'PAYMENT_EXCEEDS_BALANCE');
+      }
+      if (round2(amount) > owed) {
+        throw accountError(`Payment of ${round2(amount).toFixed(2)} is more than the ${owed.toFixed(2)} owed on the account`, 'PAYMENT_EXCEEDS_BALANCE');
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO account_payments (customer_id, method, amount, reference, notes, received_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [customerId, method, round2(amount), reference || null, notes || null, receivedBy || null]
+      );
+      const accountPaymentId = result.insertId;
+
+      let remaining = round2(amount);
+      const allocations = [];
+      for (const invoice of invoices) {
+        if (remaining <= 0) break;
+        const share = Math.min(remaining, Number(invoice.balance));
+        await Payment.insertLines(connection, invoice.id, [{
+          method, tendered: share, amount: share, change_given: 0,
+          reference: reference || null, notes: notes || null, account_payment_id: accountPaymentId
+        }], receivedBy);
+        await Payment.syncStatus(connection, invoice.id);
+        allocations.push({ sale_id: invoice.id, sale_number: invoice.sale_number, amount: share });
+        remaining = round2(remaining - share);
+      }
+
+      await connection.commit();
+      return { id: accountPaymentId, allocations, balance: round2(owed - amount) };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Statement of account: invoices, payments and returns with a running
+  // balance. Everything before date_from is rolled into opening_balance.
+  static async statement(customerId, { date_from, date_to } = {}) {
+    const pool = getPool();
+    const params = [customerId, customerId, customerId];
+    let until = '';
+    if (date_to) {
+      until = ' WHERE DATE(entry_date) <= ?';
+      params.push(date_to);
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT * FROM (
+         SELECT 'invoice' AS entry_type, s.created_at AS entry_date, s.id AS sale_id, s.sale_number AS reference,
+                s.due_date, s.total AS amount, NULL AS method, NULL AS account_payment_id
+         FROM sales s WHERE s.customer_id = ? AND ${INVOICES}
+         UNION ALL
+         SELECT 'payment', COALESCE(ap.created_at, p.created_at), p.sale_id,
+                COALESCE(ap.reference, p.reference, IF(ap.id IS NULL, s.sale_number, CONCAT('Account payment #', ap.id))),
+                NULL, p.amount, p.method, p.account_payment_id
+         FROM payments p
+         JOIN sales s ON s.id = p.sale_id
+         LEFT JOIN account_payments ap ON ap.id = p.account_payment_id
+         WHERE s.customer_id = ? AND ${INVOICES} AND p.amount > 0
+         UNION ALL
+         SELECT 'return', r.return_date, s.id, r.return_id, NULL, r.refund_amount, NULL, NULL
+         FROM returns r JOIN sales s ON s.id = r.order_id
+         WHERE s.customer_id = ? AND s.on_account = 1
+       ) entries${until}
+       ORDER BY entry_date, entry_type = 'invoice' DESC, account_payment_id, sale_id`,
+      params
+    );
+
+    // Returns only take off what was still owed on their invoice (the rest
+    // went back to the customer), so follow each invoice's balance
+    const owedBySale = new Map();
+    const from = date_from ? new Date(`${date_from}T00:00:00`) : null;
+    let running = 0;
+    let opening = 0;
+    const entries = [];
+    for (const row of rows) {
+      const owed = owedBySale.get(row.sale_id) || 0;
+      const change = row.entry_type === 'invoice'
+        ? Number(row.amount)
+        : -(row.entry_type === 'return' ? Math.min(Number(row.amount), owed) : Number(row.amount));
+      owedBySale.set(row.sale_id, round2(owed + change));
+      if (change === 0) continue;
+      running = round2(running + change);
+      if (from && new Date(row.entry_date) < from) {
+        opening = running;
+        continue;
+      }
+
+      // An account payment spread over several invoices is listed once
+      const previous = entries[entries.length - 1];
+      if (row.account_payment_id && previous?.account_payment_id === row.account_payment_id) {
+        previous.amount = round2(previous.amount - change);
+        previous.balance_after = running;
+        continue;
+      }
+      entries.push({ ...row, amount: Math.abs(change), balance_after: running });
+    }
+    return { opening_balance: opening, closing_balance: running, entries };
+  }
+
+  // Accounts receivable aging: what each customer owes, bucketed by how far
+  // past due it is as of `asOf` (a YYYY-MM-DD date, today by default)
+  static async aging(asOf = null) {
+    const pool = getPool();
+    let date = asOf;
+    if (!date) {
+      [[{ date }]] = await pool.execute("SELECT DATE_FORMAT(CURDATE(), '%Y-%m-%d') AS date");
+    }
+    const overdue = 'DATEDIFF(?, s.due_date)';
+    const [rows] = await pool.execute(
+      `SELECT c.id AS customer_id, c.customer_name, c.contact, c.credit_limit, c.payment_terms_days,
+              COUNT(*) AS open_invoices,
+              SUM(CASE WHEN ${overdue} <= 0 THEN ${OWED} ELSE 0 END) AS not_due,
+              SUM(CASE WHEN ${overdue} BETWEEN 1 AND 30 THEN ${OWED} ELSE 0 END) AS days_1_30,
+              SUM(CASE WHEN ${overdue} BETWEEN 31 AND 60 THEN ${OWED} ELSE 0 END) AS days_31_60,
+              SUM(CASE WHEN ${overdue} BETWEEN 61 AND 90 THEN ${OWED} ELSE 0 END) AS days_61_90,
+              SUM(CASE WHEN ${overdue} > 90 THEN ${OWED} ELSE 0 END) AS days_over_90,
+              SUM(${OWED}) AS total
+       FROM sales s
+       JOIN customers c ON c.id = s.customer_id
+       WHERE ${INVOICES} AND DATE(s.created_at) <= ? AND ${OWED} > 0
+       GROUP BY c.id
+       ORDER BY total DESC, c.customer_name`,
+      [date, date, date, date, date, date]
+    );
+
+    const accounts = rows.map(row => ({
+      ...row,
+      credit_limit: Number(row.credit_limit),
+      ...Object.fromEntries([...AGING_BUCKETS, 'total'].map(key => [key, Number(row[key])]))
+    }));
+    const totals = Object.fromEntries([...AGING_BUCKETS, 'total'].map(key => [
+      key, round2(accounts.reduce((sum, account) => sum + account[key], 0))
+    ]));
+    return { as_of: date, accounts, totals };
+  }
+}
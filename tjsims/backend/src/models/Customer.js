@@ -0,0 +1,78 @@
+import { getPool } from '../config/database.js';
+
+export class Customer {
+  // Customers with a record, then everyone else found on past sales (id
+  // null); each name + contact appears once
+  static async findAll({ search } = {}) {
+    const pool = getPool();
+    const params = [];
+    let recordFilter = '';
+    let salesFilter = '';
+    if (search) {
+      const like = `%${search}%`;
+      recordFilter = ' WHERE c.customer_name LIKE ? OR c.contact LIKE ?';
+      salesFilter = ' AND (s.customer_name LIKE ? OR s.contact LIKE ?)';
+      params.push(like, like, like, like);
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT c.id, c.customer_name, c.contact, c.address, c.price_tier_id, t.name AS price_tier_name, c.store_credit_balance,
+              c.charge_enabled, c.credit_limit,
+              COALESCE((SELECT SUM(GREATEST(s.total - s.amount_paid - COALESCE(s.refund_amount, 0), 0)) FROM sales s
+                        WHERE s.customer_id = c.id AND s.on_account = 1 AND s.status <> 'Cancelled'), 0) AS account_balance
+       FROM customers c
+       LEFT JOIN price_tiers t ON t.id = c.price_tier_id${recordFilter}
+       UNION
+       SELECT DISTINCT NULL, s.customer_name, s.contact, s.address, NULL, NULL, 0, 0, 0, 0
+       FROM sales s
+       WHERE s.customer_name IS NOT NULL AND s.customer_name <> ''${salesFilter}
+         AND NOT EXISTS (SELECT 1 FROM customers c WHERE c.customer_name = s.customer_name AND c.contact = COALESCE(s.contact, ''))
+       ORDER BY customer_name ASC`,
+      params
+    );
+    return rows;
+  }
+
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT c.*, t.name AS price_tier_name
+       FROM customers c
+       LEFT JOIN price_tiers t ON t.id = c.price_tier_id
+       WHERE c.id = ?`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  // Creates the record for a name + contact, or updates it if one exists
+  static async save({ customer_name, contact, address, price_tier_id }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `INSERT INTO customers (customer_name, contact, address, price_tier_id) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), address = VALUES(address), price_tier_id = VALUES(price_tier_id)`,
+      [customer_name, contact || '', address || null, price_tier_id || null]
+    );
+    return result.insertId;
+  }
+
+  // The record for a name + contact inside the caller's transaction, created
+  // when there is none yet (e.g. the first store credit refund to a walk-in)
+  static async findOrCreate(connection, { customer_name, contact, address }) {
+    const [result] = await connection.execute(
+      `INSERT INTO customers (customer_name, contact, address) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+      [customer_name, contact || '', address || null]
+    );
+    return result.insertId;
+  }
+
+  static async update(id, { customer_name, contact, address, price_tier_id }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE customers SET customer_name = ?, contact = ?, address = ?, price_tier_id = ? WHERE id = ?',
+      [customer_name, contact || '', address || null, price_tier_id || null, id]
+    );
+    return result.affectedRows > 0;
+  }
+}
@@ -0,0 +1,47 @@
+import { getPool } from '../config/database.js';
+import { formatNumber, periodKey } from '../services/numbering.js';
+
+export class DocumentSequence {
+  static async findAll() {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM document_sequences ORDER BY doc_type');
+    return rows.map(row => ({ ...row, preview: formatNumber(row, row.period_key === periodKey(row.reset_period) ? row.next_value : 1) }));
+  }
+
+  static async findByType(docType) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM document_sequences WHERE doc_type = ?', [docType]);
+    return rows[0] || null;
+  }
+
+  // Takes the next number for docType inside the caller's transaction. The
+  // row stays locked until that transaction ends, so concurrent callers wait
+  // and a rollback hands the number back.
+  static async next(connection, docType, date = new Date()) {
+    const [[sequence]] = await connection.execute(
+      'SELECT * FROM document_sequences WHERE doc_type = ? FOR UPDATE',
+      [docType]
+    );
+    if (!sequence) {
+      throw new Error(`No document sequence configured for ${docType}`);
+    }
+    const key = periodKey(sequence.reset_period, date);
+    const value = sequence.period_key === key ? sequence.next_value : 1;
+    await connection.execute(
+      'UPDATE document_sequences SET next_value = ?, period_key = ? WHERE doc_type = ?',
+      [value + 1, key, docType]
+    );
+    return formatNumber(sequence, value, date);
+  }
+
+  // Only the shape of the number changes; the counter carries on
+  static async update(docType, { prefix, format, padding, reset_period }, updatedBy) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `UPDATE document_sequences SET prefix = ?, format = ?, padding = ?, reset_period = ?, updated_by = ?
+       WHERE doc_type = ?`,
+      [prefix, format, padding, reset_period, updatedBy || null, docType]
+    );
+    return result.affectedRows > 0;
+  }
+}
@@ -1,4 +1,5 @@
 import { getPool } from '../config/database.js';
+import { DocumentSequence } from './DocumentSequence.js';
 
 export class Inventory {
   static async findByProductId(productId) {
@@ -63,8 +64,7 @@ export class Inventory {
         inventoryId = inventory[0].id;
       }
 
-      // Generate transaction ID
-      const transactionId = `TRX-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+      const transactionId = await DocumentSequence.next(connection, quantity > 0 ? 'stock_in' : 'stock_out');
 
       // Record the transaction
       const createdBy = options.createdBy || 'System';
@@ -137,9 +137,9 @@ export class Inventory {
     const params = [];
 
     if (filters.search) {
-      query += ' AND (p.name LIKE ? OR p.product_id LIKE ? OR p.brand LIKE ?)';
+      query += ' AND (p.name LIKE ? OR p.product_id LIKE ? OR p.brand LIKE ? OR p.product_id IN (SELECT product_id FROM product_barcodes WHERE barcode = ?))';
       const searchTerm = `%${filters.search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+      params.push(searchTerm, searchTerm, searchTerm, filters.search);
     }
 
     if (filters.category) {
@@ -167,7 +167,7 @@ export class Inventory {
     return rows;
   }
 
-  static async bulkStockIn({ supplier, receivedBy, serialNumber, receivedDate, products }) {
+  static async bulkStockIn({ supplier, receivedBy, serialNumber, receivedDate, products, createdBy }) {
     const pool = getPool();
     const connection = await pool.getConnection();
 
@@ -218,7 +218,7 @@ export class Inventory {
           inventoryId = inventory[0].id;
         }
 
-        const transactionId = `TRX-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+        const transactionId = await DocumentSequence.next(connection, 'stock_in');
         await connection.execute(
           `INSERT INTO inventory_transactions (
              transaction_id,
@@ -239,7 +239,7 @@ export class Inventory {
             productSerial || null,
             notes,
             transactionDate,
-            receivedBy
+            createdBy || 'System'
           ]
         );
       }
@@ -254,7 +254,7 @@ export class Inventory {
     }
   }
 
-  static async returnToSupplier({ supplier, returnedBy, returnDate, products, reason }) {
+  static async returnToSupplier({ supplier, returnedBy, returnDate, products, reason, createdBy }) {
     const pool = getPool();
     const connection = await pool.getConnection();
 
@@ -346,7 +346,7 @@ export class Inventory {
         // -----------------------------------------------------
 
         const notes = `Return to Supplier - Reason: ${reason || 'N/A'} | Supplier: ${supplier} | Serials: ${serialsString} | Returned by: ${returnedBy}`;
-        const transactionId = `TRX-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+        const transactionId = await DocumentSequence.next(connection, 'stock_out');
         
         await connection.execute(
           `INSERT INTO inventory_transactions (
@@ -368,7 +368,7 @@ export class Inventory {
             serialsString !== 'N/A' ? serialsString : null,
             notes,
             transactionDate,
-            returnedBy
+            createdBy || 'System'
           ]
         );
       }
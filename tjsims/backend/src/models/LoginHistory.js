@@ -0,0 +1,21 @@
+import { getPool } from '../config/database.js';
+
+export class LoginHistory {
+  static async record({ userId = null, email, success, failureReason = null, ipAddress = null, userAgent = null }) {
+    const pool = getPool();
+    await pool.execute(
+      `INSERT INTO login_history (user_id, email, success, failure_reason, ip_address, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, email, success ? 1 : 0, failureReason, ipAddress, userAgent ? userAgent.slice(0, 255) : null]
+    );
+  }
+
+  static async findByUserId(userId, limit = 50) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT * FROM login_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+      [userId, parseInt(limit)]
+    );
+    return rows;
+  }
+}
@@ -0,0 +1,132 @@
+import { getPool } from '../config/database.js';
+
+const parkError = (message, code) => Object.assign(new Error(message), { code });
+
+const serialsIn = (cart) => cart.items.flatMap(item => item.serialNumbers || []);
+
+const releaseExpiredIn = async (connection) => {
+  const [expired] = await connection.execute('SELECT id FROM parked_sales WHERE expires_at < NOW() FOR UPDATE');
+  for (const { id } of expired) {
+    await connection.execute(
+      "UPDATE serial_numbers SET status = 'available', parked_sale_id = NULL WHERE parked_sale_id = ? AND status = 'reserved'",
+      [id]
+    );
+    await connection.execute('DELETE FROM parked_sales WHERE id = ?', [id]);
+  }
+  return expired.length;
+};
+
+export class ParkedSale {
+  // Carts still parked, oldest first; the cart itself is only sent on resume
+  static async findAll() {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, customer_name, note, item_count, total, parked_by, parked_at, expires_at
+       FROM parked_sales
+       WHERE expires_at >= NOW()
+       ORDER BY parked_at`
+    );
+    return rows;
+  }
+
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM parked_sales WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  // Holds the cart's serials so no other terminal can sell them meanwhile
+  static async park({ cart, customer_name, note, total }, parkedBy, expiryMinutes) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO parked_sales (customer_name, note, cart, item_count, total, parked_by, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [
+          customer_name || null,
+          note || null,
+          JSON.stringify(cart),
+          cart.items.reduce((sum, item) => sum + item.quantity, 0),
+          total || 0,
+          parkedBy || null,
+          expiryMinutes
+        ]
+      );
+      const parkedId = result.insertId;
+
+      for (const sn of serialsIn(cart)) {
+        const [update] = await connection.execute(
+          `UPDATE serial_numbers SET status = 'reserved', parked_sale_id = ?
+           WHERE serial_number = ? AND status = 'available'`,
+          [parkedId, sn]
+        );
+        if (update.affectedRows === 0) {
+          throw parkError(`Serial number ${sn} is no longer available`, 'SERIAL_UNAVAILABLE');
+        }
+      }
+
+      await connection.commit();
+      return parkedId;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Removes a parked cart and releases its serials; returns the cart so the
+  // terminal that resumes it can rebuild it. Expired carts cannot be taken.
+  static async take(id) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [[parked]] = await connection.execute(
+        'SELECT * FROM parked_sales WHERE id = ? AND expires_at >= NOW() FOR UPDATE',
+        [id]
+      );
+      if (!parked) {
+        throw parkError('Parked sale not found or it has expired', 'PARKED_SALE_NOT_FOUND');
+      }
+      await connection.execute(
+        "UPDATE serial_numbers SET status = 'available', parked_sale_id = NULL WHERE parked_sale_id = ? AND status = 'reserved'",
+        [id]
+      );
+      await connection.execute('DELETE FROM parked_sales WHERE id = ?', [id]);
+
+      await connection.commit();
+      return { ...parked, cart: JSON.parse(parked.cart) };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Drops carts past expires_at and hands their serials back. Run before
+  // anything lists parked carts or available serials. Given a connection it
+  // runs inside that transaction (a sale about to claim serials).
+  static async releaseExpired(existing = null) {
+    if (existing) return releaseExpiredIn(existing);
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const released = await releaseExpiredIn(connection);
+      await connection.commit();
+      return released;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
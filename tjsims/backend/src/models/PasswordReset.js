@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import { getPool } from '../config/database.js';
+import { sendMail } from '../services/mailer.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export class PasswordReset {
+  // Issue a new token for the user and invalidate any earlier unused ones.
+  // Returns the raw token; only its hash is stored.
+  static async createToken(userId, ttlMinutes = 30) {
+    const pool = getPool();
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await pool.execute(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    await pool.execute(
+      'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+      [userId, hashToken(token), ttlMinutes]
+    );
+
+    return token;
+  }
+
+  // Issue a token and email the reset link to the user
+  static async sendLink(user, ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30) {
+    const token = await this.createToken(user.id, ttlMinutes);
+    const link = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/admin/reset-password?token=${token}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your TJ Sims password',
+      text: `Hi ${user.username},\n\nUse the link below to set a new password. It expires in ${ttlMinutes} minutes and can only be used once.\n\n${link}\n\nIf you did not ask for this, you can ignore this email.`
+    });
+  }
+
+  // Mark the token used and set the user's new password in one transaction.
+  // Returns the user id, or null when the token is unknown, expired or already used.
+  static async resetPassword(token, passwordHash) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT id, user_id FROM password_reset_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW() FOR UPDATE',
+        [hashToken(token)]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      const { id, user_id } = rows[0];
+      await connection.execute('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?', [id]);
+      await connection.execute(
+        'UPDATE users SET password_hash = ?, must_change_password = 0, password_changed_at = NOW() WHERE id = ?',
+        [passwordHash, user_id]
+      );
+
+      await connection.commit();
+      return user_id;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
@@ -0,0 +1,124 @@
+import { getPool } from '../config/database.js';
+import { StoreCredit } from './StoreCredit.js';
+import { allocatePayments, derivePaymentStatus, STORE_CREDIT } from '../services/payments.js';
+
+// The customer record whose wallet pays a Store Credit line on this sale
+const walletOwner = async (connection, saleId) => {
+  const [[sale]] = await connection.execute('SELECT customer_id, sale_number FROM sales WHERE id = ?', [saleId]);
+  if (!sale?.customer_id) {
+    throw Object.assign(new Error('Store credit can only be used for a saved customer; select the customer first'), { code: 'STORE_CREDIT_NO_CUSTOMER' });
+  }
+  return sale;
+};
+
+export class Payment {
+  static async findBySale(saleId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT * FROM payments WHERE sale_id = ? ORDER BY created_at, id',
+      [saleId]
+    );
+    return rows;
+  }
+
+  // Writes allocated lines (see services/payments.js) inside the caller's
+  // transaction; Store Credit lines are debited from the customer's wallet.
+  // Lines of a charge account payment carry its account_payment_id; paidAt
+  // backdates them to when an offline sale was rung up.
+  static async insertLines(connection, saleId, lines, receivedBy, paidAt = null) {
+    for (const line of lines) {
+      if (line.amount === 0 && line.change_given === 0) continue;
+      if (line.method === STORE_CREDIT) {
+        const sale = await walletOwner(connection, saleId);
+        await StoreCredit.post(connection, sale.customer_id, { type: 'payment', amount: -line.amount, sale_id: saleId, notes: `Payment for ${sale.sale_number}`, createdBy: receivedBy });
+      }
+      await connection.execute(
+        `INSERT INTO payments (sale_id, method, amount, tendered, change_given, reference, notes, received_by, account_payment_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, NOW()))`,
+        [saleId, line.method, line.amount, line.tendered, line.change_given, line.reference, line.notes, receivedBy || null, line.account_payment_id || null, paidAt]
+      );
+    }
+  }
+
+  // Cancels every payment on a sale with a negative row (used when voiding);
+  // store credit goes back to the customer's wallet. Returns the total handed
+  // back (store credit included).
+  static async reverseAll(connection, saleId, reversedBy, reason) {
+    const [rows] = await connection.execute(
+      `SELECT p.* FROM payments p
+       WHERE p.sale_id = ? AND p.reversal_of IS NULL AND p.amount > 0
+         AND NOT EXISTS (SELECT 1 FROM payments r WHERE r.reversal_of = p.id)`,
+      [saleId]
+    );
+    let reversed = 0;
+    for (const payment of rows) {
+      await connection.execute(
+        `INSERT INTO payments (sale_id, method, amount, tendered, change_given, reference, notes, received_by, reversal_of)
+         VALUES (?, ?, ?, ?, 0, ?, ?, ?, ?)`,
+        [saleId, payment.method, -payment.amount, -payment.amount, payment.reference, `Reversed: ${reason}`.slice(0, 255), reversedBy || null, payment.id]
+      );
+      if (payment.method === STORE_CREDIT) {
+        const sale = await walletOwner(connection, saleId);
+        await StoreCredit.post(connection, sale.customer_id, { type: 'payment_reversal', amount: Number(payment.amount), sale_id: saleId, notes: `Voided ${sale.sale_number}: ${reason}`.slice(0, 255), createdBy: reversedBy });
+      }
+      reversed += Number(payment.amount);
+    }
+    return Math.round(reversed * 100) / 100;
+  }
+
+  // Recomputes amount_paid and payment_status from the ledger
+  static async syncStatus(connection, saleId) {
+    const [[sale]] = await connection.execute(
+      `SELECT s.total, s.status, s.on_account, s.refund_amount,
+              COALESCE((SELECT SUM(amount) FROM payments WHERE sale_id = s.id), 0) AS amount_paid,
+              COALESCE((SELECT SUM(amount) FROM refund_transactions WHERE order_id = s.id), 0) AS refunded
+       FROM sales s WHERE s.id = ?`,
+      [saleId]
+    );
+    const paymentStatus = derivePaymentStatus(sale);
+    await connection.execute(
+      'UPDATE sales SET amount_paid = ?, payment_status = ? WHERE id = ?',
+      [sale.amount_paid, paymentStatus, saleId]
+    );
+    const returned = sale.on_account ? Number(sale.refund_amount || 0) : 0;
+    return { amount_paid: Number(sale.amount_paid), payment_status: paymentStatus, balance: Math.max(0, Number(sale.total) - Number(sale.amount_paid) - returned) };
+  }
+
+  // Records one or more payments against an existing sale's balance.
+  // Returns { payments, change, amount_paid, payment_status, balance }
+  static async record(saleId, payments, receivedBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [[sale]] = await connection.execute(
+        'SELECT id, total, amount_paid, status, on_account, refund_amount FROM sales WHERE id = ? FOR UPDATE',
+        [saleId]
+      );
+      if (!sale) {
+        throw Object.assign(new Error('Sale not found'), { code: 'SALE_NOT_FOUND' });
+      }
+      if (sale.status === 'Cancelled') {
+        throw Object.assign(new Error('Cannot record a payment on a cancelled sale'), { code: 'SALE_CLOSED' });
+      }
+      // Returns on a charge invoice have already come off what is owed
+      const balance = Number(sale.total) - Number(sale.amount_paid) - (sale.on_account ? Number(sale.refund_amount || 0) : 0);
+      if (balance <= 0) {
+        throw Object.assign(new Error('This sale is already fully paid'), { code: 'SALE_CLOSED' });
+      }
+
+      const allocation = allocatePayments(payments, balance);
+      await this.insertLines(connection, saleId, allocation.lines, receivedBy);
+      const summary = await this.syncStatus(connection, saleId);
+
+      await connection.commit();
+      return { payments: allocation.lines, change: allocation.change, ...summary };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
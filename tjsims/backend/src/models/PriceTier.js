@@ -0,0 +1,112 @@
+import { getPool } from '../config/database.js';
+
+const FIELDS = ['name', 'kind', 'percent_off', 'status'];
+
+// Per-product rules: a fixed price or a percent off, never both
+const writeItems = async (connection, tierId, items = []) => {
+  await connection.execute('DELETE FROM price_tier_items WHERE tier_id = ?', [tierId]);
+  for (const item of items) {
+    await connection.execute(
+      'INSERT INTO price_tier_items (tier_id, product_id, price, percent_off) VALUES (?, ?, ?, ?)',
+      [tierId, item.product_id, item.price ?? null, item.price != null ? null : item.percent_off ?? null]
+    );
+  }
+};
+
+export class PriceTier {
+  static async findAll({ status } = {}) {
+    const pool = getPool();
+    let query = `SELECT t.*,
+        (SELECT COUNT(*) FROM price_tier_items i WHERE i.tier_id = t.id) AS item_count,
+        (SELECT COUNT(*) FROM customers c WHERE c.price_tier_id = t.id) AS customer_count
+      FROM price_tiers t WHERE 1=1`;
+    const params = [];
+    if (status) {
+      query += ' AND t.status = ?';
+      params.push(status);
+    }
+    query += ' ORDER BY t.name';
+    const [rows] = await pool.execute(query, params);
+    return rows;
+  }
+
+  // The tier with its product rules (and each product's list price)
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM price_tiers WHERE id = ?', [id]);
+    if (!rows[0]) return null;
+    const [items] = await pool.execute(
+      `SELECT i.product_id, i.price, i.percent_off, p.name AS product_name, p.brand, p.price AS list_price
+       FROM price_tier_items i
+       JOIN products p ON p.product_id = i.product_id
+       WHERE i.tier_id = ?
+       ORDER BY p.name`,
+      [id]
+    );
+    return { ...rows[0], items };
+  }
+
+  // An active tier in the shape services/pricing.js tierPrice() takes, or
+  // null when there is no such tier or it is switched off
+  static async findForPricing(id) {
+    const tier = await this.findById(id);
+    if (!tier || tier.status !== 'Active') return null;
+    const rules = {};
+    for (const item of tier.items) rules[item.product_id] = { price: item.price, percent_off: item.percent_off };
+    return { id: tier.id, name: tier.name, kind: tier.kind, percent_off: tier.percent_off, rules };
+  }
+
+  static async create(data, createdBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO price_tiers (${FIELDS.join(', ')}, created_by) VALUES (${FIELDS.map(() => '?').join(', ')}, ?)`,
+        [...FIELDS.map(field => data[field]), createdBy]
+      );
+      await writeItems(connection, result.insertId, data.items);
+      await connection.commit();
+      return result.insertId;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Replaces the tier's product rules with data.items
+  static async update(id, data) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE price_tiers SET ${FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...FIELDS.map(field => data[field]), id]
+      );
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return false;
+      }
+      await writeItems(connection, id, data.items);
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Customers on a deleted tier go back to list price (FK ON DELETE SET NULL)
+  static async delete(id) {
+    const pool = getPool();
+    const [result] = await pool.execute('DELETE FROM price_tiers WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
@@ -1,4 +1,19 @@
 import { getPool } from '../config/database.js';
+import { removeUpload } from '../services/uploads.js';
+
+// Adds each product's barcodes (product_barcodes) as an array
+const attachBarcodes = async (pool, products) => {
+  if (products.length === 0) return products;
+  const ids = products.map(p => p.product_id);
+  const [rows] = await pool.execute(
+    `SELECT product_id, barcode FROM product_barcodes WHERE product_id IN (${ids.map(() => '?').join(', ')}) ORDER BY id`,
+    ids
+  );
+  return products.map(p => ({
+    ...p,
+    barcodes: rows.filter(row => row.product_id === p.product_id).map(row => row.barcode)
+  }));
+};
 
 export class Product {
   static async create(productData) {
@@ -13,7 +28,10 @@ export class Product {
       description,
       vehicle_compatibility,
       image,
-      requires_serial
+      thumbnail,
+      requires_serial,
+      tax_class,
+      barcodes
     } = productData;
 
     // Generate unique product_id
@@ -22,10 +40,11 @@ export class Product {
     const productId = `P${nextId.toString().padStart(3, '0')}`;
 
     const [result] = await pool.execute(
-      `INSERT INTO products (product_id, name, brand, category, vehicle_compatibility, price, status, description, image, requires_serial, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-      [productId, name, brand, category, vehicle_compatibility || null, price, status, description, image, requires_serial ? 1 : 0]
+      `INSERT INTO products (product_id, name, brand, category, vehicle_compatibility, price, tax_class, status, description, image, thumbnail, requires_serial, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [productId, name, brand, category, vehicle_compatibility || null, price, tax_class || 'vatable', status, description, image, thumbnail || null, requires_serial ? 1 : 0]
     );
+    if (barcodes && barcodes.length > 0) await Product.setBarcodes(productId, barcodes);
 
     return result.insertId;
   }
@@ -42,8 +61,8 @@ export class Product {
     const { search, category, brand, status } = filters;
 
     if (search) {
-      whereClause += ' AND (name LIKE ? OR product_id LIKE ? OR brand LIKE ?)';
-      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+      whereClause += ' AND (name LIKE ? OR product_id LIKE ? OR brand LIKE ? OR product_id IN (SELECT product_id FROM product_barcodes WHERE barcode = ?))';
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`, search);
     }
 
     if (category && category !== 'All Categories') {
@@ -80,7 +99,7 @@ export class Product {
 
     // 5. Return the structure the Controller expects
     return {
-      products: rows,
+      products: await attachBarcodes(pool, rows),
       total: countResult[0].total
     };
   }
@@ -91,7 +110,89 @@ export class Product {
       'SELECT * FROM products WHERE product_id = ?',
       [id]
     );
-    return rows[0] || null;
+    if (!rows[0]) return null;
+    const [product] = await attachBarcodes(pool, rows);
+    return product;
+  }
+
+  // By the internal products.id, which DELETE /api/products/:id takes
+  static async findByInternalId(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM products WHERE id = ?', [id]);
+    if (!rows[0]) return null;
+    const [product] = await attachBarcodes(pool, rows);
+    return product;
+  }
+
+  // Products other than exceptProductId that already carry any of these codes
+  static async findBarcodeOwners(barcodes, exceptProductId = null) {
+    if (!barcodes || barcodes.length === 0) return [];
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT pb.barcode, p.product_id, p.name
+       FROM product_barcodes pb
+       JOIN products p ON p.product_id = pb.product_id
+       WHERE pb.barcode IN (${barcodes.map(() => '?').join(', ')}) AND pb.product_id <> ?`,
+      [...barcodes, exceptProductId || '']
+    );
+    return rows;
+  }
+
+  // Replaces the product's barcodes with the given list
+  static async setBarcodes(productId, barcodes) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      await connection.execute('DELETE FROM product_barcodes WHERE product_id = ?', [productId]);
+      for (const barcode of barcodes) {
+        await connection.execute(
+          'INSERT INTO product_barcodes (product_id, barcode) VALUES (?, ?)',
+          [productId, barcode]
+        );
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Resolves a scanned code. Product barcodes and product IDs win over serial
+  // numbers; a serial number shared by two products resolves to the one that
+  // is still available. Returns { type: 'product' | 'serial', product, serial }
+  // with the product's current stock, or null when nothing matches.
+  static async lookupCode(code) {
+    const pool = getPool();
+    const productQuery = `
+      SELECT p.*, COALESCE(i.stock, 0) AS stock
+      FROM products p
+      LEFT JOIN inventory i ON i.product_id = p.product_id
+      WHERE p.product_id = ?`;
+
+    const [[byBarcode]] = await pool.execute('SELECT product_id FROM product_barcodes WHERE barcode = ?', [code]);
+    const [products] = await pool.execute(productQuery, [byBarcode ? byBarcode.product_id : code]);
+    if (products[0]) {
+      const [product] = await attachBarcodes(pool, products);
+      return { type: 'product', product, serial: null };
+    }
+
+    const [serials] = await pool.execute(
+      `SELECT sn.*, ps.parked_by, ps.expires_at AS reserved_until
+       FROM serial_numbers sn
+       LEFT JOIN parked_sales ps ON ps.id = sn.parked_sale_id
+       WHERE sn.serial_number = ?
+       ORDER BY sn.status = 'available' DESC, sn.created_at DESC
+       LIMIT 1`,
+      [code]
+    );
+    if (!serials[0]) return null;
+    const [owner] = await pool.execute(productQuery, [serials[0].product_id]);
+    const [product] = await attachBarcodes(pool, owner);
+    return { type: 'serial', product, serial: serials[0] };
   }
 
   static async update(id, productData) {
@@ -106,7 +207,10 @@ export class Product {
       description,
       vehicle_compatibility,
       image,
-      requires_serial
+      thumbnail,
+      requires_serial,
+      tax_class,
+      barcodes
     } = productData;
 
     // Build dynamic update query
@@ -133,6 +237,10 @@ export class Product {
       updates.push('price = ?');
       params.push(price);
     }
+    if (tax_class !== undefined) {
+      updates.push('tax_class = ?');
+      params.push(tax_class);
+    }
     if (status !== undefined) {
       updates.push('status = ?');
       params.push(status);
@@ -145,20 +253,25 @@ export class Product {
       updates.push('image = ?');
       params.push(image);
     }
+    if (thumbnail !== undefined) {
+      updates.push('thumbnail = ?');
+      params.push(thumbnail);
+    }
 
     if (requires_serial !== undefined) {
       updates.push('requires_serial = ?');
       params.push(requires_serial ? 1 : 0);
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && barcodes === undefined) {
       throw new Error('No fields to update');
     }
 
     params.push(id); // Add id for WHERE clause
 
-    const query = `UPDATE products SET ${updates.join(', ')}, updated_at = NOW() WHERE product_id = ?`;
+    const query = `UPDATE products SET ${updates.join(', ')}${updates.length > 0 ? ',' : ''} updated_at = NOW() WHERE product_id = ?`;
     const [result] = await pool.execute(query, params);
+    if (result.affectedRows > 0 && barcodes !== undefined) await Product.setBarcodes(id, barcodes);
 
     return result.affectedRows > 0;
   }
@@ -166,7 +279,7 @@ export class Product {
   static async delete(id) {
     const pool = getPool();
     // Get product_id for the given internal id
-    const [prodRows] = await pool.execute('SELECT product_id FROM products WHERE id = ?', [id]);
+    const [prodRows] = await pool.execute('SELECT product_id, image, thumbnail FROM products WHERE id = ?', [id]);
     if (prodRows.length === 0) return false;
     const productId = prodRows[0].product_id;
 
@@ -179,6 +292,7 @@ export class Product {
     }
 
     const [result] = await pool.execute('DELETE FROM products WHERE id = ?', [id]);
+    if (result.affectedRows > 0) await removeUpload(prodRows[0].image, prodRows[0].thumbnail);
     return result.affectedRows > 0;
   }
   
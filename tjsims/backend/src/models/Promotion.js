@@ -0,0 +1,110 @@
+import { getPool } from '../config/database.js';
+
+const FIELDS = ['name', 'code', 'scope', 'target', 'discount_type', 'discount_value', 'min_purchase', 'starts_at', 'ends_at', 'usage_limit', 'status'];
+
+// Active, inside its date window and not used up
+const RUNNING = `status = 'Active'
+  AND (starts_at IS NULL OR starts_at <= NOW())
+  AND (ends_at IS NULL OR ends_at >= NOW())
+  AND (usage_limit IS NULL OR usage_count < usage_limit)`;
+
+// Forms send '' for blank optional fields; the table wants NULL
+const normalize = (data) => {
+  const values = {};
+  for (const field of FIELDS) values[field] = data[field] === '' || data[field] === undefined ? null : data[field];
+  if (values.code) values.code = values.code.toUpperCase();
+  if (values.scope === 'order') values.target = null;
+  return values;
+};
+
+export class Promotion {
+  static async findAll({ status, kind } = {}) {
+    const pool = getPool();
+    let query = `SELECT *, (${RUNNING}) AS is_running FROM promotions WHERE 1=1`;
+    const params = [];
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+    if (kind === 'coupon') query += ' AND code IS NOT NULL';
+    if (kind === 'automatic') query += ' AND code IS NULL';
+    query += ' ORDER BY created_at DESC';
+    const [rows] = await pool.execute(query, params);
+    return rows;
+  }
+
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(`SELECT *, (${RUNNING}) AS is_running FROM promotions WHERE id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // Automatic promotions (no code) that apply right now
+  static async findRunning() {
+    const pool = getPool();
+    const [rows] = await pool.execute(`SELECT * FROM promotions WHERE code IS NULL AND ${RUNNING}`);
+    return rows;
+  }
+
+  // The coupon behind a code, or an error explaining why it cannot be used
+  static async findCoupon(code) {
+    const pool = getPool();
+    const [rows] = await pool.execute(`SELECT *, (${RUNNING}) AS is_running FROM promotions WHERE code = ?`, [String(code).trim().toUpperCase()]);
+    const coupon = rows[0];
+    if (!coupon || coupon.status !== 'Active') {
+      throw Object.assign(new Error(`Coupon ${code} is not valid`), { code: 'COUPON_INVALID' });
+    }
+    if (!coupon.is_running) {
+      const usedUp = coupon.usage_limit != null && coupon.usage_count >= coupon.usage_limit;
+      const message = usedUp ? `Coupon ${code} has reached its usage limit` : `Coupon ${code} is not valid at this time`;
+      throw Object.assign(new Error(message), { code: 'COUPON_INVALID' });
+    }
+    return coupon;
+  }
+
+  static async create(data, createdBy) {
+    const pool = getPool();
+    const values = normalize(data);
+    const [result] = await pool.execute(
+      `INSERT INTO promotions (${FIELDS.join(', ')}, created_by) VALUES (${FIELDS.map(() => '?').join(', ')}, ?)`,
+      [...FIELDS.map(field => values[field]), createdBy]
+    );
+    return result.insertId;
+  }
+
+  static async update(id, data) {
+    const pool = getPool();
+    const values = normalize(data);
+    const [result] = await pool.execute(
+      `UPDATE promotions SET ${FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...FIELDS.map(field => values[field]), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async delete(id) {
+    const pool = getPool();
+    const [result] = await pool.execute('DELETE FROM promotions WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Count one use inside the sale's transaction; fails if the limit was
+  // reached by another sale in the meantime
+  static async redeem(connection, id) {
+    const [result] = await connection.execute(
+      'UPDATE promotions SET usage_count = usage_count + 1 WHERE id = ? AND (usage_limit IS NULL OR usage_count < usage_limit)',
+      [id]
+    );
+    if (result.affectedRows === 0) {
+      throw Object.assign(new Error('A promotion on this sale has just reached its usage limit. Review the discounts and try again.'), { code: 'PROMOTION_EXHAUSTED' });
+    }
+  }
+
+  // Gives back the use taken by a sale that was voided
+  static async release(connection, id) {
+    await connection.execute(
+      'UPDATE promotions SET usage_count = GREATEST(usage_count - 1, 0) WHERE id = ?',
+      [id]
+    );
+  }
+}
@@ -0,0 +1,159 @@
+import { getPool } from '../config/database.js';
+import { DocumentSequence } from './DocumentSequence.js';
+
+// Open quotes past their validity date are reported as Expired
+const DISPLAY_STATUS = `CASE WHEN q.status = 'Open' AND q.valid_until < CURDATE() THEN 'Expired' ELSE q.status END`;
+
+const quotationError = (message, code) => Object.assign(new Error(message), { code });
+
+export class Quotation {
+  // Newest first; ?search matches number, customer or contact, ?status includes Expired
+  static async findAll({ search, status } = {}) {
+    const pool = getPool();
+    let query = `SELECT q.*, ${DISPLAY_STATUS} AS display_status, s.sale_number,
+                        (SELECT COUNT(*) FROM quotation_items qi WHERE qi.quotation_id = q.id) AS item_count
+                 FROM quotations q
+                 LEFT JOIN sales s ON s.id = q.sale_id
+                 WHERE 1=1`;
+    const params = [];
+    if (search) {
+      query += ' AND (q.quote_number LIKE ? OR q.customer_name LIKE ? OR q.contact LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+    if (status) {
+      query += ` AND ${DISPLAY_STATUS} = ?`;
+      params.push(status);
+    }
+    query += ' ORDER BY q.created_at DESC, q.id DESC LIMIT 500';
+    const [rows] = await pool.execute(query, params);
+    return rows;
+  }
+
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT q.*, ${DISPLAY_STATUS} AS display_status, s.sale_number
+       FROM quotations q
+       LEFT JOIN sales s ON s.id = q.sale_id
+       WHERE q.id = ?`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  // Quoted lines next to today's price and stock, so the cashier can see what
+  // changed before converting
+  static async getItems(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT qi.*, p.price AS current_price, p.requires_serial, p.status AS product_status,
+              COALESCE(i.stock, 0) AS stock
+       FROM quotation_items qi
+       LEFT JOIN products p ON p.product_id = qi.product_id
+       LEFT JOIN inventory i ON i.product_id = qi.product_id
+       WHERE qi.quotation_id = ?
+       ORDER BY qi.id`,
+      [id]
+    );
+    return rows;
+  }
+
+  // quote: the priced cart from services/checkout.js; input: what the cashier
+  // entered (customer, validity, manual discounts, coupon)
+  static async create(input, quote, createdBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const quoteNumber = await DocumentSequence.next(connection, 'quotation');
+      const orderDiscount = input.order_discount || null;
+      const [result] = await connection.execute(
+        `INSERT INTO quotations (quote_number, customer_name, contact, address, valid_until, notes, coupon_code,
+                                 order_discount_type, order_discount_value, order_discount_reason,
+                                 subtotal, discount_total, order_discount, order_discount_label, vat_amount, vat_rate, total, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          quoteNumber,
+          input.customer_name,
+          input.contact || null,
+          input.address || null,
+          input.valid_until,
+          input.notes || null,
+          quote.coupon?.applied ? quote.coupon.code : null,
+          orderDiscount?.type || null,
+          orderDiscount?.value ?? null,
+          orderDiscount?.reason || null,
+          quote.subtotal,
+          quote.discount_total,
+          quote.order_discount,
+          quote.order_discount_label,
+          quote.tax?.vat_amount || 0,
+          quote.tax?.vat_rate ?? null,
+          quote.total,
+          createdBy || null
+        ]
+      );
+      const quotationId = result.insertId;
+
+      for (const [index, item] of quote.items.entries()) {
+        const manual = input.items[index]?.discount || null;
+        await connection.execute(
+          `INSERT INTO quotation_items (quotation_id, product_id, product_name, brand, price, quantity,
+                                        discount_type, discount_value, discount_reason, discount_amount, discount_label, subtotal)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            quotationId,
+            item.product_id,
+            item.product_name,
+            item.brand || null,
+            item.price,
+            item.quantity,
+            manual?.type || null,
+            manual?.value ?? null,
+            manual?.reason || null,
+            item.discount_amount || 0,
+            item.discount_label || null,
+            item.subtotal
+          ]
+        );
+      }
+
+      await connection.commit();
+      return { quotationId, quoteNumber };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  static async cancel(id, cancelledBy) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      "UPDATE quotations SET status = 'Cancelled', cancelled_by = ? WHERE id = ? AND status = 'Open'",
+      [cancelledBy || null, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Called by Sales.create inside the sale's transaction, so a quote turns
+  // into at most one sale and stays Open if the sale fails
+  static async markConverted(connection, id, saleId) {
+    const [[quotation]] = await connection.execute(
+      `SELECT q.*, ${DISPLAY_STATUS} AS display_status FROM quotations q WHERE q.id = ? FOR UPDATE`,
+      [id]
+    );
+    if (!quotation) {
+      throw quotationError('Quotation not found', 'QUOTATION_NOT_FOUND');
+    }
+    if (quotation.display_status !== 'Open') {
+      throw quotationError(`Quotation ${quotation.quote_number} is ${quotation.display_status.toLowerCase()} and cannot be converted`, 'QUOTATION_CLOSED');
+    }
+    await connection.execute(
+      "UPDATE quotations SET status = 'Converted', sale_id = ?, converted_at = NOW() WHERE id = ?",
+      [saleId, id]
+    );
+  }
+}
@@ -1,4 +1,10 @@
 import { getPool } from '../config/database.js';
+import { DocumentSequence } from './DocumentSequence.js';
+import { SaleStatusHistory } from './SaleStatusHistory.js';
+import { Customer } from './Customer.js';
+import { StoreCredit } from './StoreCredit.js';
+import { Payment } from './Payment.js';
+import { nextStatuses } from '../services/orderStatus.js';
 
 export class Return {
   // Process a return for an order
@@ -23,9 +29,11 @@ export class Return {
         returnItems // Array of { saleItemId, productId, productName, sku, quantity, price, serialNumbers: [] }
       } = returnData;
 
-      // Validate that order exists and can be returned
+      // Validate that order exists and can be returned. The sale and its
+      // items are locked so two returns of the same sale cannot both pass
+      // the quantity check below.
       const [orderResult] = await connection.execute(
-        'SELECT * FROM sales WHERE id = ?',
+        'SELECT * FROM sales WHERE id = ? FOR UPDATE',
         [orderId]
       );
 
@@ -44,17 +52,15 @@ export class Return {
         throw new Error('Cannot return a cancelled order');
       }
 
-      // Generate unique return ID
-      const returnId = `RET-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+      if (!nextStatuses(order).includes('Returned')) {
+        throw new Error(`Cannot return an order that is ${order.status}; only completed orders can be returned`);
+      }
 
-      // Calculate total refund amount
-      const refundAmount = returnItems.reduce((total, item) => {
-        return total + (parseFloat(item.price) * parseInt(item.quantity));
-      }, 0);
+      const returnId = await DocumentSequence.next(connection, 'return');
 
       // Get all sale items for this order to check if it's a full or partial return
       const [allSaleItems] = await connection.execute(
-        'SELECT id, quantity, COALESCE(returned_quantity, 0) as returned_quantity FROM sale_items WHERE sale_id = ?',
+        'SELECT id, quantity, subtotal, COALESCE(returned_quantity, 0) as returned_quantity FROM sale_items WHERE sale_id = ? FOR UPDATE',
         [orderId]
       );
 
@@ -69,20 +75,47 @@ export class Return {
         if (returnItem.quantity > remainingQuantity) {
           throw new Error(`Cannot return more than ${remainingQuantity} units of ${returnItem.productName}`);
         }
+
+        // Refund what the customer actually paid per unit, after discounts
+        returnItem.price = Math.round((parseFloat(saleItem.subtotal) / saleItem.quantity) * 100) / 100;
+      }
+
+      // Calculate total refund amount
+      const refundAmount = returnItems.reduce((total, item) => {
+        return total + (parseFloat(item.price) * parseInt(item.quantity));
+      }, 0);
+
+      // On a charge invoice the return first comes off what is still owed;
+      // only the rest of it, out of what was paid, goes back to the customer
+      const owed = order.on_account
+        ? Math.max(0, parseFloat(order.total) - parseFloat(order.amount_paid || 0) - parseFloat(order.refund_amount || 0))
+        : 0;
+      const creditedToAccount = Math.round(Math.min(refundAmount, owed) * 100) / 100;
+      const refundPaid = Math.round((refundAmount - creditedToAccount) * 100) / 100;
+
+      // Store credit goes to the sale's customer record, created on the
+      // first such refund for a walk-in customer
+      let creditCustomerId = null;
+      if (refundMethod === 'Store Credit' && refundPaid > 0) {
+        if (!order.customer_name) {
+          throw new Error('Store credit needs a customer name on the order; refund in cash instead');
+        }
+        creditCustomerId = order.customer_id || await Customer.findOrCreate(connection, order);
       }
 
       // Insert return record
       await connection.execute(
         `INSERT INTO returns (
-          return_id, order_id, sale_number, customer_name, return_date,
+          return_id, order_id, sale_number, customer_name, customer_id, return_date,
           return_reason, refund_method, reference_number, refund_amount, restocked,
           photo_proof, additional_notes, processed_by
-        ) VALUES (?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           returnId,
           orderId,
           saleNumber,
           customerName,
+          creditCustomerId,
           returnReason,
           refundMethod,
           referenceNumber || null,
@@ -154,7 +187,7 @@ export class Return {
           );
 
           // Record inventory transaction
-          const txnId = `TRX-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+          const txnId = await DocumentSequence.next(connection, 'stock_in');
           const [inventoryResult] = await connection.execute(
             'SELECT id FROM inventory WHERE product_id = ?',
             [returnItem.productId]
@@ -195,14 +228,11 @@ export class Return {
 
       // Determine new order status
       let newStatus = order.status;
-      let newPaymentStatus = order.payment_status;
 
       if (allItemsReturned) {
         newStatus = 'Returned';
-        newPaymentStatus = 'Refunded';
       } else if (hasPartialReturns || updatedSaleItems.some(item => item.returned_quantity > 0)) {
         newStatus = 'Partially Returned';
-        newPaymentStatus = 'Partially Refunded';
       }
 
       // Update order with return information
@@ -210,40 +240,55 @@ export class Return {
       await connection.execute(
         `UPDATE sales SET 
           status = ?,
-          payment_status = ?,
           refund_amount = ?,
           return_date = NOW(),
           return_reason = ?
         WHERE id = ?`,
-        [newStatus, newPaymentStatus, totalRefundAmount, returnReason, orderId]
+        [newStatus, totalRefundAmount, returnReason, orderId]
       );
+      await SaleStatusHistory.record(connection, orderId, { from: order.status, to: newStatus, note: `Return ${returnId}: ${returnReason}`, changedBy: processedBy });
 
-      // Create refund transaction record
-      const refundTxnId = `RFND-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
-      await connection.execute(
-        `INSERT INTO refund_transactions (
-          transaction_id, return_id, order_id, amount, refund_method,
-          transaction_date, notes, processed_by
-        ) VALUES (?, ?, ?, ?, ?, NOW(), ?, ?)`,
-        [
-          refundTxnId,
-          returnId,
-          orderId,
-          refundAmount,
-          refundMethod,
-          `Return processed: ${returnReason}${additionalNotes ? ' - ' + additionalNotes : ''}`,
-          processedBy
-        ]
-      );
+      // Create refund transaction record for the money handed back
+      let refundTxnId = null;
+      if (refundPaid > 0) {
+        refundTxnId = await DocumentSequence.next(connection, 'refund');
+        await connection.execute(
+          `INSERT INTO refund_transactions (
+            transaction_id, return_id, order_id, amount, refund_method,
+            transaction_date, notes, processed_by
+          ) VALUES (?, ?, ?, ?, ?, NOW(), ?, ?)`,
+          [
+            refundTxnId,
+            returnId,
+            orderId,
+            refundPaid,
+            refundMethod,
+            `Return processed: ${returnReason}${additionalNotes ? ' - ' + additionalNotes : ''}`,
+            processedBy
+          ]
+        );
+      }
+      const { payment_status: newPaymentStatus } = await Payment.syncStatus(connection, orderId);
+
+      let storeCreditBalance = null;
+      if (creditCustomerId) {
+        storeCreditBalance = await StoreCredit.post(connection, creditCustomerId, {
+          type: 'refund', amount: refundPaid, sale_id: orderId, return_id: returnId,
+          notes: `Refund for return ${returnId} (${saleNumber})`, createdBy: processedBy
+        });
+      }
 
       await connection.commit();
 
       return {
         returnId,
         refundAmount,
+        creditedToAccount,
+        refundPaid,
         newStatus,
         newPaymentStatus,
-        refundTxnId
+        refundTxnId,
+        storeCreditBalance
       };
     } catch (error) {
       await connection.rollback();
@@ -0,0 +1,68 @@
+import { getPool } from '../config/database.js';
+import { ROLES, PERMISSION_KEYS } from '../config/permissions.js';
+
+// Grants per role are read on every authenticated request, so keep them cached
+// and drop the cache whenever the matrix is saved.
+let cache = null;
+
+export class RolePermission {
+  static async getMatrix() {
+    if (cache) return cache;
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT role, permission FROM role_permissions');
+    const matrix = {};
+    for (const role of ROLES) matrix[role] = [];
+    for (const row of rows) {
+      if (matrix[row.role] && PERMISSION_KEYS.includes(row.permission)) {
+        matrix[row.role].push(row.permission);
+      }
+    }
+    // Admins always hold everything so they cannot lock themselves out
+    matrix.admin = [...PERMISSION_KEYS];
+    cache = matrix;
+    return matrix;
+  }
+
+  static async getPermissionsForRole(role) {
+    const matrix = await this.getMatrix();
+    return matrix[role] || [];
+  }
+
+  // Replace the grants of every non-admin role present in `matrix`
+  static async updateMatrix(matrix) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      for (const role of ROLES) {
+        if (role === 'admin' || !Array.isArray(matrix[role])) continue;
+
+        const unknown = matrix[role].filter(p => !PERMISSION_KEYS.includes(p));
+        if (unknown.length > 0) {
+          const err = new Error(`Unknown permission(s) for ${role}: ${unknown.join(', ')}`);
+          err.code = 'UNKNOWN_PERMISSION';
+          throw err;
+        }
+
+        await connection.execute('DELETE FROM role_permissions WHERE role = ?', [role]);
+        for (const permission of new Set(matrix[role])) {
+          await connection.execute(
+            'INSERT INTO role_permissions (role, permission) VALUES (?, ?)',
+            [role, permission]
+          );
+        }
+      }
+
+      await connection.commit();
+      cache = null;
+      return this.getMatrix();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
@@ -0,0 +1,21 @@
+import { getPool } from '../config/database.js';
+
+export class SaleStatusHistory {
+  static async findBySale(saleId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT * FROM sale_status_history WHERE sale_id = ? ORDER BY changed_at, id',
+      [saleId]
+    );
+    return rows;
+  }
+
+  // Written inside the transaction that changes sales.status
+  static async record(connection, saleId, { from, to, note, changedBy }) {
+    await connection.execute(
+      `INSERT INTO sale_status_history (sale_id, from_status, to_status, note, changed_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [saleId, from || null, to, note ? String(note).slice(0, 255) : null, changedBy || null]
+    );
+  }
+}
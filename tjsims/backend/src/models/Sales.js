@@ -1,4 +1,14 @@
 import { getPool } from '../config/database.js';
+import { Promotion } from './Promotion.js';
+import { Payment } from './Payment.js';
+import { DocumentSequence } from './DocumentSequence.js';
+import { SaleStatusHistory } from './SaleStatusHistory.js';
+import { Quotation } from './Quotation.js';
+import { ChargeAccount } from './ChargeAccount.js';
+import { ParkedSale } from './ParkedSale.js';
+import { assertTransition } from '../services/orderStatus.js';
+
+const saleError = (message, code) => Object.assign(new Error(message), { code });
 
 export class Sales {
   static async create(salesData) {
@@ -11,47 +21,95 @@ export class Sales {
       payment_status,
       delivery_type, // FIX: Added this
       total,
-      items
+      items,
+      created_by
     } = salesData;
-
-    // Generate unique sale_number
-    const saleNumber = await this.generateSaleNumber();
+    // Priced by services/pricing.js; a sale without discounts is charged at list price
+    const subtotal = salesData.subtotal ?? total;
+    // VAT breakdown from services/tax.js; all zeros for a non-VAT sale
+    const tax = salesData.tax || {};
+    // Payment lines allocated by services/payments.js; payment_status is derived from them
+    const paymentLines = salesData.payments || [];
+    const amountPaid = paymentLines.reduce((sum, line) => sum + line.amount, 0);
+    // A sale queued offline is dated when it was rung up (never in the future)
+    const rungUpAt = salesData.rung_up_at ? new Date(Math.min(new Date(salesData.rung_up_at), Date.now())) : null;
 
     // Start transaction
     const connection = await pool.getConnection();
     await connection.beginTransaction();
 
     try {
+      // Whatever is not paid now is charged to the customer's account,
+      // within their credit limit
+      const dueDate = salesData.on_account
+        ? await ChargeAccount.reserveCredit(connection, salesData.customer_id, total - amountPaid)
+        : null;
+      const saleNumber = await DocumentSequence.next(connection, 'sale');
+
       // Insert sale record
       // FIX: Added delivery_type column and value
       const [saleResult] = await connection.execute(
-        `INSERT INTO sales (sale_number, customer_name, contact, payment, payment_status, status, address, delivery_type, total, created_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        `INSERT INTO sales (sale_number, client_ref, customer_name, customer_id, price_tier_id, on_account, due_date, synced_at, contact, payment, payment_status, status, address, delivery_type,
+                            subtotal, discount_total, order_discount, order_discount_label, promotion_id, coupon_code,
+                            vatable_sales, vat_amount, vat_exempt_sales, zero_rated_sales, vat_rate, total, amount_paid, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, IF(? IS NULL, NULL, NOW()), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, NOW()))`,
         [
           saleNumber, 
+          salesData.client_ref || null,
           customer_name, 
+          salesData.customer_id || null,
+          salesData.price_tier_id || null,
+          salesData.on_account ? 1 : 0,
+          dueDate,
+          rungUpAt,
           contact, 
           payment, 
           payment_status || 'Unpaid', 
           salesData.status || 'Pending', 
           salesData.address || null, 
           delivery_type || 'In-store', // Default to In-store
-          total
+          subtotal,
+          salesData.discount_total || 0,
+          salesData.order_discount || 0,
+          salesData.order_discount_label || null,
+          salesData.promotion_id || null,
+          salesData.coupon_code || null,
+          tax.vatable_sales || 0,
+          tax.vat_amount || 0,
+          tax.vat_exempt_sales || 0,
+          tax.zero_rated_sales || 0,
+          tax.vat_rate ?? null,
+          total,
+          amountPaid,
+          rungUpAt
         ]
       );
 
       const saleId = saleResult.insertId;
 
+      await SaleStatusHistory.record(connection, saleId, { to: salesData.status || 'Pending', note: 'Sale created', changedBy: created_by });
+      if (salesData.quotation_id) {
+        await Quotation.markConverted(connection, salesData.quotation_id, saleId);
+      }
+      await Payment.insertLines(connection, saleId, paymentLines, created_by, rungUpAt);
+
+      for (const promotionId of salesData.applied_promotion_ids || []) {
+        await Promotion.redeem(connection, promotionId);
+      }
+
+      // Serials held by a parked cart that has since expired can be sold
+      if (items.some(item => item.serialNumbers?.length)) await ParkedSale.releaseExpired(connection);
+
       // Insert sale items and update inventory
       for (const item of items) {
         const { product_id, product_name, brand, price, quantity, serialNumbers } = item;
-        const subtotal = price * quantity;
+        const lineSubtotal = item.subtotal ?? price * quantity;
 
         // Insert sale item
         const [itemResult] = await connection.execute(
-          `INSERT INTO sale_items (sale_id, product_id, product_name, brand, price, quantity, subtotal)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [saleId, product_id, product_name, brand, price, quantity, subtotal]
+          `INSERT INTO sale_items (sale_id, product_id, product_name, brand, price, original_price, override_reason, override_approved_by, quantity, discount_amount, discount_label, promotion_id, order_discount_share, tax_class, vat_amount, subtotal)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [saleId, product_id, product_name, brand, price, item.original_price ?? null, item.override_reason || null, item.override_approved_by || null, quantity, item.discount_amount || 0, item.discount_label || null, item.promotion_id || null, item.order_discount_share || 0, item.tax_class || null, item.vat_amount || 0, lineSubtotal]
         );
         
         const saleItemId = itemResult.insertId;
@@ -67,61 +125,43 @@ export class Sales {
             );
             
             if (updateResult.affectedRows === 0) {
-              throw new Error(`Serial number ${sn} is not available or does not exist.`);
+              throw saleError(`Serial number ${sn} is not available or does not exist.`, 'SERIAL_UNAVAILABLE');
             }
           }
         }
 
         // Deduct from inventory
-        await this.updateInventory(connection, product_id, quantity);
+        await this.updateInventory(connection, product_id, quantity, created_by);
       }
 
       await connection.commit();
       return { saleId, saleNumber };
     } catch (error) {
       await connection.rollback();
+      // The till sent this sale before and it was recorded (see findByClientRef)
+      if (error.code === 'ER_DUP_ENTRY' && error.message.includes('uniq_sales_client_ref')) {
+        throw saleError('This sale has already been recorded', 'SALE_ALREADY_RECORDED');
+      }
       throw error;
     } finally {
       connection.release();
     }
   }
 
-  static async generateSaleNumber() {
-    const pool = getPool();
-    const date = new Date();
-    const dateStr = date.getFullYear().toString().substr(-2) +
-                    (date.getMonth() + 1).toString().padStart(2, '0') +
-                    date.getDate().toString().padStart(2, '0');
-
-    const [lastSale] = await pool.execute(
-      'SELECT sale_number FROM sales WHERE sale_number LIKE ? ORDER BY id DESC LIMIT 1',
-      [`SL${dateStr}%`]
-    );
-
-    let sequence = 1;
-    if (lastSale.length > 0) {
-      const lastNumber = lastSale[0].sale_number;
-      const lastSequence = parseInt(lastNumber.substr(-3));
-      sequence = lastSequence + 1;
-    }
-
-    return `SL${dateStr}${sequence.toString().padStart(3, '0')}`;
-  }
-
-  static async updateInventory(connection, productId, quantity) {
+  static async updateInventory(connection, productId, quantity, createdBy = 'System') {
     const [inventory] = await connection.execute(
       'SELECT stock FROM inventory WHERE product_id = ?',
       [productId]
     );
 
     if (inventory.length === 0) {
-      throw new Error(`No inventory found for product ${productId}`);
+      throw saleError(`No inventory found for product ${productId}`, 'INSUFFICIENT_STOCK');
     }
 
     const currentStock = inventory[0].stock;
 
     if (currentStock < quantity) {
-      throw new Error(`Insufficient stock for product ${productId}. Available: ${currentStock}, Requested: ${quantity}`);
+      throw saleError(`Insufficient stock for product ${productId}. Available: ${currentStock}, Requested: ${quantity}`, 'INSUFFICIENT_STOCK');
     }
 
     await connection.execute(
@@ -129,11 +169,11 @@ export class Sales {
       [quantity, productId]
     );
 
-    const transactionId = `TXN${Date.now()}`;
+    const transactionId = await DocumentSequence.next(connection, 'stock_out');
     await connection.execute(
       `INSERT INTO inventory_transactions (transaction_id, inventory_id, product_id, transaction_type, quantity, notes, transaction_date, created_by)
-       VALUES (?, (SELECT id FROM inventory WHERE product_id = ?), ?, 'out', ?, 'Sale deduction', NOW(), 'System')`,
-      [transactionId, productId, productId, quantity]
+       VALUES (?, (SELECT id FROM inventory WHERE product_id = ?), ?, 'out', ?, 'Sale deduction', NOW(), ?)`,
+      [transactionId, productId, productId, quantity, createdBy || 'System']
     );
   }
 
@@ -180,6 +220,13 @@ export class Sales {
     return rows[0] || null;
   }
 
+  // The sale a till recorded under its own reference, if it got through
+  static async findByClientRef(clientRef) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM sales WHERE client_ref = ?', [clientRef]);
+    return rows[0] || null;
+  }
+
   static async findBySaleNumber(saleNumber) {
     const pool = getPool();
     const [rows] = await pool.execute(
@@ -207,8 +254,7 @@ export class Sales {
       payment,
       payment_status,
       address,
-      total,
-      status
+      driver_id
     } = salesData;
 
     const updates = [];
@@ -234,13 +280,10 @@ export class Sales {
       updates.push('address = ?');
       params.push(address);
     }
-    if (total !== undefined) {
-      updates.push('total = ?');
-      params.push(total);
-    }
-    if (status !== undefined) { 
-      updates.push('status = ?');
-      params.push(status);
+    // status changes go through changeStatus so they are checked and recorded
+    if (driver_id !== undefined) {
+      updates.push('driver_id = ?');
+      params.push(driver_id);
     }
 
     if (updates.length === 0) {
@@ -255,26 +298,86 @@ export class Sales {
     return result.affectedRows > 0;
   }
 
-  static async delete(id) {
+  // Moves an order along the state machine (services/orderStatus.js) and
+  // records the change. Returns the previous status.
+  static async changeStatus(id, to, { changedBy, note } = {}) {
     const pool = getPool();
     const connection = await pool.getConnection();
     await connection.beginTransaction();
 
     try {
-      const saleItems = await this.getSaleItems(id);
+      const [[sale]] = await connection.execute('SELECT id, status, delivery_type FROM sales WHERE id = ? FOR UPDATE', [id]);
+      if (!sale) {
+        throw Object.assign(new Error('Sale not found'), { code: 'SALE_NOT_FOUND' });
+      }
+      assertTransition(sale, to, { manual: true });
+      await connection.execute('UPDATE sales SET status = ? WHERE id = ?', [to, id]);
+      await SaleStatusHistory.record(connection, id, { from: sale.status, to, note, changedBy });
 
-      for (const item of saleItems) {
-        await connection.execute(
-          'UPDATE inventory SET stock = stock + ?, updated_at = NOW() WHERE product_id = ?',
-          [item.quantity, item.product_id]
-        );
+      await connection.commit();
+      return sale.status;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Cancels a sale without losing it: puts stock and serial numbers back,
+  // gives back promotion uses and reverses every payment. Sales with returns
+  // cannot be voided; their items are already partly back in stock.
+  static async void(id, { reason, voided_by }) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [[sale]] = await connection.execute('SELECT * FROM sales WHERE id = ? FOR UPDATE', [id]);
+      if (!sale) {
+        throw Object.assign(new Error('Sale not found'), { code: 'SALE_NOT_FOUND' });
+      }
+      if (sale.status === 'Cancelled') {
+        throw Object.assign(new Error(`Sale ${sale.sale_number} is already cancelled`), { code: 'SALE_CLOSED' });
+      }
+      if (sale.status === 'Returned' || sale.status === 'Partially Returned') {
+        throw Object.assign(new Error(`Sale ${sale.sale_number} has returns and cannot be voided`), { code: 'SALE_CLOSED' });
       }
 
-      await connection.execute('DELETE FROM sale_items WHERE sale_id = ?', [id]);
-      const [result] = await connection.execute('DELETE FROM sales WHERE id = ?', [id]);
+      const [items] = await connection.execute('SELECT * FROM sale_items WHERE sale_id = ? ORDER BY id', [id]);
+      const note = `Void of sale ${sale.sale_number}: ${reason}`;
+      for (const item of items) {
+        await this.restockInventory(connection, item.product_id, item.quantity, note, voided_by);
+      }
+
+      const [serialResult] = await connection.execute(
+        `UPDATE serial_numbers SET status = 'available', sale_id = NULL, sale_item_id = NULL, notes = ?, updated_at = NOW()
+         WHERE sale_id = ? AND status = 'sold'`,
+        [note, id]
+      );
+
+      const promotionIds = new Set([sale.promotion_id, ...items.map(item => item.promotion_id)].filter(Boolean));
+      for (const promotionId of promotionIds) {
+        await Promotion.release(connection, promotionId);
+      }
+
+      const refunded = await Payment.reverseAll(connection, id, voided_by, reason);
+
+      await connection.execute(
+        `UPDATE sales SET status = 'Cancelled', payment_status = ?, amount_paid = 0,
+                          void_reason = ?, voided_by = ?, voided_at = NOW()
+         WHERE id = ?`,
+        [refunded > 0 ? 'Refunded' : 'Unpaid', reason, voided_by, id]
+      );
+      await SaleStatusHistory.record(connection, id, { from: sale.status, to: 'Cancelled', note: `Voided: ${reason}`, changedBy: voided_by });
 
       await connection.commit();
-      return result.affectedRows > 0;
+      return {
+        sale_number: sale.sale_number,
+        restocked: items.reduce((sum, item) => sum + item.quantity, 0),
+        serials_released: serialResult.affectedRows,
+        refunded
+      };
     } catch (error) {
       await connection.rollback();
       throw error;
@@ -283,6 +386,29 @@ export class Sales {
     }
   }
 
+  static async restockInventory(connection, productId, quantity, notes, createdBy = 'System') {
+    const [inventory] = await connection.execute(
+      'SELECT id FROM inventory WHERE product_id = ?',
+      [productId]
+    );
+
+    if (inventory.length === 0) {
+      throw new Error(`No inventory found for product ${productId}`);
+    }
+
+    await connection.execute(
+      'UPDATE inventory SET stock = stock + ?, updated_at = NOW() WHERE product_id = ?',
+      [quantity, productId]
+    );
+
+    const transactionId = await DocumentSequence.next(connection, 'stock_in');
+    await connection.execute(
+      `INSERT INTO inventory_transactions (transaction_id, inventory_id, product_id, transaction_type, quantity, notes, transaction_date, created_by)
+       VALUES (?, ?, ?, 'in', ?, ?, NOW(), ?)`,
+      [transactionId, inventory[0].id, productId, quantity, notes, createdBy || 'System']
+    );
+  }
+
   static async attachDeliveryProof(id, proofPath) {
     const pool = getPool();
     await pool.execute("ALTER TABLE sales ADD COLUMN IF NOT EXISTS delivery_proof VARCHAR(255) NULL");
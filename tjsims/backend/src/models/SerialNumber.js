@@ -70,13 +70,27 @@ export class SerialNumber {
     return rows;
   }
 
-  // Get all serial numbers for a product (any status)
+  // Every serial that can be sold, for the tills' offline copy
+  static async getAllAvailable() {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT serial_number, product_id FROM serial_numbers
+       WHERE status = 'available'
+       ORDER BY product_id, created_at DESC`
+    );
+    return rows;
+  }
+
+  // Get all serial numbers for a product (any status); reserved ones carry
+  // who parked them and until when
   static async getAllByProductId(productId) {
     const pool = getPool();
     const [rows] = await pool.execute(
-      `SELECT * FROM serial_numbers 
-       WHERE product_id = ?
-       ORDER BY created_at DESC`,
+      `SELECT sn.*, ps.parked_by, ps.customer_name AS parked_for, ps.expires_at AS reserved_until
+       FROM serial_numbers sn
+       LEFT JOIN parked_sales ps ON ps.id = sn.parked_sale_id
+       WHERE sn.product_id = ?
+       ORDER BY sn.created_at DESC`,
       [productId]
     );
     return rows;
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { getPool } from '../config/database.js';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Columns safe to list in the UI
+const LIST_COLUMNS = 'session_id, user_id, ip_address, user_agent, created_at, last_used_at, expires_at';
+
+export class Session {
+  // Start a session; returns { sessionId, refreshToken }
+  static async create(userId, { ipAddress = null, userAgent = null, ttlDays = 30 } = {}) {
+    const pool = getPool();
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const secret = newSecret();
+
+    await pool.execute(
+      `INSERT INTO user_sessions (session_id, user_id, refresh_token_hash, ip_address, user_agent, last_used_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))`,
+      [sessionId, userId, hashSecret(secret), ipAddress, userAgent ? userAgent.slice(0, 255) : null, ttlDays]
+    );
+
+    return { sessionId, refreshToken: `${sessionId}.${secret}` };
+  }
+
+  // Exchange a refresh token for a new one. Presenting an already-rotated
+  // token means it was copied, so the whole session is revoked.
+  // Returns { sessionId, userId, refreshToken } or null.
+  static async rotate(refreshToken, { ipAddress = null } = {}) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) return null;
+
+    const pool = getPool();
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        `SELECT session_id, user_id, refresh_token_hash FROM user_sessions
+         WHERE session_id = ? AND revoked_at IS NULL AND expires_at > NOW() FOR UPDATE`,
+        [sessionId]
+      );
+      const session = rows[0];
+      if (!session) {
+        await connection.rollback();
+        return null;
+      }
+
+      if (session.refresh_token_hash !== hashSecret(secret)) {
+        await connection.execute(
+          "UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse' WHERE session_id = ?",
+          [sessionId]
+        );
+        await connection.commit();
+        return null;
+      }
+
+      const next = newSecret();
+      await connection.execute(
+        'UPDATE user_sessions SET refresh_token_hash = ?, last_used_at = NOW(), ip_address = COALESCE(?, ip_address) WHERE session_id = ?',
+        [hashSecret(next), ipAddress, sessionId]
+      );
+
+      await connection.commit();
+      return { sessionId, userId: session.user_id, refreshToken: `${sessionId}.${next}` };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  static async isActive(sessionId, userId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT 1 FROM user_sessions WHERE session_id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+      [sessionId, userId]
+    );
+    return rows.length > 0;
+  }
+
+  static async listActive(userId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT ${LIST_COLUMNS} FROM user_sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY COALESCE(last_used_at, created_at) DESC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  static async revoke(sessionId, userId, reason = 'logout') {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE session_id = ? AND user_id = ? AND revoked_at IS NULL',
+      [reason, sessionId, userId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Revoke every open session of the user, optionally keeping one (e.g. the caller's)
+  static async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ?
+       WHERE user_id = ? AND revoked_at IS NULL AND session_id <> COALESCE(?, '')`,
+      [reason, userId, exceptSessionId]
+    );
+    return result.affectedRows;
+  }
+}
@@ -0,0 +1,91 @@
+import { getPool } from '../config/database.js';
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+export class StoreCredit {
+  static async getBalance(customerId) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT store_credit_balance FROM customers WHERE id = ?', [customerId]);
+    return rows[0] ? Number(rows[0].store_credit_balance) : null;
+  }
+
+  // Posts one entry inside the caller's transaction. The customer row is
+  // locked first, so two terminals spending the same credit are serialized and
+  // the balance can never go below zero. Returns the new balance.
+  //   entry: { type, amount (+ credit, - debit), sale_id?, return_id?, notes?, createdBy? }
+  static async post(connection, customerId, entry) {
+    const [[customer]] = await connection.execute(
+      'SELECT id, customer_name, store_credit_balance FROM customers WHERE id = ? FOR UPDATE',
+      [customerId]
+    );
+    if (!customer) {
+      throw Object.assign(new Error('Customer not found'), { code: 'CUSTOMER_NOT_FOUND' });
+    }
+    const balance = round2(Number(customer.store_credit_balance) + Number(entry.amount));
+    if (balance < 0) {
+      throw Object.assign(
+        new Error(`${customer.customer_name} has only ${Number(customer.store_credit_balance).toFixed(2)} in store credit`),
+        { code: 'INSUFFICIENT_STORE_CREDIT' }
+      );
+    }
+
+    await connection.execute('UPDATE customers SET store_credit_balance = ? WHERE id = ?', [balance, customerId]);
+    await connection.execute(
+      `INSERT INTO store_credit_ledger (customer_id, entry_type, amount, balance_after, sale_id, return_id, notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [customerId, entry.type, round2(entry.amount), balance, entry.sale_id || null, entry.return_id || null, entry.notes || null, entry.createdBy || null]
+    );
+    return balance;
+  }
+
+  // A manual credit or debit (with its reason), in its own transaction
+  static async adjust(customerId, amount, reason, createdBy) {
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const balance = await this.post(connection, customerId, { type: 'adjustment', amount, notes: reason, createdBy });
+      await connection.commit();
+      return balance;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // The customer's movements, oldest first, with the balance before the
+  // period so a statement for a date range adds up
+  static async statement(customerId, { date_from, date_to } = {}) {
+    const pool = getPool();
+    let opening = 0;
+    if (date_from) {
+      const [[row]] = await pool.execute(
+        `SELECT balance_after FROM store_credit_ledger
+         WHERE customer_id = ? AND created_at < ?
+         ORDER BY created_at DESC, id DESC LIMIT 1`,
+        [customerId, date_from]
+      );
+      opening = row ? Number(row.balance_after) : 0;
+    }
+
+    let query = `SELECT l.*, s.sale_number
+      FROM store_credit_ledger l
+      LEFT JOIN sales s ON s.id = l.sale_id
+      WHERE l.customer_id = ?`;
+    const params = [customerId];
+    if (date_from) {
+      query += ' AND l.created_at >= ?';
+      params.push(date_from);
+    }
+    if (date_to) {
+      query += ' AND DATE(l.created_at) <= ?';
+      params.push(date_to);
+    }
+    query += ' ORDER BY l.created_at, l.id';
+    const [entries] = await pool.execute(query, params);
+    return { opening_balance: opening, entries };
+  }
+}
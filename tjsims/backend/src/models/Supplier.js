@@ -1,4 +1,5 @@
 import { getPool } from '../config/database.js';
+import { DocumentSequence } from './DocumentSequence.js';
 
 export class Supplier {
   static async findAll() {
@@ -28,18 +29,26 @@ export class Supplier {
       address
     } = supplierData;
 
-    // Generate unique supplier_id (SUP-001)
-    const [maxIdResult] = await pool.execute('SELECT MAX(id) as maxId FROM suppliers');
-    const nextId = (maxIdResult[0].maxId || 0) + 1;
-    const supplierId = `SUP-${nextId.toString().padStart(3, '0')}`;
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    const [result] = await pool.execute(
-      `INSERT INTO suppliers (supplier_id, name, contact_person, email, phone, address, status)
-       VALUES (?, ?, ?, ?, ?, ?, 'Active')`,
-      [supplierId, name, contact_person, email, phone, address]
-    );
+    try {
+      const supplierId = await DocumentSequence.next(connection, 'supplier');
+
+      const [result] = await connection.execute(
+        `INSERT INTO suppliers (supplier_id, name, contact_person, email, phone, address, status)
+         VALUES (?, ?, ?, ?, ?, ?, 'Active')`,
+        [supplierId, name, contact_person, email, phone, address]
+      );
 
-    return result.insertId;
+      await connection.commit();
+      return result.insertId;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
   }
 
   static async update(id, supplierData) {
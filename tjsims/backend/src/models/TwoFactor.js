@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import { getPool } from '../config/database.js';
+
+// Roles that must enroll when app_settings.require_two_factor is on
+export const TWO_FACTOR_ENFORCED_ROLES = ['admin', 'manager'];
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+const newRecoveryCode = () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+};
+
+export class TwoFactor {
+  static async getState(userId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT u.role, u.two_factor_enabled, u.two_factor_secret, u.two_factor_last_step,
+              (SELECT COUNT(*) FROM user_recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS recovery_codes_remaining,
+              (SELECT require_two_factor FROM app_settings ORDER BY id LIMIT 1) AS require_two_factor
+       FROM users u WHERE u.id = ?`,
+      [userId]
+    );
+    const row = rows[0];
+    if (!row) return null;
+    return {
+      enabled: !!row.two_factor_enabled,
+      secret: row.two_factor_secret,
+      lastStep: row.two_factor_last_step != null ? Number(row.two_factor_last_step) : null,
+      recoveryCodesRemaining: Number(row.recovery_codes_remaining),
+      required: !!row.require_two_factor && TWO_FACTOR_ENFORCED_ROLES.includes(row.role)
+    };
+  }
+
+  // Store a pending secret; 2FA stays off until enable() confirms a code
+  static async startSetup(userId, secret) {
+    const pool = getPool();
+    await pool.execute(
+      'UPDATE users SET two_factor_secret = ?, two_factor_enabled = 0, two_factor_last_step = NULL WHERE id = ? AND two_factor_enabled = 0',
+      [secret, userId]
+    );
+  }
+
+  // Turn 2FA on and return a fresh set of recovery codes
+  static async enable(userId, step) {
+    const pool = getPool();
+    await pool.execute(
+      'UPDATE users SET two_factor_enabled = 1, two_factor_last_step = ? WHERE id = ?',
+      [step, userId]
+    );
+    return this.replaceRecoveryCodes(userId);
+  }
+
+  static async disable(userId) {
+    const pool = getPool();
+    await pool.execute(
+      'UPDATE users SET two_factor_enabled = 0, two_factor_secret = NULL, two_factor_last_step = NULL WHERE id = ?',
+      [userId]
+    );
+    await pool.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  }
+
+  // Accept a TOTP step only once; false when it (or a later one) was already used
+  static async markStepUsed(userId, step) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE users SET two_factor_last_step = ? WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)',
+      [step, userId, step]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async replaceRecoveryCodes(userId) {
+    const pool = getPool();
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+    await pool.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+      await pool.execute('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hashCode(code)]);
+    }
+    return codes;
+  }
+
+  static async redeemRecoveryCode(userId, code) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE user_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1',
+      [userId, hashCode(code)]
+    );
+    return result.affectedRows > 0;
+  }
+}
@@ -0,0 +1,25 @@
+import { getPool } from '../config/database.js';
+
+// Every column that stores a path to a file under /uploads
+const REFERENCES = [
+  { table: 'products', column: 'image' },
+  { table: 'products', column: 'thumbnail' },
+  { table: 'users', column: 'avatar' },
+  { table: 'sales', column: 'delivery_proof' },
+  { table: 'returns', column: 'photo_proof' }
+];
+
+export class Upload {
+  // Public paths ('/uploads/...') still referenced by some record
+  static async referencedPaths() {
+    const pool = getPool();
+    const paths = new Set();
+    for (const { table, column } of REFERENCES) {
+      const [rows] = await pool.execute(
+        `SELECT DISTINCT ${column} AS path FROM ${table} WHERE ${column} LIKE '/uploads/%'`
+      );
+      for (const row of rows) paths.add(row.path);
+    }
+    return paths;
+  }
+}
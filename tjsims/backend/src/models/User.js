@@ -0,0 +1,150 @@
+import { getPool } from '../config/database.js';
+
+// Columns that are safe to send to the client (never password_hash)
+const PUBLIC_COLUMNS = 'id, username, first_name, middle_name, last_name, email, role, status, archived_at, must_change_password, password_changed_at, failed_login_attempts, locked_until, two_factor_enabled, avatar, created_at, updated_at';
+
+export class User {
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // Count a failed login and lock the account once maxAttempts is reached
+  static async recordFailedLogin(id, maxAttempts, lockMinutes) {
+    const pool = getPool();
+    await pool.execute(
+      `UPDATE users
+       SET failed_login_attempts = failed_login_attempts + 1,
+           locked_until = IF(failed_login_attempts >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), locked_until)
+       WHERE id = ?`,
+      [maxAttempts, lockMinutes, id]
+    );
+    const [rows] = await pool.execute('SELECT failed_login_attempts, locked_until FROM users WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  // Clears the counter and any lock (successful login or admin unlock)
+  static async resetLoginAttempts(id) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?',
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Which of username/email already belong to another account
+  static async findConflicts({ username, email }, exceptId = null) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT username, email, archived_at FROM users WHERE (username = ? OR email = ?) AND id <> ?',
+      [username ?? '', email ?? '', exceptId ?? 0]
+    );
+    const conflicts = [];
+    for (const row of rows) {
+      const archived = row.archived_at ? ' (archived account)' : '';
+      if (email && row.email.toLowerCase() === String(email).toLowerCase()) conflicts.push(`Email ${email} is already in use${archived}`);
+      if (username && row.username.toLowerCase() === String(username).toLowerCase()) conflicts.push(`Username ${username} is already in use${archived}`);
+    }
+    return conflicts;
+  }
+
+  // Active, unarchived admins other than `exceptId`; the last one cannot be removed
+  static async countOtherActiveAdmins(exceptId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      "SELECT COUNT(*) AS cnt FROM users WHERE role = 'admin' AND status = 'Active' AND archived_at IS NULL AND id <> ?",
+      [exceptId]
+    );
+    return rows[0].cnt;
+  }
+
+  // Active user who has set an override PIN, for approving price overrides
+  static async findOverrideApprover(username) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT id, username, role, override_pin_hash, override_pin_failed_attempts, override_pin_locked_until,
+         override_pin_locked_until > NOW() AS pin_locked, CEIL(TIMESTAMPDIFF(SECOND, NOW(), override_pin_locked_until) / 60) AS lock_minutes_left
+       FROM users WHERE username = ? AND status = 'Active' AND archived_at IS NULL AND override_pin_hash IS NOT NULL`,
+      [username]
+    );
+    return rows[0] || null;
+  }
+
+  // Same counting as recordFailedLogin, for the override PIN
+  static async recordFailedOverridePin(id, maxAttempts, lockMinutes) {
+    const pool = getPool();
+    await pool.execute(
+      `UPDATE users
+       SET override_pin_failed_attempts = override_pin_failed_attempts + 1,
+           override_pin_locked_until = IF(override_pin_failed_attempts >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), override_pin_locked_until)
+       WHERE id = ?`,
+      [maxAttempts, lockMinutes, id]
+    );
+    const [rows] = await pool.execute('SELECT override_pin_failed_attempts FROM users WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  static async resetOverridePinAttempts(id) {
+    const pool = getPool();
+    await pool.execute('UPDATE users SET override_pin_failed_attempts = 0, override_pin_locked_until = NULL WHERE id = ?', [id]);
+  }
+
+  static async hasOverridePin(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT override_pin_hash IS NOT NULL AS has_pin FROM users WHERE id = ?', [id]);
+    return !!rows[0]?.has_pin;
+  }
+
+  static async setOverridePin(id, pinHash) {
+    const pool = getPool();
+    const [result] = await pool.execute('UPDATE users SET override_pin_hash = ?, override_pin_failed_attempts = 0, override_pin_locked_until = NULL WHERE id = ?', [pinHash, id]);
+    return result.affectedRows > 0;
+  }
+
+  static async setPassword(id, passwordHash, { mustChange = false } = {}) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE users SET password_hash = ?, must_change_password = ?, password_changed_at = NOW(), failed_login_attempts = 0, locked_until = NULL WHERE id = ?',
+      [passwordHash, mustChange ? 1 : 0, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Archived accounts cannot sign in and drop out of the user list, but their
+  // sales, deliveries and audit entries still point at them
+  static async archive(id) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      "UPDATE users SET status = 'Inactive', archived_at = NOW() WHERE id = ? AND archived_at IS NULL",
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Restored accounts stay Inactive until an administrator re-activates them
+  static async restore(id) {
+    const pool = getPool();
+    const [result] = await pool.execute('UPDATE users SET archived_at = NULL WHERE id = ? AND archived_at IS NOT NULL', [id]);
+    return result.affectedRows > 0;
+  }
+
+  // True when deleting the row would orphan business records
+  static async hasActivity(id) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT
+         EXISTS(SELECT 1 FROM sales WHERE driver_id = ?) AS has_deliveries,
+         EXISTS(SELECT 1 FROM audit_log WHERE user_id = ?) AS has_audit`,
+      [id, id]
+    );
+    return !!(rows[0].has_deliveries || rows[0].has_audit);
+  }
+
+  static async delete(id) {
+    const pool = getPool();
+    const [result] = await pool.execute('DELETE FROM users WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
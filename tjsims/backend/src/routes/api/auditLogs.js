@@ -0,0 +1,17 @@
+import express from 'express';
+import { AuditLogController } from '../../controllers/AuditLogController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/auditLogs.js';
+
+const router = express.Router();
+
+router.use(requirePermission('audit.view'));
+
+// GET /api/audit-logs - Search the audit trail (user_id, entity_type, entity_id, action, date_from, date_to, page, limit)
+router.get('/', validate(schema.searchAuditLog), AuditLogController.search);
+
+// GET /api/audit-logs/filters - Users, entity types and actions present in the log
+router.get('/filters', AuditLogController.getFilterOptions);
+
+export default router;
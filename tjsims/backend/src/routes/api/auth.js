@@ -1,12 +1,35 @@
 import express from 'express';
 import { AuthController } from '../../controllers/AuthController.js';
+import { TwoFactorController } from '../../controllers/TwoFactorController.js';
+import { audit } from '../../middleware/audit.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { loginLimiter } from '../../middleware/index.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/auth.js';
 
 const router = express.Router();
 
-router.post('/login', AuthController.login);
-router.post('/change-password', AuthController.changePassword);
-router.post('/logout', (req, res) => {
-  res.json({ success: true });
-});
+router.post('/login', loginLimiter, validate(schema.login), AuthController.login);
+router.post('/login/verify-2fa', loginLimiter, validate(schema.verifyTwoFactorLogin), AuthController.verifyTwoFactorLogin);
+router.post('/change-password', validate(schema.changePassword), audit('user', { action: 'change_password', getId: (req) => req.user.id }), AuthController.changePassword);
+router.post('/forgot-password', loginLimiter, validate(schema.forgotPassword), AuthController.forgotPassword);
+router.get('/password-policy', AuthController.passwordPolicy);
+router.post('/reset-password', validate(schema.resetPassword), audit('user', { action: 'reset_password', getId: () => null }), AuthController.resetPassword);
+router.post('/refresh', validate(schema.refresh), AuthController.refresh);
+router.post('/logout', AuthController.logout);
+router.post('/logout-all', audit('user', { action: 'logout_all', getId: (req) => req.user.id }), AuthController.logoutAll);
+router.get('/sessions', AuthController.listSessions);
+router.delete('/sessions/:sessionId', validate(schema.sessionParams), AuthController.revokeSession);
+
+// Price override approval PIN for the signed-in approver
+router.get('/override-pin', requirePermission('sales.approve_override'), AuthController.overridePinStatus);
+router.put('/override-pin', requirePermission('sales.approve_override'), validate(schema.setOverridePin), audit('user', { action: 'set_override_pin', getId: (req) => req.user.id }), AuthController.setOverridePin);
+
+// Two-factor enrollment for the signed-in user
+router.get('/2fa', TwoFactorController.status);
+router.post('/2fa/setup', TwoFactorController.setup);
+router.post('/2fa/enable', validate(schema.twoFactorCode), audit('user', { action: 'enable_2fa', getId: (req) => req.user.id }), TwoFactorController.enable);
+router.post('/2fa/disable', validate(schema.disableTwoFactor), audit('user', { action: 'disable_2fa', getId: (req) => req.user.id }), TwoFactorController.disable);
+router.post('/2fa/recovery-codes', validate(schema.twoFactorCode), audit('user', { action: 'regenerate_recovery_codes', getId: (req) => req.user.id }), TwoFactorController.regenerateRecoveryCodes);
 
 export default router;
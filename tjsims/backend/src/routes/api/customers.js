@@ -1,9 +1,26 @@
 import express from 'express';
 import { CustomersController } from '../../controllers/CustomersController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { Customer } from '../../models/Customer.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/customers.js';
 
 const router = express.Router();
 
-// GET /api/customers - list distinct customers from sales history
-router.get('/', CustomersController.list);
+// GET /api/customers - customer records plus distinct customers from sales history
+router.get('/', requirePermission('customers.view', 'sales.create'), validate(schema.listCustomers), CustomersController.list);
+router.post('/', requirePermission('customers.manage'), validate(schema.createCustomer), audit('customer', { load: Customer.findById }), CustomersController.create);
+router.put('/:id', requirePermission('customers.manage'), validate(schema.updateCustomer), audit('customer', { load: Customer.findById }), CustomersController.update);
+
+// Store credit wallet: balance and statement, manual adjustments
+router.get('/:id/store-credit', requirePermission('customers.view', 'sales.create'), validate(schema.storeCredit), CustomersController.storeCredit);
+router.post('/:id/store-credit/adjustments', requirePermission('store_credit.adjust'), validate(schema.adjustStoreCredit), audit('customer', { action: 'adjust_store_credit', load: Customer.findById }), CustomersController.adjustStoreCredit);
+
+// Charge accounts: credit limit and terms, payments against open invoices, statement of account
+router.get('/:id/charge-account', requirePermission('customers.view', 'sales.create'), validate(schema.chargeAccount), CustomersController.chargeAccount);
+router.put('/:id/charge-account', requirePermission('accounts.manage'), validate(schema.updateChargeAccount), audit('customer', { action: 'update_charge_account', load: Customer.findById }), CustomersController.updateChargeAccount);
+router.post('/:id/charge-account/payments', requirePermission('sales.update'), validate(schema.receiveAccountPayment), audit('customer', { action: 'account_payment', load: Customer.findById }), CustomersController.receiveAccountPayment);
+router.get('/:id/charge-account/statement', requirePermission('customers.view'), validate(schema.accountStatement), CustomersController.accountStatement);
 
 export default router;
@@ -1,8 +1,13 @@
 import express from 'express';
 import { DashboardController } from '../../controllers/DashboardController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/dashboard.js';
 
 const router = express.Router();
 
+router.use(requirePermission('dashboard.view'));
+
 // Get dashboard statistics
 router.get('/stats', DashboardController.getDashboardStats);
 
@@ -13,7 +18,7 @@ router.get('/recent-sales', DashboardController.getRecentSales);
 router.get('/low-stock', DashboardController.getLowStockItems);
 
 // Get daily sales data
-router.get('/daily-sales', DashboardController.getDailySales);
+router.get('/daily-sales', validate(schema.dailySales), DashboardController.getDailySales);
 
 // Get fast moving products
 router.get('/fast-moving', DashboardController.getFastMovingProducts);
@@ -1,21 +1,26 @@
 import express from 'express';
 import { InventoryController } from '../../controllers/InventoryController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { Inventory } from '../../models/Inventory.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/inventory.js';
 
 const router = express.Router();
 
 // GET /api/inventory/stats - Get inventory statistics
-router.get('/stats', InventoryController.getInventoryStats);
+router.get('/stats', requirePermission('inventory.view'), InventoryController.getInventoryStats);
 
 // GET /api/inventory/products - Get products with inventory information
-router.get('/products', InventoryController.getProductsWithInventory);
+router.get('/products', validate(schema.listInventory), InventoryController.getProductsWithInventory);
 
 // POST /api/inventory/bulk-stock-in - Bulk stock in for multiple products
-router.post('/bulk-stock-in', InventoryController.bulkStockIn);
+router.post('/bulk-stock-in', requirePermission('inventory.manage'), validate(schema.bulkStockIn), audit('inventory', { action: 'bulk_stock_in' }), InventoryController.bulkStockIn);
 
 // POST /api/inventory/return-to-supplier - Return products to supplier
-router.post('/return-to-supplier', InventoryController.returnToSupplier);
+router.post('/return-to-supplier', requirePermission('inventory.manage'), validate(schema.returnToSupplier), audit('inventory', { action: 'return_to_supplier' }), InventoryController.returnToSupplier);
 
 // PUT /api/inventory/:id/stock - Update product stock
-router.put('/:id/stock', InventoryController.updateStock);
+router.put('/:id/stock', requirePermission('inventory.manage'), validate(schema.updateStock), audit('inventory', { action: 'update_stock', load: Inventory.findByProductId }), InventoryController.updateStock);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+import express from 'express';
+import { MaintenanceController } from '../../controllers/MaintenanceController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+
+const router = express.Router();
+
+router.use(requirePermission('settings.manage'));
+
+// GET /api/maintenance/uploads/orphans - Report files in the uploads folder that nothing references
+router.get('/uploads/orphans', MaintenanceController.listOrphanUploads);
+
+// DELETE /api/maintenance/uploads/orphans - Delete those files
+router.delete('/uploads/orphans', audit('upload', { action: 'purge_orphans', getId: () => null }), MaintenanceController.purgeOrphanUploads);
+
+export default router;
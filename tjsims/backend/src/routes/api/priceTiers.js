@@ -0,0 +1,19 @@
+import express from 'express';
+import { PriceTiersController } from '../../controllers/PriceTiersController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { PriceTier } from '../../models/PriceTier.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/priceTiers.js';
+
+const router = express.Router();
+
+// Cashiers read tiers to price the cart; price_tiers.manage changes them
+router.get('/', requirePermission('price_tiers.manage', 'customers.manage', 'sales.create'), validate(schema.listPriceTiers), PriceTiersController.list);
+router.get('/:id', requirePermission('price_tiers.manage'), validate(schema.priceTierById), PriceTiersController.get);
+router.get('/:id/prices', requirePermission('price_tiers.manage', 'sales.create'), validate(schema.priceTierById), PriceTiersController.prices);
+router.post('/', requirePermission('price_tiers.manage'), validate(schema.createPriceTier), audit('price_tier', { load: PriceTier.findById }), PriceTiersController.create);
+router.put('/:id', requirePermission('price_tiers.manage'), validate(schema.updatePriceTier), audit('price_tier', { load: PriceTier.findById }), PriceTiersController.update);
+router.delete('/:id', requirePermission('price_tiers.manage'), validate(schema.priceTierById), audit('price_tier', { load: PriceTier.findById }), PriceTiersController.remove);
+
+export default router;
@@ -1,25 +1,17 @@
 import express from 'express';
-import multer from 'multer';
 import { ProductController } from '../../controllers/ProductController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { Product } from '../../models/Product.js';
+import { validate } from '../../middleware/validate.js';
+import { uploadImage } from '../../services/uploads.js';
+import * as schema from '../../validators/products.js';
 
 
 const router = express.Router();
 
-// Multer configuration for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'src/uploads/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + '.' + file.originalname.split('.').pop());
-  }
-});
-
-const upload = multer({ storage: storage });
-
 // GET /api/products - Get all products with optional filtering and pagination
-router.get('/', ProductController.getAllProducts);
+router.get('/', validate(schema.listProducts), ProductController.getAllProducts);
 
 // GET /api/products/categories - Get all categories
 router.get('/categories', ProductController.getCategories);
@@ -27,16 +19,19 @@ router.get('/categories', ProductController.getCategories);
 // GET /api/products/brands - Get all brands
 router.get('/brands', ProductController.getBrands);
 
+// GET /api/products/lookup/:code - Resolve a scanned barcode, product ID or serial number
+router.get('/lookup/:code', requirePermission('inventory.view', 'sales.create', 'products.manage'), validate(schema.lookupCode), ProductController.lookupCode);
+
 // GET /api/products/:id - Get product by ID
-router.get('/:id', ProductController.getProductById);
+router.get('/:id', validate(schema.productById), ProductController.getProductById);
 
 // POST /api/products - Create new product
-router.post('/', upload.single('image'), ProductController.createProduct);
+router.post('/', requirePermission('products.manage'), audit('product', { load: Product.findById }), uploadImage('product', 'image'), validate(schema.createProduct), ProductController.createProduct);
 
 // PUT /api/products/:id - Update product
-router.put('/:id', upload.single('image'), ProductController.updateProduct);
+router.put('/:id', requirePermission('products.manage'), audit('product', { load: Product.findById }), uploadImage('product', 'image'), validate(schema.updateProduct), ProductController.updateProduct);
 
-// DELETE /api/products/:id - Delete product
-router.delete('/:id', ProductController.deleteProduct);
+// DELETE /api/products/:id - Delete product (:id is the internal products.id)
+router.delete('/:id', requirePermission('products.manage'), validate(schema.productById), audit('product', { load: Product.findByInternalId }), ProductController.deleteProduct);
 
 export default router;
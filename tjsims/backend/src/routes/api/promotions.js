@@ -0,0 +1,17 @@
+import express from 'express';
+import { PromotionsController } from '../../controllers/PromotionsController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { Promotion } from '../../models/Promotion.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/promotions.js';
+
+const router = express.Router();
+
+// Cashiers can see what is running; only promotions.manage can change it
+router.get('/', requirePermission('promotions.manage', 'sales.create'), validate(schema.listPromotions), PromotionsController.list);
+router.post('/', requirePermission('promotions.manage'), validate(schema.createPromotion), audit('promotion', { load: Promotion.findById }), PromotionsController.create);
+router.put('/:id', requirePermission('promotions.manage'), validate(schema.updatePromotion), audit('promotion', { load: Promotion.findById }), PromotionsController.update);
+router.delete('/:id', requirePermission('promotions.manage'), validate(schema.promotionById), audit('promotion', { load: Promotion.findById }), PromotionsController.remove);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import { QuotationsController } from '../../controllers/QuotationsController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { Quotation } from '../../models/Quotation.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/quotations.js';
+
+const router = express.Router();
+
+// Quotes are priced like sales but deduct no stock; converting one goes
+// through POST /sales with quotation_id
+router.get('/', requirePermission('quotations.manage'), validate(schema.listQuotations), QuotationsController.list);
+router.post('/', requirePermission('quotations.manage'), validate(schema.createQuotation), audit('quotation', { load: Quotation.findById }), QuotationsController.create);
+router.get('/:id', requirePermission('quotations.manage'), validate(schema.quotationById), QuotationsController.getById);
+router.post('/:id/cancel', requirePermission('quotations.manage'), validate(schema.quotationById), audit('quotation', { action: 'cancel', load: Quotation.findById }), QuotationsController.cancel);
+
+export default router;
@@ -1,17 +1,25 @@
 import express from 'express';
 import { ReportsController } from '../../controllers/ReportsController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/reports.js';
 
 const router = express.Router();
 
+router.use(requirePermission('reports.view'));
+
 // Get sales report data with pagination and filtering
-router.get('/sales', ReportsController.getSalesReport);
+router.get('/sales', validate(schema.salesReport), ReportsController.getSalesReport);
 
 // Get inventory report data with pagination and filtering
-router.get('/inventory', ReportsController.getInventoryReport);
+router.get('/inventory', validate(schema.inventoryReport), ReportsController.getInventoryReport);
 
 // Get filter options (brands and categories)
 router.get('/filter-options', ReportsController.getFilterOptions);
 
-router.get('/returns', ReportsController.getReturnsReport);
+router.get('/returns', validate(schema.returnsReport), ReportsController.getReturnsReport);
+
+// What customers owe on their charge accounts, by days past due
+router.get('/receivables-aging', validate(schema.receivablesAging), ReportsController.getReceivablesAging);
 
 export default router;
@@ -1,18 +1,23 @@
 import express from 'express';
-import { ReturnController, uploadReturnPhoto } from '../../controllers/ReturnController.js';
+import { ReturnController } from '../../controllers/ReturnController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { validate } from '../../middleware/validate.js';
+import { uploadImage } from '../../services/uploads.js';
+import * as schema from '../../validators/returns.js';
 
 const router = express.Router();
 
 // Process a return (with photo upload)
-router.post('/process', uploadReturnPhoto, ReturnController.processReturn);
+router.post('/process', requirePermission('returns.process'), audit('return', { action: 'process', getId: (req, body) => body?.data?.returnId ?? null }), uploadImage('return', 'photoProof'), validate(schema.processReturn), ReturnController.processReturn);
 
 // Get returns for a specific order
-router.get('/order/:orderId', ReturnController.getReturnsByOrder);
+router.get('/order/:orderId', requirePermission('sales.view'), validate(schema.returnsByOrder), ReturnController.getReturnsByOrder);
 
 // Get all returns with filters
-router.get('/', ReturnController.getAllReturns);
+router.get('/', requirePermission('sales.view', 'reports.view'), validate(schema.listReturns), ReturnController.getAllReturns);
 
 // Get return statistics
-router.get('/stats', ReturnController.getReturnStats);
+router.get('/stats', requirePermission('sales.view', 'reports.view'), ReturnController.getReturnStats);
 
 export default router;
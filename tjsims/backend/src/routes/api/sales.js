@@ -1,42 +1,59 @@
 import express from 'express';
-import multer from 'multer';
 import { SalesController } from '../../controllers/SalesController.js';
+import { ParkedSalesController } from '../../controllers/ParkedSalesController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { Sales } from '../../models/Sales.js';
+import { ParkedSale } from '../../models/ParkedSale.js';
+import { validate } from '../../middleware/validate.js';
+import { uploadImage } from '../../services/uploads.js';
+import * as schema from '../../validators/sales.js';
 
 const router = express.Router();
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'src/uploads/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, 'delivery-' + uniqueSuffix + '.' + file.originalname.split('.').pop());
-  }
-});
-const upload = multer({ storage });
+// Price a cart (promotions, coupon, manual discounts) without saving it
+router.post('/quote', requirePermission('sales.create'), validate(schema.quoteSale), SalesController.quoteSale);
+
+// Parked (held) carts: shared by all terminals, serials reserved until resumed or expired
+router.get('/parked', requirePermission('sales.create'), ParkedSalesController.list);
+router.post('/parked', requirePermission('sales.create'), validate(schema.parkSale), audit('parked_sale', { action: 'park', load: ParkedSale.findById }), ParkedSalesController.park);
+router.post('/parked/:id/resume', requirePermission('sales.create'), validate(schema.parkedSaleById), audit('parked_sale', { action: 'resume', load: ParkedSale.findById }), ParkedSalesController.resume);
+router.delete('/parked/:id', requirePermission('sales.create'), validate(schema.parkedSaleById), audit('parked_sale', { load: ParkedSale.findById }), ParkedSalesController.discard);
 
 // Create a new sale
-router.post('/', SalesController.createSale);
+router.post('/', requirePermission('sales.create'), validate(schema.createSale), audit('sale', { load: Sales.findById }), SalesController.createSale);
 
 // Get all sales with optional filters and pagination
-router.get('/', SalesController.getAllSales);
+router.get('/', requirePermission('sales.view', 'deliveries.view'), validate(schema.listSales), SalesController.getAllSales);
+
+// Public order tracker lookup by sale number
+router.get('/track/:saleNumber', validate(schema.trackOrder), SalesController.trackOrder);
 
 // Get sales statistics
-router.get('/stats', SalesController.getSalesStats);
+router.get('/stats', requirePermission('sales.view'), validate(schema.salesStats), SalesController.getSalesStats);
 
 // Get a specific sale with its items
-router.get('/:id', SalesController.getSaleById);
+router.get('/:id', requirePermission('sales.view', 'deliveries.view'), validate(schema.saleById), SalesController.getSaleById);
 
 // Get items for a specific sale
-router.get('/:sale_id/items', SalesController.getSaleItems);
+router.get('/:sale_id/items', requirePermission('sales.view', 'deliveries.view'), validate(schema.saleItems), SalesController.getSaleItems);
 
 // Update a sale
-router.put('/:id', SalesController.updateSale);
+router.put('/:id', requirePermission('sales.update', 'deliveries.update'), validate(schema.updateSale), audit('sale', { load: Sales.findById }), SalesController.updateSale);
+
+// Status timeline of a sale
+router.get('/:id/history', requirePermission('sales.view', 'deliveries.view'), validate(schema.saleById), SalesController.getSaleHistory);
+
+// Payment history of a sale
+router.get('/:id/payments', requirePermission('sales.view', 'deliveries.view'), validate(schema.saleById), SalesController.getSalePayments);
+
+// Record a payment against a sale's balance (partial settlement, COD collection)
+router.post('/:id/payments', requirePermission('sales.update', 'deliveries.update'), validate(schema.recordPayment), audit('sale', { action: 'record_payment', load: Sales.findById }), SalesController.recordPayment);
 
 // Upload delivery proof for a sale
-router.post('/:id/delivery-proof', upload.single('proof'), SalesController.uploadDeliveryProof);
+router.post('/:id/delivery-proof', requirePermission('sales.update', 'deliveries.update'), audit('sale', { action: 'upload_delivery_proof', load: Sales.findById }), uploadImage('delivery', 'proof'), validate(schema.saleById), SalesController.uploadDeliveryProof);
 
-// Delete a sale (restores inventory)
-router.delete('/:id', SalesController.deleteSale);
+// Void a sale (restores stock and serials, reverses payments); sales are never deleted
+router.post('/:id/void', requirePermission('sales.delete'), validate(schema.voidSale), audit('sale', { action: 'void', load: Sales.findById }), SalesController.voidSale);
 
 export default router;
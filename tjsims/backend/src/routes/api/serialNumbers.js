@@ -1,27 +1,34 @@
 import express from 'express';
 import { SerialNumberController } from '../../controllers/SerialNumberController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/serialNumbers.js';
 
 const router = express.Router();
 
+// GET /api/serial-numbers/available - Get available serial numbers of all products
+router.get('/available', requirePermission('sales.create'), SerialNumberController.getAllAvailableSerials);
+
 // GET /api/serial-numbers/product/:productId/available - Get available serial numbers for a product
-router.get('/product/:productId/available', SerialNumberController.getAvailableSerials);
+router.get('/product/:productId/available', requirePermission('inventory.view', 'sales.create', 'products.manage'), validate(schema.serialsByProduct), SerialNumberController.getAvailableSerials);
 
 // GET /api/serial-numbers/product/:productId - Get all serial numbers for a product
-router.get('/product/:productId', SerialNumberController.getAllSerials);
+router.get('/product/:productId', requirePermission('inventory.view', 'sales.create', 'products.manage'), validate(schema.serialsByProduct), SerialNumberController.getAllSerials);
 
 // GET /api/serial-numbers/sale/:saleId - Get serial numbers by sale ID
-router.get('/sale/:saleId', SerialNumberController.getBySaleId);
+router.get('/sale/:saleId', requirePermission('sales.view', 'deliveries.view'), validate(schema.serialsBySale), SerialNumberController.getBySaleId);
 
 // POST /api/serial-numbers - Create serial numbers
-router.post('/', SerialNumberController.createSerials);
+router.post('/', requirePermission('inventory.manage'), validate(schema.createSerials), audit('serial_number'), SerialNumberController.createSerials);
 
 // PUT /api/serial-numbers/mark-sold - Mark serial numbers as sold
-router.put('/mark-sold', SerialNumberController.markAsSold);
+router.put('/mark-sold', requirePermission('sales.create'), validate(schema.markAsSold), audit('serial_number', { action: 'mark_sold' }), SerialNumberController.markAsSold);
 
 // PUT /api/serial-numbers/defective - Mark serial numbers as defective
-router.put('/defective', SerialNumberController.markAsDefective);
+router.put('/defective', requirePermission('inventory.manage'), validate(schema.markAsDefective), audit('serial_number', { action: 'mark_defective' }), SerialNumberController.markAsDefective);
 
 // DELETE /api/serial-numbers - Delete serial numbers
-router.delete('/', SerialNumberController.deleteSerials);
+router.delete('/', requirePermission('inventory.manage'), validate(schema.deleteSerials), audit('serial_number', { action: 'delete', getId: () => null }), SerialNumberController.deleteSerials);
 
 export default router;
@@ -1,10 +1,23 @@
 import express from 'express';
 import { SettingsController } from '../../controllers/SettingsController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { AppSettings } from '../../models/AppSettings.js';
+import { RolePermission } from '../../models/RolePermission.js';
+import { DocumentSequence } from '../../models/DocumentSequence.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/settings.js';
 
 const router = express.Router();
 
 router.get('/', SettingsController.getSettings);
-router.put('/', SettingsController.updateBusinessInfo);
-router.put('/preferences', SettingsController.updatePreferences);
+router.put('/', requirePermission('settings.manage'), validate(schema.updateBusinessInfo), audit('settings', { action: 'update_business_info', load: AppSettings.get, getId: () => 'app' }), SettingsController.updateBusinessInfo);
+router.put('/preferences', requirePermission('settings.manage'), validate(schema.updatePreferences), audit('settings', { action: 'update_preferences', load: AppSettings.get, getId: () => 'app' }), SettingsController.updatePreferences);
+router.put('/tax', requirePermission('settings.manage'), validate(schema.updateTax), audit('settings', { action: 'update_tax', load: AppSettings.get, getId: () => 'app' }), SettingsController.updateTax);
+router.get('/numbering', requirePermission('settings.manage'), SettingsController.getNumbering);
+router.put('/numbering/:doc_type', requirePermission('settings.manage'), validate(schema.updateNumbering), audit('document_sequence', { load: DocumentSequence.findByType, getId: (req) => req.params.doc_type }), SettingsController.updateNumbering);
+router.put('/security', requirePermission('users.manage'), validate(schema.updateSecurity), audit('settings', { action: 'update_security', load: AppSettings.get, getId: () => 'app' }), SettingsController.updateSecurity);
+router.get('/permissions', requirePermission('users.manage'), SettingsController.getPermissions);
+router.put('/permissions', requirePermission('users.manage'), validate(schema.updatePermissions), audit('role_permissions', { load: () => RolePermission.getMatrix(), getId: () => 'matrix' }), SettingsController.updatePermissions);
 
 export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import { ShiftsController } from '../../controllers/ShiftsController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { CashShift } from '../../models/CashShift.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/shifts.js';
+
+const router = express.Router();
+
+// Cash drawer shifts: one open at a time for the store's drawer
+router.get('/', requirePermission('shifts.operate', 'reports.view'), validate(schema.listShifts), ShiftsController.list);
+router.get('/current', requirePermission('shifts.operate'), ShiftsController.current);
+router.get('/:id', requirePermission('shifts.operate', 'reports.view'), validate(schema.shiftById), ShiftsController.get);
+router.post('/', requirePermission('shifts.operate'), validate(schema.openShift), audit('cash_shift', { action: 'open', load: CashShift.findById, getId: (req, body) => body?.data?.shift?.id ?? null }), ShiftsController.open);
+router.post('/:id/movements', requirePermission('shifts.operate'), validate(schema.addMovement), audit('cash_shift', { action: 'cash_movement', load: CashShift.findById }), ShiftsController.addMovement);
+router.post('/:id/close', requirePermission('shifts.operate'), validate(schema.closeShift), audit('cash_shift', { action: 'close', load: CashShift.findById }), ShiftsController.close);
+
+export default router;
@@ -1,11 +1,16 @@
 import express from 'express';
 import { SupplierController } from '../../controllers/SupplierController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { Supplier } from '../../models/Supplier.js';
+import { validate } from '../../middleware/validate.js';
+import * as schema from '../../validators/suppliers.js';
 
 const router = express.Router();
 
-router.get('/', SupplierController.getAllSuppliers);
-router.post('/', SupplierController.createSupplier);
-router.put('/:id', SupplierController.updateSupplier);
-router.delete('/:id', SupplierController.deleteSupplier);
+router.get('/', requirePermission('suppliers.view', 'inventory.manage'), SupplierController.getAllSuppliers);
+router.post('/', requirePermission('suppliers.manage'), validate(schema.createSupplier), audit('supplier', { load: Supplier.findById }), SupplierController.createSupplier);
+router.put('/:id', requirePermission('suppliers.manage'), validate(schema.updateSupplier), audit('supplier', { load: Supplier.findById }), SupplierController.updateSupplier);
+router.delete('/:id', requirePermission('suppliers.manage'), validate(schema.supplierById), audit('supplier', { load: Supplier.findById }), SupplierController.deleteSupplier);
 
 export default router;
\ No newline at end of file
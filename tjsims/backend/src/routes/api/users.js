@@ -1,23 +1,28 @@
 import express from 'express';
-import multer from 'multer';
 import { UsersController } from '../../controllers/UsersController.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { audit } from '../../middleware/audit.js';
+import { User } from '../../models/User.js';
+import { validate } from '../../middleware/validate.js';
+import { uploadImage } from '../../services/uploads.js';
+import * as schema from '../../validators/users.js';
 
 const router = express.Router();
 
-// Multer configuration for avatar uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'src/uploads/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, 'avatar-' + uniqueSuffix + '.' + file.originalname.split('.').pop());
-  }
-});
-const upload = multer({ storage });
+router.use(requirePermission('users.manage'));
 
-router.get('/', UsersController.list);
-router.post('/', upload.single('avatar'), UsersController.create);
-router.put('/:id', upload.single('avatar'), UsersController.update);
+router.get('/', validate(schema.listUsers), UsersController.list);
+router.post('/', audit('user', { load: User.findById }), uploadImage('avatar', 'avatar'), validate(schema.createUser), UsersController.create);
+router.put('/:id', audit('user', { load: User.findById }), uploadImage('avatar', 'avatar'), validate(schema.updateUser), UsersController.update);
+router.delete('/:id', validate(schema.userById), audit('user', { load: User.findById }), UsersController.remove);
+router.post('/:id/reset-password', validate(schema.resetUserPassword), audit('user', { action: 'admin_reset_password', load: User.findById }), UsersController.resetPassword);
+router.post('/:id/archive', validate(schema.userById), audit('user', { action: 'archive', load: User.findById }), UsersController.archive);
+router.post('/:id/restore', validate(schema.userById), audit('user', { action: 'restore', load: User.findById }), UsersController.restore);
+router.get('/:id/login-history', validate(schema.loginHistory), UsersController.loginHistory);
+router.post('/:id/unlock', validate(schema.userById), audit('user', { action: 'unlock', load: User.findById }), UsersController.unlock);
+router.get('/:id/sessions', validate(schema.userById), UsersController.listSessions);
+router.delete('/:id/sessions', validate(schema.userById), audit('user', { action: 'revoke_sessions' }), UsersController.revokeSessions);
+router.delete('/:id/sessions/:sessionId', validate(schema.userSession), audit('user', { action: 'revoke_session' }), UsersController.revokeSessions);
+router.delete('/:id/two-factor', validate(schema.userById), audit('user', { action: 'reset_2fa', load: User.findById }), UsersController.resetTwoFactor);
 
 export default router;
@@ -11,9 +11,34 @@ import settingsRoutes from './api/settings.js';
 import serialNumbersRoutes from './api/serialNumbers.js';
 import supplierRoutes from './api/suppliers.js';
 import customersRoutes from './api/customers.js';
+import auditLogRoutes from './api/auditLogs.js';
+import maintenanceRoutes from './api/maintenance.js';
+import promotionsRoutes from './api/promotions.js';
+import quotationsRoutes from './api/quotations.js';
+import priceTiersRoutes from './api/priceTiers.js';
+import shiftsRoutes from './api/shifts.js';
+import { authenticate } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Endpoints reachable without a token: login, token refresh, password recovery, the client catalog and the order tracker
+const publicRoutes = [
+  { method: 'GET', path: '/health' },
+  { method: 'POST', path: '/auth/login' },
+  { method: 'POST', path: '/auth/login/verify-2fa' },
+  { method: 'POST', path: '/auth/refresh' },
+  { method: 'POST', path: '/auth/forgot-password' },
+  { method: 'POST', path: '/auth/reset-password' },
+  { method: 'GET', path: '/auth/password-policy' },
+  { method: 'GET', path: '/products' },
+  { method: 'GET', path: '/products/categories' },
+  { method: 'GET', path: '/products/brands' },
+  { method: 'GET', path: '/inventory/products' },
+  { method: 'GET', path: '/sales/track/:saleNumber' }
+];
+
+router.use(authenticate({ publicRoutes }));
+
 // API routes
 router.use('/products', productRoutes);
 router.use('/inventory', inventoryRoutes);
@@ -27,6 +52,12 @@ router.use('/settings', settingsRoutes);
 router.use('/serial-numbers', serialNumbersRoutes);
 router.use('/suppliers', supplierRoutes);
 router.use('/customers', customersRoutes);
+router.use('/audit-logs', auditLogRoutes);
+router.use('/maintenance', maintenanceRoutes);
+router.use('/promotions', promotionsRoutes);
+router.use('/quotations', quotationsRoutes);
+router.use('/price-tiers', priceTiersRoutes);
+router.use('/shifts', shiftsRoutes);
 
 // Health check
 router.get('/health', (req, res) => {
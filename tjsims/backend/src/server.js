@@ -4,6 +4,8 @@ import dotenv from 'dotenv';
 import { initializeDatabase, closeDatabase } from './config/database.js';
 import { corsOptions, limiter, securityHeaders, errorHandler, notFound } from './middleware/index.js';
 import { Product } from './models/Product.js';
+import { UPLOAD_DIR } from './services/uploads.js';
+import { checkAuthConfig } from './middleware/auth.js';
 
 // Import routes
 import apiRoutes from './routes/index.js';
@@ -48,7 +50,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from uploads directory
-app.use('/uploads', express.static('src/uploads'));
+app.use('/uploads', express.static(UPLOAD_DIR));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -72,6 +74,8 @@ app.use(errorHandler);
 // Start server
 const startServer = async () => {
   try {
+    checkAuthConfig();
+
     // Initialize database
     await initializeDatabase();
 
@@ -0,0 +1,156 @@
+import bcrypt from 'bcryptjs';
+import { Product } from '../models/Product.js';
+import { User } from '../models/User.js';
+import { RolePermission } from '../models/RolePermission.js';
+import { Promotion } from '../models/Promotion.js';
+import { Customer } from '../models/Customer.js';
+import { PriceTier } from '../models/PriceTier.js';
+import { AppSettings } from '../models/AppSettings.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { priceSale, tierPrice } from './pricing.js';
+import { applyTax } from './tax.js';
+import { hasPermission } from '../middleware/auth.js';
+
+// Price a cart from current product prices, running promotions, the entered
+// coupon and any manual discounts, then split out VAT. Shared by sales and
+// quotations so a quote is priced exactly like the sale it turns into. Errors
+// carry a code the handlers map to 4xx (QUOTE_ERRORS).
+//
+// With a customer_id, products are priced from that customer's price tier
+// (when it is active) instead of the list price. A line's price_override
+// replaces that price (kept as original_price); lines cut by more than
+// app_settings.override_approval_percent come back with needs_approval set
+// (see approveOverrides).
+export const buildQuote = async ({ items, coupon_code, order_discount, customer_id }, user) => {
+  const settings = await AppSettings.get();
+  const approvalPercent = Number(settings?.override_approval_percent ?? 10);
+  let tier = null;
+  if (customer_id) {
+    const customer = await Customer.findById(customer_id);
+    if (!customer) {
+      throw Object.assign(new Error(`Customer not found: ${customer_id}`), { code: 'CUSTOMER_NOT_FOUND' });
+    }
+    tier = customer.price_tier_id ? await PriceTier.findForPricing(customer.price_tier_id) : null;
+  }
+  const lines = [];
+  for (const { product_id, quantity, serialNumbers, discount, price_override } of items) {
+    const product = await Product.findById(product_id);
+    if (!product) {
+      throw Object.assign(new Error(`Product not found: ${product_id}`), { code: 'PRODUCT_NOT_FOUND' });
+    }
+    const listPrice = tier ? tierPrice(tier, product) : Number(product.price);
+    const override = price_override && Number(price_override.price) !== listPrice ? price_override : null;
+    const cutPercent = override && listPrice > 0 ? ((listPrice - Number(override.price)) / listPrice) * 100 : 0;
+    lines.push({
+      product_id: product.product_id,
+      product_name: product.name,
+      brand: product.brand,
+      category: product.category,
+      tax_class: product.tax_class,
+      list_price: Number(product.price),
+      price: override ? Number(override.price) : listPrice,
+      original_price: override ? listPrice : null,
+      override_reason: override ? override.reason : null,
+      needs_approval: cutPercent > approvalPercent,
+      quantity,
+      serialNumbers,
+      discount
+    });
+  }
+
+  const manual = !!order_discount || lines.some(line => line.discount);
+  if (manual && !hasPermission(user, 'sales.discount')) {
+    throw Object.assign(new Error('You do not have permission to give manual discounts'), { code: 'DISCOUNT_NOT_ALLOWED' });
+  }
+  if (lines.some(line => line.original_price != null) && !hasPermission(user, 'sales.price_override')) {
+    throw Object.assign(new Error('You do not have permission to override prices'), { code: 'OVERRIDE_NOT_ALLOWED' });
+  }
+
+  const promotions = await Promotion.findRunning();
+  const coupon = coupon_code ? await Promotion.findCoupon(coupon_code) : null;
+  const quote = applyTax(priceSale({ lines, promotions, coupon, orderDiscount: order_discount }), settings);
+  return { ...quote, customer_id: customer_id || null, price_tier: tier && { id: tier.id, name: tier.name, kind: tier.kind } };
+};
+
+// Signs off the lines buildQuote flagged needs_approval, setting
+// override_approved_by: the cashier approves their own overrides when they
+// hold sales.approve_override, otherwise the line must carry the username and
+// override PIN of someone who does. `items` are the request lines the quote
+// was built from (same order).
+//
+// Every refused approval is written to the audit log, and wrong PINs count
+// against the approver: after OVERRIDE_PIN_MAX_ATTEMPTS in a row their PIN is
+// locked for OVERRIDE_PIN_LOCKOUT_MINUTES, as with failed logins.
+const MAX_PIN_ATTEMPTS = parseInt(process.env.OVERRIDE_PIN_MAX_ATTEMPTS) || 5;
+const PIN_LOCKOUT_MINUTES = parseInt(process.env.OVERRIDE_PIN_LOCKOUT_MINUTES) || 15;
+
+const refuseApproval = async (user, approval, approver, line, reason, ipAddress) => {
+  await AuditLog.record({
+    userId: user.id,
+    username: user.username,
+    action: 'override_approval_failed',
+    entityType: 'user',
+    entityId: approver?.id ?? null,
+    after: { approver: approval.username, reason, product_id: line.product_id, price: line.price, original_price: line.original_price },
+    ipAddress
+  }).catch(err => console.error('Audit log error:', err));
+};
+
+export const approveOverrides = async (quote, items, user, { ipAddress = null } = {}) => {
+  for (const [index, line] of quote.items.entries()) {
+    if (!line.needs_approval) continue;
+    if (hasPermission(user, 'sales.approve_override')) {
+      line.override_approved_by = user.username;
+      continue;
+    }
+    const approval = items[index].price_override?.approval;
+    if (!approval?.username || !approval?.pin) {
+      throw Object.assign(new Error(`The price of ${line.product_name} needs a manager's approval`), { code: 'OVERRIDE_APPROVAL_REQUIRED' });
+    }
+    const approver = await User.findOverrideApprover(approval.username);
+    if (approver?.pin_locked) {
+      await refuseApproval(user, approval, approver, line, 'pin_locked', ipAddress);
+      throw Object.assign(new Error(`Too many wrong PINs: ${approver.username}'s override PIN is locked. Try again in ${approver.lock_minutes_left} minute(s).`), { code: 'OVERRIDE_APPROVAL_LOCKED' });
+    }
+    // An expired lock starts the count over
+    if (approver?.override_pin_locked_until) await User.resetOverridePinAttempts(approver.id);
+    const pinOk = approver && await bcrypt.compare(approval.pin, approver.override_pin_hash).catch(() => false);
+    if (approver && !pinOk) {
+      const counters = await User.recordFailedOverridePin(approver.id, MAX_PIN_ATTEMPTS, PIN_LOCKOUT_MINUTES);
+      await refuseApproval(user, approval, approver, line, 'invalid_pin', ipAddress);
+      if (counters && counters.override_pin_failed_attempts >= MAX_PIN_ATTEMPTS) {
+        throw Object.assign(new Error(`Too many wrong PINs: ${approver.username}'s override PIN is locked for ${PIN_LOCKOUT_MINUTES} minutes.`), { code: 'OVERRIDE_APPROVAL_LOCKED' });
+      }
+    }
+    const permissions = pinOk ? await RolePermission.getPermissionsForRole(approver.role) : [];
+    if (!permissions.includes('sales.approve_override')) {
+      if (!approver || pinOk) await refuseApproval(user, approval, approver, line, approver ? 'not_allowed' : 'unknown_approver', ipAddress);
+      throw Object.assign(new Error('Approval failed: wrong username or PIN, or that user cannot approve overrides'), { code: 'OVERRIDE_APPROVAL_INVALID' });
+    }
+    if (approver.override_pin_failed_attempts > 0) await User.resetOverridePinAttempts(approver.id);
+    line.override_approved_by = approver.username;
+  }
+  return quote;
+};
+
+export const QUOTE_ERRORS = {
+  PRODUCT_NOT_FOUND: 404,
+  DISCOUNT_NOT_ALLOWED: 403,
+  COUPON_INVALID: 400,
+  PROMOTION_EXHAUSTED: 409,
+  PAYMENT_EXCEEDS_BALANCE: 400,
+  INVALID_TRANSITION: 400,
+  QUOTATION_NOT_FOUND: 404,
+  QUOTATION_CLOSED: 409,
+  OVERRIDE_NOT_ALLOWED: 403,
+  OVERRIDE_APPROVAL_REQUIRED: 403,
+  OVERRIDE_APPROVAL_INVALID: 403,
+  OVERRIDE_APPROVAL_LOCKED: 423,
+  CUSTOMER_NOT_FOUND: 404,
+  INSUFFICIENT_STORE_CREDIT: 409,
+  STORE_CREDIT_NO_CUSTOMER: 400,
+  CHARGE_ACCOUNT_REQUIRED: 400,
+  CREDIT_LIMIT_EXCEEDED: 409,
+  SERIAL_UNAVAILABLE: 409,
+  INSUFFICIENT_STOCK: 409
+};
@@ -0,0 +1,40 @@
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import { getPool } from '../config/database.js';
+
+dotenv.config();
+
+// Outbound email. No SMTP provider is wired up yet, so messages are recorded
+// locally for whoever is testing or running the store:
+//   MAIL_TRANSPORT=outbox (default) -> row in the email_outbox table
+//   MAIL_TRANSPORT=file             -> JSON line appended to MAIL_OUTBOX_FILE
+// Add a new transport here when a real provider is chosen.
+
+const transports = {
+  outbox: async ({ to, subject, text }) => {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'INSERT INTO email_outbox (to_email, subject, body) VALUES (?, ?, ?)',
+      [to, subject, text]
+    );
+    return { id: result.insertId };
+  },
+
+  file: async ({ to, subject, text }) => {
+    const file = path.resolve(process.env.MAIL_OUTBOX_FILE || 'outbox/mail.log');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const entry = { to, from: process.env.MAIL_FROM || 'no-reply@tjsims.local', subject, text, created_at: new Date().toISOString() };
+    await fs.appendFile(file, JSON.stringify(entry) + '\n');
+    return { file };
+  }
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+  return transport({ to, subject, text });
+};
@@ -0,0 +1,69 @@
+// Document numbers (sales, quotations, returns, refunds, stock movements,
+// suppliers, cash shifts) are built from a row in `document_sequences`; see
+// models/DocumentSequence.js for how the next value is taken inside the
+// caller's transaction.
+//
+// A format is text with tokens: {prefix} {yyyy} {yy} {mm} {dd} {seq}
+// e.g. '{prefix}{yy}{mm}{dd}{seq}' with prefix SL and padding 4 -> SL2610190001
+
+// maxLength: size of the column the number is stored in. minPadding: fewest
+// {seq} digits allowed; older sale numbers (SL + date + 3 digits) would be
+// generated again with less than 4.
+export const DOCUMENT_TYPES = {
+  sale: { label: 'Sale', maxLength: 50, minPadding: 4 },
+  quotation: { label: 'Quotation', maxLength: 50 },
+  return: { label: 'Return', maxLength: 50 },
+  refund: { label: 'Refund', maxLength: 50 },
+  stock_in: { label: 'Stock in', maxLength: 20 },
+  stock_out: { label: 'Stock out', maxLength: 20 },
+  supplier: { label: 'Supplier', maxLength: 20 },
+  shift: { label: 'Cash shift', maxLength: 50 }
+};
+
+export const RESET_PERIODS = ['never', 'daily', 'monthly', 'yearly'];
+
+const TOKENS = ['prefix', 'yyyy', 'yy', 'mm', 'dd', 'seq'];
+
+const pad2 = (value) => value.toString().padStart(2, '0');
+
+// Key of the period the date falls in; the counter restarts when it changes
+export const periodKey = (resetPeriod, date = new Date()) => {
+  const yyyy = date.getFullYear().toString();
+  if (resetPeriod === 'daily') return `${yyyy}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}`;
+  if (resetPeriod === 'monthly') return `${yyyy}${pad2(date.getMonth() + 1)}`;
+  if (resetPeriod === 'yearly') return yyyy;
+  return '';
+};
+
+// sequence: { prefix, format, padding }
+export const formatNumber = (sequence, value, date = new Date()) => {
+  const values = {
+    prefix: sequence.prefix || '',
+    yyyy: date.getFullYear().toString(),
+    yy: date.getFullYear().toString().slice(-2),
+    mm: pad2(date.getMonth() + 1),
+    dd: pad2(date.getDate()),
+    seq: value.toString().padStart(sequence.padding, '0')
+  };
+  return sequence.format.replace(/\{(\w+)\}/g, (match, token) => values[token] ?? match);
+};
+
+// Why a sequence setup cannot be used, or null. A counter that resets must have
+// the matching date parts in its format or numbers would repeat.
+export const formatProblem = (docType, { prefix, format, padding, reset_period }) => {
+  const used = [...format.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+  const unknown = used.filter(token => !TOKENS.includes(token));
+  if (unknown.length > 0) return `Unknown token(s): ${unknown.map(token => `{${token}}`).join(', ')}`;
+  if (!used.includes('seq')) return 'Format must contain {seq}';
+  const hasYear = used.includes('yyyy') || used.includes('yy');
+  if (reset_period === 'yearly' && !hasYear) return 'A yearly counter needs {yyyy} or {yy} in the format';
+  if (reset_period === 'monthly' && !(hasYear && used.includes('mm'))) return 'A monthly counter needs the year and {mm} in the format';
+  if (reset_period === 'daily' && !(hasYear && used.includes('mm') && used.includes('dd'))) return 'A daily counter needs the year, {mm} and {dd} in the format';
+  const { minPadding = 1 } = DOCUMENT_TYPES[docType];
+  if (padding < minPadding) return `${DOCUMENT_TYPES[docType].label} numbers need a padding of at least ${minPadding}`;
+  const sample = formatNumber({ prefix, format, padding }, 1);
+  if (sample.length > DOCUMENT_TYPES[docType].maxLength) {
+    return `Numbers like ${sample} are longer than the ${DOCUMENT_TYPES[docType].maxLength} characters allowed`;
+  }
+  return null;
+};
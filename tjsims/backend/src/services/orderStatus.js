@@ -0,0 +1,62 @@
+// Order status state machine. Which moves are allowed depends on how the order
+// is fulfilled; anything not listed here is rejected.
+//
+//   In-store:          Pending -> Processing -> Completed
+//   Company Delivery:  Pending -> Processing -> Out for Delivery -> Completed
+//                      (a failed drop-off goes back to Processing)
+//
+// Cancelled is only reached by voiding the sale (Sales.void) and Returned /
+// Partially Returned only by processing a return, since both move stock.
+
+export const ORDER_STATUSES = ['Pending', 'Processing', 'Out for Delivery', 'Completed', 'Cancelled', 'Returned', 'Partially Returned'];
+
+// Statuses set by voids and returns, never by editing the order
+export const SYSTEM_STATUSES = ['Cancelled', 'Returned', 'Partially Returned'];
+
+const RETURNABLE = { Completed: ['Returned', 'Partially Returned', 'Cancelled'], 'Partially Returned': ['Returned', 'Partially Returned'] };
+
+const TRANSITIONS = {
+  'In-store': {
+    Pending: ['Processing', 'Completed', 'Cancelled'],
+    Processing: ['Completed', 'Cancelled'],
+    ...RETURNABLE
+  },
+  'Company Delivery': {
+    Pending: ['Processing', 'Cancelled'],
+    Processing: ['Out for Delivery', 'Cancelled'],
+    'Out for Delivery': ['Completed', 'Processing', 'Cancelled'],
+    ...RETURNABLE
+  }
+};
+
+// Where a new sale may start
+const INITIAL = {
+  'In-store': ['Pending', 'Processing', 'Completed'],
+  'Company Delivery': ['Pending', 'Processing']
+};
+
+const flowFor = (deliveryType) => (deliveryType === 'Company Delivery' ? 'Company Delivery' : 'In-store');
+
+const transitionError = (message) => Object.assign(new Error(message), { code: 'INVALID_TRANSITION' });
+
+// Statuses the order can move to next; manual leaves out voids and returns
+export const nextStatuses = ({ delivery_type, status }, { manual = false } = {}) => {
+  const next = TRANSITIONS[flowFor(delivery_type)][status || 'Pending'] || [];
+  return manual ? next.filter(to => !SYSTEM_STATUSES.includes(to)) : next;
+};
+
+export const assertTransition = (sale, to, options) => {
+  const from = sale.status || 'Pending';
+  if (!nextStatuses(sale, options).includes(to)) {
+    const how = SYSTEM_STATUSES.includes(to) && options?.manual
+      ? (to === 'Cancelled' ? ' Void the sale instead.' : ' Process a return instead.')
+      : '';
+    throw transitionError(`Cannot move this ${flowFor(sale.delivery_type)} order from ${from} to ${to}.${how}`);
+  }
+};
+
+export const assertInitialStatus = (deliveryType, status) => {
+  if (!INITIAL[flowFor(deliveryType)].includes(status)) {
+    throw transitionError(`New ${flowFor(deliveryType)} orders cannot start as ${status}`);
+  }
+};
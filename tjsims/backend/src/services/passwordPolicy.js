@@ -0,0 +1,37 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Password strength rules applied wherever a password is set: account
+// creation, self-service change, reset links and administrator resets.
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+
+const RULES = [
+  { test: (pw) => pw.length >= MIN_LENGTH, message: `be at least ${MIN_LENGTH} characters long` },
+  { test: (pw) => /[a-z]/.test(pw), message: 'contain a lowercase letter' },
+  { test: (pw) => /[A-Z]/.test(pw), message: 'contain an uppercase letter' },
+  { test: (pw) => /\d/.test(pw), message: 'contain a number' }
+];
+
+export const passwordPolicy = () => ({
+  min_length: MIN_LENGTH,
+  rules: RULES.map(rule => `Must ${rule.message}`)
+});
+
+// Returns null when the password is acceptable, otherwise a sentence listing
+// every rule it breaks. `user` lets us reject passwords built from the
+// account's own username or email.
+export const checkPassword = (password, user = {}) => {
+  const pw = String(password || '');
+  const problems = RULES.filter(rule => !rule.test(pw)).map(rule => rule.message);
+
+  const lower = pw.toLowerCase();
+  const identifiers = [user.username, (user.email || '').split('@')[0]]
+    .filter(value => value && value.length >= 3)
+    .map(value => value.toLowerCase());
+  if (identifiers.some(value => lower.includes(value))) {
+    problems.push('not contain your username or email');
+  }
+
+  return problems.length > 0 ? `Password must ${problems.join(', ')}` : null;
+};
@@ -0,0 +1,65 @@
+// How money handed over at the counter or on delivery is applied to a sale.
+// Used when a sale is created and when a later payment is recorded, so change
+// is always worked out here and never trusted from the client.
+
+export const PAYMENT_METHODS = ['Cash', 'GCash', 'Cash on Delivery', 'Store Credit'];
+
+// Paid from the customer's wallet (models/StoreCredit.js); needs a customer record on the sale
+export const STORE_CREDIT = 'Store Credit';
+
+// Methods that can be overpaid, with the excess handed back as change
+export const CASH_METHODS = ['Cash', 'Cash on Delivery'];
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const paymentError = (message) => Object.assign(new Error(message), { code: 'PAYMENT_EXCEEDS_BALANCE' });
+
+// payments: [{ method, amount, reference?, notes? }] where amount is what the
+// customer handed over. Non-cash payments are applied first and may not exceed
+// what is owed; cash goes last and any excess becomes change.
+// Returns { lines: [{ method, tendered, amount, change_given, reference, notes }], paid, change, balance }
+export const allocatePayments = (payments, balance) => {
+  const ordered = [
+    ...payments.filter(p => !CASH_METHODS.includes(p.method)),
+    ...payments.filter(p => CASH_METHODS.includes(p.method))
+  ];
+  let remaining = round2(balance);
+  const lines = ordered.map(payment => {
+    const tendered = round2(payment.amount);
+    if (!CASH_METHODS.includes(payment.method) && tendered > remaining) {
+      throw paymentError(`${payment.method} payment of ${tendered.toFixed(2)} is more than the ${remaining.toFixed(2)} still owed`);
+    }
+    const amount = Math.min(tendered, remaining);
+    remaining = round2(remaining - amount);
+    return { method: payment.method, tendered, amount, change_given: round2(tendered - amount), reference: payment.reference || null, notes: payment.notes || null };
+  });
+  if (lines.length > 0 && lines.every(line => line.amount === 0)) {
+    throw paymentError('This sale is already fully paid');
+  }
+  return {
+    lines,
+    paid: round2(lines.reduce((sum, line) => sum + line.amount, 0)),
+    change: round2(lines.reduce((sum, line) => sum + line.change_given, 0)),
+    balance: remaining
+  };
+};
+
+// payment_status from what has been paid; returns keep their refund statuses.
+// On a charge invoice (on_account) returns first come off what is owed, so it
+// only counts as refunded once money was handed back (refunded > 0).
+export const derivePaymentStatus = ({ total, amount_paid, status, on_account, refund_amount, refunded }) => {
+  if (!on_account || Number(refunded || 0) > 0) {
+    if (status === 'Returned') return 'Refunded';
+    if (status === 'Partially Returned') return 'Partially Refunded';
+  }
+  const paid = Number(amount_paid || 0);
+  const due = on_account ? round2(total - Number(refund_amount || 0)) : round2(total);
+  if (paid >= due && (paid > 0 || on_account)) return 'Paid';
+  return paid > 0 ? 'Partially Paid' : 'Unpaid';
+};
+
+// The `sales.payment` summary, e.g. 'Cash + GCash'
+export const describeMethods = (lines, fallback) => {
+  const methods = [...new Set(lines.map(line => line.method))];
+  return methods.length > 0 ? methods.join(' + ') : fallback;
+};
@@ -0,0 +1,139 @@
+// Discount calculation for a sale. Used both to preview a cart
+// (POST /sales/quote) and when the sale is saved, so the cashier always sees
+// exactly what will be charged.
+//
+// Rules:
+//   - Each line gets at most one line discount: the largest of the matching
+//     automatic promotions, a product/brand/category coupon and the cashier's
+//     manual line discount.
+//   - The order gets at most one order discount, taken the same way from
+//     order-wide promotions, an order coupon and a manual order discount. It is
+//     worked out on what is left after line discounts.
+//   - Fixed promotion and coupon amounts on a line are per unit; a manual fixed
+//     line discount is for the whole line.
+//   - min_purchase is checked against the list-price total of the cart.
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const amountOff = (type, value, base, units = 1) => {
+  const raw = type === 'percent' ? (base * Number(value)) / 100 : Number(value) * units;
+  return round2(Math.min(base, Math.max(0, raw)));
+};
+
+// A product's price in a customer's price tier: the product's own rule (fixed
+// price or percent off) if the tier has one, otherwise the tier's percent_off
+// applied to the list price. tier: { percent_off, rules: { [product_id]: { price, percent_off } } }
+export const tierPrice = (tier, product) => {
+  const listPrice = Number(product.price);
+  const rule = tier.rules[product.product_id];
+  if (rule?.price != null) return round2(rule.price);
+  const percent = Number(rule?.percent_off ?? tier.percent_off);
+  return round2(Math.max(0, listPrice - (listPrice * percent) / 100));
+};
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+export const promotionMatches = (promotion, line) => {
+  switch (promotion.scope) {
+    case 'product': return sameText(promotion.target, line.product_id);
+    case 'brand': return sameText(promotion.target, line.brand);
+    case 'category': return sameText(promotion.target, line.category);
+    default: return false;
+  }
+};
+
+export const describeDiscount = (type, value) =>
+  (type === 'percent' ? `${Number(value)}% off` : `PHP ${Number(value).toFixed(2)} off`);
+
+const promotionLabel = (promotion) => (promotion.code ? `Coupon ${promotion.code}` : promotion.name);
+
+const best = (candidates) => candidates.reduce((top, c) => (c.amount > (top?.amount || 0) ? c : top), null);
+
+// lines:        [{ product_id, product_name, brand, category, price, quantity, discount? }]
+// promotions:   automatic promotions running now (see Promotion.findRunning)
+// coupon:       the promotion behind an entered code, or null
+// orderDiscount / line.discount: manual { type, value, reason }
+export const priceSale = ({ lines, promotions = [], coupon = null, orderDiscount = null }) => {
+  const subtotal = round2(lines.reduce((sum, line) => sum + Number(line.price) * line.quantity, 0));
+  const eligible = (promotion) => subtotal >= Number(promotion.min_purchase || 0);
+  const offers = [...promotions, ...(coupon ? [coupon] : [])].filter(eligible);
+
+  const priced = lines.map(line => {
+    const gross = round2(Number(line.price) * line.quantity);
+    const candidates = offers
+      .filter(promotion => promotion.scope !== 'order' && promotionMatches(promotion, line))
+      .map(promotion => ({
+        amount: amountOff(promotion.discount_type, promotion.discount_value, gross, line.quantity),
+        label: `${promotionLabel(promotion)} (${describeDiscount(promotion.discount_type, promotion.discount_value)})`,
+        promotion
+      }));
+    if (line.discount && Number(line.discount.value) > 0) {
+      candidates.push({
+        amount: amountOff(line.discount.type, line.discount.value, gross),
+        label: line.discount.reason ? `Discount: ${line.discount.reason}` : 'Discount',
+        manual: true
+      });
+    }
+    const winner = best(candidates);
+    return {
+      ...line,
+      gross,
+      discount_amount: winner ? winner.amount : 0,
+      discount_label: winner ? winner.label : null,
+      promotion_id: winner?.promotion?.id ?? null,
+      manual_discount: !!winner?.manual,
+      order_discount_share: 0
+    };
+  });
+
+  const lineDiscountTotal = round2(priced.reduce((sum, line) => sum + line.discount_amount, 0));
+  const afterLines = round2(subtotal - lineDiscountTotal);
+
+  const orderCandidates = offers
+    .filter(promotion => promotion.scope === 'order')
+    .map(promotion => ({
+      amount: amountOff(promotion.discount_type, promotion.discount_value, afterLines),
+      label: `${promotionLabel(promotion)} (${describeDiscount(promotion.discount_type, promotion.discount_value)})`,
+      promotion
+    }));
+  if (orderDiscount && Number(orderDiscount.value) > 0) {
+    orderCandidates.push({
+      amount: amountOff(orderDiscount.type, orderDiscount.value, afterLines),
+      label: orderDiscount.reason ? `Discount: ${orderDiscount.reason}` : 'Discount',
+      manual: true
+    });
+  }
+  const orderWinner = best(orderCandidates);
+  const orderDiscountAmount = orderWinner ? orderWinner.amount : 0;
+
+  // Spread the order discount over the lines by what each still costs, so
+  // per-item revenue and refunds add up to the sale total
+  let remaining = orderDiscountAmount;
+  priced.forEach((line, index) => {
+    const net = round2(line.gross - line.discount_amount);
+    const share = index === priced.length - 1
+      ? remaining
+      : round2(afterLines > 0 ? (orderDiscountAmount * net) / afterLines : 0);
+    line.order_discount_share = round2(Math.min(share, net, remaining));
+    remaining = round2(remaining - line.order_discount_share);
+    line.subtotal = round2(net - line.order_discount_share);
+  });
+  const orderDiscountApplied = round2(orderDiscountAmount - remaining);
+
+  const applied = [...priced.map(line => line.promotion_id), orderWinner?.promotion?.id]
+    .filter(id => id != null);
+
+  return {
+    items: priced,
+    subtotal,
+    line_discount_total: lineDiscountTotal,
+    order_discount: orderDiscountApplied,
+    order_discount_label: orderWinner ? orderWinner.label : null,
+    promotion_id: orderWinner?.promotion?.id ?? null,
+    manual_order_discount: !!orderWinner?.manual,
+    discount_total: round2(lineDiscountTotal + orderDiscountApplied),
+    total: round2(subtotal - lineDiscountTotal - orderDiscountApplied),
+    coupon: coupon ? { code: coupon.code, applied: applied.includes(coupon.id) } : null,
+    applied_promotion_ids: [...new Set(applied)]
+  };
+};
@@ -0,0 +1,38 @@
+// VAT breakdown of a priced sale (see services/pricing.js). Shelf prices are
+// VAT-inclusive, so tax never changes what the customer pays; it only splits
+// each line's subtotal into its VATable, VAT, VAT-exempt and zero-rated parts
+// for the receipt and the tax summary.
+
+export const TAX_CLASSES = ['vatable', 'exempt', 'zero_rated'];
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+// VAT inside a VAT-inclusive amount, e.g. 112.00 at 12% -> 12.00
+export const vatInside = (amount, rate) => round2((Number(amount) * Number(rate)) / (100 + Number(rate)));
+
+// settings: the app_settings row (vat_registered, vat_rate)
+// Returns the quote with tax_class and vat_amount on every item and a `tax`
+// summary: { vat_registered, vat_rate, vatable_sales, vat_amount, vat_exempt_sales, zero_rated_sales }
+export const applyTax = (quote, settings) => {
+  const registered = !!settings?.vat_registered;
+  const rate = registered ? Number(settings.vat_rate) : null;
+  const tax = { vat_registered: registered, vat_rate: rate, vatable_sales: 0, vat_amount: 0, vat_exempt_sales: 0, zero_rated_sales: 0 };
+
+  const items = quote.items.map(item => {
+    if (!registered) return { ...item, tax_class: null, vat_amount: 0 };
+    const taxClass = TAX_CLASSES.includes(item.tax_class) ? item.tax_class : 'vatable';
+    const vat = taxClass === 'vatable' ? vatInside(item.subtotal, rate) : 0;
+    if (taxClass === 'vatable') {
+      tax.vatable_sales += item.subtotal - vat;
+      tax.vat_amount += vat;
+    } else if (taxClass === 'exempt') {
+      tax.vat_exempt_sales += item.subtotal;
+    } else {
+      tax.zero_rated_sales += item.subtotal;
+    }
+    return { ...item, tax_class: taxClass, vat_amount: vat };
+  });
+
+  for (const key of ['vatable_sales', 'vat_amount', 'vat_exempt_sales', 'zero_rated_sales']) tax[key] = round2(tax[key]);
+  return { ...quote, items, tax };
+};
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import multer from 'multer';
+import sharp from 'sharp';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Every file the API accepts goes through here: product images, user avatars,
+// delivery proofs and return photos. Files are held in memory until their
+// content has been checked, then written under UPLOAD_DIR with a random name
+// and an extension chosen from the detected type, never from the client.
+
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || 'src/uploads';
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+const MAX_AVATAR_SIZE = parseInt(process.env.MAX_AVATAR_SIZE) || 2 * 1024 * 1024;
+const THUMBNAIL_WIDTH = parseInt(process.env.THUMBNAIL_WIDTH) || 400;
+const THUMBNAIL_DIR = 'thumbs';
+
+// Files younger than this are never reported as orphans, so an upload whose
+// request is still running cannot be purged from under it
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+const KINDS = {
+  product: { prefix: 'product', dir: '', maxSize: MAX_FILE_SIZE, thumbnail: true },
+  avatar: { prefix: 'avatar', dir: '', maxSize: MAX_AVATAR_SIZE },
+  delivery: { prefix: 'delivery', dir: '', maxSize: MAX_FILE_SIZE },
+  return: { prefix: 'return', dir: 'returns', maxSize: MAX_FILE_SIZE }
+};
+
+// Magic numbers of the image formats we accept
+const SIGNATURES = [
+  { ext: 'jpg', mime: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { ext: 'png', mime: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: 'gif', mime: 'image/gif', test: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+  { ext: 'webp', mime: 'image/webp', test: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+export const detectImageType = (buffer) => SIGNATURES.find(sig => buffer.length >= 12 && sig.test(buffer)) || null;
+
+// '/uploads/returns/x.png' <-> 'src/uploads/returns/x.png'
+const toUrl = (relative) => `/uploads/${relative.split(path.sep).join('/')}`;
+const toDiskPath = (url) => {
+  if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+  const relative = path.normalize(url.slice('/uploads/'.length));
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return path.join(UPLOAD_DIR, relative);
+};
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${+(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`);
+
+const uploadError = (status, message) => Object.assign(new Error(message), { status });
+
+// Route middleware accepting one image in `field`. On success req.file gains
+//   url        public path to store in the database, e.g. /uploads/product-....jpg
+//   thumbnail  public path of the resized copy (product images only)
+// and the stored files are removed again if the request ends in an error, so
+// a rejected form does not leave anything behind.
+export const uploadImage = (kind, field) => {
+  const config = KINDS[kind];
+  const parse = multer({ storage: multer.memoryStorage(), limits: { fileSize: config.maxSize, files: 1 } }).single(field);
+
+  return (req, res, next) => {
+    parse(req, res, async (err) => {
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ success: false, message: `Image must be ${formatSize(config.maxSize)} or smaller` });
+        }
+        if (err instanceof multer.MulterError) {
+          return res.status(400).json({ success: false, message: `Upload one image in the "${field}" field` });
+        }
+        return next(err);
+      }
+      if (!req.file) return next();
+
+      try {
+        const file = await storeImage(kind, req.file.buffer);
+        Object.assign(req.file, file);
+        delete req.file.buffer;
+        res.on('finish', () => {
+          if (res.statusCode >= 400) removeUpload(file.url, file.thumbnail);
+        });
+        next();
+      } catch (storeErr) {
+        if (storeErr.status) return res.status(storeErr.status).json({ success: false, message: storeErr.message });
+        next(storeErr);
+      }
+    });
+  };
+};
+
+// Validate and write one image; returns { filename, path, url, mimetype, size, thumbnail }
+export const storeImage = async (kind, buffer) => {
+  const config = KINDS[kind];
+  const type = detectImageType(buffer);
+  if (!type) throw uploadError(415, 'Only JPEG, PNG, GIF or WebP images are allowed');
+
+  // Make sure the whole file decodes, not just its first bytes
+  try {
+    await sharp(buffer).metadata();
+  } catch {
+    throw uploadError(415, 'The uploaded image is damaged or could not be read');
+  }
+
+  const filename = `${config.prefix}-${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${type.ext}`;
+  const relative = path.join(config.dir, filename);
+  const diskPath = path.join(UPLOAD_DIR, relative);
+  await fs.mkdir(path.dirname(diskPath), { recursive: true });
+  await fs.writeFile(diskPath, buffer);
+
+  let thumbnail = null;
+  if (config.thumbnail) {
+    const thumbRelative = path.join(THUMBNAIL_DIR, `${path.parse(filename).name}.webp`);
+    const thumbPath = path.join(UPLOAD_DIR, thumbRelative);
+    await fs.mkdir(path.dirname(thumbPath), { recursive: true });
+    await sharp(buffer).rotate().resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true }).webp({ quality: 80 }).toFile(thumbPath);
+    thumbnail = toUrl(thumbRelative);
+  }
+
+  return { filename, path: diskPath, url: toUrl(relative), mimetype: type.mime, size: buffer.length, thumbnail };
+};
+
+// Delete stored files by their public path. Missing files and paths outside
+// UPLOAD_DIR (e.g. external image URLs) are ignored.
+export const removeUpload = async (...urls) => {
+  for (const url of urls) {
+    const diskPath = toDiskPath(url);
+    if (!diskPath) continue;
+    try {
+      await fs.unlink(diskPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Upload cleanup error:', err);
+    }
+  }
+};
+
+const listFiles = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const files = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listFiles(full));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+};
+
+// Files under UPLOAD_DIR that no record points to. `referenced` is the set of
+// public paths still stored in the database.
+export const findOrphans = async (referenced) => {
+  const orphans = [];
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+  for (const diskPath of await listFiles(UPLOAD_DIR)) {
+    const url = toUrl(path.relative(UPLOAD_DIR, diskPath));
+    if (referenced.has(url)) continue;
+    const stat = await fs.stat(diskPath);
+    if (stat.mtimeMs > cutoff) continue;
+    orphans.push({ path: url, size: stat.size, modified_at: stat.mtime.toISOString() });
+  }
+  return orphans;
+};
@@ -0,0 +1,13 @@
+import { Joi, id, optionalText, dateOnly, pagination } from './common.js';
+
+export const searchAuditLog = {
+  query: Joi.object({
+    user_id: id.allow(''),
+    entity_type: optionalText(50),
+    entity_id: optionalText(64),
+    action: optionalText(50),
+    date_from: dateOnly.allow(''),
+    date_to: dateOnly.allow(''),
+    ...pagination
+  })
+};
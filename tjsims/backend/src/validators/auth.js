@@ -0,0 +1,59 @@
+import { Joi, email, overridePin } from './common.js';
+
+const totpCode = Joi.string().replace(/\s+/g, '').pattern(/^\d{6}$/).message('{#label} must be a 6-digit code');
+
+export const login = {
+  body: Joi.object({
+    email: Joi.string().trim().max(100).required(),
+    password: Joi.string().max(128).required()
+  })
+};
+
+export const verifyTwoFactorLogin = {
+  body: Joi.object({
+    challenge_token: Joi.string().required(),
+    code: totpCode,
+    recovery_code: Joi.string().trim().max(32)
+  }).xor('code', 'recovery_code')
+};
+
+export const changePassword = {
+  body: Joi.object({
+    current_password: Joi.string().max(128).required(),
+    new_password: Joi.string().max(128).required()
+  })
+};
+
+export const forgotPassword = {
+  body: Joi.object({ email: email.required() })
+};
+
+export const resetPassword = {
+  body: Joi.object({
+    token: Joi.string().hex().max(128).required(),
+    new_password: Joi.string().max(128).required()
+  })
+};
+
+export const refresh = {
+  body: Joi.object({ refresh_token: Joi.string().max(256).required() })
+};
+
+export const sessionParams = {
+  params: Joi.object({ sessionId: Joi.string().trim().max(64).required() })
+};
+
+export const twoFactorCode = {
+  body: Joi.object({ code: totpCode.required() })
+};
+
+export const setOverridePin = {
+  body: Joi.object({
+    password: Joi.string().max(128).required(),
+    pin: overridePin.required()
+  })
+};
+
+export const disableTwoFactor = {
+  body: Joi.object({ password: Joi.string().max(128).required() })
+};
@@ -0,0 +1,47 @@
+import BaseJoi from 'joi';
+
+// Joi with arrays that also accept a JSON string, for multipart forms that
+// send lists as JSON (e.g. returnItems on POST /returns/process)
+export const Joi = BaseJoi.extend({
+  type: 'array',
+  base: BaseJoi.array(),
+  coerce: {
+    from: 'string',
+    method(value) {
+      try {
+        return { value: JSON.parse(value) };
+      } catch {
+        return { value };
+      }
+    }
+  }
+});
+
+// Numeric auto-increment id in a route param
+export const id = Joi.number().integer().positive();
+
+// Generated text keys such as products.product_id ('P001')
+export const code = Joi.string().trim().max(50);
+
+// Optional free text that forms may send as '' or null
+export const optionalText = (max = 255) => Joi.string().trim().max(max).allow('', null);
+
+// Calendar day as sent by <input type="date">; kept as a string so SQL
+// DATE() comparisons are not shifted by time zones
+export const dateOnly = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('{#label} must be a date in YYYY-MM-DD format');
+
+// Any date/time the models pass through new Date(); the original string is kept
+export const dateTime = Joi.date().raw();
+
+// Addresses are checked for shape only; local or internal domains are fine
+export const email = Joi.string().trim().email({ tlds: { allow: false } }).max(100);
+
+// Manager PIN for approving price overrides at checkout
+export const overridePin = Joi.string().pattern(/^\d{4,8}$/).message('{#label} must be 4 to 8 digits');
+
+export const pagination = {
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1)
+};
+
+export const idParams = Joi.object({ id: id.required() });
@@ -0,0 +1,72 @@
+import { Joi, id, optionalText, dateOnly } from './common.js';
+import { PAYMENT_METHODS } from '../services/payments.js';
+
+export const listCustomers = {
+  query: Joi.object({ search: optionalText(100) })
+};
+
+const customerBody = Joi.object({
+  customer_name: Joi.string().trim().max(100).required(),
+  contact: optionalText(50),
+  address: optionalText(255),
+  price_tier_id: id.allow(null, '')
+});
+
+export const createCustomer = {
+  body: customerBody
+};
+
+export const updateCustomer = {
+  params: Joi.object({ id: id.required() }),
+  body: customerBody
+};
+
+export const storeCredit = {
+  params: Joi.object({ id: id.required() }),
+  query: Joi.object({
+    date_from: dateOnly.allow(''),
+    date_to: dateOnly.allow('')
+  })
+};
+
+// Positive adds credit, negative takes it away
+export const adjustStoreCredit = {
+  params: Joi.object({ id: id.required() }),
+  body: Joi.object({
+    amount: Joi.number().precision(2).invalid(0).min(-1000000).max(1000000).required()
+      .messages({ 'any.invalid': '{#label} cannot be zero' }),
+    reason: Joi.string().trim().min(3).max(255).required()
+  })
+};
+
+export const chargeAccount = {
+  params: Joi.object({ id: id.required() })
+};
+
+export const updateChargeAccount = {
+  params: Joi.object({ id: id.required() }),
+  body: Joi.object({
+    charge_enabled: Joi.boolean().required(),
+    credit_limit: Joi.number().min(0).max(10000000).precision(2).required(),
+    payment_terms_days: Joi.number().integer().min(0).max(365).required()
+  })
+};
+
+// Money received on the account; applied to the oldest invoices first
+export const receiveAccountPayment = {
+  params: Joi.object({ id: id.required() }),
+  body: Joi.object({
+    method: Joi.string().valid(...PAYMENT_METHODS.filter(method => method !== 'Cash on Delivery')).required(),
+    amount: Joi.number().positive().precision(2).required(),
+    reference: optionalText(64),
+    notes: optionalText(255)
+  })
+};
+
+export const accountStatement = {
+  params: Joi.object({ id: id.required() }),
+  query: Joi.object({
+    date_from: dateOnly.allow(''),
+    date_to: dateOnly.allow('')
+  })
+};
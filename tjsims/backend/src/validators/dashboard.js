@@ -0,0 +1,10 @@
+import { Joi, dateOnly } from './common.js';
+
+export const dailySales = {
+  query: Joi.object({
+    period: Joi.string().valid('week', 'month', 'year'),
+    start_date: dateOnly.allow(''),
+    end_date: dateOnly.allow(''),
+    granularity: Joi.string().lowercase().valid('day', 'week', 'month')
+  })
+};
@@ -0,0 +1,48 @@
+import { Joi, id, code, optionalText, dateTime } from './common.js';
+
+export const listInventory = {
+  query: Joi.object({
+    search: optionalText(100),
+    category: optionalText(100),
+    status: optionalText(50)
+  })
+};
+
+export const updateStock = {
+  params: Joi.object({ id: code.required() }),
+  body: Joi.object({
+    quantityToAdd: Joi.number().integer().min(0).default(0),
+    reorderPoint: Joi.number().integer().min(0).allow(null, ''),
+    notes: optionalText(500),
+    transactionDate: dateTime.allow(null, ''),
+    supplierId: id.allow(null, '')
+  })
+};
+
+export const bulkStockIn = {
+  body: Joi.object({
+    supplier: Joi.string().trim().max(255).required(),
+    receivedBy: Joi.string().trim().max(100).required(),
+    receivedDate: dateTime.allow(null, ''),
+    serialNumber: optionalText(100),
+    products: Joi.array().items(Joi.object({
+      productId: code.required(),
+      quantity: Joi.number().integer().min(1).required(),
+      serialNumber: optionalText(100)
+    })).min(1).required()
+  })
+};
+
+export const returnToSupplier = {
+  body: Joi.object({
+    supplier: Joi.string().trim().max(255).required(),
+    returnedBy: Joi.string().trim().max(100).required(),
+    returnDate: dateTime.allow(null, ''),
+    reason: optionalText(500),
+    products: Joi.array().items(Joi.object({
+      productId: code.required(),
+      quantity: Joi.number().integer().min(1).required(),
+      serialNumbers: Joi.array().items(Joi.string().trim().max(100)).default([])
+    })).min(1).required()
+  })
+};
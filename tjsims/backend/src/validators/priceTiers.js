@@ -0,0 +1,42 @@
+import { Joi, id, code } from './common.js';
+
+// Mirror the enums on the `price_tiers` table
+export const TIER_KINDS = ['retail', 'wholesale', 'shop', 'custom'];
+export const TIER_STATUSES = ['Active', 'Inactive'];
+
+const percentOff = Joi.number().min(0).max(100).precision(2);
+
+// One product rule: a fixed tier price or a percent off the list price
+const tierItem = Joi.object({
+  product_id: code.required(),
+  price: Joi.number().min(0).precision(2),
+  percent_off: percentOff
+}).xor('price', 'percent_off')
+  .messages({ 'object.xor': 'Each product needs either a price or a percent off, not both', 'object.missing': 'Each product needs either a price or a percent off' });
+
+const tierBody = Joi.object({
+  name: Joi.string().trim().max(50).required(),
+  kind: Joi.string().valid(...TIER_KINDS).default('custom'),
+  percent_off: percentOff.default(0),
+  status: Joi.string().valid(...TIER_STATUSES).default('Active'),
+  items: Joi.array().items(tierItem).unique('product_id').max(1000).default([])
+});
+
+export const listPriceTiers = {
+  query: Joi.object({
+    status: Joi.string().valid(...TIER_STATUSES).allow('')
+  })
+};
+
+export const createPriceTier = {
+  body: tierBody
+};
+
+export const updatePriceTier = {
+  params: Joi.object({ id: id.required() }),
+  body: tierBody
+};
+
+export const priceTierById = {
+  params: Joi.object({ id: id.required() })
+};
@@ -0,0 +1,58 @@
+import { Joi, code, optionalText, pagination } from './common.js';
+import { TAX_CLASSES } from '../services/tax.js';
+
+export const PRODUCT_STATUSES = ['Active', 'Inactive'];
+
+// What a scanner types: printable ASCII without spaces
+const barcode = Joi.string().trim().max(64).pattern(/^[\x21-\x7E]+$/)
+  .messages({ 'string.pattern.base': '{#label} may only contain letters, digits and symbols, without spaces' });
+
+// Multipart form: booleans arrive as 'true'/'false' and empty fields as ''
+const productFields = {
+  name: Joi.string().trim().max(255),
+  brand: Joi.string().trim().max(100),
+  category: Joi.string().trim().max(100),
+  price: Joi.number().min(0).precision(2),
+  tax_class: Joi.string().valid(...TAX_CLASSES),
+  status: Joi.string().valid(...PRODUCT_STATUSES),
+  description: optionalText(5000),
+  vehicle_compatibility: optionalText(5000),
+  requires_serial: Joi.boolean(),
+  image: optionalText(255),
+  // Sent as a JSON array in the multipart form; replaces the product's barcodes
+  barcodes: Joi.array().items(barcode).unique().max(20)
+};
+
+export const listProducts = {
+  query: Joi.object({
+    search: optionalText(100),
+    category: optionalText(100),
+    brand: optionalText(100),
+    status: optionalText(50),
+    ...pagination
+  })
+};
+
+export const productById = {
+  params: Joi.object({ id: code.required() })
+};
+
+export const lookupCode = {
+  params: Joi.object({ code: Joi.string().trim().max(100).required() })
+};
+
+export const createProduct = {
+  body: Joi.object({
+    ...productFields,
+    name: productFields.name.required(),
+    brand: productFields.brand.required(),
+    category: productFields.category.required(),
+    price: productFields.price.required(),
+    requires_serial: productFields.requires_serial.default(false)
+  })
+};
+
+export const updateProduct = {
+  params: Joi.object({ id: code.required() }),
+  body: Joi.object(productFields)
+};
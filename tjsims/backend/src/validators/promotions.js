@@ -0,0 +1,48 @@
+import { Joi, id, dateTime } from './common.js';
+
+// Mirror the enums on the `promotions` table
+export const PROMOTION_SCOPES = ['order', 'product', 'brand', 'category'];
+export const DISCOUNT_TYPES = ['percent', 'fixed'];
+export const PROMOTION_STATUSES = ['Active', 'Inactive'];
+
+// Percent or fixed amount; a percentage can never exceed 100
+export const discountValue = Joi.number().positive().precision(2)
+  .when('type', { is: 'percent', then: Joi.number().max(100) })
+  .when('discount_type', { is: 'percent', then: Joi.number().max(100) });
+
+const promotionBody = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).max(50).allow('', null)
+    .messages({ 'string.pattern.base': '{#label} may only contain letters, numbers, dashes and underscores' }),
+  scope: Joi.string().valid(...PROMOTION_SCOPES).required(),
+  target: Joi.string().trim().max(100).when('scope', { is: 'order', then: Joi.allow('', null), otherwise: Joi.required() }),
+  discount_type: Joi.string().valid(...DISCOUNT_TYPES).required(),
+  discount_value: discountValue.required(),
+  min_purchase: Joi.number().min(0).precision(2).default(0),
+  starts_at: dateTime.allow('', null),
+  ends_at: dateTime.allow('', null)
+    .when('starts_at', { is: Joi.date().required(), then: Joi.date().min(Joi.ref('starts_at')) })
+    .messages({ 'date.min': '{#label} must be after the start date' }),
+  usage_limit: Joi.number().integer().min(1).allow('', null),
+  status: Joi.string().valid(...PROMOTION_STATUSES).default('Active')
+});
+
+export const listPromotions = {
+  query: Joi.object({
+    status: Joi.string().valid(...PROMOTION_STATUSES).allow(''),
+    kind: Joi.string().valid('automatic', 'coupon').allow('')
+  })
+};
+
+export const createPromotion = {
+  body: promotionBody
+};
+
+export const updatePromotion = {
+  params: Joi.object({ id: id.required() }),
+  body: promotionBody
+};
+
+export const promotionById = {
+  params: Joi.object({ id: id.required() })
+};
@@ -0,0 +1,27 @@
+import { Joi, id, optionalText, dateOnly } from './common.js';
+import { pricingFields } from './sales.js';
+
+// Mirror the enum on the `quotations` table, plus the derived Expired
+export const QUOTATION_STATUSES = ['Open', 'Expired', 'Converted', 'Cancelled'];
+
+export const listQuotations = {
+  query: Joi.object({
+    search: optionalText(100),
+    status: Joi.string().valid(...QUOTATION_STATUSES).allow('')
+  })
+};
+
+export const createQuotation = {
+  body: Joi.object({
+    customer_name: Joi.string().trim().max(100).required(),
+    contact: optionalText(50),
+    address: optionalText(255),
+    valid_until: dateOnly.required(),
+    notes: optionalText(255),
+    ...pricingFields
+  })
+};
+
+export const quotationById = {
+  params: Joi.object({ id: id.required() })
+};
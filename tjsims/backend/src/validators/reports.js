@@ -0,0 +1,38 @@
+import { Joi, optionalText, dateOnly, pagination } from './common.js';
+import { RETURN_REASONS } from './returns.js';
+
+export const salesReport = {
+  query: Joi.object({
+    start_date: dateOnly.allow(''),
+    end_date: dateOnly.allow(''),
+    // Only lines sold at an overridden price
+    overrides_only: Joi.boolean(),
+    ...pagination
+  })
+};
+
+export const inventoryReport = {
+  query: Joi.object({
+    search: optionalText(100),
+    category: optionalText(100),
+    brand: optionalText(100),
+    status: optionalText(50),
+    stock_status: optionalText(50),
+    ...pagination
+  })
+};
+
+export const returnsReport = {
+  query: Joi.object({
+    start_date: dateOnly.allow(''),
+    end_date: dateOnly.allow(''),
+    returnReason: Joi.string().valid(...RETURN_REASONS).allow(''),
+    ...pagination
+  })
+};
+
+export const receivablesAging = {
+  query: Joi.object({
+    as_of: dateOnly.allow('')
+  })
+};
@@ -0,0 +1,43 @@
+import { Joi, id, code, optionalText, dateOnly, pagination } from './common.js';
+
+// Mirror the enums on the `returns` table
+export const RETURN_REASONS = ['Defective/Damaged', 'Wrong Item', 'Not as Described', 'Customer Changed Mind', 'Compatibility Issue', 'Other'];
+export const REFUND_METHODS = ['Cash', 'Store Credit', 'Original Payment Method'];
+
+const returnItem = Joi.object({
+  saleItemId: id.required(),
+  productId: code.required(),
+  productName: Joi.string().trim().max(255).required(),
+  sku: optionalText(100),
+  quantity: Joi.number().integer().min(0).required(),
+  price: Joi.number().min(0), // informational; refunds use the price paid on the sale
+  serialNumbers: Joi.array().items(Joi.string().trim().max(100)).default([])
+});
+
+// Sent as multipart form data; returnItems arrives as a JSON string
+export const processReturn = {
+  body: Joi.object({
+    orderId: id.required(),
+    saleNumber: Joi.string().trim().max(50).required(),
+    customerName: optionalText(100),
+    returnReason: Joi.string().valid(...RETURN_REASONS).required(),
+    refundMethod: Joi.string().valid(...REFUND_METHODS).required(),
+    restocked: Joi.boolean().default(true),
+    additionalNotes: optionalText(1000),
+    returnItems: Joi.array().items(returnItem).min(1).required()
+  })
+};
+
+export const returnsByOrder = {
+  params: Joi.object({ orderId: id.required() })
+};
+
+export const listReturns = {
+  query: Joi.object({
+    startDate: dateOnly.allow(''),
+    endDate: dateOnly.allow(''),
+    returnReason: Joi.string().valid(...RETURN_REASONS).allow(''),
+    limit: pagination.limit,
+    offset: Joi.number().integer().min(0)
+  })
+};
@@ -0,0 +1,174 @@
+import { Joi, id, code, optionalText, dateOnly, pagination, overridePin } from './common.js';
+import { DISCOUNT_TYPES, discountValue } from './promotions.js';
+import { PAYMENT_METHODS } from '../services/payments.js';
+import { ORDER_STATUSES } from '../services/orderStatus.js';
+
+// Mirror the enums on the `sales` table
+export const SALE_STATUSES = ORDER_STATUSES;
+export const PAYMENT_STATUSES = ['Paid', 'Partially Paid', 'Unpaid', 'Refunded', 'Partially Refunded'];
+export const DELIVERY_TYPES = ['In-store', 'Company Delivery'];
+
+// Manual discount given by the cashier (needs sales.discount)
+const manualDiscount = Joi.object({
+  type: Joi.string().valid(...DISCOUNT_TYPES).required(),
+  value: discountValue.required(),
+  reason: optionalText(100)
+}).allow(null);
+
+const saleItem = Joi.object({
+  product_id: code.required(),
+  quantity: Joi.number().integer().min(1).required(),
+  serialNumbers: Joi.array().items(Joi.string().trim().max(100)).default([]),
+  discount: manualDiscount
+});
+
+// What decides the price of a cart: items, coupon and manual discounts
+// (shared with quotations)
+export const pricingFields = {
+  items: Joi.array().items(saleItem).min(1).required(),
+  coupon_code: optionalText(50),
+  order_discount: manualDiscount
+};
+
+// A negotiated price for one line (needs sales.price_override). Large cuts
+// also need approval: a manager's username and override PIN.
+const priceOverride = Joi.object({
+  price: Joi.number().min(0).precision(2).required(),
+  reason: Joi.string().trim().min(3).max(150).required(),
+  approval: Joi.object({
+    username: Joi.string().trim().max(50).required(),
+    pin: overridePin.required()
+  }).allow(null)
+}).allow(null);
+
+// Sales also take price overrides and the customer record whose price tier
+// applies; quotations are always at list price
+const checkoutFields = {
+  ...pricingFields,
+  customer_id: id.allow(null, ''),
+  items: Joi.array().items(saleItem.keys({ price_override: priceOverride })).min(1).required()
+};
+
+// Money handed over by the customer; change is worked out by the server
+const payment = Joi.object({
+  method: Joi.string().valid(...PAYMENT_METHODS).required(),
+  amount: Joi.number().positive().precision(2).required(),
+  reference: optionalText(64),
+  notes: optionalText(255)
+});
+
+export const quoteSale = {
+  body: Joi.object(checkoutFields)
+};
+
+export const createSale = {
+  body: Joi.object({
+    customer_name: Joi.string().trim().max(100).required(),
+    contact: optionalText(50),
+    payment: Joi.string().trim().max(50).required(),
+    payments: Joi.array().items(payment).max(5).default([]),
+    status: Joi.string().valid(...SALE_STATUSES),
+    address: optionalText(255),
+    delivery_type: Joi.string().valid(...DELIVERY_TYPES),
+    quotation_id: id.allow(null),
+    // Charge what is not paid now to the customer's account (needs sales.charge)
+    on_account: Joi.boolean().default(false),
+    // Set by the till so a resent sale is only recorded once; rung_up_at is
+    // when a sale queued offline was confirmed at the counter (its sale date)
+    client_ref: Joi.string().trim().pattern(/^[A-Za-z0-9-]{8,64}$/),
+    rung_up_at: Joi.date().iso().when('client_ref', { is: Joi.exist(), otherwise: Joi.forbidden() }),
+    ...checkoutFields
+  })
+};
+
+export const listSales = {
+  query: Joi.object({
+    search: optionalText(100),
+    date_from: dateOnly.allow(''),
+    date_to: dateOnly.allow(''),
+    delivery_type: Joi.string().valid(...DELIVERY_TYPES).allow(''),
+    ...pagination
+  })
+};
+
+export const salesStats = {
+  query: Joi.object({
+    date_from: dateOnly.allow(''),
+    date_to: dateOnly.allow('')
+  })
+};
+
+export const saleById = {
+  params: Joi.object({ id: id.required() })
+};
+
+export const saleItems = {
+  params: Joi.object({ sale_id: id.required() })
+};
+
+export const trackOrder = {
+  params: Joi.object({ saleNumber: Joi.string().trim().max(50).required() })
+};
+
+export const updateSale = {
+  params: Joi.object({ id: id.required() }),
+  body: Joi.object({
+    customer_name: Joi.string().trim().max(100),
+    contact: optionalText(50),
+    payment: Joi.string().trim().max(50),
+    status: Joi.string().valid(...SALE_STATUSES)
+  })
+};
+
+export const recordPayment = {
+  params: Joi.object({ id: id.required() }),
+  body: Joi.object({
+    payments: Joi.array().items(payment).min(1).max(5).required()
+  })
+};
+
+export const voidSale = {
+  params: Joi.object({ id: id.required() }),
+  body: Joi.object({
+    reason: Joi.string().trim().min(3).max(255).required()
+  })
+};
+
+// The Sales page cart as parked; customer holds the form fields as typed
+export const parkSale = {
+  body: Joi.object({
+    customer_name: optionalText(100),
+    note: optionalText(255),
+    total: Joi.number().min(0).precision(2).default(0),
+    cart: Joi.object({
+      items: Joi.array().items(Joi.object({
+        product_id: code.required(),
+        name: optionalText(255),
+        quantity: Joi.number().integer().min(1).required(),
+        serialNumbers: Joi.array().items(Joi.string().trim().max(100)).default([]),
+        discount: Joi.object({
+          type: Joi.string().valid(...DISCOUNT_TYPES).required(),
+          value: Joi.alternatives(Joi.number().min(0), Joi.string().allow('')),
+          reason: optionalText(100)
+        }).allow(null),
+        // Approval is asked for again on resume; PINs are never stored
+        price_override: Joi.object({
+          price: Joi.number().min(0).precision(2).required(),
+          reason: optionalText(150)
+        }).allow(null)
+      })).min(1).required(),
+      customer: Joi.object().pattern(Joi.string(), optionalText(255)).default({}),
+      coupon_code: optionalText(50),
+      order_discount: Joi.object({
+        type: Joi.string().valid(...DISCOUNT_TYPES).required(),
+        value: Joi.alternatives(Joi.number().min(0), Joi.string().allow('')),
+        reason: optionalText(100)
+      }).allow(null),
+      quotation: Joi.object({ id: id.required(), quote_number: Joi.string().max(50) }).allow(null)
+    }).required()
+  })
+};
+
+export const parkedSaleById = {
+  params: Joi.object({ id: id.required() })
+};
@@ -0,0 +1,41 @@
+import { Joi, id, code, optionalText } from './common.js';
+
+const serialList = Joi.array().items(Joi.string().trim().max(100).required()).min(1).required();
+
+export const serialsByProduct = {
+  params: Joi.object({ productId: code.required() })
+};
+
+export const serialsBySale = {
+  params: Joi.object({ saleId: id.required() })
+};
+
+export const createSerials = {
+  body: Joi.object({
+    serialNumbers: Joi.array().items(Joi.object({
+      serialNumber: Joi.string().trim().max(100).required(),
+      productId: code.required(),
+      notes: optionalText(500),
+      supplierId: id.allow(null, '')
+    })).min(1).required()
+  })
+};
+
+export const markAsSold = {
+  body: Joi.object({
+    serialNumbers: serialList,
+    saleId: id.required(),
+    saleItemId: id.allow(null).default(null)
+  })
+};
+
+export const markAsDefective = {
+  body: Joi.object({
+    serialNumbers: serialList,
+    notes: optionalText(500)
+  })
+};
+
+export const deleteSerials = {
+  body: Joi.object({ serialNumbers: serialList })
+};
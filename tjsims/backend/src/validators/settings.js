@@ -0,0 +1,63 @@
+import { Joi, optionalText, email } from './common.js';
+import { ROLES, PERMISSION_KEYS } from '../config/permissions.js';
+import { DOCUMENT_TYPES, RESET_PERIODS } from '../services/numbering.js';
+
+export const updateBusinessInfo = {
+  body: Joi.object({
+    store_name: optionalText(255),
+    address: optionalText(255),
+    contact_number: optionalText(50),
+    email: email.allow('', null)
+  })
+};
+
+export const updatePreferences = {
+  body: Joi.object({
+    cash_enabled: Joi.boolean(),
+    gcash_enabled: Joi.boolean(),
+    cod_enabled: Joi.boolean(),
+    // Parked sales older than this expire and release their serials
+    park_expiry_minutes: Joi.number().integer().min(5).max(10080),
+    // Price overrides cutting more than this percentage need a manager's approval
+    override_approval_percent: Joi.number().min(0).max(100).precision(2)
+  })
+};
+
+// TIN as issued by the BIR: 9 digits plus an optional 3-5 digit branch code
+export const updateTax = {
+  body: Joi.object({
+    vat_registered: Joi.boolean().required(),
+    tin: Joi.string().trim().pattern(/^\d{3}-?\d{3}-?\d{3}(-?\d{3,5})?$/)
+      .when('vat_registered', { is: true, then: Joi.required(), otherwise: Joi.allow('', null) })
+      .messages({ 'string.pattern.base': '{#label} must look like 123-456-789-000' }),
+    vat_rate: Joi.number().min(0).max(100).precision(2)
+  })
+};
+
+// Token checks and length limits are in services/numbering.js (formatProblem)
+export const updateNumbering = {
+  params: Joi.object({
+    doc_type: Joi.string().valid(...Object.keys(DOCUMENT_TYPES)).required()
+  }),
+  body: Joi.object({
+    prefix: Joi.string().trim().max(20).pattern(/^[A-Za-z0-9-_/]*$/).allow('').default(''),
+    format: Joi.string().trim().max(60).required(),
+    padding: Joi.number().integer().min(1).max(10).required(),
+    reset_period: Joi.string().valid(...RESET_PERIODS).required()
+  })
+};
+
+export const updateSecurity = {
+  body: Joi.object({
+    require_two_factor: Joi.boolean().required()
+  })
+};
+
+export const updatePermissions = {
+  body: Joi.object({
+    matrix: Joi.object().pattern(
+      Joi.string().valid(...ROLES),
+      Joi.array().items(Joi.string().valid(...PERMISSION_KEYS)).unique()
+    ).required()
+  })
+};
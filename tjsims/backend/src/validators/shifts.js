@@ -0,0 +1,40 @@
+import { Joi, id, optionalText, dateOnly, pagination } from './common.js';
+
+const money = Joi.number().min(0).max(10000000).precision(2);
+
+export const listShifts = {
+  query: Joi.object({
+    date_from: dateOnly.allow(''),
+    date_to: dateOnly.allow(''),
+    ...pagination
+  })
+};
+
+export const shiftById = {
+  params: Joi.object({ id: id.required() })
+};
+
+export const openShift = {
+  body: Joi.object({
+    opening_float: money.required(),
+    notes: optionalText(255)
+  })
+};
+
+// Cash put into ('in') or taken out of ('out') the drawer mid-shift
+export const addMovement = {
+  params: Joi.object({ id: id.required() }),
+  body: Joi.object({
+    type: Joi.string().valid('in', 'out').required(),
+    amount: money.positive().required(),
+    reason: Joi.string().trim().min(3).max(255).required()
+  })
+};
+
+export const closeShift = {
+  params: Joi.object({ id: id.required() }),
+  body: Joi.object({
+    counted_cash: money.required(),
+    notes: optionalText(255)
+  })
+};
@@ -0,0 +1,27 @@
+import { Joi, id, optionalText, email } from './common.js';
+
+export const SUPPLIER_STATUSES = ['Active', 'Inactive'];
+
+const supplierFields = {
+  name: Joi.string().trim().max(255).required(),
+  contact_person: optionalText(255),
+  email: email.max(255).allow('', null),
+  phone: optionalText(100),
+  address: optionalText(1000)
+};
+
+export const createSupplier = {
+  body: Joi.object(supplierFields)
+};
+
+export const updateSupplier = {
+  params: Joi.object({ id: id.required() }),
+  body: Joi.object({
+    ...supplierFields,
+    status: Joi.string().valid(...SUPPLIER_STATUSES)
+  })
+};
+
+export const supplierById = {
+  params: Joi.object({ id: id.required() })
+};
@@ -0,0 +1,58 @@
+import { Joi, id, optionalText, email } from './common.js';
+import { ROLES } from '../config/permissions.js';
+
+export const USER_STATUSES = ['Active', 'Inactive'];
+
+// Multipart form (avatar upload): booleans arrive as strings
+export const createUser = {
+  body: Joi.object({
+    username: Joi.string().trim().max(50).allow(''),
+    first_name: Joi.string().trim().max(100).required(),
+    middle_name: optionalText(100),
+    last_name: Joi.string().trim().max(100).required(),
+    email: email.required(),
+    password: Joi.string().max(128).required(),
+    role: Joi.string().valid(...ROLES).default('staff'),
+    status: Joi.string().valid(...USER_STATUSES).default('Active'),
+    must_change_password: Joi.boolean().default(true)
+  })
+};
+
+export const updateUser = {
+  params: Joi.object({ id: id.required() }),
+  body: Joi.object({
+    username: Joi.string().trim().max(50),
+    first_name: Joi.string().trim().max(100),
+    middle_name: optionalText(100),
+    last_name: Joi.string().trim().max(100),
+    email,
+    role: Joi.string().valid(...ROLES),
+    status: Joi.string().valid(...USER_STATUSES)
+  })
+};
+
+export const listUsers = {
+  query: Joi.object({ include_archived: Joi.boolean() })
+};
+
+export const userById = {
+  params: Joi.object({ id: id.required() })
+};
+
+export const loginHistory = {
+  params: Joi.object({ id: id.required() }),
+  query: Joi.object({ limit: Joi.number().integer().min(1).max(500) })
+};
+
+export const userSession = {
+  params: Joi.object({ id: id.required(), sessionId: Joi.string().trim().max(64).required() })
+};
+
+export const resetUserPassword = {
+  params: Joi.object({ id: id.required() }),
+  body: Joi.object({
+    send_link: Joi.boolean().default(false),
+    password: Joi.string().max(128).when('send_link', { is: false, then: Joi.required() }),
+    require_change: Joi.boolean().default(true)
+  })
+};
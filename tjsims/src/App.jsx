@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import LoginPage from './pages/LoginPage';
 import RecoveryPage from './pages/RecoveryPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
 import LandingPage from './pages/client/LandingPage';
 import ContactUs from './pages/client/ContactUs';
 import Products from './pages/client/Products';
@@ -15,19 +16,24 @@ import ProductPage from './pages/admin/ProductPage';
 import SettingsPage from './pages/admin/SettingsPage';
 import DeliveryPortal from './pages/admin/DeliveryPortal';
 import SuppliersPage from './pages/admin/SuppliersPage'; // <--- IMPORT THIS
+import AuditLogPage from './pages/admin/AuditLogPage';
+import PromotionsPage from './pages/admin/PromotionsPage';
+import QuotationsPage from './pages/admin/QuotationsPage';
+import CustomersPage from './pages/admin/CustomersPage';
+import ShiftsPage from './pages/admin/ShiftsPage';
+import { isAuthenticated as hasValidSession, canAccessPage, getHomePath } from './utils/auth';
 
-// A wrapper component to handle authentication and optional role restriction
-const PrivateRoute = ({ children, allowedRoles }) => {
+// A wrapper component to handle authentication and the page's permission check
+const PrivateRoute = ({ children }) => {
   const location = useLocation();
-  const isAuthenticated = localStorage.getItem('isAuthenticated') === 'true';
-  const role = localStorage.getItem('userRole');
+  const isAuthenticated = hasValidSession();
   
   if (!isAuthenticated) {
     return <Navigate to="/admin/login" state={{ from: location }} replace />;
   }
 
-  if (allowedRoles && !allowedRoles.includes(role)) {
-    return <Navigate to="/admin/dashboard" replace />;
+  if (!canAccessPage(location.pathname)) {
+    return <Navigate to={getHomePath()} replace />;
   }
 
   return children;
@@ -47,10 +53,11 @@ const App = () => {
         {/* Admin Routes */}
         <Route path="/admin/login" element={<LoginPage />} />
         <Route path="/admin/recover-password" element={<RecoveryPage />} />
+        <Route path="/admin/reset-password" element={<ResetPasswordPage />} />
         <Route 
           path="/admin/dashboard" 
           element={
-            <PrivateRoute allowedRoles={['admin']}>
+            <PrivateRoute>
               <DashboardPage />
             </PrivateRoute>
           } 
@@ -58,7 +65,7 @@ const App = () => {
         <Route 
           path="/admin/sales" 
           element={
-            <PrivateRoute allowedRoles={['admin']}>
+            <PrivateRoute>
               <SalesPage />
             </PrivateRoute>
           } 
@@ -66,7 +73,7 @@ const App = () => {
         <Route 
           path="/admin/orders" 
           element={
-            <PrivateRoute allowedRoles={['admin']}>
+            <PrivateRoute>
               <OrdersPage />
             </PrivateRoute>
           } 
@@ -74,7 +81,7 @@ const App = () => {
         <Route 
           path="/admin/inventory" 
           element={
-            <PrivateRoute allowedRoles={['admin']}>
+            <PrivateRoute>
               <InventoryPage />
             </PrivateRoute>
           } 
@@ -83,15 +90,47 @@ const App = () => {
         <Route 
           path="/admin/suppliers" 
           element={
-            <PrivateRoute allowedRoles={['admin']}>
+            <PrivateRoute>
               <SuppliersPage />
             </PrivateRoute>
           } 
+        />
+        <Route 
+          path="/admin/promotions" 
+          element={
+            <PrivateRoute>
+              <PromotionsPage />
+            </PrivateRoute>
+          } 
+        />
+        <Route 
+          path="/admin/quotations" 
+          element={
+            <PrivateRoute>
+              <QuotationsPage />
+            </PrivateRoute>
+          } 
+        />
+        <Route 
+          path="/admin/customers" 
+          element={
+            <PrivateRoute>
+              <CustomersPage />
+            </PrivateRoute>
+          } 
+        />
+        <Route 
+          path="/admin/shifts" 
+          element={
+            <PrivateRoute>
+              <ShiftsPage />
+            </PrivateRoute>
+          } 
         />
          <Route 
           path="/admin/reports" 
           element={
-            <PrivateRoute allowedRoles={['admin']}>
+            <PrivateRoute>
               <ReportsPage />
             </PrivateRoute>
           } 
@@ -99,7 +138,7 @@ const App = () => {
           <Route 
           path="/admin/products" 
           element={
-            <PrivateRoute allowedRoles={['admin']}>
+            <PrivateRoute>
               <ProductPage />
             </PrivateRoute>
           } 
@@ -107,15 +146,23 @@ const App = () => {
         <Route 
           path="/admin/settings" 
           element={
-            <PrivateRoute allowedRoles={['admin']}>
+            <PrivateRoute>
               <SettingsPage />
             </PrivateRoute>
           } 
         />
+        <Route 
+          path="/admin/audit-log" 
+          element={
+            <PrivateRoute>
+              <AuditLogPage />
+            </PrivateRoute>
+          } 
+        />
         <Route 
           path="/admin/delivery" 
           element={
-            <PrivateRoute allowedRoles={['admin','driver']}>
+            <PrivateRoute>
               <DeliveryPortal />
             </PrivateRoute>
           } 
@@ -124,7 +171,7 @@ const App = () => {
           path="/admin" 
           element={
             <PrivateRoute>
-              <Navigate to="/admin/dashboard" replace />
+              <Navigate to={getHomePath()} replace />
             </PrivateRoute>
           } 
         />
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { authAPI } from '../utils/api';
+import { saveSession, getHomePath } from '../utils/auth';
 import '../styles/App.css';
 
 const LoginForm = () => {
@@ -8,6 +9,9 @@ const LoginForm = () => {
   const [email, setEmail] = React.useState('');
   const [password, setPassword] = React.useState('');
   const [error, setError] = React.useState('');
+  const [challengeToken, setChallengeToken] = React.useState(null);
+  const [code, setCode] = React.useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = React.useState(false);
 
   React.useEffect(() => {
     if (localStorage.getItem('isAuthenticated') !== 'true') {
@@ -26,23 +30,71 @@ const LoginForm = () => {
     try {
       setError('');
       const result = await authAPI.login(email, password);
-      const user = result.data;
-      localStorage.setItem('isAuthenticated', 'true');
-      localStorage.setItem('userRole', user.role);
-      localStorage.setItem('userId', user.id);
-      localStorage.setItem('username', user.username);
-      if (user.avatar) {
-        localStorage.setItem('avatar', user.avatar);
-      } else {
-        localStorage.removeItem('avatar');
+      if (result.data?.two_factor_required) {
+        setChallengeToken(result.data.challenge_token);
+        setCode('');
+        return;
       }
-      if (user.role === 'driver') navigate('/admin/delivery');
-      else navigate('/admin/dashboard');
+      saveSession(result.data);
+      navigate(getHomePath());
     } catch (err) {
       setError(err.message || 'Login failed');
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setError(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter the 6-digit code');
+      return;
+    }
+
+    try {
+      setError('');
+      const result = await authAPI.verifyTwoFactor(challengeToken, useRecoveryCode ? { recovery_code: code.trim() } : { code: code.trim() });
+      saveSession(result.data);
+      navigate(getHomePath());
+    } catch (err) {
+      setError(err.message || 'Verification failed');
+    }
+  };
+
+  const backToLogin = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="login-form-container">
+        <h3 className="login-title">Two-factor authentication</h3>
+        <p className="login-desc">{useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the 6-digit code from your authenticator app'}</p>
+        {error && <div className="alert alert-danger">{error}</div>}
+        <form className="login-form" onSubmit={handleVerify}>
+          <input 
+            type="text" 
+            placeholder={useRecoveryCode ? 'Recovery code' : '123456'} 
+            className="form-control mb-3" 
+            autoComplete="one-time-code" 
+            inputMode={useRecoveryCode ? 'text' : 'numeric'} 
+            autoFocus 
+            value={code} 
+            onChange={(e) => setCode(e.target.value)} 
+          />
+          <button type="submit" className="btn btn-primary w-100 mb-2">Verify</button>
+        </form>
+        <div className="login-links">
+          <a href="#" className="recover-link" onClick={(e) => { e.preventDefault(); setUseRecoveryCode(!useRecoveryCode); setCode(''); setError(''); }}>{useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}</a>
+          <span> · </span>
+          <a href="#" className="recover-link" onClick={(e) => { e.preventDefault(); backToLogin(); }}>Back to login</a>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="login-form-container">
       <h3 className="login-title">Sign in to start using the system</h3>
@@ -1,20 +1,56 @@
 import React from 'react';
 import '../styles/App.css';
 import { Link } from 'react-router-dom';
+import { authAPI } from '../utils/api';
 
-const RecoveryForm = () => (
-  <div className="login-form-container">
-    <h3 className="login-title">Recover Your Account</h3>
-    <p className="login-desc">Enter your email to reset your password</p>
-    <form className="login-form">
-      <input type="email" placeholder="Email" className="form-control mb-3" required />
-      <button type="submit" className="btn btn-primary w-100 mb-2">Send Recovery Link</button>
-    </form>
-    <div className="login-links">
-      <span>Remember your password? </span>
-      <Link to="/login" className="recover-link">Back to Login</Link>
+const RecoveryForm = () => {
+  const [email, setEmail] = React.useState('');
+  const [sending, setSending] = React.useState(false);
+  const [message, setMessage] = React.useState('');
+  const [error, setError] = React.useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) {
+      setError('Please enter your email');
+      return;
+    }
+
+    try {
+      setSending(true);
+      setError('');
+      const result = await authAPI.forgotPassword(email.trim());
+      setMessage(result.message);
+    } catch (err) {
+      setError(err.message || 'Failed to send recovery link');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="login-form-container">
+      <h3 className="login-title">Recover Your Account</h3>
+      <p className="login-desc">Enter your email to reset your password</p>
+      {error && <div className="alert alert-danger">{error}</div>}
+      {message && <div className="alert alert-success">{message}</div>}
+      <form className="login-form" onSubmit={handleSubmit}>
+        <input 
+          type="email" 
+          placeholder="Email" 
+          className="form-control mb-3" 
+          required 
+          value={email} 
+          onChange={(e) => setEmail(e.target.value)} 
+        />
+        <button type="submit" className="btn btn-primary w-100 mb-2" disabled={sending}>{sending ? 'Sending...' : 'Send Recovery Link'}</button>
+      </form>
+      <div className="login-links">
+        <span>Remember your password? </span>
+        <Link to="/admin/login" className="recover-link">Back to Login</Link>
+      </div>
     </div>
-  </div>
-);
+  );
+};
 
 export default RecoveryForm;
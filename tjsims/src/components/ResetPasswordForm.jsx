@@ -0,0 +1,94 @@
+import React from 'react';
+import '../styles/App.css';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../utils/api';
+
+const ResetPasswordForm = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = React.useState('');
+  const [confirm, setConfirm] = React.useState('');
+  const [saving, setSaving] = React.useState(false);
+  const [done, setDone] = React.useState(false);
+  const [error, setError] = React.useState('');
+  const [policy, setPolicy] = React.useState([]);
+
+  React.useEffect(() => {
+    authAPI.getPasswordPolicy().then(res => setPolicy(res.data?.rules || [])).catch(() => {});
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      await authAPI.resetPassword(token, password);
+      setDone(true);
+    } catch (err) {
+      setError(err.message || 'Failed to reset password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="login-form-container">
+        <h3 className="login-title">Reset Password</h3>
+        <div className="alert alert-danger">This reset link is missing its token. Request a new one.</div>
+        <div className="login-links">
+          <Link to="/admin/recover-password" className="recover-link">Request a new link</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="login-form-container">
+      <h3 className="login-title">Reset Password</h3>
+      <p className="login-desc">Choose a new password for your account</p>
+      {error && <div className="alert alert-danger">{error}</div>}
+      {done ? (
+        <div className="alert alert-success">Your password has been reset. You can now log in.</div>
+      ) : (
+        <form className="login-form" onSubmit={handleSubmit}>
+          <input 
+            type="password" 
+            placeholder="New Password" 
+            className="form-control mb-3" 
+            required 
+            value={password} 
+            onChange={(e) => setPassword(e.target.value)} 
+          />
+          <input 
+            type="password" 
+            placeholder="Confirm New Password" 
+            className="form-control mb-3" 
+            required 
+            value={confirm} 
+            onChange={(e) => setConfirm(e.target.value)} 
+          />
+          {policy.length > 0 && (
+            <ul className="login-desc" style={{ textAlign: 'left', fontSize: '0.85rem', paddingLeft: '18px' }}>
+              {policy.map(rule => <li key={rule}>{rule}</li>)}
+            </ul>
+          )}
+          <button type="submit" className="btn btn-primary w-100 mb-2" disabled={saving}>{saving ? 'Saving...' : 'Reset Password'}</button>
+        </form>
+      )}
+      <div className="login-links">
+        <span>{done ? 'Ready? ' : 'Link expired? '}</span>
+        {done
+          ? <Link to="/admin/login" className="recover-link">Back to Login</Link>
+          : <Link to="/admin/recover-password" className="recover-link">Request a new link</Link>}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordForm;
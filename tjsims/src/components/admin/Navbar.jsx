@@ -4,6 +4,7 @@ import { FaChevronDown } from 'react-icons/fa';
 import { BiUserCircle } from 'react-icons/bi';
 import tcjLogo from '../../assets/tcj_logo.png';
 import { authAPI } from '../../utils/api';
+import { clearSession, canAccessPage } from '../../utils/auth';
 import '../../styles/Admin.css';
 
 const Navbar = () => {
@@ -35,20 +36,21 @@ const Navbar = () => {
   const navItems = [
     { path: '/admin/dashboard', label: 'Dashboard' },
     { path: '/admin/sales', label: 'Sales' },
+    { path: '/admin/quotations', label: 'Quotations' },
     { path: '/admin/inventory', label: 'Inventory' },
     { path: '/admin/suppliers', label: 'Suppliers' }, // New Supplier Link
     { path: '/admin/orders', label: 'Orders' },
+    { path: '/admin/shifts', label: 'Cash Drawer' },
     { path: '/admin/reports', label: 'Reports' },
     { path: '/admin/products', label: 'Products' },
-  ];
+    { path: '/admin/promotions', label: 'Promotions' },
+    { path: '/admin/customers', label: 'Customers' },
+    { path: '/admin/audit-log', label: 'Audit Log' },
+  ].filter(item => canAccessPage(item.path));
 
   const handleLogout = async () => {
     try { await authAPI.logout().catch(() => ({})); } catch {}
-    localStorage.setItem('isAuthenticated', 'false');
-    localStorage.removeItem('userRole');
-    localStorage.removeItem('userId');
-    localStorage.removeItem('username');
-    localStorage.removeItem('avatar');
+    clearSession();
     navigate('/admin/login');
   };
 
@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Navbar from '../../components/admin/Navbar';
+import { BsEye } from 'react-icons/bs';
+import '../../styles/OrdersPage.css';
+import { auditLogAPI } from '../../utils/api';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Side-by-side before/after for one entry; changed fields are highlighted
+const AuditDetailModal = ({ entry, onClose }) => {
+  if (!entry) return null;
+  const before = entry.before_data && typeof entry.before_data === 'object' ? entry.before_data : {};
+  const after = entry.after_data && typeof entry.after_data === 'object' ? entry.after_data : {};
+  const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" style={{ maxWidth: '800px', width: '95%' }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header"><h2>{entry.entity_type} {entry.entity_id ? `#${entry.entity_id}` : ''} — {entry.action}</h2><button onClick={onClose} className="close-btn">×</button></div>
+        <div className="modal-body">
+          <p style={{ color: '#6b7280', marginTop: 0 }}>By {entry.username || 'System'} on {new Date(entry.created_at).toLocaleString()}{entry.ip_address ? ` from ${entry.ip_address}` : ''}</p>
+          {keys.length === 0 ? (<p>No field values were recorded for this action.</p>) : (
+            <div className="table-container">
+              <table className="table">
+                <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>
+                  {keys.map(key => {
+                    const changed = JSON.stringify(before[key]) !== JSON.stringify(after[key]);
+                    return (<tr key={key} style={changed ? { backgroundColor: '#fff7ed' } : undefined}><td><strong>{key}</strong></td><td style={{ wordBreak: 'break-word' }}>{formatValue(before[key])}</td><td style={{ wordBreak: 'break-word' }}>{formatValue(after[key])}</td></tr>);
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const AuditLogPage = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filterOptions, setFilterOptions] = useState({ users: [], entity_types: [], actions: [] });
+  const [filters, setFilters] = useState({ user_id: '', entity_type: '', entity_id: '', action: '', date_from: '', date_to: '' });
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, total_pages: 0, per_page: 20 });
+  const [selectedEntry, setSelectedEntry] = useState(null);
+
+  useEffect(() => {
+    auditLogAPI.getFilters().then(res => { if (res.success && res.data) setFilterOptions(res.data); }).catch(err => console.error('Failed to load audit filters:', err));
+  }, []);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true); setError(null);
+      const res = await auditLogAPI.search({ ...filters, page: currentPage, limit: 20 });
+      setEntries(res.data?.entries || []); setPagination(res.data?.pagination || { total: 0, total_pages: 0, per_page: 20 });
+    } catch (err) { console.error('Failed to fetch audit log:', err); setError(err.message || 'Failed to load audit log'); } finally { setLoading(false); }
+  }, [filters, currentPage]);
+
+  useEffect(() => { fetchEntries(); }, [fetchEntries]);
+
+  const updateFilter = (key, value) => { setFilters(prev => ({ ...prev, [key]: value })); setCurrentPage(1); };
+  const clearFilters = () => { setFilters({ user_id: '', entity_type: '', entity_id: '', action: '', date_from: '', date_to: '' }); setCurrentPage(1); };
+
+  const startIndex = (currentPage - 1) * pagination.per_page;
+  const endIndex = Math.min(startIndex + entries.length, pagination.total);
+
+  return (
+    <>
+      <div className="admin-layout">
+        <Navbar />
+        <main className="admin-main">
+          <div className="admin-container orders-page-content">
+            <div className="page-header"><h1 className="page-title">Audit Log</h1><p className="page-subtitle">See who changed what, and when.</p></div>
+            {error && (<div className="error-state"><p>{error}</p><button onClick={fetchEntries} className="btn btn-danger">Retry</button></div>)}
+            <div className="card">
+              <div className="orders-controls">
+                <div className="search-filter-section">
+                  <select value={filters.user_id} onChange={(e) => updateFilter('user_id', e.target.value)} className="filter-dropdown"><option value="">All Users</option>{filterOptions.users.map(u => (<option key={u.user_id} value={u.user_id}>{u.username}</option>))}</select>
+                  <select value={filters.entity_type} onChange={(e) => updateFilter('entity_type', e.target.value)} className="filter-dropdown"><option value="">All Entities</option>{filterOptions.entity_types.map(t => (<option key={t} value={t}>{t}</option>))}</select>
+                  <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)} className="filter-dropdown"><option value="">All Actions</option>{filterOptions.actions.map(a => (<option key={a} value={a}>{a}</option>))}</select>
+                  <div className="search-box"><input type="text" placeholder="Entity ID" value={filters.entity_id} onChange={(e) => updateFilter('entity_id', e.target.value)} className="search-input" /></div>
+                  <input type="date" value={filters.date_from} onChange={(e) => updateFilter('date_from', e.target.value)} className="filter-dropdown" title="From" />
+                  <input type="date" value={filters.date_to} onChange={(e) => updateFilter('date_to', e.target.value)} className="filter-dropdown" title="To" />
+                  <button type="button" className="btn btn-outline" onClick={clearFilters}>Clear</button>
+                </div>
+              </div>
+            </div>
+            <div className="table-section">
+              <div className="table-container">
+                {loading ? (<div className="loading-state"><p>Loading audit log...</p></div>) : (
+                  <table className="table">
+                    <thead><tr><th>Date</th><th>User</th><th>Action</th><th>Entity</th><th>Entity ID</th><th>Details</th></tr></thead>
+                    <tbody>
+                      {entries.length === 0 ? (<tr><td colSpan="6" style={{ textAlign: 'center', padding: '40px' }}>No audit entries found matching your criteria.</td></tr>) : (
+                        entries.map(entry => (
+                          <tr key={entry.id}>
+                            <td>{new Date(entry.created_at).toLocaleString()}</td><td>{entry.username || 'System'}</td><td>{entry.action}</td><td>{entry.entity_type}</td><td>{entry.entity_id || '—'}</td>
+                            <td><div className="action-buttons"><button onClick={() => setSelectedEntry(entry)} className="view-btn" title="View Changes"><BsEye /></button></div></td>
+                          </tr>
+                        ))
+                      )}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+              <div className="table-footer"><div className="results-info">Showing {pagination.total > 0 ? startIndex + 1 : 0} to {endIndex} of {pagination.total} entries</div>{pagination.total_pages > 1 && (<div className="pagination"><button onClick={() => setCurrentPage(currentPage - 1)} disabled={currentPage === 1} className="pagination-btn">Previous</button><span className="pagination-btn active">{currentPage} / {pagination.total_pages}</span><button onClick={() => setCurrentPage(currentPage + 1)} disabled={currentPage === pagination.total_pages} className="pagination-btn">Next</button></div>)}</div>
+            </div>
+          </div>
+        </main>
+      </div>
+      {selectedEntry && <AuditDetailModal entry={selectedEntry} onClose={() => setSelectedEntry(null)} />}
+    </>
+  );
+};
+
+export default AuditLogPage;
@@ -0,0 +1,649 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import Navbar from '../../components/admin/Navbar';
+import { customersAPI, priceTiersAPI, productAPI } from '../../utils/api';
+import { hasPermission } from '../../utils/auth';
+import { generateAccountStatementPDF } from '../../utils/pdfGenerator';
+import { BsPlusLg, BsPencil, BsTrash, BsSearch, BsWallet2, BsJournalText, BsFileEarmarkPdf } from 'react-icons/bs';
+import '../../styles/Admin.css';
+
+// --- CUSTOM MESSAGE BOX COMPONENT ---
+const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
+  if (!isOpen) return null;
+  let headerColor = '#f8f9fa';
+  let titleColor = '#2c3e50';
+  if (type === 'error') { headerColor = '#fee2e2'; titleColor = '#b91c1c'; }
+  else if (type === 'success') { headerColor = '#dcfce7'; titleColor = '#166534'; }
+  else if (type === 'warning') { headerColor = '#fff7ed'; titleColor = '#c2410c'; }
+
+  return (
+    <div className="modal-overlay" style={{ zIndex: 9999 }}>
+      <div className="modal-content" style={{ maxWidth: '400px', width: '90%', borderRadius: '12px', overflow: 'hidden' }}>
+        <div className="modal-header" style={{ backgroundColor: headerColor, borderBottom: '1px solid rgba(0,0,0,0.05)', padding: '15px 20px' }}>
+          <h3 style={{ color: titleColor, fontSize: '1.1rem', margin: 0, fontWeight: '600' }}>{title}</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+        <div className="modal-body" style={{ padding: '25px 20px' }}>
+          <p style={{ margin: 0, fontSize: '0.95rem', color: '#4b5563', lineHeight: '1.5', whiteSpace: 'pre-line' }}>{message}</p>
+        </div>
+        <div className="modal-actions" style={{ padding: '15px 20px', backgroundColor: '#f9fafb' }}>
+          {onConfirm ? (
+            <>
+              <button onClick={onClose} className="cancel-btn">Cancel</button>
+              <button onClick={() => { onConfirm(); onClose(); }} className="confirm-btn" style={{ backgroundColor: type === 'error' || type === 'warning' ? '#dc3545' : 'var(--color-primary)' }}>Confirm</button>
+            </>
+          ) : (
+            <button onClick={onClose} className="confirm-btn" style={{ marginLeft: 'auto' }}>OK</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const EMPTY_TIER = { name: '', kind: 'wholesale', percent_off: '0', status: 'Active', items: [] };
+
+const KIND_LABELS = { retail: 'Retail', wholesale: 'Wholesale', shop: 'Shop', custom: 'Custom' };
+
+// Charge account payments; Cash on Delivery only applies to deliveries
+const ACCOUNT_PAYMENT_METHODS = ['Cash', 'GCash', 'Store Credit'];
+
+const peso = (value) => `₱${Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const ENTRY_LABELS = { refund: 'Refund', payment: 'Payment', payment_reversal: 'Payment reversed (void)', adjustment: 'Adjustment' };
+
+// Customers without a record have no id; key them by name + contact
+const customerKey = (c) => c.id ? `id-${c.id}` : `sale-${c.customer_name}|${c.contact || ''}`;
+
+// A tier rule row as edited: mode 'price' (fixed) or 'percent' (off list price)
+const toRuleRow = (item) => ({
+  product_id: item.product_id, product_name: item.product_name, list_price: Number(item.list_price),
+  mode: item.price != null ? 'price' : 'percent', value: String(Number(item.price ?? item.percent_off))
+});
+
+const CustomersPage = () => {
+  const canManageCustomers = useMemo(() => hasPermission('customers.manage'), []);
+  const canManageTiers = useMemo(() => hasPermission('price_tiers.manage'), []);
+  const canAdjustCredit = useMemo(() => hasPermission('store_credit.adjust'), []);
+  const canManageAccounts = useMemo(() => hasPermission('accounts.manage'), []);
+  const canReceivePayments = useMemo(() => hasPermission('sales.update'), []);
+
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [tiers, setTiers] = useState([]);
+
+  const [isTierModalOpen, setIsTierModalOpen] = useState(false);
+  const [tierForm, setTierForm] = useState(EMPTY_TIER);
+  const [selectedTierId, setSelectedTierId] = useState(null);
+  const [productSearch, setProductSearch] = useState('');
+  const [productResults, setProductResults] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  // Store credit statement modal
+  const [creditCustomer, setCreditCustomer] = useState(null);
+  const [statement, setStatement] = useState(null);
+  const [statementRange, setStatementRange] = useState({ date_from: '', date_to: '' });
+  const [adjustment, setAdjustment] = useState({ amount: '', reason: '' });
+
+  // Charge account modal
+  const [accountCustomer, setAccountCustomer] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [accountForm, setAccountForm] = useState({ charge_enabled: false, credit_limit: '0', payment_terms_days: '30' });
+  const [accountPayment, setAccountPayment] = useState({ method: 'Cash', amount: '', reference: '' });
+  const [accountRange, setAccountRange] = useState({ date_from: '', date_to: '' });
+
+  const [msgBox, setMsgBox] = useState({ isOpen: false, title: '', message: '', type: 'info', onConfirm: null });
+  const showMessage = (title, message, type = 'info', onConfirm = null) => setMsgBox({ isOpen: true, title, message, type, onConfirm });
+  const closeMessage = () => setMsgBox(prev => ({ ...prev, isOpen: false }));
+
+  const fetchCustomers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await customersAPI.getCustomers(search);
+      setCustomers(res.data || []);
+    } catch (error) {
+      console.error('Failed to fetch customers:', error);
+      setMsgBox({ isOpen: true, title: 'Error', message: error.message || 'Failed to load customers.', type: 'error', onConfirm: null });
+    } finally {
+      setLoading(false);
+    }
+  }, [search]);
+
+  const fetchTiers = useCallback(async () => {
+    try {
+      const res = await priceTiersAPI.getTiers();
+      setTiers(res.data || []);
+    } catch (error) {
+      console.error('Failed to fetch price tiers:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchCustomers, 300);
+    return () => clearTimeout(timer);
+  }, [fetchCustomers]);
+
+  useEffect(() => { fetchTiers(); }, [fetchTiers]);
+
+  // Giving a walk-in customer a tier creates their customer record
+  const assignTier = async (customer, tierId) => {
+    const data = { customer_name: customer.customer_name, contact: customer.contact || '', address: customer.address || '', price_tier_id: tierId ? Number(tierId) : null };
+    try {
+      if (customer.id) await customersAPI.updateCustomer(customer.id, data);
+      else await customersAPI.saveCustomer(data);
+      fetchCustomers();
+      fetchTiers();
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to update customer.', 'error');
+    }
+  };
+
+  const loadStatement = async (customerId, range) => {
+    try {
+      const res = await customersAPI.getStoreCredit(customerId, range);
+      setStatement(res.data);
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to load store credit.', 'error');
+    }
+  };
+
+  const openStatement = (customer) => {
+    const range = { date_from: '', date_to: '' };
+    setCreditCustomer(customer); setStatement(null); setStatementRange(range); setAdjustment({ amount: '', reason: '' });
+    loadStatement(customer.id, range);
+  };
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    const amount = parseFloat(adjustment.amount);
+    if (Number.isNaN(amount) || amount === 0) { showMessage('Adjustment', 'Enter a non-zero amount: positive adds credit, negative takes it away.', 'warning'); return; }
+    if (adjustment.reason.trim().length < 3) { showMessage('Adjustment', 'Enter a reason for the adjustment.', 'warning'); return; }
+    try {
+      const res = await customersAPI.adjustStoreCredit(creditCustomer.id, { amount, reason: adjustment.reason.trim() });
+      setAdjustment({ amount: '', reason: '' });
+      showMessage('Saved', `Store credit balance is now ₱${Number(res.data.balance).toLocaleString()}.`, 'success');
+      loadStatement(creditCustomer.id, statementRange);
+      fetchCustomers();
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to adjust store credit.', 'error');
+    }
+  };
+
+  const loadAccount = async (customerId) => {
+    try {
+      const res = await customersAPI.getChargeAccount(customerId);
+      setAccount(res.data);
+      setAccountForm({ charge_enabled: res.data.charge_enabled, credit_limit: String(res.data.credit_limit), payment_terms_days: String(res.data.payment_terms_days) });
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to load charge account.', 'error');
+    }
+  };
+
+  // Opening an account for a walk-in customer creates their customer record
+  const openAccount = async (customer) => {
+    let record = customer;
+    if (!customer.id) {
+      try {
+        const res = await customersAPI.saveCustomer({ customer_name: customer.customer_name, contact: customer.contact || '', address: customer.address || '', price_tier_id: null });
+        record = res.data;
+        fetchCustomers();
+      } catch (error) {
+        showMessage('Error', error.message || 'Failed to save customer.', 'error');
+        return;
+      }
+    }
+    setAccountCustomer(record); setAccount(null); setAccountPayment({ method: 'Cash', amount: '', reference: '' }); setAccountRange({ date_from: '', date_to: '' });
+    loadAccount(record.id);
+  };
+
+  const handleSaveAccount = async (e) => {
+    e.preventDefault();
+    const creditLimit = parseFloat(accountForm.credit_limit);
+    const terms = parseInt(accountForm.payment_terms_days, 10);
+    if (Number.isNaN(creditLimit) || creditLimit < 0 || Number.isNaN(terms) || terms < 0) { showMessage('Charge Account', 'Enter a credit limit and payment terms of zero or more.', 'warning'); return; }
+    try {
+      await customersAPI.updateChargeAccount(accountCustomer.id, { charge_enabled: accountForm.charge_enabled, credit_limit: creditLimit, payment_terms_days: terms });
+      showMessage('Saved', `Charge account for ${accountCustomer.customer_name} has been updated.`, 'success');
+      loadAccount(accountCustomer.id);
+      fetchCustomers();
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to update charge account.', 'error');
+    }
+  };
+
+  const handleAccountPayment = async (e) => {
+    e.preventDefault();
+    const amount = parseFloat(accountPayment.amount);
+    if (Number.isNaN(amount) || amount <= 0) { showMessage('Payment', 'Enter the amount received.', 'warning'); return; }
+    if (amount > account.balance) { showMessage('Payment', `The account only owes ${peso(account.balance)}.`, 'warning'); return; }
+    try {
+      const res = await customersAPI.receiveAccountPayment(accountCustomer.id, { method: accountPayment.method, amount, reference: accountPayment.reference.trim() });
+      const applied = res.data.allocations.map(a => `${a.sale_number}: ${peso(a.amount)}`).join('\n');
+      setAccountPayment({ method: 'Cash', amount: '', reference: '' });
+      showMessage('Payment Recorded', `Applied to:\n${applied}\n\nBalance now ${peso(res.data.balance)}.`, 'success');
+      loadAccount(accountCustomer.id);
+      fetchCustomers();
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to record payment.', 'error');
+    }
+  };
+
+  const printStatement = async () => {
+    try {
+      const res = await customersAPI.getAccountStatement(accountCustomer.id, accountRange);
+      const doc = await generateAccountStatementPDF(res.data, { dateFrom: accountRange.date_from, dateTo: accountRange.date_to });
+      doc.save(`Statement_${accountCustomer.customer_name.replace(/\s+/g, '_')}_${accountRange.date_to || new Date().toISOString().slice(0, 10)}.pdf`);
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to generate the statement of account.', 'error');
+    }
+  };
+
+  const openAddTier = () => {
+    setTierForm(EMPTY_TIER);
+    setSelectedTierId(null);
+    setProductSearch(''); setProductResults([]);
+    setIsTierModalOpen(true);
+  };
+
+  const openEditTier = async (tier) => {
+    try {
+      const res = await priceTiersAPI.getTier(tier.id);
+      const t = res.data;
+      setTierForm({ name: t.name, kind: t.kind, percent_off: String(Number(t.percent_off)), status: t.status, items: (t.items || []).map(toRuleRow) });
+      setSelectedTierId(t.id);
+      setProductSearch(''); setProductResults([]);
+      setIsTierModalOpen(true);
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to load price tier.', 'error');
+    }
+  };
+
+  const searchProducts = async () => {
+    if (!productSearch.trim()) { setProductResults([]); return; }
+    try {
+      const res = await productAPI.getProducts({ search: productSearch.trim(), limit: 10 });
+      setProductResults(res.data?.products || []);
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to search products.', 'error');
+    }
+  };
+
+  const addRule = (product) => {
+    if (tierForm.items.some(item => item.product_id === product.product_id)) return;
+    setTierForm(prev => ({ ...prev, items: [...prev.items, { product_id: product.product_id, product_name: product.name, list_price: Number(product.price), mode: 'price', value: String(Number(product.price)) }] }));
+  };
+
+  const updateRule = (productId, changes) => setTierForm(prev => ({ ...prev, items: prev.items.map(item => item.product_id === productId ? { ...item, ...changes } : item) }));
+  const removeRule = (productId) => setTierForm(prev => ({ ...prev, items: prev.items.filter(item => item.product_id !== productId) }));
+
+  const handleSaveTier = async (e) => {
+    e.preventDefault();
+    if (saving) return;
+    if (tierForm.items.some(item => item.value === '' || Number.isNaN(parseFloat(item.value)))) { showMessage('Price Tier', 'Enter a price or percentage for every product rule, or remove it.', 'warning'); return; }
+    setSaving(true);
+    try {
+      const data = {
+        name: tierForm.name, kind: tierForm.kind, percent_off: parseFloat(tierForm.percent_off) || 0, status: tierForm.status,
+        items: tierForm.items.map(item => (item.mode === 'price' ? { product_id: item.product_id, price: parseFloat(item.value) } : { product_id: item.product_id, percent_off: parseFloat(item.value) }))
+      };
+      if (selectedTierId) await priceTiersAPI.updateTier(selectedTierId, data);
+      else await priceTiersAPI.createTier(data);
+      setIsTierModalOpen(false);
+      showMessage('Saved', `Price tier "${tierForm.name}" has been saved.`, 'success');
+      fetchTiers();
+      fetchCustomers();
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to save price tier.', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteTier = (tier) => {
+    const note = tier.customer_count > 0 ? `\n\n${tier.customer_count} customer(s) on this tier will go back to list prices.` : '';
+    showMessage('Delete Price Tier', `Delete "${tier.name}"? This cannot be undone.${note}`, 'warning', async () => {
+      try {
+        await priceTiersAPI.deleteTier(tier.id);
+        fetchTiers();
+        fetchCustomers();
+      } catch (error) {
+        showMessage('Error', error.message || 'Failed to delete price tier.', 'error');
+      }
+    });
+  };
+
+  const rulePreview = (item) => {
+    const value = parseFloat(item.value);
+    if (Number.isNaN(value)) return '—';
+    const price = item.mode === 'price' ? value : Math.max(0, item.list_price - (item.list_price * value) / 100);
+    return `₱${price.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+  };
+
+  return (
+    <div className="admin-layout">
+      <Navbar />
+      <main className="admin-main">
+        <div className="admin-container">
+          <div className="page-header">
+            <h1 className="page-title">Customers</h1>
+            <p className="page-subtitle">Customer accounts and the price tiers they buy at</p>
+          </div>
+
+          <div className="card">
+            <div className="card-header-action">
+              <h2>Customers</h2>
+              <div style={{ position: 'relative' }}>
+                <BsSearch style={{ position: 'absolute', left: '10px', top: '50%', transform: 'translateY(-50%)', color: '#999' }} />
+                <input className="form-input" style={{ paddingLeft: '32px' }} placeholder="Search name or contact..." value={search} onChange={e => setSearch(e.target.value)} />
+              </div>
+            </div>
+
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Contact</th>
+                    <th>Address</th>
+                    <th>Price Tier</th>
+                    <th>Store Credit</th>
+                    <th>Charge Account</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loading ? <tr><td colSpan="6">Loading...</td></tr> : customers.length === 0 ? (
+                    <tr><td colSpan="6" style={{ textAlign: 'center', padding: '40px' }}>No customers found.</td></tr>
+                  ) : customers.map(c => (
+                    <tr key={customerKey(c)}>
+                      <td>{c.customer_name}</td>
+                      <td>{c.contact || '—'}</td>
+                      <td>{c.address || '—'}</td>
+                      <td>
+                        {canManageCustomers ? (
+                          <select className="form-input" value={c.price_tier_id || ''} onChange={e => assignTier(c, e.target.value)}>
+                            <option value="">List price</option>
+                            {tiers.map(t => <option key={t.id} value={t.id}>{t.name}{t.status !== 'Active' ? ' (inactive)' : ''}</option>)}
+                          </select>
+                        ) : (c.price_tier_name || <span style={{ color: '#999' }}>List price</span>)}
+                      </td>
+                      <td>
+                        {c.id ? (
+                          <button className="btn btn-outline btn-small" onClick={() => openStatement(c)} title="Store credit statement"><BsWallet2 /> ₱{Number(c.store_credit_balance || 0).toLocaleString()}</button>
+                        ) : <span style={{ color: '#999' }}>—</span>}
+                      </td>
+                      <td>
+                        {Number(c.charge_enabled) ? (
+                          <button className="btn btn-outline btn-small" onClick={() => openAccount(c)} title="Charge account"><BsJournalText /> {peso(c.account_balance)} / {peso(c.credit_limit)}</button>
+                        ) : Number(c.account_balance) > 0 ? (
+                          <button className="btn btn-outline btn-small" onClick={() => openAccount(c)} title="Charging is disabled; balance still owed"><BsJournalText /> {peso(c.account_balance)} owed</button>
+                        ) : canManageAccounts ? (
+                          <button className="btn btn-outline btn-small" onClick={() => openAccount(c)}>Open account</button>
+                        ) : <span style={{ color: '#999' }}>—</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {canManageTiers && (
+            <div className="card">
+              <div className="card-header-action">
+                <h2>Price Tiers</h2>
+                <button className="btn btn-primary" onClick={openAddTier}>
+                  <BsPlusLg /> Add Price Tier
+                </button>
+              </div>
+
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Type</th>
+                      <th>Default Discount</th>
+                      <th>Product Rules</th>
+                      <th>Customers</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tiers.length === 0 ? (
+                      <tr><td colSpan="7" style={{ textAlign: 'center', padding: '40px' }}>No price tiers yet.</td></tr>
+                    ) : tiers.map(t => (
+                      <tr key={t.id}>
+                        <td>{t.name}</td>
+                        <td>{KIND_LABELS[t.kind]}</td>
+                        <td>{Number(t.percent_off) > 0 ? `${Number(t.percent_off)}% off list` : 'List price'}</td>
+                        <td>{t.item_count}</td>
+                        <td>{t.customer_count}</td>
+                        <td><span className={`status-badge ${t.status === 'Active' ? 'active' : 'inactive'}`}>{t.status}</span></td>
+                        <td>
+                          <div style={{ display: 'flex', gap: '5px' }}>
+                            <button className="btn btn-outline btn-small" onClick={() => openEditTier(t)}><BsPencil /></button>
+                            <button className="btn btn-danger btn-small" onClick={() => handleDeleteTier(t)} title="Delete"><BsTrash /></button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+
+      {isTierModalOpen && (
+        <div className="modal-overlay" onClick={() => setIsTierModalOpen(false)}>
+          <div className="modal-content" onClick={e => e.stopPropagation()} style={{ maxWidth: '720px' }}>
+            <div className="modal-header">
+              <h2>{selectedTierId ? 'Edit Price Tier' : 'Add Price Tier'}</h2>
+              <button className="close-btn" onClick={() => setIsTierModalOpen(false)}>×</button>
+            </div>
+            <form onSubmit={handleSaveTier} className="modal-body">
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Name *</label>
+                  <input required maxLength={50} className="form-input" value={tierForm.name} onChange={e => setTierForm(prev => ({ ...prev, name: e.target.value }))} />
+                </div>
+                <div className="form-group">
+                  <label>Type</label>
+                  <select className="form-input" value={tierForm.kind} onChange={e => setTierForm(prev => ({ ...prev, kind: e.target.value }))}>
+                    {Object.entries(KIND_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Default Discount (% off list price)</label>
+                  <input type="number" min="0" max="100" step="0.01" className="form-input" value={tierForm.percent_off} onChange={e => setTierForm(prev => ({ ...prev, percent_off: e.target.value }))} />
+                  <small style={{ color: '#6b7280' }}>Applies to every product without its own rule below.</small>
+                </div>
+                <div className="form-group">
+                  <label>Status</label>
+                  <select className="form-input" value={tierForm.status} onChange={e => setTierForm(prev => ({ ...prev, status: e.target.value }))}>
+                    <option value="Active">Active</option>
+                    <option value="Inactive">Inactive (customers pay list price)</option>
+                  </select>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Product Rules</label>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <input className="form-input" placeholder="Search products to add..." value={productSearch} onChange={e => setProductSearch(e.target.value)} onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); searchProducts(); } }} />
+                  <button type="button" className="btn btn-outline" onClick={searchProducts}><BsSearch /></button>
+                </div>
+                {productResults.length > 0 && (
+                  <div style={{ border: '1px solid #e5e7eb', borderRadius: '6px', marginTop: '6px', maxHeight: '160px', overflowY: 'auto' }}>
+                    {productResults.map(p => (
+                      <div key={p.product_id} onClick={() => addRule(p)} style={{ padding: '6px 10px', cursor: 'pointer', fontSize: '0.9rem', borderBottom: '1px solid #f3f4f6', color: tierForm.items.some(item => item.product_id === p.product_id) ? '#9ca3af' : 'inherit' }}>
+                        {p.product_id} · {p.name} <span style={{ color: '#6b7280' }}>₱{Number(p.price).toLocaleString()}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+              {tierForm.items.length > 0 && (
+                <div className="table-container">
+                  <table className="table">
+                    <thead><tr><th>Product</th><th>List Price</th><th>Rule</th><th>Value</th><th>Tier Price</th><th></th></tr></thead>
+                    <tbody>
+                      {tierForm.items.map(item => (
+                        <tr key={item.product_id}>
+                          <td>{item.product_name || item.product_id}</td>
+                          <td>₱{item.list_price.toLocaleString()}</td>
+                          <td>
+                            <select className="form-input" value={item.mode} onChange={e => updateRule(item.product_id, { mode: e.target.value })}>
+                              <option value="price">Fixed price (₱)</option>
+                              <option value="percent">% off list</option>
+                            </select>
+                          </td>
+                          <td><input type="number" min="0" max={item.mode === 'percent' ? 100 : undefined} step="0.01" className="form-input" style={{ width: '100px' }} value={item.value} onChange={e => updateRule(item.product_id, { value: e.target.value })} /></td>
+                          <td>{rulePreview(item)}</td>
+                          <td><button type="button" className="btn btn-danger btn-small" onClick={() => removeRule(item.product_id)}><BsTrash /></button></td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div className="modal-actions">
+                <button type="button" className="cancel-btn" onClick={() => setIsTierModalOpen(false)}>Cancel</button>
+                <button type="submit" className="save-btn" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {creditCustomer && (
+        <div className="modal-overlay" onClick={() => setCreditCustomer(null)}>
+          <div className="modal-content" onClick={e => e.stopPropagation()} style={{ maxWidth: '760px' }}>
+            <div className="modal-header">
+              <h2>Store Credit: {creditCustomer.customer_name}</h2>
+              <button className="close-btn" onClick={() => setCreditCustomer(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              <div className="form-row" style={{ alignItems: 'flex-end' }}>
+                <div className="form-group"><label>From</label><input type="date" className="form-input" value={statementRange.date_from} onChange={e => setStatementRange(prev => ({ ...prev, date_from: e.target.value }))} /></div>
+                <div className="form-group"><label>To</label><input type="date" className="form-input" value={statementRange.date_to} onChange={e => setStatementRange(prev => ({ ...prev, date_to: e.target.value }))} /></div>
+                <div className="form-group"><button type="button" className="btn btn-outline" onClick={() => loadStatement(creditCustomer.id, statementRange)}>Show</button></div>
+              </div>
+              {!statement ? <p>Loading...</p> : (
+                <>
+                  <p style={{ margin: '0 0 10px' }}>Current balance: <strong>₱{statement.balance.toLocaleString()}</strong>{statementRange.date_from && <span style={{ color: '#6b7280' }}> · Opening balance ₱{Number(statement.opening_balance).toLocaleString()}</span>}</p>
+                  <div className="table-container">
+                    <table className="table">
+                      <thead><tr><th>Date</th><th>Type</th><th>Details</th><th>By</th><th>Amount</th><th>Balance</th></tr></thead>
+                      <tbody>
+                        {statement.entries.length === 0 ? (
+                          <tr><td colSpan="6" style={{ textAlign: 'center', padding: '20px' }}>No store credit movements.</td></tr>
+                        ) : statement.entries.map(entry => (
+                          <tr key={entry.id}>
+                            <td>{new Date(entry.created_at).toLocaleString()}</td>
+                            <td>{ENTRY_LABELS[entry.entry_type] || entry.entry_type}</td>
+                            <td>{entry.notes || entry.sale_number || '—'}</td>
+                            <td>{entry.created_by || '—'}</td>
+                            <td style={{ color: Number(entry.amount) < 0 ? '#b91c1c' : '#166534' }}>{Number(entry.amount) < 0 ? '-' : '+'}₱{Math.abs(Number(entry.amount)).toLocaleString()}</td>
+                            <td>₱{Number(entry.balance_after).toLocaleString()}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+              {canAdjustCredit && (
+                <form onSubmit={handleAdjust} className="form-row" style={{ alignItems: 'flex-end', marginTop: '12px' }}>
+                  <div className="form-group"><label>Adjust (₱, negative to deduct)</label><input type="number" step="0.01" className="form-input" value={adjustment.amount} onChange={e => setAdjustment(prev => ({ ...prev, amount: e.target.value }))} /></div>
+                  <div className="form-group"><label>Reason</label><input maxLength={255} className="form-input" value={adjustment.reason} onChange={e => setAdjustment(prev => ({ ...prev, reason: e.target.value }))} /></div>
+                  <div className="form-group"><button type="submit" className="btn btn-primary">Post</button></div>
+                </form>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {accountCustomer && (
+        <div className="modal-overlay" onClick={() => setAccountCustomer(null)}>
+          <div className="modal-content" onClick={e => e.stopPropagation()} style={{ maxWidth: '760px' }}>
+            <div className="modal-header">
+              <h2>Charge Account: {accountCustomer.customer_name}</h2>
+              <button className="close-btn" onClick={() => setAccountCustomer(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              {!account ? <p>Loading...</p> : (
+                <>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '24px', marginBottom: '12px' }}>
+                    <div><div style={{ fontSize: '0.8rem', color: '#6b7280' }}>Balance</div><strong>{peso(account.balance)}</strong></div>
+                    <div><div style={{ fontSize: '0.8rem', color: '#6b7280' }}>Past Due</div><strong style={{ color: account.overdue > 0 ? '#b91c1c' : 'inherit' }}>{peso(account.overdue)}</strong></div>
+                    <div><div style={{ fontSize: '0.8rem', color: '#6b7280' }}>Available Credit</div><strong>{account.charge_enabled ? peso(account.available_credit) : 'Charging disabled'}</strong></div>
+                  </div>
+
+                  {canManageAccounts ? (
+                    <form onSubmit={handleSaveAccount} className="form-row" style={{ alignItems: 'flex-end' }}>
+                      <div className="form-group"><label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}><input type="checkbox" checked={accountForm.charge_enabled} onChange={e => setAccountForm(prev => ({ ...prev, charge_enabled: e.target.checked }))} /> Allow charging</label></div>
+                      <div className="form-group"><label>Credit Limit (₱)</label><input type="number" min="0" step="0.01" className="form-input" value={accountForm.credit_limit} onChange={e => setAccountForm(prev => ({ ...prev, credit_limit: e.target.value }))} /></div>
+                      <div className="form-group"><label>Terms (days)</label><input type="number" min="0" max="365" className="form-input" value={accountForm.payment_terms_days} onChange={e => setAccountForm(prev => ({ ...prev, payment_terms_days: e.target.value }))} /></div>
+                      <div className="form-group"><button type="submit" className="btn btn-primary">Save</button></div>
+                    </form>
+                  ) : (
+                    <p style={{ margin: '0 0 10px', color: '#6b7280' }}>Credit limit {peso(account.credit_limit)} · {account.payment_terms_days}-day terms</p>
+                  )}
+
+                  <h3 style={{ fontSize: '1rem', margin: '12px 0 8px' }}>Open Invoices</h3>
+                  <div className="table-container">
+                    <table className="table">
+                      <thead><tr><th>Invoice</th><th>Date</th><th>Due</th><th>Total</th><th>Balance</th><th>Overdue</th></tr></thead>
+                      <tbody>
+                        {account.invoices.length === 0 ? (
+                          <tr><td colSpan="6" style={{ textAlign: 'center', padding: '20px' }}>Nothing owed on this account.</td></tr>
+                        ) : account.invoices.map(invoice => (
+                          <tr key={invoice.id}>
+                            <td>{invoice.sale_number}</td>
+                            <td>{new Date(invoice.created_at).toLocaleDateString()}</td>
+                            <td>{new Date(invoice.due_date).toLocaleDateString()}</td>
+                            <td>{peso(invoice.total)}</td>
+                            <td>{peso(invoice.balance)}</td>
+                            <td style={{ color: invoice.days_overdue > 0 ? '#b91c1c' : '#6b7280' }}>{invoice.days_overdue > 0 ? `${invoice.days_overdue} days` : 'Not yet due'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {canReceivePayments && account.balance > 0 && (
+                    <form onSubmit={handleAccountPayment} className="form-row" style={{ alignItems: 'flex-end', marginTop: '12px' }}>
+                      <div className="form-group"><label>Method</label><select className="form-input" value={accountPayment.method} onChange={e => setAccountPayment(prev => ({ ...prev, method: e.target.value }))}>{ACCOUNT_PAYMENT_METHODS.map(method => <option key={method} value={method}>{method}</option>)}</select></div>
+                      <div className="form-group"><label>Amount Received (₱)</label><input type="number" min="0.01" step="0.01" className="form-input" value={accountPayment.amount} onChange={e => setAccountPayment(prev => ({ ...prev, amount: e.target.value }))} /></div>
+                      <div className="form-group"><label>Reference</label><input maxLength={64} className="form-input" value={accountPayment.reference} onChange={e => setAccountPayment(prev => ({ ...prev, reference: e.target.value }))} /></div>
+                      <div className="form-group"><button type="submit" className="btn btn-primary">Receive</button></div>
+                    </form>
+                  )}
+                  <small style={{ color: '#6b7280' }}>Payments are applied to the oldest invoices first.</small>
+
+                  <h3 style={{ fontSize: '1rem', margin: '16px 0 8px' }}>Statement of Account</h3>
+                  <div className="form-row" style={{ alignItems: 'flex-end' }}>
+                    <div className="form-group"><label>From</label><input type="date" className="form-input" value={accountRange.date_from} onChange={e => setAccountRange(prev => ({ ...prev, date_from: e.target.value }))} /></div>
+                    <div className="form-group"><label>To</label><input type="date" className="form-input" value={accountRange.date_to} onChange={e => setAccountRange(prev => ({ ...prev, date_to: e.target.value }))} /></div>
+                    <div className="form-group"><button type="button" className="btn btn-danger" onClick={printStatement}><BsFileEarmarkPdf /> Statement PDF</button></div>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <MessageBox isOpen={msgBox.isOpen} title={msgBox.title} message={msgBox.message} type={msgBox.type} onClose={closeMessage} onConfirm={msgBox.onConfirm} />
+    </div>
+  );
+};
+
+export default CustomersPage;
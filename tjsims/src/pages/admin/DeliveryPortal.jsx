@@ -3,8 +3,9 @@ import { useNavigate } from 'react-router-dom';
 import { BsSearch } from 'react-icons/bs';
 import '../../styles/DeliveryPortal.css';
 import tcjLogo from '../../assets/tcj_logo.png';
-import { salesAPI } from '../../utils/api';
+import { salesAPI, authAPI } from '../../utils/api';
 import { serialNumberAPI } from '../../utils/serialNumberApi';
+import { clearSession } from '../../utils/auth';
 
 // --- CUSTOM MESSAGE BOX COMPONENT ---
 const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
@@ -62,7 +63,7 @@ const DeliveryPortal = () => {
           items = itemsResponse.map(item => { const serial_numbers = allSerials.filter(sn => sn.sale_item_id === item.id).map(sn => sn.serial_number); return { ...item, serial_numbers }; });
           productListString = (items || []).map(item => `${item.product_name} (x${item.quantity})`).join(', ');
         } catch (e) { console.error(`Failed to fetch details for sale ${s.id}:`, e); }
-        return { id: s.sale_number, saleId: s.id, customerName: s.customer_name, orderDate: new Date(s.created_at).toLocaleDateString('en-PH', { month: 'short', day: 'numeric', year: 'numeric' }), productList: productListString, items: items, paymentStatus: s.payment_status, paymentMethod: s.payment, orderStatus: s.status, address: s.address || '', contact: s.contact || '', deliveryProof: s.delivery_proof || null };
+        return { id: s.sale_number, saleId: s.id, customerName: s.customer_name, orderDate: new Date(s.created_at).toLocaleDateString('en-PH', { month: 'short', day: 'numeric', year: 'numeric' }), productList: productListString, items: items, paymentStatus: s.payment_status, paymentMethod: s.payment, nextStatuses: s.next_statuses || [], balance: Math.max(0, Number(s.total || 0) - Number(s.amount_paid || 0)), orderStatus: s.status, address: s.address || '', contact: s.contact || '', deliveryProof: s.delivery_proof || null };
       });
       return await Promise.all(mappedPromises);
     } catch (e) { setError(e.message); return []; }
@@ -74,7 +75,7 @@ const DeliveryPortal = () => {
     return () => { mounted = false; };
   }, []);
 
-  const handleLogout = () => { localStorage.removeItem('userRole'); localStorage.removeItem('userEmail'); localStorage.removeItem('userName'); localStorage.removeItem('userAvatar'); navigate('/admin/login'); };
+  const handleLogout = async () => { await authAPI.logout().catch(() => ({})); clearSession(); navigate('/admin/login'); };
   const handleViewOrder = (order) => { setSelectedOrder(order); setIsViewModalOpen(true); };
   const handleCompleteDelivery = (order) => { setSelectedOrder(order); setDeliveryProof(null); setIsCompleteModalOpen(true); };
 
@@ -84,20 +85,21 @@ const DeliveryPortal = () => {
   const [deliveryProof, setDeliveryProof] = useState(null);
   const [uploadingProof, setUploadingProof] = useState(false);
 
+  // Collecting on delivery records the outstanding balance as a COD payment
   const handlePaymentStatusChange = async (orderId, newPaymentStatus) => {
-    const target = orders.find(o => o.id === orderId); if (!target) return;
+    const target = orders.find(o => o.id === orderId); if (!target || newPaymentStatus !== 'Paid') return;
     try {
-      await salesAPI.updateSale(target.saleId, { payment_status: newPaymentStatus });
-      setOrders(prev => prev.map(o => o.id === orderId ? { ...o, paymentStatus: newPaymentStatus } : o));
-      if (newPaymentStatus === 'Paid' && target.paymentMethod === 'Cash on Delivery') showMessage('Payment Updated', 'Payment status updated to Paid. You can now complete the delivery.', 'success');
-    } catch (e) { showMessage('Error', `Failed to update payment status: ${e.message}`, 'error'); }
+      const result = await salesAPI.recordPayment(target.saleId, [{ method: 'Cash on Delivery', amount: target.balance }]);
+      setOrders(prev => prev.map(o => o.id === orderId ? { ...o, paymentStatus: result.data.payment_status, balance: result.data.balance } : o));
+      showMessage('Payment Updated', `Collected ₱${target.balance.toLocaleString()}. You can now complete the delivery.`, 'success');
+    } catch (e) { showMessage('Error', `Failed to record payment: ${e.message}`, 'error'); }
   };
 
   const handleOrderStatusChange = async (orderId, newStatus) => {
     const target = orders.find(o => o.id === orderId); if (!target) return;
     try {
       await salesAPI.updateSale(target.saleId, { status: newStatus });
-      setOrders(prev => prev.map(o => o.id === orderId ? { ...o, orderStatus: newStatus } : o));
+      const mapped = await fetchOrders(); setOrders(mapped);
     } catch (e) { showMessage('Error', `Failed to update status: ${e.message}`, 'error'); }
   };
 
@@ -148,9 +150,9 @@ const DeliveryPortal = () => {
               {!loading && !error && currentOrders.map((order) => (
                 <tr key={order.id}>
                   <td className="order-id">{order.id}</td><td>{order.customerName}</td><td className="product-list">{order.productList}</td>
-                  <td>{order.paymentStatus === 'Unpaid' ? (<select value={order.paymentStatus} onChange={(e) => handlePaymentStatusChange(order.id, e.target.value)} className={`status-edit-select status-${order.paymentStatus.toLowerCase()}`}><option value="Unpaid">Unpaid (COD)</option><option value="Paid">Paid (COD)</option></select>) : (<span className={`status-badge ${getPaymentStatusClass(order.paymentStatus)}`}>{`${order.paymentStatus} (${order.paymentMethod})`}</span>)}</td>
-                  <td>{order.orderStatus !== 'Completed' ? (<select value={order.orderStatus} onChange={(e) => handleOrderStatusChange(order.id, e.target.value)} className={`status-edit-select status-${order.orderStatus.toLowerCase().replace(/\s+/g, '-')}`}><option value="Pending">Pending</option><option value="Processing">Processing</option><option value="Out for Delivery">Out for Delivery</option></select>) : (<span className={`status-badge ${getOrderStatusClass(order.orderStatus)}`}>{order.orderStatus}</span>)}</td>
-                  <td><div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}><button className="view-btn" onClick={() => handleViewOrder(order)} title="View Details"><i className="fas fa-eye"></i> <span>View</span></button>{order.orderStatus !== 'Completed' && (<button className="complete-delivery-btn" onClick={() => handleCompleteDelivery(order)} title="Complete Delivery" disabled={order.paymentStatus !== 'Paid'} style={{ backgroundColor: '#28a745', color: 'white', border: 'none', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer', fontSize: '14px', display: 'inline-flex', alignItems: 'center', gap: '6px' }}><i className="fas fa-check-circle"></i> <span>Complete</span></button>)}</div></td>
+                  <td>{order.paymentStatus === 'Unpaid' || order.paymentStatus === 'Partially Paid' ? (<select value="Unpaid" onChange={(e) => handlePaymentStatusChange(order.id, e.target.value)} className="status-edit-select status-unpaid"><option value="Unpaid">{`Due ₱${order.balance.toLocaleString()} (COD)`}</option><option value="Paid">Collected (COD)</option></select>) : (<span className={`status-badge ${getPaymentStatusClass(order.paymentStatus)}`}>{`${order.paymentStatus} (${order.paymentMethod})`}</span>)}</td>
+                  <td>{order.orderStatus !== 'Completed' ? (<select value={order.orderStatus} onChange={(e) => handleOrderStatusChange(order.id, e.target.value)} className={`status-edit-select status-${order.orderStatus.toLowerCase().replace(/\s+/g, '-')}`}><option value={order.orderStatus}>{order.orderStatus}</option>{order.nextStatuses.filter(s => s !== 'Completed').map(s => (<option key={s} value={s}>{s === 'Processing' && order.orderStatus === 'Out for Delivery' ? 'Processing (delivery failed)' : s}</option>))}</select>) : (<span className={`status-badge ${getOrderStatusClass(order.orderStatus)}`}>{order.orderStatus}</span>)}</td>
+                  <td><div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}><button className="view-btn" onClick={() => handleViewOrder(order)} title="View Details"><i className="fas fa-eye"></i> <span>View</span></button>{order.orderStatus === 'Out for Delivery' && (<button className="complete-delivery-btn" onClick={() => handleCompleteDelivery(order)} title="Complete Delivery" disabled={order.paymentStatus !== 'Paid'} style={{ backgroundColor: '#28a745', color: 'white', border: 'none', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer', fontSize: '14px', display: 'inline-flex', alignItems: 'center', gap: '6px' }}><i className="fas fa-check-circle"></i> <span>Complete</span></button>)}</div></td>
                 </tr>
               ))}
             </tbody>
@@ -166,7 +168,7 @@ const DeliveryPortal = () => {
             <div className="modal-body">
               <div className="detail-row"><span className="detail-label">Customer Name:</span><span className="detail-value">{selectedOrder.customerName}</span></div><div className="detail-row"><span className="detail-label">Contact Number:</span><span className="detail-value">{selectedOrder.contact}</span></div><div className="detail-row"><span className="detail-label">Delivery Address:</span><span className="detail-value">{selectedOrder.address}</span></div><div className="detail-row"><span className="detail-label">Order Date:</span><span className="detail-value">{selectedOrder.orderDate}</span></div>
               <div className="detail-row" style={{ flexDirection: 'column', alignItems: 'flex-start' }}><span className="detail-label" style={{ marginBottom: '8px' }}>Products:</span><div style={{ width: '100%', overflowX: 'auto' }}><table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}><thead><tr style={{ background: '#f8f9fa' }}><th style={{ textAlign: 'left', padding: '8px 4px', borderBottom: '1px solid #ddd' }}>Product</th><th style={{ textAlign: 'left', padding: '8px 4px', borderBottom: '1px solid #ddd' }}>Serial Numbers</th><th style={{ textAlign: 'right', padding: '8px 4px', borderBottom: '1px solid #ddd' }}>Qty</th><th style={{ textAlign: 'right', padding: '8px 4px', borderBottom: '1px solid #ddd' }}>Price</th></tr></thead><tbody>{selectedOrder.items?.length > 0 ? (selectedOrder.items.map((item, index) => (<tr key={index} style={{ borderBottom: '1px solid #eee' }}><td style={{ padding: '8px 4px', textAlign: 'left' }}>{item.product_name || item.name}</td><td style={{ padding: '8px 4px', textAlign: 'left', wordBreak: 'break-word', maxWidth: '200px' }}>{(item.serial_numbers?.length > 0) ? item.serial_numbers.join(', ') : 'N/A'}</td><td style={{ padding: '8px 4px', textAlign: 'right' }}>{item.quantity}</td><td style={{ padding: '8px 4px', textAlign: 'right' }}>₱{(Number(item.price) * Number(item.quantity)).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td></tr>))) : (<tr><td colSpan="4" style={{ textAlign: 'center', padding: '10px' }}>No items found for this order.</td></tr>)}</tbody></table></div></div>
-              <div className="detail-row"><span className="detail-label">Payment Status:</span><span className={`status-badge ${getPaymentStatusClass(selectedOrder.paymentStatus)}`}>{selectedOrder.paymentStatus === 'Paid' ? `Paid (${selectedOrder.paymentMethod})` : `Unpaid (${selectedOrder.paymentMethod})`}</span></div><div className="detail-row"><span className="detail-label">Order Status:</span><span className={`status-badge ${getOrderStatusClass(selectedOrder.orderStatus)}`}>{selectedOrder.orderStatus}</span></div>
+              <div className="detail-row"><span className="detail-label">Payment Status:</span><span className={`status-badge ${getPaymentStatusClass(selectedOrder.paymentStatus)}`}>{selectedOrder.paymentStatus === 'Paid' ? `Paid (${selectedOrder.paymentMethod})` : `${selectedOrder.paymentStatus} (${selectedOrder.paymentMethod}) — due ₱${selectedOrder.balance.toLocaleString()}`}</span></div><div className="detail-row"><span className="detail-label">Order Status:</span><span className={`status-badge ${getOrderStatusClass(selectedOrder.orderStatus)}`}>{selectedOrder.orderStatus}</span></div>
               {selectedOrder.orderStatus === 'Completed' && selectedOrder.deliveryProof && (<div className="detail-row" style={{ marginTop: '20px', flexDirection: 'column', alignItems: 'flex-start' }}><span className="detail-label" style={{ marginBottom: '8px' }}>Proof of Delivery:</span><img src={`http://localhost:5000${selectedOrder.deliveryProof}`} alt="Delivery Proof" style={{ maxWidth: '100%', maxHeight: '400px', borderRadius: '8px', border: '1px solid #ddd' }} /></div>)}
             </div>
             <div className="modal-footer"><button className="close-modal-btn" onClick={() => setIsViewModalOpen(false)}>Close</button></div>
@@ -179,7 +181,7 @@ const DeliveryPortal = () => {
             <div className="modal-header"><h2>Complete Delivery - {selectedOrder.id}</h2><button className="close-btn" onClick={() => setIsCompleteModalOpen(false)}><i className="fas fa-times"></i></button></div>
             <form onSubmit={handleSubmitCompleteDelivery}>
               <div className="modal-body">
-                <div className="detail-row" style={{ flexDirection: 'column', alignItems: 'flex-start' }}><span className="detail-label" style={{ marginBottom: '8px' }}>Upload Proof of Delivery *</span><p style={{ fontSize: '14px', color: '#666', marginBottom: '12px' }}>Please upload an image showing proof of delivery before completing.</p><input type="file" accept="image/*" onChange={handleProofFileChange} style={{ padding: '8px', border: '1px solid #ddd', borderRadius: '4px', width: '100%' }} required />{deliveryProof && (<span style={{ marginTop: '8px', color: '#28a745', fontSize: '14px' }}>✓ {deliveryProof.name} selected</span>)}</div>
+                <div className="detail-row" style={{ flexDirection: 'column', alignItems: 'flex-start' }}><span className="detail-label" style={{ marginBottom: '8px' }}>Upload Proof of Delivery *</span><p style={{ fontSize: '14px', color: '#666', marginBottom: '12px' }}>Please upload an image showing proof of delivery before completing.</p><input type="file" accept="image/jpeg,image/png,image/gif,image/webp" onChange={handleProofFileChange} style={{ padding: '8px', border: '1px solid #ddd', borderRadius: '4px', width: '100%' }} required />{deliveryProof && (<span style={{ marginTop: '8px', color: '#28a745', fontSize: '14px' }}>✓ {deliveryProof.name} selected</span>)}</div>
               </div>
               <div className="modal-footer"><button type="button" className="cancel-btn" onClick={() => setIsCompleteModalOpen(false)} style={{ padding: '10px 20px', borderRadius: '4px', border: '1px solid #ddd', backgroundColor: '#fff', cursor: 'pointer' }}>Back</button><button type="submit" className="confirm-btn" disabled={uploadingProof} style={{ padding: '10px 20px', borderRadius: '4px', border: 'none', backgroundColor: '#28a745', color: 'white', cursor: uploadingProof ? 'not-allowed' : 'pointer', opacity: uploadingProof ? 0.6 : 1 }}>{uploadingProof ? 'Completing...' : 'Complete Delivery'}</button></div>
             </form>
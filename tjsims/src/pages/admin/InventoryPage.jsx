@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import Navbar from '../../components/admin/Navbar';
 import { BsSearch, BsPencil, BsFillArchiveFill, BsFillCheckCircleFill, BsFillExclamationTriangleFill, BsFillXCircleFill, BsListUl } from 'react-icons/bs';
 import '../../styles/InventoryPage.css';
-import { inventoryAPI, serialNumberAPI, suppliersAPI } from '../../utils/api';
+import { inventoryAPI, serialNumberAPI, suppliersAPI, productAPI } from '../../utils/api';
 
 // --- CUSTOM MESSAGE BOX COMPONENT ---
 const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
@@ -56,6 +56,7 @@ const InventoryPage = () => {
   const [isAddMode, setIsAddMode] = useState(true);
   const [isBulkStockInOpen, setIsBulkStockInOpen] = useState(false);
   const [bulkStockInData, setBulkStockInData] = useState(() => ({ supplierId: '', receivedBy: getDefaultReceivedBy(), receivedDate: getDefaultDateTime(), products: [] }));
+  const [stockInScan, setStockInScan] = useState('');
   const [isReturnToSupplierOpen, setIsReturnToSupplierOpen] = useState(false);
   const [returnToSupplierData, setReturnToSupplierData] = useState(() => ({ supplierId: '', returnedBy: getDefaultReceivedBy(), returnDate: getDefaultDateTime(), reason: '', products: [] }));
   const [stockInModal, setStockInModal] = useState({ open: false, product: null });
@@ -127,6 +128,39 @@ const InventoryPage = () => {
   const handleOpenBulkStockIn = () => { setBulkStockInData({ supplierId: '', receivedBy: getDefaultReceivedBy(), receivedDate: getDefaultDateTime(), products: [] }); setIsBulkStockInOpen(true); };
   const handleAddProductRow = () => { setBulkStockInData(prev => ({ ...prev, products: [...prev.products, { productId: '', productName: '', brand: '', serialNumbers: [''], quantity: 1 }] })); };
   const handleAddReturnProductRow = () => { setReturnToSupplierData(prev => ({ ...prev, products: [...prev.products, { productId: '', productName: '', brand: '', serialNumbers: [''], quantity: 1 }] })); };
+  // Stock-in scanning: a product barcode adds a row (or one more unit to it);
+  // a code that matches nothing fills the next empty serial of a serial-tracked row
+  const handleStockInScan = async (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    const code = stockInScan.trim();
+    if (!code) return;
+    setStockInScan('');
+    const openRow = bulkStockInData.products.findIndex(row => row.requiresSerial && (row.serialNumbers || []).some(sn => !sn.trim()));
+    try {
+      const { data: match } = await productAPI.lookupCode(code);
+      if (match.type === 'serial') { showMessage('Already Registered', `Serial ${code} is already registered to ${match.product.name} (${match.serial.status}).`, 'warning'); return; }
+      const { product } = match;
+      setBulkStockInData(prev => {
+        const index = prev.products.findIndex(row => row.productId === product.product_id);
+        if (index === -1) return { ...prev, products: [...prev.products, { productId: product.product_id, productName: product.name, brand: product.brand, requiresSerial: product.requires_serial, serialNumbers: [''], quantity: 1 }] };
+        const newProducts = [...prev.products];
+        const row = newProducts[index]; const quantity = (parseInt(row.quantity) || 0) + 1;
+        newProducts[index] = { ...row, quantity, serialNumbers: Array(quantity).fill('').map((_, i) => row.serialNumbers?.[i] || '') };
+        return { ...prev, products: newProducts };
+      });
+    } catch (error) {
+      if (openRow === -1) { showMessage('Scan', error.message || 'No product matches the scanned code', 'warning'); return; }
+      setBulkStockInData(prev => {
+        const newProducts = [...prev.products];
+        const serialNumbers = [...newProducts[openRow].serialNumbers];
+        if (serialNumbers.includes(code)) return prev;
+        serialNumbers[serialNumbers.findIndex(sn => !sn.trim())] = code;
+        newProducts[openRow] = { ...newProducts[openRow], serialNumbers };
+        return { ...prev, products: newProducts };
+      });
+    }
+  };
   const handleRemoveProductRow = (index) => { setBulkStockInData(prev => ({ ...prev, products: prev.products.filter((_, i) => i !== index) })); };
   const handleRemoveReturnProductRow = (index) => { setReturnToSupplierData(prev => ({ ...prev, products: prev.products.filter((_, i) => i !== index) })); };
   const handleProductRowChange = (index, field, value) => { setBulkStockInData(prev => { const newProducts = [...prev.products]; newProducts[index] = { ...newProducts[index], [field]: value }; if (field === 'productId') { const selectedProduct = products.find(p => p.product_id === value); if (selectedProduct) { newProducts[index].productName = selectedProduct.name; newProducts[index].brand = selectedProduct.brand; newProducts[index].requiresSerial = selectedProduct.requires_serial; } } if (field === 'quantity') { const qty = parseInt(value) || 1; const currentSerials = newProducts[index].serialNumbers || []; newProducts[index].serialNumbers = Array(qty).fill('').map((_, i) => currentSerials[i] || ''); } return { ...prev, products: newProducts }; }); };
@@ -324,7 +358,7 @@ const InventoryPage = () => {
     e.preventDefault(); if (isSubmitting) return;
     try {
       setIsSubmitting(true);
-      const payload = { quantityToAdd: 0, reorderPoint: selectedProduct.newReorderPoint, notes: 'Reorder point updated', createdBy: localStorage.getItem('username') || 'Admin', transactionDate: new Date().toISOString() };
+      const payload = { quantityToAdd: 0, reorderPoint: selectedProduct.newReorderPoint, notes: 'Reorder point updated', transactionDate: new Date().toISOString() };
       const response = await inventoryAPI.updateStock(selectedProduct.product_id, payload);
       if (response.success) {
         showMessage('Success', 'Product edited successfully.', 'success', () => { setIsModalOpen(false); window.location.reload(); });
@@ -464,6 +498,7 @@ const InventoryPage = () => {
                 <div className="form-group"><label>Received By</label><input type="text" value={bulkStockInData.receivedBy} onChange={(e) => setBulkStockInData(prev => ({ ...prev, receivedBy: e.target.value }))} className="form-input" placeholder="Enter receiver name" required /></div>
                 <div className="form-group"><label>Date and Time Received</label><input type="datetime-local" value={bulkStockInData.receivedDate} onChange={(e) => setBulkStockInData(prev => ({ ...prev, receivedDate: e.target.value }))} className="form-input" required /></div>
                 <div style={{ marginTop: '24px', marginBottom: '12px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}><h3 style={{ fontSize: '16px', fontWeight: '600' }}>Product List</h3><button type="button" onClick={handleAddProductRow} className="btn btn-primary" style={{height: '36px'}}>+ Add Product</button></div>
+                <div className="form-group"><input type="text" value={stockInScan} onChange={(e) => setStockInScan(e.target.value)} onKeyDown={handleStockInScan} className="form-input" placeholder="Scan a product barcode, then the serial numbers of each unit" autoComplete="off" /></div>
                 <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px' }}>
                   <thead><tr style={{ backgroundColor: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}><th style={{ padding: '12px', textAlign: 'left', fontSize: '14px' }}>Product Name</th><th style={{ padding: '12px', textAlign: 'left', fontSize: '14px' }}>Brand</th><th style={{ padding: '12px', textAlign: 'left', fontSize: '14px', width: '100px' }}>Quantity</th><th style={{ padding: '12px', textAlign: 'left', fontSize: '14px', width: '250px' }}>Serial Numbers</th><th style={{ padding: '12px', textAlign: 'center', fontSize: '14px', width: '80px' }}>Action</th></tr></thead>
                   <tbody>
@@ -1,10 +1,11 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import Navbar from '../../components/admin/Navbar';
-import { BsSearch, BsEye, BsArrowReturnLeft, BsFileText, BsFileEarmarkText, BsFillExclamationTriangleFill, BsFillCheckCircleFill, BsPiggyBank } from 'react-icons/bs';
+import { BsSearch, BsEye, BsArrowReturnLeft, BsFileText, BsFileEarmarkText, BsFillExclamationTriangleFill, BsFillCheckCircleFill, BsPiggyBank, BsXCircle } from 'react-icons/bs';
 import '../../styles/OrdersPage.css'; 
-import { salesAPI, returnsAPI } from '../../utils/api';
+import { salesAPI, returnsAPI, settingsAPI } from '../../utils/api';
 import { serialNumberAPI } from '../../utils/serialNumberApi.js'; 
 import { generateSaleReceipt } from '../../utils/pdfGenerator';
+import { hasPermission } from '../../utils/auth';
 
 // --- CUSTOM MESSAGE BOX COMPONENT ---
 const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
@@ -40,17 +41,91 @@ const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
   );
 };
 
-const OrderModal = ({ order, onClose, showMessage }) => {
+// Payment ledger of one order, with a form to settle what is still owed
+const PaymentsSection = ({ order, showMessage, onRecorded }) => {
+  const [ledger, setLedger] = useState(null);
+  const [method, setMethod] = useState('Cash');
+  const [amount, setAmount] = useState('');
+  const [reference, setReference] = useState('');
+  const [saving, setSaving] = useState(false);
+  const canRecord = useMemo(() => hasPermission('sales.update'), []);
+
+  const fetchLedger = useCallback(async () => {
+    try { setLedger(await salesAPI.getPayments(order.id)); } catch (e) { console.error('Failed to load payments:', e); setLedger({ payments: [], total: order.total, amount_paid: order.amount_paid, balance: Math.max(0, Number(order.total) - Number(order.amount_paid || 0)) }); }
+  }, [order.id, order.total, order.amount_paid]);
+
+  useEffect(() => { fetchLedger(); }, [fetchLedger]);
+
+  const handleRecord = async () => {
+    const value = parseFloat(amount);
+    if (Number.isNaN(value) || value <= 0) { showMessage('Invalid Amount', 'Enter the amount received.', 'warning'); return; }
+    try {
+      setSaving(true);
+      const result = await salesAPI.recordPayment(order.id, [{ method, amount: value, reference: method === 'GCash' ? reference : null }]);
+      setAmount(''); setReference('');
+      await fetchLedger();
+      onRecorded(order.id, result.data);
+      const change = Number(result.data?.change || 0);
+      showMessage('Payment Recorded', `${result.message}${change > 0 ? `\nChange: ₱${change.toLocaleString()}` : ''}`, 'success');
+    } catch (e) { showMessage('Error', e.message || 'Failed to record payment.', 'error'); } finally { setSaving(false); }
+  };
+
+  if (!ledger) return <div className="items-display"><h4>Payments</h4><p>Loading payments...</p></div>;
+  const balance = Number(ledger.balance || 0);
+  return (
+    <div className="items-display"><h4>Payments</h4><div className="table-responsive"><table className="items-table"><thead><tr><th>Date</th><th>Method</th><th>Reference</th><th>Received By</th><th>Tendered</th><th>Change</th><th>Applied</th></tr></thead><tbody>{ledger.payments.length === 0 ? (<tr><td colSpan="7" style={{ textAlign: 'center' }}>No payments recorded</td></tr>) : ledger.payments.map(p => (<tr key={p.id}><td>{new Date(p.created_at).toLocaleString()}</td><td>{p.method}</td><td>{p.reference || '—'}</td><td>{p.received_by || '—'}</td><td className="price-text">₱{Number(p.tendered).toLocaleString()}</td><td className="price-text">₱{Number(p.change_given).toLocaleString()}</td><td className="price-text">₱{Number(p.amount).toLocaleString()}</td></tr>))}<tr><td colSpan="6" className="total-label-cell">Paid:</td><td className="price-text">₱{Number(ledger.amount_paid || 0).toLocaleString()}</td></tr><tr className="item-total-row"><td colSpan="6" className="total-label-cell"><strong>Balance Due:</strong></td><td className="final-total"><strong>₱{balance.toLocaleString()}</strong></td></tr></tbody></table></div>
+      {canRecord && balance > 0 && order.status !== 'Cancelled' && (<div className="form-row" style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', marginTop: '12px', flexWrap: 'wrap' }}><div className="form-group"><label>Method</label><select value={method} onChange={(e) => setMethod(e.target.value)} className="form-select"><option value="Cash">Cash</option><option value="GCash">GCash</option>{order.delivery_type === 'Company Delivery' && (<option value="Cash on Delivery">Cash on Delivery</option>)}{!!order.customer_id && (<option value="Store Credit">Store Credit</option>)}</select></div><div className="form-group"><label>Amount</label><input type="number" min={0} step={0.01} value={amount} onChange={(e) => setAmount(e.target.value)} className="form-input" placeholder={`₱${balance.toLocaleString()}`} /></div>{method === 'GCash' && (<div className="form-group"><label>GCash Reference</label><input type="text" value={reference} onChange={(e) => setReference(e.target.value)} className="form-input" /></div>)}<button onClick={handleRecord} disabled={saving} className="btn btn-primary"><BsPiggyBank /> {saving ? 'Saving...' : 'Record Payment'}</button></div>)}
+    </div>
+  );
+};
+
+// Status changes of one order, oldest first, with buttons for the next allowed steps
+const StatusTimeline = ({ order, showMessage, onChanged }) => {
+  const [timeline, setTimeline] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const canUpdate = useMemo(() => hasPermission('sales.update'), []);
+
+  const fetchTimeline = useCallback(async () => {
+    try { setTimeline(await salesAPI.getHistory(order.id)); } catch (e) { console.error('Failed to load status history:', e); setTimeline({ history: [], next_statuses: [] }); }
+  }, [order.id]);
+
+  useEffect(() => { fetchTimeline(); }, [fetchTimeline]);
+
+  const handleMove = async (status) => {
+    try {
+      setSaving(true);
+      await salesAPI.updateSale(order.id, { status });
+      await fetchTimeline();
+      onChanged(order.id, status);
+    } catch (e) { showMessage('Error', e.message || 'Failed to update order status.', 'error'); } finally { setSaving(false); }
+  };
+
+  if (!timeline) return <div className="items-display"><h4>Status History</h4><p>Loading history...</p></div>;
+  return (
+    <div className="items-display"><h4>Status History</h4><ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>{timeline.history.map(h => (<li key={h.id} style={{ borderLeft: '3px solid #dee2e6', padding: '4px 0 8px 12px' }}><span className={`order-status-badge ${h.to_status.toLowerCase().replace(/\s+/g, '-')}`}>{h.to_status}</span> <small style={{ color: '#6c757d' }}>{new Date(h.changed_at).toLocaleString()}{h.changed_by ? ` · ${h.changed_by}` : ''}{h.from_status ? ` · from ${h.from_status}` : ''}</small>{h.note && (<div style={{ fontSize: '12px', color: '#495057' }}>{h.note}</div>)}</li>))}</ul>
+      {canUpdate && timeline.next_statuses.length > 0 && (<div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '8px', flexWrap: 'wrap' }}><span>Move to:</span>{timeline.next_statuses.map(status => (<button key={status} onClick={() => handleMove(status)} disabled={saving} className="btn btn-secondary">{status}</button>))}</div>)}
+    </div>
+  );
+};
+
+const OrderModal = ({ order, onClose, showMessage, onPaymentRecorded, onStatusChanged }) => {
   if (!order) return null;
   const total = Number(order.total || 0);
+  const discountTotal = Number(order.discount_total || 0);
+  const orderDiscount = Number(order.order_discount || 0);
   const handlePrintReceipt = async () => {
     try {
-      const doc = await generateSaleReceipt({ saleNumber: order.sale_number, customerName: order.customer_name, items: order.items, totalAmount: total, paymentMethod: order.payment, tenderedAmount: total, changeAmount: 0, address: order.address, shippingOption: order.delivery_type, createdAt: new Date(order.created_at) });
+      const discounts = [{ label: 'Item discounts', amount: discountTotal - orderDiscount }, { label: order.order_discount_label || 'Order discount', amount: orderDiscount }];
+      const settings = await settingsAPI.get().then(res => res.data || {}).catch(() => ({}));
+      // A NULL vat_rate marks a sale made while the store was not VAT-registered
+      const tax = { vat_registered: order.vat_rate != null, vat_rate: order.vat_rate, vatable_sales: order.vatable_sales, vat_amount: order.vat_amount, vat_exempt_sales: order.vat_exempt_sales, zero_rated_sales: order.zero_rated_sales };
+      const ledger = await salesAPI.getPayments(order.id).catch(() => null);
+      const doc = await generateSaleReceipt({ saleNumber: order.sale_number, customerName: order.customer_name, items: order.items, subtotal: order.subtotal, discounts, totalAmount: total, paymentMethod: order.payment, tenderedAmount: total, changeAmount: 0, address: order.address, shippingOption: order.delivery_type, createdAt: new Date(order.created_at), tin: settings.tin || '', tax, payments: ledger?.payments || [], balanceDue: ledger?.balance || 0 });
       doc.save(`${order.sale_number}_receipt.pdf`);
     } catch (e) { console.error('Failed to generate receipt:', e); showMessage('Error', 'Failed to generate receipt.', 'error'); }
   };
   return (
-    <div className="modal-overlay" onClick={onClose}><div className="modal-content order-modal-content"><div className="modal-header"><h2>Order Details</h2><button onClick={onClose} className="close-btn">×</button></div><div className="modal-body"><div className="order-id-section"><h3>Order ID: {order.sale_number}</h3></div><div className="order-details-grid"><div className="customer-info-section"><h4>Customer Information</h4><div className="customer-details"><p><strong>Name:</strong> {order.customer_name}</p><p><strong>Contact:</strong> {order.contact || 'N/A'}</p><p><strong>Address:</strong> {order.address || 'N/A'}</p></div></div><div className="delivery-payment-section"><h4>Delivery & Payment</h4><div className="delivery-details"><p><strong>Delivery:</strong> {order.delivery_type || 'In-Store Pickup'}</p><p><strong>Payment:</strong> {order.payment || 'N/A'}</p><p><strong>Order Status:</strong> {order.status || 'N/A'}</p><p><strong>Payment Status:</strong> {order.payment_status || 'N/A'}</p></div></div></div><div className="items-display"><h4>Ordered Items</h4><div className="table-responsive"><table className="items-table"><thead><tr><th>Product Name</th><th>Brand</th><th>Serials</th><th>Quantity</th><th>Unit Price</th><th>Total</th></tr></thead><tbody>{order.items.map((item, index) => (<tr key={item.id || index}><td className="product-name-text">{item.product_name}</td><td>{item.brand}</td><td>{(item.serial_numbers && item.serial_numbers.length > 0) ? item.serial_numbers.join(', ') : 'N/A'}</td><td><span className="quantity-badge">{item.quantity}</span></td><td className="price-text">₱{Number(item.price || 0).toLocaleString()}</td><td className="price-text">₱{Number(item.subtotal || 0).toLocaleString()}</td></tr>))}<tr className="item-total-row"><td colSpan="5" className="total-label-cell"><strong>Total:</strong></td><td className="final-total"><strong>₱{Number(total).toLocaleString()}</strong></td></tr></tbody></table></div></div>{order.delivery_proof && (<div className="form-group" style={{ marginTop: '16px' }}><label>Proof of Delivery</label><div style={{ marginTop: '8px' }}><img src={`http://localhost:5000${order.delivery_proof}`} alt="Delivery Proof" style={{ maxWidth: '100%', maxHeight: '400px', borderRadius: '8px', border: '1px solid #ddd', display: 'block' }} /></div></div>)}</div><div className="modal-actions"><button onClick={handlePrintReceipt} className="btn btn-info"><BsFileText /> Print Receipt</button><button onClick={onClose} className="btn btn-secondary">Close</button></div></div></div>
+    <div className="modal-overlay" onClick={onClose}><div className="modal-content order-modal-content"><div className="modal-header"><h2>Order Details</h2><button onClick={onClose} className="close-btn">×</button></div><div className="modal-body"><div className="order-id-section"><h3>Order ID: {order.sale_number}</h3></div><div className="order-details-grid"><div className="customer-info-section"><h4>Customer Information</h4><div className="customer-details"><p><strong>Name:</strong> {order.customer_name}</p><p><strong>Contact:</strong> {order.contact || 'N/A'}</p><p><strong>Address:</strong> {order.address || 'N/A'}</p></div></div><div className="delivery-payment-section"><h4>Delivery & Payment</h4><div className="delivery-details"><p><strong>Delivery:</strong> {order.delivery_type || 'In-Store Pickup'}</p><p><strong>Payment:</strong> {order.payment || 'N/A'}</p><p><strong>Order Status:</strong> {order.status || 'N/A'}</p><p><strong>Payment Status:</strong> {order.payment_status || 'N/A'}</p>{order.voided_at && (<p><strong>Voided:</strong> {new Date(order.voided_at).toLocaleString()} by {order.voided_by} — {order.void_reason}</p>)}</div></div></div><StatusTimeline order={order} showMessage={showMessage} onChanged={onStatusChanged} /><PaymentsSection order={order} showMessage={showMessage} onRecorded={onPaymentRecorded} /><div className="items-display"><h4>Ordered Items</h4><div className="table-responsive"><table className="items-table"><thead><tr><th>Product Name</th><th>Brand</th><th>Serials</th><th>Quantity</th><th>Unit Price</th><th>Total</th></tr></thead><tbody>{order.items.map((item, index) => (<tr key={item.id || index}><td className="product-name-text">{item.product_name}</td><td>{item.brand}</td><td>{(item.serial_numbers && item.serial_numbers.length > 0) ? item.serial_numbers.join(', ') : 'N/A'}</td><td><span className="quantity-badge">{item.quantity}</span></td><td className="price-text">₱{Number(item.price || 0).toLocaleString()}</td><td className="price-text">₱{Number(item.subtotal || 0).toLocaleString()}{Number(item.discount_amount) > 0 && (<div style={{ fontSize: '11px', color: '#28a745' }}>{item.discount_label}: -₱{Number(item.discount_amount).toLocaleString()}</div>)}</td></tr>))}{discountTotal > 0 && (<><tr><td colSpan="5" className="total-label-cell">Subtotal:</td><td className="price-text">₱{Number(order.subtotal || 0).toLocaleString()}</td></tr><tr><td colSpan="5" className="total-label-cell">Discounts{order.coupon_code ? ` (coupon ${order.coupon_code})` : ''}:</td><td className="price-text">-₱{discountTotal.toLocaleString()}</td></tr></>)}<tr className="item-total-row"><td colSpan="5" className="total-label-cell"><strong>Total:</strong></td><td className="final-total"><strong>₱{Number(total).toLocaleString()}</strong></td></tr></tbody></table></div></div>{order.delivery_proof && (<div className="form-group" style={{ marginTop: '16px' }}><label>Proof of Delivery</label><div style={{ marginTop: '8px' }}><img src={`http://localhost:5000${order.delivery_proof}`} alt="Delivery Proof" style={{ maxWidth: '100%', maxHeight: '400px', borderRadius: '8px', border: '1px solid #ddd', display: 'block' }} /></div></div>)}</div><div className="modal-actions"><button onClick={handlePrintReceipt} className="btn btn-info"><BsFileText /> Print Receipt</button><button onClick={onClose} className="btn btn-secondary">Close</button></div></div></div>
   );
 };
 
@@ -79,6 +154,10 @@ const OrdersPage = () => {
   const [returnsForOrder, setReturnsForOrder] = useState([]);
   const [isReceiptModalOpen, setIsReceiptModalOpen] = useState(false);
   const [receiptData, setReceiptData] = useState(null);
+  const [orderToVoid, setOrderToVoid] = useState(null);
+  const [voidReason, setVoidReason] = useState('');
+  const [isVoiding, setIsVoiding] = useState(false);
+  const canVoid = useMemo(() => hasPermission('sales.delete'), []);
   const printRef = useRef();
 
   // Message Box State
@@ -121,8 +200,8 @@ const OrdersPage = () => {
     } catch (error) { console.error('Error fetching order stats:', error); }
   };
 
-  const orderStatuses = ['All Order Statuses', 'Pending', 'Processing', 'Completed', 'Cancelled', 'Returned', 'Partially Returned'];
-  const paymentStatuses = ['All Payment Statuses', 'Paid', 'Unpaid', 'Refunded', 'Partially Refunded'];
+  const orderStatuses = ['All Order Statuses', 'Pending', 'Processing', 'Out for Delivery', 'Completed', 'Cancelled', 'Returned', 'Partially Returned'];
+  const paymentStatuses = ['All Payment Statuses', 'Paid', 'Partially Paid', 'Unpaid', 'Refunded', 'Partially Refunded'];
   const filteredOrders = useMemo(() => {
     return orders.filter(order => {
       const matchesSearch = order.sale_number.toLowerCase().includes(searchQuery.toLowerCase()) || order.customer_name.toLowerCase().includes(searchQuery.toLowerCase());
@@ -155,10 +234,32 @@ const OrdersPage = () => {
   }, [searchQuery, selectedOrderStatus, selectedPaymentStatus]);
   const handleViewOrder = (order) => { setSelectedOrder(order); setIsModalOpen(true); };
   const handleCloseModal = () => { setIsModalOpen(false); setSelectedOrder(null); };
+  const handleOpenVoidModal = (order) => { setOrderToVoid(order); setVoidReason(''); };
+  const handleCloseVoidModal = () => { if (!isVoiding) setOrderToVoid(null); };
+  const handleVoidSale = async (e) => {
+    e.preventDefault();
+    if (voidReason.trim().length < 3) { showMessage('Reason Required', 'Please enter why this sale is being voided.', 'warning'); return; }
+    try {
+      setIsVoiding(true);
+      const result = await salesAPI.voidSale(orderToVoid.id, voidReason.trim());
+      const refunded = Number(result.data?.refunded || 0);
+      setOrderToVoid(null);
+      showMessage('Sale Voided', `${result.message}${result.data?.serials_released ? `\n${result.data.serials_released} serial number(s) made available` : ''}${refunded > 0 ? `\nRefund due to customer: ₱${refunded.toLocaleString()}` : ''}`, 'success');
+      fetchOrdersWithItems(); fetchOrderStats();
+    } catch (err) { showMessage('Error', err.message || 'Failed to void sale.', 'error'); } finally { setIsVoiding(false); }
+  };
+  const handleStatusChanged = (saleId, status) => {
+    setSelectedOrder(prev => prev && prev.id === saleId ? { ...prev, status } : prev);
+    fetchOrdersWithItems(); fetchOrderStats();
+  };
+  const handlePaymentRecorded = (saleId, summary) => {
+    setSelectedOrder(prev => prev && prev.id === saleId ? { ...prev, amount_paid: summary.amount_paid, payment_status: summary.payment_status } : prev);
+    fetchOrdersWithItems(); fetchOrderStats();
+  };
 
   const handleOpenReturnModal = (order) => {
     const items = order.items || [];
-    const initReturnItems = items.map(item => ({ saleItemId: item.id, productId: item.product_id, productName: item.product_name, sku: item.sku || '', price: parseFloat(item.price || 0), orderedQuantity: parseInt(item.quantity || 0) - parseInt(item.returned_quantity || 0), soldSerials: item.serial_numbers || [], selectedSerials: [], returnQuantity: 0, selected: false })).filter(item => item.orderedQuantity > 0);
+    const initReturnItems = items.map(item => ({ saleItemId: item.id, productId: item.product_id, productName: item.product_name, sku: item.sku || '', price: item.quantity > 0 && item.subtotal != null ? Math.round((parseFloat(item.subtotal) / parseInt(item.quantity)) * 100) / 100 : parseFloat(item.price || 0), orderedQuantity: parseInt(item.quantity || 0) - parseInt(item.returned_quantity || 0), soldSerials: item.serial_numbers || [], selectedSerials: [], returnQuantity: 0, selected: false })).filter(item => item.orderedQuantity > 0);
     setOrderToReturn(order); setReturnItems(initReturnItems); setReturnReason(''); setRefundMethod('Cash'); setPhotoProof(null); setAdditionalNotes(''); setIsReturnModalOpen(true);
   };
 
@@ -182,7 +283,7 @@ const OrdersPage = () => {
       formData.append('returnItems', JSON.stringify(returnItemsPayload));
       const response = await returnsAPI.processReturn(formData);
       if (response.success) {
-        showMessage('Success', 'Return processed successfully!', 'success');
+        showMessage('Success', `Return processed successfully!${response.data?.creditedToAccount > 0 ? `\n₱${Number(response.data.creditedToAccount).toLocaleString()} came off the unpaid account balance; ₱${Number(response.data.refundPaid).toLocaleString()} is refunded.` : ''}${response.data?.storeCreditBalance != null ? `\nStore credit balance is now ₱${Number(response.data.storeCreditBalance).toLocaleString()}.` : ''}`, 'success');
         const receiptPayload = { ...response.data, saleNumber: orderToReturn.sale_number, customerName: orderToReturn.customer_name, returnReason: returnReason, refundMethod: refundMethod, processedBy: localStorage.getItem('username') || 'Admin', returnItems: returnItemsPayload, refundAmount: calculateRefundAmount() };
         setReceiptData(receiptPayload); setIsReceiptModalOpen(true); handleCloseReturnModal(); await fetchOrdersWithItems(); await fetchOrderStats();
       } else { throw new Error(response.message || 'Failed to process return.'); }
@@ -234,7 +335,7 @@ const OrdersPage = () => {
                             <td><span className={`payment-status-badge ${order.payment?.toLowerCase().replace(/\s+/g, '-')}`}>{order.payment}</span></td>
                             <td><span className={`payment-status-badge ${order.payment_status?.toLowerCase().replace(/\s+/g, '-')}`}>{order.payment_status}</span></td>
                             <td><span className={`order-status-badge ${order.status?.toLowerCase().replace(/\s+/g, '-')}`}>{order.status}</span></td>
-                            <td><div className="action-buttons"><button onClick={() => handleViewOrder(order)} className="view-btn" title="View Order Details"><BsEye /></button>{['Returned', 'Partially Returned'].includes(order.status) && (<button onClick={() => handleOpenViewReturnsModal(order)} className="view-returns-btn" title="View Returns"><BsFileText /></button>)}{['Completed', 'Partially Returned'].includes(order.status) && (<button onClick={() => handleOpenReturnModal(order)} className="return-btn" title="Process Return"><BsArrowReturnLeft /></button>)}</div></td>
+                            <td><div className="action-buttons"><button onClick={() => handleViewOrder(order)} className="view-btn" title="View Order Details"><BsEye /></button>{['Returned', 'Partially Returned'].includes(order.status) && (<button onClick={() => handleOpenViewReturnsModal(order)} className="view-returns-btn" title="View Returns"><BsFileText /></button>)}{['Completed', 'Partially Returned'].includes(order.status) && (<button onClick={() => handleOpenReturnModal(order)} className="return-btn" title="Process Return"><BsArrowReturnLeft /></button>)}{canVoid && ['Pending', 'Processing', 'Out for Delivery', 'Completed'].includes(order.status) && (<button onClick={() => handleOpenVoidModal(order)} className="void-btn" title="Void Sale"><BsXCircle /></button>)}</div></td>
                           </tr>
                         ))
                       )}
@@ -247,7 +348,19 @@ const OrdersPage = () => {
           </div>
         </main>
       </div>
-      {isModalOpen && <OrderModal order={selectedOrder} onClose={handleCloseModal} showMessage={showMessage} />}
+      {isModalOpen && <OrderModal order={selectedOrder} onClose={handleCloseModal} showMessage={showMessage} onPaymentRecorded={handlePaymentRecorded} onStatusChanged={handleStatusChanged} />}
+      {orderToVoid && (
+        <div className="modal-overlay" onClick={handleCloseVoidModal}>
+          <div className="modal-content" style={{ maxWidth: '500px' }} onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header"><h2>Void Order: {orderToVoid.sale_number}</h2><button onClick={handleCloseVoidModal} className="close-btn">×</button></div>
+            <form onSubmit={handleVoidSale} className="modal-body">
+              <p>The sale stays on record as Cancelled. Its items go back to stock, serial numbers become available again and any payments (₱{Number(orderToVoid.amount_paid || 0).toLocaleString()}) are reversed.</p>
+              <div className="form-group"><label>Reason <span style={{color: 'red'}}>*</span></label><textarea value={voidReason} onChange={(e) => setVoidReason(e.target.value)} className="form-input" rows={3} maxLength={255} placeholder="e.g. Customer cancelled before pickup" required /></div>
+              <div className="modal-actions"><button type="button" onClick={handleCloseVoidModal} className="btn btn-secondary" disabled={isVoiding}>Cancel</button><button type="submit" className="btn btn-danger" disabled={isVoiding}>{isVoiding ? 'Voiding...' : 'Void Sale'}</button></div>
+            </form>
+          </div>
+        </div>
+      )}
       {isReturnModalOpen && orderToReturn && (
         <div className="modal-overlay" onClick={handleCloseReturnModal}>
           <div className="modal-content" style={{ maxWidth: '800px' }} onClick={(e) => e.stopPropagation()}>
@@ -277,8 +390,8 @@ const OrdersPage = () => {
               </div>
               <div className="return-details-section">
                 <div className="form-group"><label>Reason for Return <span style={{color: 'red'}}>*</span></label><select value={returnReason} onChange={(e) => setReturnReason(e.target.value)} className="form-input" required><option value="">Select a reason</option><option value="Defective/Damaged">Defective/Damaged</option><option value="Wrong Item">Wrong Item</option><option value="Not as Described">Not as Described</option><option value="Customer Changed Mind">Customer Changed Mind</option><option value="Compatibility Issue">Compatibility Issue</option><option value="Other">Other</option></select></div>
-                <div className="form-group"><label>Refund Method <span style={{color: 'red'}}>*</span></label><div className="refund-method-radios"><label><input type="radio" value="Cash" checked={refundMethod === 'Cash'} onChange={(e) => setRefundMethod(e.target.value)} /> Cash</label><label><input type="radio" value="GCash" checked={refundMethod === 'GCash'} onChange={(e) => setRefundMethod(e.target.value)} /> GCash</label></div></div>
-                <div className="form-group"><label>Photo Proof <span style={{color: 'red'}}>*</span></label><input type="file" accept="image/*" onChange={(e) => setPhotoProof(e.target.files[0])} className="form-input" required /></div>
+                <div className="form-group"><label>Refund Method <span style={{color: 'red'}}>*</span></label><div className="refund-method-radios"><label><input type="radio" value="Cash" checked={refundMethod === 'Cash'} onChange={(e) => setRefundMethod(e.target.value)} /> Cash</label><label><input type="radio" value="GCash" checked={refundMethod === 'GCash'} onChange={(e) => setRefundMethod(e.target.value)} /> GCash</label><label><input type="radio" value="Store Credit" checked={refundMethod === 'Store Credit'} onChange={(e) => setRefundMethod(e.target.value)} disabled={!orderToReturn.customer_name} /> Store Credit</label></div>{refundMethod === 'Store Credit' && (<small style={{ color: '#6b7280' }}>The refund is added to {orderToReturn.customer_name}'s store credit, usable as payment on later sales.</small>)}</div>
+                <div className="form-group"><label>Photo Proof <span style={{color: 'red'}}>*</span></label><input type="file" accept="image/jpeg,image/png,image/gif,image/webp" onChange={(e) => setPhotoProof(e.target.files[0])} className="form-input" required /></div>
                 <div className="form-group"><label>Additional Notes</label><textarea value={additionalNotes} onChange={(e) => setAdditionalNotes(e.target.value)} className="form-textarea" rows="2" placeholder="Optional notes..." /></div>
               </div>
               <div className="refund-summary"><div className="summary-row"><span className="summary-label">Total Refund:</span><span className="summary-value">₱{calculateRefundAmount().toLocaleString()}</span></div></div>
@@ -318,7 +431,7 @@ const OrdersPage = () => {
                 <div className="receipt-header" style={{ textAlign: 'center', marginBottom: '20px' }}><h3 style={{ margin: '0', fontSize: '1.2rem', fontWeight: '700' }}>TJC Auto-Electrical</h3><p style={{ margin: '0', fontSize: '0.8rem' }}>Manila, Philippines</p><h4 style={{ margin: '10px 0 5px 0', borderTop: '1px dashed #333', borderBottom: '1px dashed #333', padding: '5px 0' }}>RETURN RECEIPT</h4></div>
                 <div className="receipt-info" style={{ fontSize: '0.8rem', marginBottom: '15px' }}><div><strong>Return ID:</strong> {receiptData.returnId}</div><div><strong>Date:</strong> {new Date().toLocaleString()}</div><div><strong>Original Order:</strong> {receiptData.saleNumber}</div><div><strong>Customer:</strong> {receiptData.customerName}</div><div><strong>Processed By:</strong> {receiptData.processedBy}</div><div><strong>Reason:</strong> {receiptData.returnReason}</div><div><strong>Refund:</strong> {receiptData.refundMethod}</div></div>
                 <div className="receipt-details" style={{ fontSize: '0.8rem', borderTop: '1px solid #333', paddingTop: '10px' }}><div style={{ fontWeight: '700', marginBottom: '5px' }}><span style={{ float: 'left', width: '50%' }}>ITEM</span><span style={{ float: 'right', width: '20%', textAlign: 'right' }}>TOTAL</span><span style={{ float: 'right', width: '15%', textAlign: 'center' }}>QTY</span></div>{receiptData.returnItems.map((item, idx) => (<div key={idx} style={{ clear: 'both', overflow: 'hidden', marginBottom: '5px' }}><span style={{ float: 'left', width: '100%' }}>{item.productName}</span><span style={{ float: 'right', width: '20%', textAlign: 'right' }}>₱{Number(item.price * item.quantity).toLocaleString()}</span><span style={{ float: 'right', width: '15%', textAlign: 'center' }}>{item.quantity}</span>{item.serialNumbers && item.serialNumbers.length > 0 && (<div style={{ clear: 'both', fontSize: '0.7rem', marginLeft: '10px', color: '#555' }}>SN: {item.serialNumbers.join(', ')}</div>)}</div>))}</div>
-                <div className="receipt-footer" style={{ fontSize: '0.9rem', fontWeight: '700', borderTop: '1px solid #333', marginTop: '15px', paddingTop: '10px' }}><div><span style={{ float: 'left', width: '50%' }}>TOTAL REFUND</span><span style={{ float: 'right', width: '50%', textAlign: 'right' }}>₱{Number(receiptData.refundAmount).toLocaleString()}</span></div></div><p className="receipt-title" style={{ marginTop: '20px', fontSize: '0.75rem' }}>*** THANK YOU ***</p>
+                <div className="receipt-footer" style={{ fontSize: '0.9rem', fontWeight: '700', borderTop: '1px solid #333', marginTop: '15px', paddingTop: '10px' }}><div><span style={{ float: 'left', width: '50%' }}>TOTAL REFUND</span><span style={{ float: 'right', width: '50%', textAlign: 'right' }}>₱{Number(receiptData.refundAmount).toLocaleString()}</span></div>{receiptData.creditedToAccount > 0 && (<div style={{ clear: 'both', fontSize: '0.8rem', fontWeight: '400', overflow: 'hidden' }}><div><span style={{ float: 'left', width: '50%' }}>Credited to account</span><span style={{ float: 'right', width: '50%', textAlign: 'right' }}>₱{Number(receiptData.creditedToAccount).toLocaleString()}</span></div><div><span style={{ float: 'left', width: '50%' }}>Refunded</span><span style={{ float: 'right', width: '50%', textAlign: 'right' }}>₱{Number(receiptData.refundPaid).toLocaleString()}</span></div></div>)}</div><p className="receipt-title" style={{ marginTop: '20px', fontSize: '0.75rem' }}>*** THANK YOU ***</p>
               </div>
             </div>
             <div className="modal-actions"><button type="button" onClick={() => setIsReceiptModalOpen(false)} className="cancel-btn">Close</button><button type="button" onClick={() => window.print()} className="confirm-btn">Print</button></div>
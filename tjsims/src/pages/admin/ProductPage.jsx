@@ -217,7 +217,7 @@ const loadProducts = async () => {
     setIsAddMode(true);
     setSelectedProduct({
       name: '', brand: '', category: '', price: 0, status: 'Active',
-      description: '', vehicle_compatibility: '', image: null, requires_serial: false
+      description: '', vehicle_compatibility: '', image: null, requires_serial: false, tax_class: 'vatable', barcodes: ''
     });
     setIsModalOpen(true);
     setHasUnremovableSerials(false);
@@ -229,7 +229,8 @@ const loadProducts = async () => {
     setSelectedProduct({ 
       ...product, 
       originalDescription: product.description || '',
-      requires_serial: !!product.requires_serial
+      requires_serial: !!product.requires_serial,
+      barcodes: (product.barcodes || []).join('\n')
     });
     setIsModalOpen(true);
     
@@ -284,6 +285,10 @@ const loadProducts = async () => {
         if (key === 'image') {
             if (selectedProduct.image instanceof File) formData.append('image', selectedProduct.image);
             else if (!isAddMode && selectedProduct.image) formData.append('image', selectedProduct.image);
+        } else if (key === 'barcodes') {
+            // One code per line (or comma separated); sent as a JSON array
+            const codes = String(selectedProduct.barcodes || '').split(/[\n,]/).map(c => c.trim()).filter(Boolean);
+            formData.append('barcodes', JSON.stringify([...new Set(codes)]));
         } else {
             formData.append(key, selectedProduct[key]);
         }
@@ -544,6 +549,20 @@ const loadProducts = async () => {
                     <textarea name="vehicle_compatibility" value={selectedProduct?.vehicle_compatibility || ''} onChange={handleInputChange} className="form-textarea" rows="3" />
                 </div>
 
+                <div className="form-group">
+                    <label>Barcodes / SKUs</label>
+                    <textarea name="barcodes" value={selectedProduct?.barcodes || ''} onChange={handleInputChange} className="form-textarea" rows="2" placeholder="One per line, e.g. 4806512345678" />
+                </div>
+
+                <div className="form-group">
+                    <label>Tax Class</label>
+                    <select name="tax_class" value={selectedProduct?.tax_class || 'vatable'} onChange={handleInputChange} className="form-input">
+                      <option value="vatable">VATable</option>
+                      <option value="exempt">VAT-Exempt</option>
+                      <option value="zero_rated">Zero-Rated</option>
+                    </select>
+                </div>
+
                  <div className="form-group">
                   <label>Requires Serial Number</label>
                   <div className="toggle-switch">
@@ -562,7 +581,7 @@ const loadProducts = async () => {
                 
                 <div className="form-group">
                     <label>Image</label>
-                    <input type="file" onChange={handleFileChange} className="form-file-input" />
+                    <input type="file" accept="image/jpeg,image/png,image/gif,image/webp" onChange={handleFileChange} className="form-file-input" />
                 </div>
               </div>
 
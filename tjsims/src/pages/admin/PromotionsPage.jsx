@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Navbar from '../../components/admin/Navbar';
+import { promotionsAPI } from '../../utils/api';
+import { BsPlusLg, BsPencil, BsTrash } from 'react-icons/bs';
+import '../../styles/Admin.css';
+
+// --- CUSTOM MESSAGE BOX COMPONENT ---
+const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
+  if (!isOpen) return null;
+  let headerColor = '#f8f9fa';
+  let titleColor = '#2c3e50';
+  if (type === 'error') { headerColor = '#fee2e2'; titleColor = '#b91c1c'; }
+  else if (type === 'success') { headerColor = '#dcfce7'; titleColor = '#166534'; }
+  else if (type === 'warning') { headerColor = '#fff7ed'; titleColor = '#c2410c'; }
+
+  return (
+    <div className="modal-overlay" style={{ zIndex: 9999 }}>
+      <div className="modal-content" style={{ maxWidth: '400px', width: '90%', borderRadius: '12px', overflow: 'hidden' }}>
+        <div className="modal-header" style={{ backgroundColor: headerColor, borderBottom: '1px solid rgba(0,0,0,0.05)', padding: '15px 20px' }}>
+          <h3 style={{ color: titleColor, fontSize: '1.1rem', margin: 0, fontWeight: '600' }}>{title}</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+        <div className="modal-body" style={{ padding: '25px 20px' }}>
+          <p style={{ margin: 0, fontSize: '0.95rem', color: '#4b5563', lineHeight: '1.5', whiteSpace: 'pre-line' }}>{message}</p>
+        </div>
+        <div className="modal-actions" style={{ padding: '15px 20px', backgroundColor: '#f9fafb' }}>
+          {onConfirm ? (
+            <>
+              <button onClick={onClose} className="cancel-btn">Cancel</button>
+              <button onClick={() => { onConfirm(); onClose(); }} className="confirm-btn" style={{ backgroundColor: type === 'error' || type === 'warning' ? '#dc3545' : 'var(--color-primary)' }}>Confirm</button>
+            </>
+          ) : (
+            <button onClick={onClose} className="confirm-btn" style={{ marginLeft: 'auto' }}>OK</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const EMPTY_FORM = {
+  name: '', code: '', scope: 'order', target: '', discount_type: 'percent', discount_value: '',
+  min_purchase: '', starts_at: '', ends_at: '', usage_limit: '', status: 'Active'
+};
+
+const SCOPE_LABELS = { order: 'Whole order', product: 'Product', brand: 'Brand', category: 'Category' };
+const TARGET_HINTS = { product: 'Product ID, e.g. P001', brand: 'Brand name', category: 'Category name' };
+
+// API datetimes -> value for <input type="datetime-local">
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const formatDiscount = (p) => (p.discount_type === 'percent' ? `${Number(p.discount_value)}% off` : `₱${Number(p.discount_value).toLocaleString()} off${p.scope === 'order' ? '' : ' each'}`);
+
+const formatWindow = (p) => {
+  if (!p.starts_at && !p.ends_at) return 'Always';
+  const from = p.starts_at ? new Date(p.starts_at).toLocaleDateString() : '…';
+  const to = p.ends_at ? new Date(p.ends_at).toLocaleDateString() : '…';
+  return `${from} – ${to}`;
+};
+
+const runState = (p) => {
+  if (p.status !== 'Active') return { label: 'Inactive', className: 'inactive' };
+  if (p.is_running) return { label: 'Running', className: 'active' };
+  if (p.starts_at && new Date(p.starts_at) > new Date()) return { label: 'Scheduled', className: 'pending' };
+  return { label: 'Ended', className: 'inactive' };
+};
+
+const PromotionsPage = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [kindFilter, setKindFilter] = useState('');
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [selectedId, setSelectedId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const [msgBox, setMsgBox] = useState({ isOpen: false, title: '', message: '', type: 'info', onConfirm: null });
+  const showMessage = (title, message, type = 'info', onConfirm = null) => setMsgBox({ isOpen: true, title, message, type, onConfirm });
+  const closeMessage = () => setMsgBox(prev => ({ ...prev, isOpen: false }));
+
+  const fetchPromotions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await promotionsAPI.getPromotions({ kind: kindFilter });
+      setPromotions(res.data || []);
+    } catch (error) {
+      console.error('Failed to fetch promotions:', error);
+      setMsgBox({ isOpen: true, title: 'Error', message: error.message || 'Failed to load promotions.', type: 'error', onConfirm: null });
+    } finally {
+      setLoading(false);
+    }
+  }, [kindFilter]);
+
+  useEffect(() => { fetchPromotions(); }, [fetchPromotions]);
+
+  const openAdd = () => {
+    setFormData(EMPTY_FORM);
+    setSelectedId(null);
+    setIsModalOpen(true);
+  };
+
+  const openEdit = (p) => {
+    setFormData({
+      name: p.name, code: p.code || '', scope: p.scope, target: p.target || '', discount_type: p.discount_type,
+      discount_value: Number(p.discount_value), min_purchase: Number(p.min_purchase) || '', starts_at: toLocalInput(p.starts_at),
+      ends_at: toLocalInput(p.ends_at), usage_limit: p.usage_limit ?? '', status: p.status
+    });
+    setSelectedId(p.id);
+    setIsModalOpen(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (saving) return;
+    setSaving(true);
+    try {
+      const data = { ...formData, min_purchase: formData.min_purchase || 0 };
+      if (selectedId) await promotionsAPI.updatePromotion(selectedId, data);
+      else await promotionsAPI.createPromotion(data);
+      setIsModalOpen(false);
+      showMessage('Saved', `Promotion "${formData.name}" has been saved.`, 'success');
+      fetchPromotions();
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to save promotion.', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (p) => {
+    showMessage('Delete Promotion', `Delete "${p.name}"? This cannot be undone.`, 'warning', async () => {
+      try {
+        await promotionsAPI.deletePromotion(p.id);
+        fetchPromotions();
+      } catch (error) {
+        showMessage('Error', error.message || 'Failed to delete promotion.', 'error');
+      }
+    });
+  };
+
+  const setField = (field, value) => setFormData(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="admin-layout">
+      <Navbar />
+      <main className="admin-main">
+        <div className="admin-container">
+          <div className="page-header">
+            <h1 className="page-title">Promotions</h1>
+            <p className="page-subtitle">Automatic discounts and coupon codes applied at checkout</p>
+          </div>
+
+          <div className="card">
+            <div className="card-header-action">
+              <h2>All Promotions</h2>
+              <div style={{ display: 'flex', gap: '10px' }}>
+                <select className="form-input" value={kindFilter} onChange={e => setKindFilter(e.target.value)}>
+                  <option value="">All</option>
+                  <option value="automatic">Automatic</option>
+                  <option value="coupon">Coupons</option>
+                </select>
+                <button className="btn btn-primary" onClick={openAdd}>
+                  <BsPlusLg /> Add Promotion
+                </button>
+              </div>
+            </div>
+
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Code</th>
+                    <th>Applies To</th>
+                    <th>Discount</th>
+                    <th>Min. Purchase</th>
+                    <th>Valid</th>
+                    <th>Used</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loading ? <tr><td colSpan="9">Loading...</td></tr> : promotions.length === 0 ? (
+                    <tr><td colSpan="9" style={{ textAlign: 'center', padding: '40px' }}>No promotions found.</td></tr>
+                  ) : promotions.map(p => {
+                    const state = runState(p);
+                    return (
+                      <tr key={p.id}>
+                        <td>{p.name}</td>
+                        <td>{p.code || <span style={{ color: '#999' }}>Automatic</span>}</td>
+                        <td>{SCOPE_LABELS[p.scope]}{p.target ? `: ${p.target}` : ''}</td>
+                        <td>{formatDiscount(p)}</td>
+                        <td>{Number(p.min_purchase) > 0 ? `₱${Number(p.min_purchase).toLocaleString()}` : '—'}</td>
+                        <td>{formatWindow(p)}</td>
+                        <td>{p.usage_count}{p.usage_limit ? ` / ${p.usage_limit}` : ''}</td>
+                        <td><span className={`status-badge ${state.className}`}>{state.label}</span></td>
+                        <td>
+                          <div style={{ display: 'flex', gap: '5px' }}>
+                            <button className="btn btn-outline btn-small" onClick={() => openEdit(p)}><BsPencil /></button>
+                            <button className="btn btn-danger btn-small" onClick={() => handleDelete(p)} disabled={p.usage_count > 0} title={p.usage_count > 0 ? 'Already used on sales; set it Inactive instead' : 'Delete'}><BsTrash /></button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </main>
+
+      {isModalOpen && (
+        <div className="modal-overlay" onClick={() => setIsModalOpen(false)}>
+          <div className="modal-content" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{selectedId ? 'Edit Promotion' : 'Add Promotion'}</h2>
+              <button className="close-btn" onClick={() => setIsModalOpen(false)}>×</button>
+            </div>
+            <form onSubmit={handleSubmit} className="modal-body">
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Name *</label>
+                  <input required maxLength={100} className="form-input" value={formData.name} onChange={e => setField('name', e.target.value)} />
+                </div>
+                <div className="form-group">
+                  <label>Coupon Code</label>
+                  <input maxLength={50} className="form-input" placeholder="Leave blank to apply automatically" value={formData.code} onChange={e => setField('code', e.target.value.toUpperCase())} />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Applies To *</label>
+                  <select className="form-input" value={formData.scope} onChange={e => setField('scope', e.target.value)}>
+                    {Object.entries(SCOPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </div>
+                {formData.scope !== 'order' && (
+                  <div className="form-group">
+                    <label>{SCOPE_LABELS[formData.scope]} *</label>
+                    <input required maxLength={100} className="form-input" placeholder={TARGET_HINTS[formData.scope]} value={formData.target} onChange={e => setField('target', e.target.value)} />
+                  </div>
+                )}
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Discount Type *</label>
+                  <select className="form-input" value={formData.discount_type} onChange={e => setField('discount_type', e.target.value)}>
+                    <option value="percent">Percent (%)</option>
+                    <option value="fixed">{formData.scope === 'order' ? 'Fixed amount (₱)' : 'Fixed amount per unit (₱)'}</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Discount Value *</label>
+                  <input required type="number" min="0.01" step="0.01" max={formData.discount_type === 'percent' ? 100 : undefined} className="form-input" value={formData.discount_value} onChange={e => setField('discount_value', e.target.value)} />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Minimum Purchase (₱)</label>
+                  <input type="number" min="0" step="0.01" className="form-input" value={formData.min_purchase} onChange={e => setField('min_purchase', e.target.value)} />
+                </div>
+                <div className="form-group">
+                  <label>Usage Limit</label>
+                  <input type="number" min="1" step="1" className="form-input" placeholder="Unlimited" value={formData.usage_limit} onChange={e => setField('usage_limit', e.target.value)} />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Starts</label>
+                  <input type="datetime-local" className="form-input" value={formData.starts_at} onChange={e => setField('starts_at', e.target.value)} />
+                </div>
+                <div className="form-group">
+                  <label>Ends</label>
+                  <input type="datetime-local" className="form-input" value={formData.ends_at} onChange={e => setField('ends_at', e.target.value)} />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Status</label>
+                <select className="form-input" value={formData.status} onChange={e => setField('status', e.target.value)}>
+                  <option value="Active">Active</option>
+                  <option value="Inactive">Inactive</option>
+                </select>
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="cancel-btn" onClick={() => setIsModalOpen(false)}>Cancel</button>
+                <button type="submit" className="save-btn" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <MessageBox isOpen={msgBox.isOpen} title={msgBox.title} message={msgBox.message} type={msgBox.type} onClose={closeMessage} onConfirm={msgBox.onConfirm} />
+    </div>
+  );
+};
+
+export default PromotionsPage;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Navbar from '../../components/admin/Navbar';
+import { quotationsAPI, settingsAPI } from '../../utils/api';
+import { generateQuotationPDF } from '../../utils/pdfGenerator';
+import { hasPermission } from '../../utils/auth';
+import { BsPlusLg, BsEye, BsPrinter, BsXCircle, BsCartCheck } from 'react-icons/bs';
+import '../../styles/Admin.css';
+
+// --- CUSTOM MESSAGE BOX COMPONENT ---
+const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
+  if (!isOpen) return null;
+  let headerColor = '#f8f9fa';
+  let titleColor = '#2c3e50';
+  if (type === 'error') { headerColor = '#fee2e2'; titleColor = '#b91c1c'; }
+  else if (type === 'success') { headerColor = '#dcfce7'; titleColor = '#166534'; }
+  else if (type === 'warning') { headerColor = '#fff7ed'; titleColor = '#c2410c'; }
+
+  return (
+    <div className="modal-overlay" style={{ zIndex: 9999 }}>
+      <div className="modal-content" style={{ maxWidth: '400px', width: '90%', borderRadius: '12px', overflow: 'hidden' }}>
+        <div className="modal-header" style={{ backgroundColor: headerColor, borderBottom: '1px solid rgba(0,0,0,0.05)', padding: '15px 20px' }}>
+          <h3 style={{ color: titleColor, fontSize: '1.1rem', margin: 0, fontWeight: '600' }}>{title}</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+        <div className="modal-body" style={{ padding: '25px 20px' }}>
+          <p style={{ margin: 0, fontSize: '0.95rem', color: '#4b5563', lineHeight: '1.5', whiteSpace: 'pre-line' }}>{message}</p>
+        </div>
+        <div className="modal-actions" style={{ padding: '15px 20px', backgroundColor: '#f9fafb' }}>
+          {onConfirm ? (
+            <>
+              <button onClick={onClose} className="cancel-btn">Cancel</button>
+              <button onClick={() => { onConfirm(); onClose(); }} className="confirm-btn" style={{ backgroundColor: type === 'error' || type === 'warning' ? '#dc3545' : 'var(--color-primary)' }}>Confirm</button>
+            </>
+          ) : (
+            <button onClick={onClose} className="confirm-btn" style={{ marginLeft: 'auto' }}>OK</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const STATUS_CLASSES = { Open: 'pending', Expired: 'inactive', Converted: 'completed', Cancelled: 'cancelled' };
+
+const formatPeso = (value) => `₱${Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Shared by the list and the detail view so both print the same document
+const printQuotation = async (quotation, items) => {
+  const settings = await settingsAPI.get().then(res => res.data || {}).catch(() => ({}));
+  const lineDiscounts = items.reduce((sum, item) => sum + Number(item.discount_amount || 0), 0);
+  const discounts = [{ label: 'Item discounts', amount: lineDiscounts }, { label: quotation.order_discount_label || 'Order discount', amount: Number(quotation.order_discount || 0) }];
+  const doc = await generateQuotationPDF({ quoteNumber: quotation.quote_number, customerName: quotation.customer_name, contact: quotation.contact, address: quotation.address, items, subtotal: quotation.subtotal, discounts, totalAmount: quotation.total, vatAmount: quotation.vat_amount, vatRate: quotation.vat_rate, validUntil: quotation.valid_until, notes: quotation.notes, createdAt: quotation.created_at, tin: settings.tin || '' });
+  doc.save(`${quotation.quote_number}_quotation.pdf`);
+};
+
+const QuotationsPage = () => {
+  const navigate = useNavigate();
+  const [quotations, setQuotations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [viewing, setViewing] = useState(null);
+  const canSell = useMemo(() => hasPermission('sales.create'), []);
+
+  const [msgBox, setMsgBox] = useState({ isOpen: false, title: '', message: '', type: 'info', onConfirm: null });
+  const showMessage = (title, message, type = 'info', onConfirm = null) => setMsgBox({ isOpen: true, title, message, type, onConfirm });
+  const closeMessage = () => setMsgBox(prev => ({ ...prev, isOpen: false }));
+
+  const fetchQuotations = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await quotationsAPI.getQuotations({ search: search.trim(), status: statusFilter });
+      setQuotations(res.data || []);
+    } catch (error) {
+      console.error('Failed to fetch quotations:', error);
+      setMsgBox({ isOpen: true, title: 'Error', message: error.message || 'Failed to load quotations.', type: 'error', onConfirm: null });
+    } finally {
+      setLoading(false);
+    }
+  }, [search, statusFilter]);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchQuotations, 300);
+    return () => clearTimeout(timer);
+  }, [fetchQuotations]);
+
+  const openView = async (q) => {
+    try {
+      const res = await quotationsAPI.getQuotation(q.id);
+      setViewing(res.data);
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to load quotation.', 'error');
+    }
+  };
+
+  const handlePrint = async (q) => {
+    try {
+      const full = q.items ? q : (await quotationsAPI.getQuotation(q.id)).data;
+      await printQuotation(full, full.items || []);
+    } catch (error) {
+      console.error('Failed to print quotation:', error);
+      showMessage('Error', error.message || 'Failed to generate quotation PDF.', 'error');
+    }
+  };
+
+  const handleCancel = (q) => {
+    showMessage('Cancel Quotation', `Cancel quotation ${q.quote_number} for ${q.customer_name}? It can no longer be converted into a sale.`, 'warning', async () => {
+      try {
+        await quotationsAPI.cancelQuotation(q.id);
+        setViewing(null);
+        fetchQuotations();
+      } catch (error) {
+        showMessage('Error', error.message || 'Failed to cancel quotation.', 'error');
+      }
+    });
+  };
+
+  // The Sales page loads the quote into the cart at today's prices and stock
+  const handleConvert = (q) => navigate(`/admin/sales?quotation=${q.id}`);
+
+  return (
+    <div className="admin-layout">
+      <Navbar />
+      <main className="admin-main">
+        <div className="admin-container">
+          <div className="page-header">
+            <h1 className="page-title">Quotations</h1>
+            <p className="page-subtitle">Price quotes for customers; convert an accepted quote into a sale</p>
+          </div>
+
+          <div className="card">
+            <div className="card-header-action">
+              <h2>All Quotations</h2>
+              <div style={{ display: 'flex', gap: '10px' }}>
+                <input type="text" className="form-input" placeholder="Search number, customer or contact" value={search} onChange={e => setSearch(e.target.value)} />
+                <select className="form-input" value={statusFilter} onChange={e => setStatusFilter(e.target.value)}>
+                  <option value="">All</option>
+                  {Object.keys(STATUS_CLASSES).map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+                {canSell && (
+                  <button className="btn btn-primary" onClick={() => navigate('/admin/sales?mode=quotation')}>
+                    <BsPlusLg /> New Quotation
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Quote #</th>
+                    <th>Customer</th>
+                    <th>Items</th>
+                    <th>Total</th>
+                    <th>Created</th>
+                    <th>Valid Until</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loading ? <tr><td colSpan="8">Loading...</td></tr> : quotations.length === 0 ? (
+                    <tr><td colSpan="8" style={{ textAlign: 'center', padding: '40px' }}>No quotations found.</td></tr>
+                  ) : quotations.map(q => (
+                    <tr key={q.id}>
+                      <td>{q.quote_number}</td>
+                      <td>{q.customer_name}{q.contact && <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>{q.contact}</div>}</td>
+                      <td>{q.item_count}</td>
+                      <td>{formatPeso(q.total)}</td>
+                      <td>{new Date(q.created_at).toLocaleDateString()}</td>
+                      <td>{new Date(q.valid_until).toLocaleDateString()}</td>
+                      <td><span className={`status-badge ${STATUS_CLASSES[q.display_status]}`}>{q.display_status}</span>{q.sale_number && <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>{q.sale_number}</div>}</td>
+                      <td>
+                        <div style={{ display: 'flex', gap: '5px' }}>
+                          <button className="btn btn-outline btn-small" onClick={() => openView(q)} title="View"><BsEye /></button>
+                          <button className="btn btn-outline btn-small" onClick={() => handlePrint(q)} title="Print PDF"><BsPrinter /></button>
+                          {q.display_status === 'Open' && canSell && <button className="btn btn-primary btn-small" onClick={() => handleConvert(q)} title="Convert to sale"><BsCartCheck /></button>}
+                          {q.status === 'Open' && <button className="btn btn-danger btn-small" onClick={() => handleCancel(q)} title="Cancel"><BsXCircle /></button>}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </main>
+
+      {viewing && (
+        <div className="modal-overlay" onClick={() => setViewing(null)}>
+          <div className="modal-content" style={{ maxWidth: '760px', width: '95%' }} onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Quotation {viewing.quote_number}</h2>
+              <button className="close-btn" onClick={() => setViewing(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              <p style={{ margin: '0 0 4px' }}><strong>{viewing.customer_name}</strong>{viewing.contact ? ` · ${viewing.contact}` : ''}{viewing.address ? ` · ${viewing.address}` : ''}</p>
+              <p style={{ margin: '0 0 12px', color: '#6b7280', fontSize: '0.9rem' }}>Valid until {new Date(viewing.valid_until).toLocaleDateString()} · <span className={`status-badge ${STATUS_CLASSES[viewing.display_status]}`}>{viewing.display_status}</span>{viewing.sale_number ? ` · Sale ${viewing.sale_number}` : ''}</p>
+              <div className="table-container">
+                <table className="table">
+                  <thead><tr><th>Product</th><th>Qty</th><th>Quoted Price</th><th>Current Price</th><th>In Stock</th><th>Amount</th></tr></thead>
+                  <tbody>
+                    {viewing.items.map(item => (
+                      <tr key={item.id}>
+                        <td>{item.product_name}<div style={{ fontSize: '0.75rem', color: '#6b7280' }}>{item.brand}{Number(item.discount_amount) > 0 ? ` · ${item.discount_label}: -${formatPeso(item.discount_amount)}` : ''}</div></td>
+                        <td>{item.quantity}</td>
+                        <td>{formatPeso(item.price)}</td>
+                        <td style={{ color: item.price_changed ? '#c2410c' : undefined, fontWeight: item.price_changed ? 600 : undefined }}>{item.current_price == null ? 'Removed' : formatPeso(item.current_price)}</td>
+                        <td style={{ color: item.available ? undefined : '#c62828' }}>{item.stock}</td>
+                        <td>{formatPeso(item.subtotal)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ textAlign: 'right', marginTop: '10px' }}>
+                <div>Subtotal: {formatPeso(viewing.subtotal)}</div>
+                {Number(viewing.discount_total) > 0 && <div style={{ color: '#28a745' }}>Discounts: -{formatPeso(viewing.discount_total)}</div>}
+                <div style={{ fontWeight: 700, fontSize: '1.1rem' }}>Total: {formatPeso(viewing.total)}</div>
+              </div>
+              {viewing.notes && <p style={{ marginTop: '10px', color: '#4b5563' }}><strong>Notes:</strong> {viewing.notes}</p>}
+              {viewing.display_status === 'Open' && viewing.items.some(item => item.price_changed || !item.available) && (
+                <p style={{ marginTop: '10px', color: '#c2410c', fontSize: '0.9rem' }}>Some prices or stock levels have changed since this quote was made. Converting charges today's prices and needs the stock to be available.</p>
+              )}
+            </div>
+            <div className="modal-actions">
+              <button className="cancel-btn" onClick={() => setViewing(null)}>Close</button>
+              <button className="btn btn-outline" onClick={() => handlePrint(viewing)}><BsPrinter /> Print</button>
+              {viewing.status === 'Open' && <button className="btn btn-danger" onClick={() => handleCancel(viewing)}>Cancel Quote</button>}
+              {viewing.display_status === 'Open' && canSell && <button className="confirm-btn" onClick={() => handleConvert(viewing)}>Convert to Sale</button>}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <MessageBox isOpen={msgBox.isOpen} title={msgBox.title} message={msgBox.message} type={msgBox.type} onClose={closeMessage} onConfirm={msgBox.onConfirm} />
+    </div>
+  );
+};
+
+export default QuotationsPage;
@@ -1,8 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import Navbar from '../../components/admin/Navbar';
-import { generateSalesReportPDF, generateInventoryReportPDF, generateReturnsReportPDF } from '../../utils/pdfGenerator';
+import { generateSalesReportPDF, generateInventoryReportPDF, generateReturnsReportPDF, generateReceivablesAgingPDF } from '../../utils/pdfGenerator';
 import { reportsAPI } from '../../utils/api';
-import { BsFileEarmarkPdf, BsPiggyBank, BsFileEarmarkText, BsFillArchiveFill, BsFillXCircleFill, BsFillExclamationTriangleFill, BsArrowReturnLeft } from 'react-icons/bs';
+import { BsFileEarmarkPdf, BsPiggyBank, BsFileEarmarkText, BsFillArchiveFill, BsFillXCircleFill, BsFillExclamationTriangleFill, BsArrowReturnLeft, BsJournalText } from 'react-icons/bs';
 import '../../styles/ReportsPage.css';
 
 // --- CUSTOM MESSAGE BOX COMPONENT ---
@@ -32,6 +32,22 @@ const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
   );
 };
 
+// VAT breakdown of the sales revenue, as reported to the BIR
+const TaxSummary = ({ tax }) => {
+  const rows = [['VATable Sales', tax.vatableSales], ['VAT Amount', tax.vatAmount], ['VAT-Exempt Sales', tax.vatExemptSales], ['Zero-Rated Sales', tax.zeroRatedSales], ['Non-VAT Sales', tax.nonVatSales]];
+  return (
+    <div className="card" style={{ padding: '16px 20px', marginBottom: '20px' }}>
+      <h3 style={{ margin: '0 0 12px 0', fontSize: '1rem' }}>Tax Summary</h3>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '24px' }}>{rows.map(([label, value]) => (<div key={label}><div style={{ fontSize: '0.8rem', color: '#6b7280' }}>{label}</div><div style={{ fontWeight: 600 }}>₱{Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div></div>))}</div>
+    </div>
+  );
+};
+
+// Receivables aging columns: days past the invoice due date
+const AGING_COLUMNS = [['not_due', 'Current'], ['days_1_30', '1-30 Days'], ['days_31_60', '31-60 Days'], ['days_61_90', '61-90 Days'], ['days_over_90', '90+ Days']];
+
+const peso = (value) => `₱${Number(value || 0).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
 const ReportSummary = ({ summary, activeTab }) => {
   if (!summary) {
     return (
@@ -42,8 +58,9 @@ const ReportSummary = ({ summary, activeTab }) => {
   }
   return (
     <div className="reports-stats">
-      {activeTab === 'sales' && ( <><div className="stat-card revenue"><div className="stat-info-flex"><div><h3>Total Revenue</h3><p className="stat-value revenue">₱{Number(summary.totalRevenue || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p></div><div className="stat-icon in-stock"><BsPiggyBank /></div></div></div><div className="stat-card sales"><div className="stat-info-flex"><div><h3>Total Sales</h3><p className="stat-value sales">{summary.totalSales || 0}</p></div><div className="stat-icon sales"><BsFileEarmarkText /></div></div></div><div className="stat-card avg-sale"><div className="stat-info-flex"><div><h3>Avg. Sale Value</h3><p className="stat-value avg-sale">₱{Number(summary.averageSale || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p></div><div className="stat-icon avg-sale"><BsPiggyBank /></div></div></div></> )}
+      {activeTab === 'sales' && ( <><div className="stat-card revenue"><div className="stat-info-flex"><div><h3>Total Revenue</h3><p className="stat-value revenue">₱{Number(summary.totalRevenue || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p></div><div className="stat-icon in-stock"><BsPiggyBank /></div></div></div><div className="stat-card sales"><div className="stat-info-flex"><div><h3>Total Sales</h3><p className="stat-value sales">{summary.totalSales || 0}</p></div><div className="stat-icon sales"><BsFileEarmarkText /></div></div></div><div className="stat-card avg-sale"><div className="stat-info-flex"><div><h3>Avg. Sale Value</h3><p className="stat-value avg-sale">₱{Number(summary.averageSale || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p></div><div className="stat-icon avg-sale"><BsPiggyBank /></div></div></div><div className="stat-card out-of-stock"><div className="stat-info-flex"><div><h3>Discounts Given</h3><p className="stat-value out-of-stock">₱{Number(summary.totalDiscounts || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p></div><div className="stat-icon out-of-stock"><BsPiggyBank /></div></div></div><div className="stat-card low-stock"><div className="stat-info-flex"><div><h3>Price Overrides</h3><p className="stat-value low-stock">₱{Number(summary.priceOverrides?.amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p><small>{summary.priceOverrides?.count || 0} line(s) below or above list price</small></div><div className="stat-icon low-stock"><BsPiggyBank /></div></div></div></> )}
       {activeTab === 'inventory' && ( <><div className="stat-card inventory"><div className="stat-info-flex"><div><h3>Total Products</h3><p className="stat-value inventory">{summary.totalProducts || 0}</p></div><div className="stat-icon inventory"><BsFillArchiveFill /></div></div></div><div className="stat-card revenue"><div className="stat-info-flex"><div><h3>Total Inventory Value</h3><p className="stat-value revenue">₱{Number(summary.totalInventoryValue || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p></div><div className="stat-icon in-stock"><BsPiggyBank /></div></div></div><div className="stat-card out-of-stock"><div className="stat-info-flex"><div><h3>Out of Stock</h3><p className="stat-value out-of-stock">{summary.outOfStockProducts || 0}</p></div><div className="stat-icon out-of-stock"><BsFillXCircleFill /></div></div></div><div className="stat-card low-stock"><div className="stat-info-flex"><div><h3>Low Stock</h3><p className="stat-value low-stock">{summary.lowStockProducts || 0}</p></div><div className="stat-icon low-stock"><BsFillExclamationTriangleFill /></div></div></div></> )}
+      {activeTab === 'receivables' && ( <><div className="stat-card revenue"><div className="stat-info-flex"><div><h3>Total Receivable</h3><p className="stat-value revenue">{peso(summary.total)}</p></div><div className="stat-icon in-stock"><BsPiggyBank /></div></div></div><div className="stat-card out-of-stock"><div className="stat-info-flex"><div><h3>Past Due</h3><p className="stat-value out-of-stock">{peso(summary.total - summary.not_due)}</p></div><div className="stat-icon out-of-stock"><BsFillExclamationTriangleFill /></div></div></div><div className="stat-card inventory"><div className="stat-info-flex"><div><h3>Accounts With Balance</h3><p className="stat-value inventory">{summary.accounts}</p></div><div className="stat-icon inventory"><BsJournalText /></div></div></div></> )}
       {activeTab === 'returns' && ( <><div className="stat-card returns"><div className="stat-info-flex"><div><h3>Total Returns</h3><p className="stat-value returns">{summary.totalReturns || 0}</p></div><div className="stat-icon returns"><BsArrowReturnLeft /></div></div></div><div className="stat-card revenue out-of-stock"><div className="stat-info-flex"><div><h3>Total Refunded</h3><p className="stat-value revenue out-of-stock">₱{Number(summary.totalRefundAmount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p></div><div className="stat-icon out-of-stock"><BsPiggyBank /></div></div></div><div className="stat-card out-of-stock"><div className="stat-info-flex"><div><h3>Defective Items</h3><p className="stat-value out-of-stock">{summary.defectiveReturns || 0}</p></div><div className="stat-icon out-of-stock"><BsFillXCircleFill /></div></div></div><div className="stat-card inventory"><div className="stat-info-flex"><div><h3>Items Restocked</h3><p className="stat-value inventory">{summary.restockedReturns || 0}</p></div><div className="stat-icon inventory"><BsFillArchiveFill /></div></div></div></> )}
     </div>
   );
@@ -77,13 +94,15 @@ const ReportsPage = () => {
   const [salesData, setSalesData] = useState([]);
   const [inventoryData, setInventoryData] = useState([]);
   const [returnsData, setReturnsData] = useState([]);
+  const [agingData, setAgingData] = useState({ as_of: null, accounts: [], totals: {} });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [pagination, setPagination] = useState({});
   const [summary, setSummary] = useState(null);
+  const [overridesOnly, setOverridesOnly] = useState(false);
 
   useEffect(() => { fetchFilterOptions(); }, []);
-  useEffect(() => { fetchReportData(); }, [activeTab, startDate, endDate, currentPage, stockStatus, brandFilter, categoryFilter]);
+  useEffect(() => { fetchReportData(); }, [activeTab, startDate, endDate, currentPage, stockStatus, brandFilter, categoryFilter, overridesOnly]);
 
   const fetchFilterOptions = async () => { try { const result = await reportsAPI.getFilterOptions(); if (result.success) { setBrands(result.data.brands || []); setCategories(result.data.categories || []); } } catch (error) { console.error('Error fetching filter options:', error); } };
   
@@ -95,7 +114,7 @@ const ReportsPage = () => {
       const filters = { page: currentPage, limit: itemsPerPage, ...(startDate && { start_date: startDate }), ...(endDate && { end_date: endDate }) }; 
       
       if (activeTab === 'sales') { 
-        const result = await reportsAPI.getSalesReport(filters); 
+        const result = await reportsAPI.getSalesReport({ ...filters, ...(overridesOnly && { overrides_only: true }) }); 
         setSalesData(result.sales || []); 
         setPagination(result.pagination || {}); 
         setSummary(result.summary || null); 
@@ -111,6 +130,13 @@ const ReportsPage = () => {
         setReturnsData(result.returns || []); 
         setPagination(result.pagination || {}); 
         setSummary(result.summary || null); 
+      } else if (activeTab === 'receivables') { 
+        // Every open account at once; the "To" date is the as-of date
+        const result = await reportsAPI.getReceivablesAging({ as_of: endDate }); 
+        const count = result.accounts?.length || 0; 
+        setAgingData(result); 
+        setPagination({ total: count, total_pages: 1, from: count ? 1 : 0, to: count }); 
+        setSummary({ ...result.totals, accounts: count }); 
       } 
     } catch (err) { 
       console.error('Error fetching report data:', err); 
@@ -128,6 +154,8 @@ const ReportsPage = () => {
       return inventoryData;
     } else if (activeTab === 'returns') {
       return returnsData;
+    } else if (activeTab === 'receivables') {
+      return agingData.accounts;
     }
     return [];
   };
@@ -139,12 +167,18 @@ const ReportsPage = () => {
   
   const handleExportPDF = async () => {
     try {
+      if (activeTab === 'receivables') {
+        if (agingData.accounts.length === 0) { showMessage('No Data', 'No customer owes anything on account.', 'info'); return; }
+        const doc = await generateReceivablesAgingPDF(agingData, adminName);
+        doc.save(`Receivables_Aging_${agingData.as_of}.pdf`);
+        return;
+      }
       if (!startDate || !endDate) { showMessage('Date Required', 'Please select a valid date range to export.', 'warning'); return; }
       if (activeTab === 'sales') {
-        const allSalesResult = await reportsAPI.getSalesReport({ start_date: startDate, end_date: endDate, page: 1, limit: 999999 });
+        const allSalesResult = await reportsAPI.getSalesReport({ start_date: startDate, end_date: endDate, page: 1, limit: 999999, ...(overridesOnly && { overrides_only: true }) });
         const salesDataForPDF = allSalesResult.sales || [];
         if (salesDataForPDF.length === 0) { showMessage('No Data', 'No sales data found for this period.', 'info'); return; }
-        const doc = await generateSalesReportPDF(salesDataForPDF, startDate, endDate, adminName, rangeLabel);
+        const doc = await generateSalesReportPDF(salesDataForPDF, startDate, endDate, adminName, rangeLabel, allSalesResult.summary);
         doc.save(`Sales_Report_${startDate}_to_${endDate}.pdf`);
       } else if (activeTab === 'inventory') {
         const allInventoryResult = await reportsAPI.getInventoryReport({ stock_status: stockStatus && stockStatus !== 'All Status' ? stockStatus : undefined, brand: brandFilter && brandFilter !== 'All Brand' ? brandFilter : undefined, category: categoryFilter && categoryFilter !== 'All Categories' ? categoryFilter : undefined, page: 1, limit: 999999 });
@@ -171,13 +205,15 @@ const ReportsPage = () => {
         <main className="admin-main">
           <div className="admin-container">
             <div className="page-header"><h1 className="page-title">Reports</h1><p className="page-subtitle">Generate and export sales and inventory reports.</p></div>
-            <div className="reports-tabs"><button className={`tab-btn ${activeTab === 'sales' ? 'active' : ''}`} onClick={() => setActiveTab('sales')}>Sales Report</button><button className={`tab-btn ${activeTab === 'inventory' ? 'active' : ''}`} onClick={() => setActiveTab('inventory')}>Inventory Report</button><button className={`tab-btn ${activeTab === 'returns' ? 'active' : ''}`} onClick={() => setActiveTab('returns')}>Returns Report</button></div>
+            <div className="reports-tabs"><button className={`tab-btn ${activeTab === 'sales' ? 'active' : ''}`} onClick={() => setActiveTab('sales')}>Sales Report</button><button className={`tab-btn ${activeTab === 'inventory' ? 'active' : ''}`} onClick={() => setActiveTab('inventory')}>Inventory Report</button><button className={`tab-btn ${activeTab === 'returns' ? 'active' : ''}`} onClick={() => setActiveTab('returns')}>Returns Report</button><button className={`tab-btn ${activeTab === 'receivables' ? 'active' : ''}`} onClick={() => setActiveTab('receivables')}>Receivables Aging</button></div>
             <ReportSummary summary={summary} activeTab={activeTab} />
+            {activeTab === 'sales' && summary?.tax && <TaxSummary tax={summary.tax} />}
             <div className="card">
               <div className="reports-controls-inner">
                 <div className="filters-row" style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'flex-end' }}>
-                  {activeTab === 'sales' && (<><div className="date-input-group"><label htmlFor="range-label">Range Label</label><select id="range-label" value={rangeLabel} onChange={(e)=>handleRangeLabelChange(e.target.value)} className="date-input"><option>Daily</option><option>Weekly</option><option>Monthly</option></select></div><div className="date-input-group"><label htmlFor="start-date">{rangeLabel === 'Weekly' ? 'Select Week' : rangeLabel === 'Monthly' ? 'Select Month' : 'From'}</label><input type={rangeLabel === 'Weekly' ? 'week' : rangeLabel === 'Monthly' ? 'month' : 'date'} id="start-date" value={rangeLabel === 'Daily' ? startDate : undefined} onChange={(e) => handleDateChange(e.target.value, true)} className="date-input" /></div>{rangeLabel === 'Daily' && (<div className="date-input-group"><label htmlFor="end-date">To</label><input type="date" id="end-date" value={endDate} onChange={(e) => handleDateChange(e.target.value, false)} className="date-input" /></div>)}{rangeLabel !== 'Daily' && startDate && endDate && (<div className="date-input-group"><label>Calculated Range</label><input type="text" value={`${startDate} to ${endDate}`} readOnly className="date-input" style={{ background: '#f5f5f5', cursor: 'not-allowed', minWidth: '280px' }} /></div>)}</>)}
-                  {activeTab !== 'sales' && (<><div className="date-input-group"><label htmlFor="start-date-inv">From</label><input type="date" id="start-date-inv" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="date-input" /></div><div className="date-input-group"><label htmlFor="end-date-inv">To</label><input type="date" id="end-date-inv" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="date-input" /></div></>)}
+                  {activeTab === 'sales' && (<><div className="date-input-group"><label htmlFor="range-label">Range Label</label><select id="range-label" value={rangeLabel} onChange={(e)=>handleRangeLabelChange(e.target.value)} className="date-input"><option>Daily</option><option>Weekly</option><option>Monthly</option></select></div><div className="date-input-group"><label htmlFor="start-date">{rangeLabel === 'Weekly' ? 'Select Week' : rangeLabel === 'Monthly' ? 'Select Month' : 'From'}</label><input type={rangeLabel === 'Weekly' ? 'week' : rangeLabel === 'Monthly' ? 'month' : 'date'} id="start-date" value={rangeLabel === 'Daily' ? startDate : undefined} onChange={(e) => handleDateChange(e.target.value, true)} className="date-input" /></div>{rangeLabel === 'Daily' && (<div className="date-input-group"><label htmlFor="end-date">To</label><input type="date" id="end-date" value={endDate} onChange={(e) => handleDateChange(e.target.value, false)} className="date-input" /></div>)}{rangeLabel !== 'Daily' && startDate && endDate && (<div className="date-input-group"><label>Calculated Range</label><input type="text" value={`${startDate} to ${endDate}`} readOnly className="date-input" style={{ background: '#f5f5f5', cursor: 'not-allowed', minWidth: '280px' }} /></div>)}<div className="date-input-group"><label htmlFor="overrides-only">Price Overrides</label><label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontWeight: 'normal' }}><input type="checkbox" id="overrides-only" checked={overridesOnly} onChange={(e) => { setOverridesOnly(e.target.checked); setCurrentPage(1); }} />Only overridden lines</label></div></>)}
+                  {activeTab === 'receivables' && (<div className="date-input-group"><label htmlFor="as-of-date">As Of</label><input type="date" id="as-of-date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="date-input" /></div>)}
+                  {activeTab !== 'sales' && activeTab !== 'receivables' && (<><div className="date-input-group"><label htmlFor="start-date-inv">From</label><input type="date" id="start-date-inv" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="date-input" /></div><div className="date-input-group"><label htmlFor="end-date-inv">To</label><input type="date" id="end-date-inv" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="date-input" /></div></>)}
                   {activeTab === 'inventory' && (<><div className="date-input-group"><label htmlFor="brand-filter">Brand</label><select id="brand-filter" value={brandFilter} onChange={(e)=>setBrandFilter(e.target.value)} className="date-input"><option>All Brand</option>{brands.map(brand => (<option key={brand} value={brand}>{brand}</option>))}</select></div><div className="date-input-group"><label htmlFor="category-filter">Category</label><select id="category-filter" value={categoryFilter} onChange={(e)=>setCategoryFilter(e.target.value)} className="date-input"><option>All Categories</option>{categories.map(category => (<option key={category} value={category}>{category}</option>))}</select></div><div className="date-input-group"><label htmlFor="stock-status">Stock Status</label><select id="stock-status" value={stockStatus} onChange={(e)=>setStockStatus(e.target.value)} className="date-input"><option>All Status</option><option>In Stock</option><option>Low Stock</option><option>Out of Stock</option></select></div></>)}
                 </div>
                 <div className="export-buttons"><button onClick={handleExportPDF} className="btn btn-danger" title='Export as PDF'><BsFileEarmarkPdf className="export-icon" /> Export PDF</button></div>
@@ -186,7 +222,9 @@ const ReportsPage = () => {
             <div className="table-section">
               <div className="table-container">
                 {loading ? (<div className="loading-state">Loading report data...</div>) : error ? (<div className="error-state"><p>{error}</p><button onClick={fetchReportData} className="btn btn-danger">Retry</button></div>) : getCurrentData().length === 0 ? (<div className="empty-state">No data available for the selected period</div>) : activeTab === 'sales' ? (
-                  <table className="table"><thead><tr><th>Order ID</th><th>Customer Name</th><th>Product Name</th><th>Quantity Sold</th><th>Unit Price</th><th>Total Sales</th><th>Order Date</th></tr></thead><tbody>{getCurrentData().map(item => (<tr key={item.id}><td className="order-id-cell">{item.orderId}</td><td>{item.customerName}</td><td>{item.productName}</td><td>{item.quantity}</td><td className="amount-cell">₱{Number(item.unitPrice || 0).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td><td className="amount-cell">₱{Number(item.totalPrice || 0).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td><td>{new Date(item.orderDate).toLocaleDateString()}</td></tr>))}</tbody></table>
+                  <table className="table"><thead><tr><th>Order ID</th><th>Customer Name</th><th>Product Name</th><th>Quantity Sold</th><th>Unit Price</th><th>Discount</th><th>Total Sales</th><th>Order Date</th></tr></thead><tbody>{getCurrentData().map(item => (<tr key={item.id}><td className="order-id-cell">{item.orderId}</td><td>{item.customerName}</td><td>{item.productName}</td><td>{item.quantity}</td><td className="amount-cell">₱{Number(item.unitPrice || 0).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}{item.originalPrice != null && (<small style={{ display: 'block', color: '#b45309' }} title={`${item.overrideReason || 'No reason'}${item.overrideApprovedBy ? ` · approved by ${item.overrideApprovedBy}` : ''}`}>list ₱{Number(item.originalPrice).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} · {item.overrideReason}{item.overrideApprovedBy ? ` (${item.overrideApprovedBy})` : ''}</small>)}</td><td className="amount-cell" title={item.discountLabel || undefined}>{Number(item.discount) > 0 ? `-₱${Number(item.discount).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : '—'}</td><td className="amount-cell">₱{Number(item.totalPrice || 0).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td><td>{new Date(item.orderDate).toLocaleDateString()}</td></tr>))}</tbody></table>
+                ) : activeTab === 'receivables' ? (
+                  <table className="table"><thead><tr><th>Customer</th><th>Contact</th><th>Credit Limit</th><th>Invoices</th>{AGING_COLUMNS.map(([key, label]) => (<th key={key}>{label}</th>))}<th>Total</th></tr></thead><tbody>{getCurrentData().map(account => (<tr key={account.customer_id}><td>{account.customer_name}</td><td>{account.contact || '—'}</td><td className="amount-cell">{peso(account.credit_limit)}</td><td>{account.open_invoices}</td>{AGING_COLUMNS.map(([key]) => (<td key={key} className="amount-cell" style={{ color: key !== 'not_due' && account[key] > 0 ? '#b91c1c' : undefined }}>{peso(account[key])}</td>))}<td className="amount-cell"><strong>{peso(account.total)}</strong></td></tr>))}<tr><td colSpan="4"><strong>Total</strong></td>{AGING_COLUMNS.map(([key]) => (<td key={key} className="amount-cell"><strong>{peso(agingData.totals[key])}</strong></td>))}<td className="amount-cell"><strong>{peso(agingData.totals.total)}</strong></td></tr></tbody></table>
                 ) : activeTab === 'inventory' ? (
                   <table className="table"><thead><tr><th>Product Name</th><th>Category</th><th>Brand</th><th>Current Stock</th><th>Stock Status</th></tr></thead><tbody>{getCurrentData().map(item => (<tr key={item.id}><td className="product-name-cell">{item.productName}</td><td>{item.category}</td><td>{item.brand}</td><td className="stock-cell">{item.currentStock}</td><td><span className={`status-badge ${(item.stockStatus || '').toLowerCase().replace(/\s+/g, '-')}`}>{item.stockStatus || 'N/A'}</span></td></tr>))}</tbody></table>
                 ) : (
@@ -1,10 +1,13 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { BsCartPlus, BsTrash, BsSearch } from 'react-icons/bs';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { BsCartPlus, BsTrash, BsSearch, BsUpcScan, BsWifiOff } from 'react-icons/bs';
 import Navbar from '../../components/admin/Navbar';
 import '../../styles/SalesPage.css';
-import { salesAPI, inventoryAPI, settingsAPI, customersAPI } from '../../utils/api'; 
+import { salesAPI, inventoryAPI, settingsAPI, customersAPI, quotationsAPI, productAPI, priceTiersAPI } from '../../utils/api'; 
 import { serialNumberAPI } from '../../utils/serialNumberApi.js'; 
-import { generateSaleReceipt } from '../../utils/pdfGenerator';
+import { generateSaleReceipt, generateQuotationPDF } from '../../utils/pdfGenerator';
+import { hasPermission } from '../../utils/auth';
+import { getQueue, queueSale, retryQueued, removeQueued, saveCatalog, loadCatalog, syncQueuedSales, isNetworkError, newClientRef, offlineNumber } from '../../utils/offlineSales';
 
 // --- CUSTOM MESSAGE BOX COMPONENT ---
 const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
@@ -40,8 +43,49 @@ const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
   );
 };
 
+// Payment option that puts the whole sale on the customer's charge account
+const CHARGE_TO_ACCOUNT = 'Charge to Account';
+
+// A typed price override only counts once it has a price and a reason
+const toPriceOverride = (override) => (override && override.price !== '' && !Number.isNaN(parseFloat(override.price)) && override.reason.trim().length >= 3 ? { price: parseFloat(override.price), reason: override.reason.trim() } : null);
+
+// Cashier discount inputs -> { type, value, reason } for the API, or null when blank
+const toManualDiscount = (discount) => (discount && parseFloat(discount.value) > 0 ? { type: discount.type, value: parseFloat(discount.value), reason: discount.reason || '' } : null);
+
+// Quotations are valid for a week unless the cashier picks another date
+const defaultValidUntil = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 7);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Rebuilds a cart from saved lines ({ product_id, name, quantity, price?,
+// serialNumbers?, discount?, price_override? }) at today's prices, capped at current stock.
+// Serial-tracked lines without their serials are left for the cashier to pick.
+const rebuildCart = (productList, lines) => {
+  const notes = []; const items = []; const taken = {}; const serialQuantities = {};
+  for (const line of lines) {
+    const product = productList.find(p => p.product_id === line.product_id);
+    if (!product) { notes.push(`${line.name}: no longer available`); continue; }
+    if (line.price != null && Number(product.price) !== Number(line.price)) notes.push(`${line.name}: price changed from ₱${Number(line.price).toLocaleString()} to ₱${Number(product.price).toLocaleString()}`);
+    const quantity = Math.min(line.quantity, product.stock);
+    if (quantity < line.quantity) notes.push(`${line.name}: only ${product.stock} in stock (wanted ${line.quantity})`);
+    if (quantity <= 0) continue;
+    const serials = (line.serialNumbers || []).slice(0, quantity);
+    if (product.requires_serial && serials.length !== quantity) { serialQuantities[product.product_id] = quantity; notes.push(`${line.name}: select ${quantity} serial number(s), then add it to the sale`); continue; }
+    const override = line.price_override ? { price: String(line.price_override.price), reason: line.price_override.reason || '' } : undefined;
+    items.push({ product_id: product.product_id, name: product.name, brand: product.brand, price: product.price, quantity, serialNumbers: serials, discount: line.discount || undefined, override });
+    taken[product.product_id] = quantity;
+  }
+  return { items, notes, taken, serialQuantities };
+};
+
 const SalesPage = () => {
   const [searchQuery, setSearchQuery] = useState('');
+  // Barcode scanners type the code and press Enter
+  const [scanCode, setScanCode] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const scanInputRef = useRef(null);
   const [saleItems, setSaleItems] = useState([]);
   const [customerType, setCustomerType] = useState('new');
 
@@ -55,10 +99,22 @@ const SalesPage = () => {
   const [addressDetails, setAddressDetails] = useState('');
   const [tenderedAmount, setTenderedAmount] = useState('');
   const [gcashRef, setGcashRef] = useState('');
+  // Optional second payment (e.g. part cash, part GCash) and paying only part now
+  const [splitMethod, setSplitMethod] = useState('');
+  const [splitAmount, setSplitAmount] = useState('');
+  const [splitRef, setSplitRef] = useState('');
+  const [allowPartial, setAllowPartial] = useState(false);
   const [backendCustomers, setBackendCustomers] = useState([]);
   const [selectedCustomerId, setSelectedCustomerId] = useState('');
+  // Tier prices of the selected customer ({ tier, prices: { [product_id]: price } }), null at list price
+  const [tierPrices, setTierPrices] = useState(null);
+  // Store credit the selected customer can pay with (null: no customer record)
+  const [storeCredit, setStoreCredit] = useState(null);
+  // The selected customer's charge account ({ charge_enabled, available_credit, ... }), null without a record
+  const [chargeAccount, setChargeAccount] = useState(null);
 
   const [paymentSettings, setPaymentSettings] = useState({ cash_enabled: true, gcash_enabled: true, cod_enabled: true });
+  const [storeTin, setStoreTin] = useState('');
   const [customerSearch, setCustomerSearch] = useState('');
   const [isCustomerDropdownOpen, setIsCustomerDropdownOpen] = useState(false);
   const [products, setProducts] = useState([]);
@@ -71,16 +127,122 @@ const SalesPage = () => {
   const [availableSerials, setAvailableSerials] = useState([]);
   const [selectedSerials, setSelectedSerials] = useState({});
   const [quantities, setQuantities] = useState({});
+  const [quote, setQuote] = useState(null);
+  const [couponInput, setCouponInput] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState('');
+  const [orderDiscount, setOrderDiscount] = useState({ type: 'percent', value: '', reason: '' });
+  const canDiscount = useMemo(() => hasPermission('sales.discount'), []);
+  // Price overrides: large cuts need a manager's username and PIN unless the cashier can approve them
+  const canOverride = useMemo(() => hasPermission('sales.price_override'), []);
+  const canApproveOverrides = useMemo(() => hasPermission('sales.approve_override'), []);
+  const canChargeSales = useMemo(() => hasPermission('sales.charge'), []);
+  const [approvalModalOpen, setApprovalModalOpen] = useState(false);
+  const [approval, setApproval] = useState({ username: '', pin: '' });
+  // Quotation mode prices the same cart without payment or stock deduction;
+  // ?quotation=ID loads a saved quote into the cart to convert it into a sale
+  const [searchParams] = useSearchParams();
+  const canQuote = useMemo(() => hasPermission('quotations.manage'), []);
+  const [quoteMode, setQuoteMode] = useState(() => searchParams.get('mode') === 'quotation' && hasPermission('quotations.manage'));
+  const [quoteValidUntil, setQuoteValidUntil] = useState(defaultValidUntil);
+  const [quoteNotes, setQuoteNotes] = useState('');
+  const [loadedQuotation, setLoadedQuotation] = useState(null);
+  const quotationToLoad = useRef(searchParams.get('quotation'));
+  // Parked carts: set aside without charging; their serials stay reserved until resumed or expired
+  const [parkModalOpen, setParkModalOpen] = useState(false);
+  const [parkNote, setParkNote] = useState('');
+  const [parkedListOpen, setParkedListOpen] = useState(false);
+  const [parkedSales, setParkedSales] = useState([]);
+  // Offline selling: the catalog comes from the copy saved at catalogSavedAt
+  // and confirmed sales wait in saleQueue (utils/offlineSales.js)
+  const [offline, setOffline] = useState(false);
+  const [catalogSavedAt, setCatalogSavedAt] = useState(null);
+  const [saleQueue, setSaleQueue] = useState(getQueue);
+  const [queueOpen, setQueueOpen] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [recentlySynced, setRecentlySynced] = useState([]);
+  const syncTick = useRef(null);
 
   // Message Box State
   const [msgBox, setMsgBox] = useState({ isOpen: false, title: '', message: '', type: 'info', onConfirm: null });
   const showMessage = (title, message, type = 'info', onConfirm = null) => setMsgBox({ isOpen: true, title, message, type, onConfirm });
   const closeMessage = () => setMsgBox(prev => ({ ...prev, isOpen: false }));
 
-  const getSaleTotal = () => saleItems.reduce((total, item) => total + (item.price * item.quantity), 0);
-  const isCompanyDeliveryAvailable = useMemo(() => getSaleTotal() >= 5000, [saleItems]);
+  // The server prices the cart (promotions, coupon, manual discounts); until
+  // the first quote arrives fall back to list prices
+  const priceFor = (item) => tierPrices?.prices[item.product_id] ?? item.price;
+  const listTotal = saleItems.reduce((total, item) => total + (priceFor(item) * item.quantity), 0);
+  const saleTotal = quote ? quote.total : listTotal;
+  const getSaleTotal = () => saleTotal;
+  const totalTendered = (parseFloat(tenderedAmount) || 0) + (splitMethod ? parseFloat(splitAmount) || 0 : 0);
+  const isCompanyDeliveryAvailable = useMemo(() => saleTotal >= 5000, [saleTotal]);
+  const quoteLine = (productId) => quote?.items.find(line => line.product_id === productId);
 
-  useEffect(() => { fetchProductsAndInventory(); fetchPaymentSettings(); fetchBackendCustomers(); }, []);
+  useEffect(() => {
+    fetchProductsAndInventory().then(productList => { if (quotationToLoad.current && productList) loadQuotation(quotationToLoad.current, productList); });
+    fetchPaymentSettings(); fetchBackendCustomers();
+  }, []);
+
+  const selectedAccount = useMemo(() => backendCustomers.find(c => c.id === selectedCustomerId) || null, [backendCustomers, selectedCustomerId]);
+  const accountId = selectedAccount?.customerId || null;
+  const pricedCustomerId = quoteMode ? null : accountId;
+  const priceTierId = quoteMode ? null : selectedAccount?.priceTierId || null;
+
+  useEffect(() => {
+    if (!priceTierId) { setTierPrices(null); return; }
+    let cancelled = false;
+    priceTiersAPI.getTierPrices(priceTierId).then(result => {
+      if (!cancelled) setTierPrices({ tier: result.data.tier, prices: Object.fromEntries(result.data.prices.map(p => [p.product_id, Number(p.price)])) });
+    }).catch(e => { if (!cancelled) { setTierPrices(null); console.error('Failed to fetch tier prices:', e); } });
+    return () => { cancelled = true; };
+  }, [priceTierId]);
+
+  useEffect(() => {
+    if (!accountId) { setStoreCredit(null); return; }
+    let cancelled = false;
+    customersAPI.getStoreCredit(accountId).then(result => { if (!cancelled) setStoreCredit(Number(result.data.balance)); })
+      .catch(e => { if (!cancelled) { setStoreCredit(null); console.error('Failed to fetch store credit:', e); } });
+    return () => { cancelled = true; };
+  }, [accountId]);
+
+  const canUseStoreCredit = !quoteMode && storeCredit > 0;
+  useEffect(() => {
+    if (canUseStoreCredit) return;
+    setPaymentOption(prev => (prev === 'Store Credit' ? '' : prev));
+    setSplitMethod(prev => (prev === 'Store Credit' ? '' : prev));
+  }, [canUseStoreCredit]);
+
+  useEffect(() => {
+    if (!accountId || !canChargeSales) { setChargeAccount(null); return; }
+    let cancelled = false;
+    customersAPI.getChargeAccount(accountId).then(result => { if (!cancelled) setChargeAccount(result.data); })
+      .catch(e => { if (!cancelled) { setChargeAccount(null); console.error('Failed to fetch charge account:', e); } });
+    return () => { cancelled = true; };
+  }, [accountId, canChargeSales]);
+
+  const canChargeToAccount = !quoteMode && Boolean(chargeAccount?.charge_enabled);
+  useEffect(() => {
+    if (!canChargeToAccount) setPaymentOption(prev => (prev === CHARGE_TO_ACCOUNT ? '' : prev));
+  }, [canChargeToAccount]);
+
+  useEffect(() => {
+    if (saleItems.length === 0) { setQuote(null); return; }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await salesAPI.quoteSale({ items: saleItems.map(item => ({ product_id: item.product_id, quantity: item.quantity, discount: toManualDiscount(item.discount), price_override: quoteMode ? null : toPriceOverride(item.override) })), customer_id: pricedCustomerId, coupon_code: appliedCoupon || null, order_discount: toManualDiscount(orderDiscount) });
+        if (!cancelled) { setQuote(result.data); setOffline(false); }
+      } catch (e) {
+        if (cancelled) return;
+        setQuote(null);
+        // Offline the cart is shown at list (or tier) prices; the server
+        // prices it, promotions and coupon included, when the sale is sent
+        if (isNetworkError(e)) { setOffline(true); return; }
+        if (appliedCoupon) setAppliedCoupon('');
+        setMsgBox({ isOpen: true, title: 'Pricing', message: e.message, type: 'warning', onConfirm: null });
+      }
+    }, 300);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [saleItems, appliedCoupon, orderDiscount, quoteMode, pricedCustomerId]);
 
   const fetchPaymentSettings = async () => {
     try {
@@ -88,6 +250,7 @@ const SalesPage = () => {
       if (response.success && response.data) {
         const s = response.data;
         setPaymentSettings({ cash_enabled: !!s.cash_enabled, gcash_enabled: !!s.gcash_enabled, cod_enabled: !!s.cod_enabled });
+        setStoreTin(s.tin || '');
       }
     } catch (e) { console.error('Failed to fetch payment settings:', e); }
   };
@@ -113,7 +276,10 @@ const SalesPage = () => {
           contactNumber: row.contact || '',
           address: row.address || '',
           addressDetails: row.address || '',
-          location: ''
+          location: '',
+          // Set for customers with a record; only those can have a price tier
+          customerId: row.id || null,
+          priceTierId: row.price_tier_id || null
         };
       });
       setBackendCustomers(backendCustomers);
@@ -125,7 +291,9 @@ const SalesPage = () => {
   useEffect(() => {
     if (paymentOption !== 'Cash' && paymentOption !== 'Cash on Delivery') setTenderedAmount('');
     if (paymentOption !== 'GCash') setGcashRef('');
-    if (paymentOption === 'Cash on Delivery') setTenderedAmount('');
+    if (paymentOption === 'Cash on Delivery' || paymentOption === CHARGE_TO_ACCOUNT) setTenderedAmount('');
+    setSplitMethod(''); setSplitAmount(''); setSplitRef('');
+    if (paymentOption === 'Cash on Delivery' || paymentOption === CHARGE_TO_ACCOUNT) setAllowPartial(false);
   }, [paymentOption]);
 
   const handlePaymentOptionChange = (value) => {
@@ -156,17 +324,52 @@ const SalesPage = () => {
     if (paymentOption === 'Cash on Delivery' && shippingOption === 'In-Store Pickup') setShippingOption('Company Delivery'); 
   }, [paymentOption, shippingOption, isCompanyDeliveryAvailable]);
 
-  const fetchProductsAndInventory = async () => {
+  // Keeps a copy of the catalog and serials for offline use, and falls back to
+  // it when the server cannot be reached. background: no loading state (only
+  // used with an empty cart, whose stock it would otherwise overwrite).
+  const fetchProductsAndInventory = async ({ background = false } = {}) => {
     try {
-      setLoading(true); setError(null);
-      const response = await inventoryAPI.getProductsWithInventory();
-      const productsData = response.data?.products || [];
-      const productsWithInventory = productsData.map(product => ({ ...product, stock: product.stock || 0 }));
+      if (!background) { setLoading(true); setError(null); }
+      let productsWithInventory;
+      try {
+        const [response, serials] = await Promise.all([inventoryAPI.getProductsWithInventory(), serialNumberAPI.getAllAvailableSerials().catch(() => null)]);
+        const productsData = response.data?.products || [];
+        productsWithInventory = productsData.map(product => ({ ...product, stock: product.stock || 0 }));
+        saveCatalog(productsWithInventory, serials ? serials.data || [] : loadCatalog()?.serials || []);
+        setOffline(false); setCatalogSavedAt(null);
+      } catch (err) {
+        const catalog = isNetworkError(err) ? loadCatalog() : null;
+        if (!catalog) throw err;
+        productsWithInventory = catalog.products;
+        setOffline(true); setCatalogSavedAt(catalog.saved_at);
+      }
       setProducts(productsWithInventory);
       const inventoryMap = {};
       productsWithInventory.forEach(product => { inventoryMap[product.product_id] = { stock: product.stock || 0, reorder_point: product.reorder_point || 10 }; });
       setInventory(inventoryMap);
-    } catch (err) { setError('Failed to load products and inventory data'); } finally { setLoading(false); }
+      return productsWithInventory;
+    } catch (err) { if (!background) setError('Failed to load products and inventory data'); } finally { if (!background) setLoading(false); }
+  };
+
+  // Puts a saved quotation in the cart to convert it into a sale
+  const loadQuotation = async (quotationId, productList) => {
+    try {
+      const { data: quotation } = await quotationsAPI.getQuotation(quotationId);
+      if (quotation.display_status !== 'Open') {
+        setMsgBox({ isOpen: true, title: 'Quotation', message: `Quotation ${quotation.quote_number} is ${quotation.display_status.toLowerCase()} and cannot be converted into a sale.`, type: 'warning', onConfirm: null });
+        return;
+      }
+      const { items, notes, taken, serialQuantities } = rebuildCart(productList, quotation.items.map(line => ({ product_id: line.product_id, name: line.product_name, quantity: line.quantity, price: line.price, discount: line.discount_type ? { type: line.discount_type, value: String(Number(line.discount_value)), reason: line.discount_reason || '' } : null })));
+      setProducts(productList.map(p => taken[p.product_id] ? { ...p, stock: p.stock - taken[p.product_id] } : p));
+      setInventory(prev => { const next = { ...prev }; Object.entries(taken).forEach(([productId, qty]) => { if (next[productId]) next[productId] = { ...next[productId], stock: next[productId].stock - qty }; }); return next; });
+      setSaleItems(items); setQuantities(prev => ({ ...prev, ...serialQuantities }));
+      const parts = quotation.customer_name.trim().split(' ').filter(Boolean);
+      setCustomerType('new'); setFirstName(parts.length > 1 ? parts.slice(0, -1).join(' ') : quotation.customer_name); setLastName(parts.length > 1 ? parts[parts.length - 1] : ''); setContactNumber(quotation.contact || ''); setAddressDetails(quotation.address || '');
+      if (quotation.coupon_code) { setCouponInput(quotation.coupon_code); setAppliedCoupon(quotation.coupon_code); }
+      if (quotation.order_discount_type) setOrderDiscount({ type: quotation.order_discount_type, value: String(Number(quotation.order_discount_value)), reason: quotation.order_discount_reason || '' });
+      setQuoteMode(false); setLoadedQuotation(quotation);
+      setMsgBox({ isOpen: true, title: 'Quotation Loaded', message: `Quotation ${quotation.quote_number} for ${quotation.customer_name} is in the cart at today's prices.${notes.length ? `\n\n${notes.join('\n')}` : ''}`, type: notes.length ? 'warning' : 'info', onConfirm: null });
+    } catch (error) { setMsgBox({ isOpen: true, title: 'Error', message: error.message || 'Failed to load quotation.', type: 'error', onConfirm: null }); }
   };
 
   const filteredProducts = products.filter(product =>
@@ -199,14 +402,57 @@ const SalesPage = () => {
     setProductQuantity(productId, currentQty + change);
   };
 
+  // Adds one unit of a scanned product, with its serial when one was scanned
+  const addScannedItem = (product, serialNumber = null) => {
+    const existingItem = saleItems.find(item => item.product_id === product.product_id);
+    if (existingItem) {
+      setSaleItems(saleItems.map(item => item.product_id === product.product_id ? { ...item, quantity: item.quantity + 1, serialNumbers: serialNumber ? [...(item.serialNumbers || []), serialNumber] : item.serialNumbers } : item));
+    } else {
+      setSaleItems([...saleItems, { product_id: product.product_id, name: product.name, brand: product.brand, price: product.price, quantity: 1, serialNumbers: serialNumber ? [serialNumber] : [] }]);
+    }
+    setProducts(products.map(p => p.product_id === product.product_id ? { ...p, stock: p.stock - 1 } : p));
+    setInventory(prev => ({ ...prev, [product.product_id]: { ...prev[product.product_id], stock: (prev[product.product_id]?.stock || 0) - 1 } }));
+  };
+
+  // A scanned serial adds that unit; a scanned product barcode adds one unit,
+  // or opens the serial picker when the product is serial-tracked
+  const handleScan = async (e) => {
+    e.preventDefault();
+    const code = scanCode.trim();
+    if (!code || scanning) return;
+    try {
+      setScanning(true);
+      const { data: match } = await productAPI.lookupCode(code);
+      const product = products.find(p => p.product_id === match.product.product_id);
+      if (!product) { showMessage('Not Available', `${match.product.name} is not available for sale.`, 'warning'); return; }
+      if (product.stock < 1) { showMessage('Insufficient Stock', `${product.name} is out of stock.`, 'error'); return; }
+      if (match.type === 'serial' && !quoteMode) {
+        const { serial } = match;
+        if (saleItems.some(item => (item.serialNumbers || []).includes(serial.serial_number))) { showMessage('Already Added', `Serial ${serial.serial_number} is already in this sale.`, 'info'); return; }
+        if (serial.status !== 'available') { showMessage('Serial Unavailable', `Serial ${serial.serial_number} of ${product.name} is ${serial.status}${serial.status === 'reserved' && serial.parked_by ? ` in a sale parked by ${serial.parked_by}` : ''}.`, 'warning'); return; }
+        addScannedItem(product, serial.serial_number);
+      } else if (product.requires_serial && !quoteMode) {
+        handleOpenSerialModal(product);
+      } else {
+        addScannedItem(product);
+      }
+    } catch (error) {
+      if (isNetworkError(error)) { setOffline(true); showMessage('Scan', 'Scanning needs the server. Pick the product from the catalog while offline.', 'warning'); return; }
+      showMessage('Scan', error.message || 'Failed to look up the scanned code', 'warning');
+    } finally {
+      setScanCode(''); setScanning(false); scanInputRef.current?.focus();
+    }
+  };
+
   const addToSale = async (product) => {
     const quantity = quantities[product.product_id] || 1;
-    const productSerials = selectedSerials[product.product_id] || [];
-    if (product.requires_serial && productSerials.length === 0) {
+    // Quotations reserve nothing, so serials are picked when the quote is converted
+    const productSerials = quoteMode ? [] : selectedSerials[product.product_id] || [];
+    if (product.requires_serial && !quoteMode && productSerials.length === 0) {
       showMessage('Missing Serials', 'Please select serial numbers for this product before adding to sale', 'warning');
       return;
     }
-    if (product.requires_serial && productSerials.length !== quantity) {
+    if (product.requires_serial && !quoteMode && productSerials.length !== quantity) {
       showMessage('Mismatch', `Please select ${quantity} serial number(s) for this product`, 'warning');
       return;
     }
@@ -265,6 +511,22 @@ const SalesPage = () => {
     } catch (error) { showMessage('Error', 'Failed to update quantity.', 'error'); }
   };
 
+  const updateItemOverride = (productId, changes) => {
+    setSaleItems(saleItems.map(item => item.product_id === productId ? { ...item, override: { price: '', reason: '', ...item.override, ...changes } } : item));
+  };
+
+  const updateItemDiscount = (productId, changes) => {
+    setSaleItems(saleItems.map(item => item.product_id === productId ? { ...item, discount: { type: 'fixed', value: '', reason: '', ...item.discount, ...changes } } : item));
+  };
+
+  const applyCoupon = () => {
+    const code = couponInput.trim().toUpperCase();
+    if (!code) return;
+    setCouponInput(code); setAppliedCoupon(code);
+  };
+
+  const removeCoupon = () => { setCouponInput(''); setAppliedCoupon(''); };
+
   const handleSaleQuantityInput = (productId, event) => {
     const value = event.target.value;
     const item = saleItems.find(item => item.product_id === productId);
@@ -300,6 +562,7 @@ const SalesPage = () => {
   }, [customerSearch, backendCustomers]);
 
   const clearSale = async () => {
+    setLoadedQuotation(null);
     if (saleItems.length === 0) return;
     try {
       let tempProducts = [...products]; let tempInventory = { ...inventory };
@@ -311,24 +574,153 @@ const SalesPage = () => {
         } else { tempInventory[productId] = { stock: item.quantity, reorder_point: 10 }; }
     }
       setProducts(tempProducts); setInventory(tempInventory); setSaleItems([]);
+      setCouponInput(''); setAppliedCoupon(''); setOrderDiscount({ type: 'percent', value: '', reason: '' });
     } catch (error) { console.error('Error clearing sale:', error); }
   };
 
+  // The cart and customer as saved with a parked or offline-queued sale (see restoreCart)
+  const currentCart = () => ({
+    items: saleItems.map(item => ({ product_id: item.product_id, name: item.name, quantity: item.quantity, serialNumbers: item.serialNumbers || [], discount: item.discount || null, price_override: toPriceOverride(item.override) })),
+    customer: { customerType, firstName, middleName, lastName, contactNumber, address, addressDetails, selectedCustomerId: String(selectedCustomerId || ''), customerSearch },
+    coupon_code: appliedCoupon || null,
+    order_discount: orderDiscount,
+    quotation: loadedQuotation ? { id: loadedQuotation.id, quote_number: loadedQuotation.quote_number } : null
+  });
+
+  const parkCurrentSale = async () => {
+    if (saleItems.length === 0) return;
+    const fullName = `${firstName} ${middleName} ${lastName}`.replace(/\s+/g, ' ').trim();
+    try {
+      setSubmitting(true);
+      const result = await salesAPI.parkSale({ customer_name: fullName || null, note: parkNote.trim() || null, total: getSaleTotal(), cart: currentCart() });
+      setParkModalOpen(false); setParkNote('');
+      await clearSale(); clearCustomerInfo(); setCustomerType('new'); setSelectedSerials({});
+      showMessage('Sale Parked', `The cart has been parked${fullName ? ` for ${fullName}` : ''}. Its serial numbers are held for ${result.data.expiry_minutes} minutes.`, 'success');
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to park sale', 'error');
+    } finally { setSubmitting(false); }
+  };
+
+  const openParkedList = async () => {
+    try {
+      const result = await salesAPI.getParkedSales();
+      setParkedSales(result.data || []); setParkedListOpen(true);
+    } catch (error) { showMessage('Error', error.message || 'Failed to load parked sales', 'error'); }
+  };
+
+  // Puts a saved cart (see currentCart) back at today's prices and stock;
+  // returns what had to change
+  const restoreCart = (cart, productList) => {
+    const { items, notes, taken, serialQuantities } = rebuildCart(productList, cart.items);
+    setProducts(productList.map(p => taken[p.product_id] ? { ...p, stock: p.stock - taken[p.product_id] } : p));
+    setInventory(prev => { const next = { ...prev }; Object.entries(taken).forEach(([productId, qty]) => { if (next[productId]) next[productId] = { ...next[productId], stock: next[productId].stock - qty }; }); return next; });
+    setSaleItems(items); setQuantities(prev => ({ ...prev, ...serialQuantities }));
+    const c = cart.customer || {};
+    setCustomerType(c.customerType || 'new'); setFirstName(c.firstName || ''); setMiddleName(c.middleName || ''); setLastName(c.lastName || ''); setContactNumber(c.contactNumber || ''); setAddress(c.address || 'Manila'); setAddressDetails(c.addressDetails || ''); setSelectedCustomerId(c.selectedCustomerId || ''); setCustomerSearch(c.customerSearch || '');
+    setCouponInput(cart.coupon_code || ''); setAppliedCoupon(cart.coupon_code || '');
+    setOrderDiscount(cart.order_discount ? { type: cart.order_discount.type || 'percent', value: String(cart.order_discount.value ?? ''), reason: cart.order_discount.reason || '' } : { type: 'percent', value: '', reason: '' });
+    setLoadedQuotation(cart.quotation || null);
+    return notes;
+  };
+
+  // Brings a parked cart back at today's prices and stock
+  const resumeParked = async (parked) => {
+    if (saleItems.length > 0) { showMessage('Cart Not Empty', 'Park or clear the current sale before resuming another one.', 'warning'); return; }
+    try {
+      const { data } = await salesAPI.resumeParkedSale(parked.id);
+      setParkedListOpen(false); setQuoteMode(false);
+      const productList = await fetchProductsAndInventory();
+      if (!productList) return;
+      const notes = restoreCart(data.cart, productList);
+      showMessage('Sale Resumed', notes.length > 0 ? `Resumed the parked sale with changes:\n${notes.join('\n')}` : 'The parked sale is back in the cart.', notes.length > 0 ? 'warning' : 'success');
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to resume parked sale', 'error');
+    }
+  };
+
+  const discardParked = (parked) => {
+    showMessage('Discard Parked Sale', `Discard the parked sale${parked.customer_name ? ` for ${parked.customer_name}` : ''}? Its serial numbers will be released.`, 'warning', async () => {
+      try {
+        await salesAPI.discardParkedSale(parked.id);
+        setParkedSales(prev => prev.filter(p => p.id !== parked.id));
+      } catch (error) { showMessage('Error', error.message || 'Failed to discard parked sale', 'error'); }
+    });
+  };
+
+  // Sends the queued offline sales; returns how many were recorded
+  const syncSales = async () => {
+    if (!getQueue().some(entry => entry.status === 'pending')) return 0;
+    setSyncing(true);
+    try {
+      const { synced, conflicts, offline: unreachable } = await syncQueuedSales();
+      setSaleQueue(getQueue()); setOffline(unreachable);
+      if (synced.length > 0) setRecentlySynced(prev => [...synced.map(({ entry, sale }) => ({ client_ref: entry.client_ref, customer_name: entry.sale.customer_name, sale_number: sale.sale_number, total: Number(sale.total) })), ...prev].slice(0, 20));
+      if (conflicts.length > 0) showMessage('Offline Sales', `${conflicts.length} queued sale(s) could not be recorded:\n${conflicts.map(entry => `${offlineNumber(entry.client_ref)}: ${entry.error}`).join('\n')}\n\nOpen the offline queue to retry, edit or discard them.`, 'warning');
+      return synced.length;
+    } finally { setSyncing(false); }
+  };
+
+  // Every 30 seconds and when the browser reconnects: send queued sales, then
+  // reload the catalog if any were recorded or the page is still offline (with
+  // items in the cart the next quote tells when the server is back)
+  syncTick.current = async () => {
+    const sent = await syncSales();
+    if ((sent > 0 || offline) && saleItems.length === 0) await fetchProductsAndInventory({ background: true });
+  };
+  useEffect(() => {
+    const tick = () => syncTick.current();
+    tick();
+    window.addEventListener('online', tick);
+    const timer = setInterval(tick, 30000);
+    return () => { window.removeEventListener('online', tick); clearInterval(timer); };
+  }, []);
+
+  const retryQueuedSale = async (entry) => {
+    setSaleQueue(retryQueued(entry.client_ref));
+    if (await syncSales() > 0 && saleItems.length === 0) fetchProductsAndInventory({ background: true });
+  };
+
+  // A queued sale the server refused goes back in the cart to be fixed and
+  // confirmed again as a new sale
+  const editQueuedSale = async (entry) => {
+    if (saleItems.length > 0) { showMessage('Cart Not Empty', 'Park or clear the current sale before editing a queued one.', 'warning'); return; }
+    setSaleQueue(removeQueued(entry.client_ref)); setQueueOpen(false); setQuoteMode(false);
+    const productList = await fetchProductsAndInventory();
+    if (!productList) return;
+    // Serials sold since (e.g. at another till) have to be picked again
+    const available = new Set((loadCatalog()?.serials || []).map(serial => serial.serial_number));
+    const notes = restoreCart({ ...entry.cart, items: entry.cart.items.map(item => ({ ...item, serialNumbers: (item.serialNumbers || []).filter(serial => available.has(serial)) })) }, productList);
+    const paid = entry.sale.payments.map(p => `${p.method} ₱${Number(p.amount).toLocaleString()}`).join(', ');
+    showMessage('Queued Sale in Cart', `${offlineNumber(entry.client_ref)} was not recorded: ${entry.error}${paid ? `\nTaken at the counter: ${paid}. Enter it again as the payment.` : ''}${notes.length > 0 ? `\n\n${notes.join('\n')}` : ''}`, 'warning');
+  };
+
+  const discardQueuedSale = (entry) => {
+    showMessage('Discard Queued Sale', `Discard ${offlineNumber(entry.client_ref)} for ${entry.sale.customer_name}? It will never be recorded; settle any money taken for it with the customer.`, 'warning', () => setSaleQueue(removeQueued(entry.client_ref)));
+  };
+
   const clearCustomerInfo = () => {
-    setLastName(''); setFirstName(''); setMiddleName(''); setContactNumber(''); setAddress('Manila'); setAddressDetails(''); setTenderedAmount(''); setGcashRef(''); setSelectedCustomerId(''); setCustomerSearch(''); setPaymentOption(''); setShippingOption('In-Store Pickup'); 
+    setLastName(''); setFirstName(''); setMiddleName(''); setContactNumber(''); setAddress('Manila'); setAddressDetails(''); setTenderedAmount(''); setGcashRef(''); setSplitMethod(''); setSplitAmount(''); setSplitRef(''); setAllowPartial(false); setSelectedCustomerId(''); setCustomerSearch(''); setPaymentOption(''); setShippingOption('In-Store Pickup'); 
   };
 
   const handleOpenSerialModal = async (product) => {
     setSelectedProductForSerial(product); setSerialModalOpen(true);
+    const saleItem = saleItems.find(item => item.product_id === product.product_id);
+    const serialsInSale = saleItem?.serialNumbers || [];
     try {
-      const response = await serialNumberAPI.getAvailableSerials(product.product_id);
-      const allAvailableSerials = response.data || [];
-      const saleItem = saleItems.find(item => item.product_id === product.product_id);
-      const serialsInSale = saleItem?.serialNumbers || [];
+      // Reserved serials belong to a parked cart; they are listed but cannot be picked
+      const response = await serialNumberAPI.getAllSerials(product.product_id);
+      const allAvailableSerials = (response.data || []).filter(serial => serial.status === 'available' || serial.status === 'reserved');
       const filteredSerials = allAvailableSerials.filter(serial => !serialsInSale.includes(serial.serial_number));
       setAvailableSerials(filteredSerials);
       if (filteredSerials.length === 0 && serialsInSale.length > 0) showMessage('Info', `All available serial numbers for ${product.name} are already in your sale.`, 'info');
     } catch (error) {
+      // Offline: the saved copy, less serials already in queued sales
+      const catalog = isNetworkError(error) ? loadCatalog() : null;
+      if (catalog) {
+        setOffline(true);
+        setAvailableSerials(catalog.serials.filter(serial => serial.product_id === product.product_id && !serialsInSale.includes(serial.serial_number)).map(serial => ({ ...serial, status: 'available' })));
+        return;
+      }
       console.error('Error fetching serial numbers:', error); setAvailableSerials([]);
       showMessage('Error', 'Failed to load serial numbers. Please try again.', 'error');
     }
@@ -338,6 +730,7 @@ const SalesPage = () => {
 
   const handleSerialSelection = (serialNumber) => {
     if (!selectedProductForSerial) return;
+    if (availableSerials.find(serial => serial.serial_number === serialNumber)?.status === 'reserved') return;
     const productId = selectedProductForSerial.product_id;
     const currentSerials = selectedSerials[productId] || [];
     const requiredQty = quantities[productId] || 1;
@@ -363,40 +756,120 @@ const SalesPage = () => {
     showMessage('Success', `${selectedCount} serial number(s) selected for ${selectedProductForSerial.name}`, 'success');
   };
 
-  const confirmSale = async () => {
+  // The server could not be reached: queue the sale (see utils/offlineSales.js)
+  // and print a provisional receipt. Its number and final total come from the
+  // server when the sale is sent.
+  const queueOfflineSale = async (saleData) => {
+    if (saleData.on_account || saleData.payments.some(p => p.method === 'Store Credit')) {
+      setOffline(true);
+      showMessage('Offline', 'Charge to Account and Store Credit need the server to check the balance. Take another payment method or wait until the connection is back.', 'warning');
+      return;
+    }
+    const sale = { ...saleData, rung_up_at: new Date().toISOString() };
+    setSaleQueue(queueSale(sale, currentCart())); setOffline(true);
+    const receiptNo = offlineNumber(sale.client_ref);
+    const total = getSaleTotal();
+    // Applied as the server does: other methods first, cash last with the change
+    let remaining = total;
+    const payments = [...sale.payments.filter(p => p.method !== 'Cash'), ...sale.payments.filter(p => p.method === 'Cash')].map(p => {
+      const amount = Math.min(p.amount, remaining); remaining = Math.round((remaining - amount) * 100) / 100;
+      return { ...p, tendered: p.amount, amount, change_given: p.method === 'Cash' ? Math.round((p.amount - amount) * 100) / 100 : 0 };
+    });
+    const change = payments.reduce((sum, p) => sum + p.change_given, 0);
+    const isCOD = paymentOption === 'Cash on Delivery';
+    try {
+      const doc = await generateSaleReceipt({ saleNumber: receiptNo, customerName: sale.customer_name, items: saleItems.map(item => ({ ...item, price: priceFor(item) })), subtotal: total, totalAmount: total, paymentMethod: paymentOption, payments, balanceDue: isCOD ? 0 : remaining, address: sale.address, shippingOption, createdAt: new Date(), tin: storeTin });
+      doc.save(`${receiptNo}_receipt.pdf`);
+    } catch (e) { console.error('Failed to generate receipt:', e); }
+    showMessage('Sale Queued (Offline)', `Receipt: ${receiptNo}\nTotal: ₱${total.toLocaleString()}${isCOD ? '' : `\nChange: ₱${change.toLocaleString()}${remaining > 0 ? `\nBalance Due: ₱${remaining.toLocaleString()}` : ''}`}\nCustomer: ${sale.customer_name}\n\nThe server could not be reached. The sale will be recorded when the connection is back; promotions and coupons are applied then.`, 'warning', async () => {
+      await clearSale(); clearCustomerInfo(); setSelectedSerials({});
+      await fetchProductsAndInventory();
+    });
+  };
+
+  // managerApproval: { username, pin } entered for overrides that need approval
+  const confirmSale = async (managerApproval = null) => {
     if (saleItems.length === 0) { showMessage('Empty Sale', 'Please add items to the sale before confirming', 'warning'); return; }
     if (!paymentOption) { showMessage('Payment Required', 'Please select a payment option before confirming sale', 'warning'); return; }
     const fullName = `${firstName} ${middleName} ${lastName}`.replace(/\s+/g, ' ').trim();
     if (!lastName.trim() || !firstName.trim()) { showMessage('Customer Info', 'Please enter customer last and first name', 'warning'); return; }
+    if (saleItems.some(item => item.override && (item.override.price !== '' || item.override.reason) && !toPriceOverride(item.override))) { showMessage('Price Override', 'Enter both a price and a reason (at least 3 characters) for each price override, or clear it.', 'warning'); return; }
+    if (!managerApproval && !canApproveOverrides && quote?.items.some(line => line.needs_approval)) { setApproval({ username: '', pin: '' }); setApprovalModalOpen(true); return; }
     const total = getSaleTotal();
     const isCOD = paymentOption === 'Cash on Delivery'; 
-    if (!isCOD) {
+    const onAccount = paymentOption === CHARGE_TO_ACCOUNT;
+    if (onAccount && total > chargeAccount.available_credit) { showMessage('Credit Limit', `${chargeAccount.customer_name} only has ₱${chargeAccount.available_credit.toLocaleString()} of credit available.`, 'warning'); return; }
+    if (!isCOD && !onAccount) {
       const payAmt = parseFloat(tenderedAmount);
-      if (Number.isNaN(payAmt) || payAmt < total) { showMessage('Invalid Payment', 'Customer Payment Amount must be a valid decimal and at least equal to the sale total.', 'error'); return; }
+      if (Number.isNaN(payAmt) || payAmt <= 0) { showMessage('Invalid Payment', 'Customer Payment Amount must be a valid decimal greater than zero.', 'error'); return; }
+      if (!allowPartial && totalTendered < total) { showMessage('Invalid Payment', 'Payments must cover the sale total. Tick "Partial payment" to leave a balance.', 'error'); return; }
     }
     try {
       setSubmitting(true);
-      let newOrderStatus, newPaymentStatus;
-      if (isCOD) { newOrderStatus = 'Pending'; newPaymentStatus = 'Unpaid'; } 
-      else if (shippingOption === 'In-Store Pickup') { newOrderStatus = 'Completed'; newPaymentStatus = 'Paid'; } 
-      else { newOrderStatus = 'Processing'; newPaymentStatus = 'Paid'; }
+      // Payment status is worked out by the server from the payments sent
+      // A charge to account is settled by the invoice, like a full payment
+      let newOrderStatus;
+      if (isCOD || (!onAccount && totalTendered < total)) newOrderStatus = 'Pending';
+      else if (shippingOption === 'In-Store Pickup') newOrderStatus = 'Completed';
+      else newOrderStatus = 'Processing';
+      const payments = isCOD || onAccount ? [] : [{ method: paymentOption, amount: parseFloat(tenderedAmount), reference: paymentOption === 'GCash' ? gcashRef : null }, ...(splitMethod && parseFloat(splitAmount) > 0 ? [{ method: splitMethod, amount: parseFloat(splitAmount), reference: splitMethod === 'GCash' ? splitRef : null }] : [])];
 
-      const saleData = { customer_name: fullName, customer_last_name: lastName, customer_first_name: firstName, customer_middle_name: middleName, contact: contactNumber, payment: paymentOption, delivery_type: shippingOption, payment_status: newPaymentStatus, status: newOrderStatus, address: addressDetails ? `${addressDetails}, ${address}` : address, total: getSaleTotal(), items: saleItems.map(item => ({ product_id: item.product_id, product_name: item.name, brand: item.brand, price: item.price, quantity: item.quantity, serialNumbers: item.serialNumbers || [] })) };
-      const result = await salesAPI.createSale(saleData);
+      // client_ref lets the sale be resent from the offline queue without being recorded twice
+      const saleData = { client_ref: newClientRef(), customer_name: fullName, customer_last_name: lastName, customer_first_name: firstName, customer_middle_name: middleName, contact: contactNumber, payment: paymentOption, payments, delivery_type: shippingOption === 'Company Delivery' ? 'Company Delivery' : 'In-store', status: newOrderStatus, address: addressDetails ? `${addressDetails}, ${address}` : address, total: getSaleTotal(), quotation_id: loadedQuotation?.id || null, customer_id: pricedCustomerId, on_account: onAccount, coupon_code: appliedCoupon || null, order_discount: toManualDiscount(orderDiscount), items: saleItems.map(item => ({ product_id: item.product_id, product_name: item.name, brand: item.brand, price: item.price, quantity: item.quantity, serialNumbers: item.serialNumbers || [], discount: toManualDiscount(item.discount), price_override: toPriceOverride(item.override) && { ...toPriceOverride(item.override), approval: quoteLine(item.product_id)?.needs_approval ? managerApproval : null } })) };
+      let result;
+      try {
+        result = await salesAPI.createSale(saleData);
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        await queueOfflineSale(saleData);
+        return;
+      }
+      setOffline(false);
       const saleNo = result?.data?.sale_number || 'N/A';
+      // The server re-prices the sale; print what it actually charged
+      const chargedTotal = Number(result?.data?.total ?? getSaleTotal());
       try {
-        const doc = await generateSaleReceipt({ saleNumber: saleNo, customerName: fullName, items: saleItems, totalAmount: getSaleTotal(), paymentMethod: paymentOption, tenderedAmount: isCOD ? getSaleTotal() : parseFloat(tenderedAmount || 0), changeAmount: isCOD ? 0 : Math.max(0, parseFloat(tenderedAmount || 0) - getSaleTotal()), address: addressDetails ? `${addressDetails}, ${address}` : address, shippingOption, createdAt: new Date() });
+        const receiptItems = saleItems.map(item => { const line = quoteLine(item.product_id); return { ...item, price: line?.price ?? item.price, discount_amount: line?.discount_amount || 0, discount_label: line?.discount_label }; });
+        const discounts = quote ? [{ label: 'Item discounts', amount: quote.line_discount_total }, { label: quote.order_discount_label || 'Order discount', amount: quote.order_discount }] : [];
+        const doc = await generateSaleReceipt({ saleNumber: saleNo, customerName: fullName, items: receiptItems, subtotal: result?.data?.subtotal ?? listTotal, discounts, totalAmount: chargedTotal, paymentMethod: result?.data?.payments?.length ? result.data.payments.map(p => p.method).join(' + ') : paymentOption, payments: result?.data?.payments || [], balanceDue: isCOD ? 0 : result?.data?.balance || 0, address: addressDetails ? `${addressDetails}, ${address}` : address, shippingOption, createdAt: new Date(), tin: storeTin, tax: result?.data?.tax || null });
         doc.save(`${saleNo}_receipt.pdf`);
       } catch (e) { console.error('Failed to generate receipt:', e); }
-      showMessage('Sale Confirmed', `Sale Number: ${saleNo}\nTotal: ₱${getSaleTotal().toLocaleString()}\nCustomer: ${fullName}`, 'success', async () => {
+      const balance = Number(result?.data?.balance || 0);
+      const paymentNote = isCOD ? '' : onAccount ? `\nCharged to account: ₱${balance.toLocaleString()}` : `\nChange: ₱${Number(result?.data?.change || 0).toLocaleString()}${balance > 0 ? `\nBalance Due: ₱${balance.toLocaleString()}` : ''}`;
+      showMessage('Sale Confirmed', `Sale Number: ${saleNo}\nTotal: ₱${chargedTotal.toLocaleString()}${paymentNote}\nCustomer: ${fullName}`, 'success', async () => {
         await clearSale(); clearCustomerInfo(); setLoading(true);
         await new Promise(resolve => setTimeout(resolve, 500)); await fetchProductsAndInventory();
       });
-    } catch (error) { console.error('Error creating sale:', error); showMessage('Error', 'Failed to create sale. Please try again.', 'error'); await fetchProductsAndInventory(); } finally { setSubmitting(false); }
+    } catch (error) { console.error('Error creating sale:', error); showMessage('Error', error.message || 'Failed to create sale. Please try again.', 'error'); await fetchProductsAndInventory(); } finally { setSubmitting(false); }
+  };
+
+  // Saves the cart as a quotation (no payment, no stock deducted) and prints it
+  const saveQuotation = async () => {
+    if (saleItems.length === 0) { showMessage('Empty Quotation', 'Please add items before saving the quotation', 'warning'); return; }
+    if (!lastName.trim() || !firstName.trim()) { showMessage('Customer Info', 'Please enter customer last and first name', 'warning'); return; }
+    if (!quoteValidUntil) { showMessage('Valid Until', 'Please choose how long the quotation is valid', 'warning'); return; }
+    const fullName = `${firstName} ${middleName} ${lastName}`.replace(/\s+/g, ' ').trim();
+    const fullAddress = addressDetails ? `${addressDetails}, ${address}` : address;
+    try {
+      setSubmitting(true);
+      const result = await quotationsAPI.createQuotation({ customer_name: fullName, contact: contactNumber, address: fullAddress, valid_until: quoteValidUntil, notes: quoteNotes, coupon_code: appliedCoupon || null, order_discount: toManualDiscount(orderDiscount), items: saleItems.map(item => ({ product_id: item.product_id, quantity: item.quantity, discount: toManualDiscount(item.discount) })) });
+      const saved = result.data;
+      try {
+        const discounts = [{ label: 'Item discounts', amount: saved.line_discount_total }, { label: saved.order_discount_label || 'Order discount', amount: saved.order_discount }];
+        const doc = await generateQuotationPDF({ quoteNumber: saved.quote_number, customerName: fullName, contact: contactNumber, address: fullAddress, items: saved.items, subtotal: saved.subtotal, discounts, totalAmount: saved.total, vatAmount: saved.tax?.vat_amount || 0, vatRate: saved.tax?.vat_rate, validUntil: quoteValidUntil, notes: quoteNotes, createdAt: new Date(), tin: storeTin });
+        doc.save(`${saved.quote_number}_quotation.pdf`);
+      } catch (e) { console.error('Failed to generate quotation:', e); }
+      showMessage('Quotation Saved', `Quotation Number: ${saved.quote_number}\nTotal: ₱${Number(saved.total).toLocaleString()}\nValid Until: ${new Date(quoteValidUntil).toLocaleDateString()}\nCustomer: ${fullName}\nNo stock has been deducted.`, 'success', async () => {
+        await clearSale(); clearCustomerInfo(); setQuoteNotes(''); setQuoteValidUntil(defaultValidUntil());
+      });
+    } catch (error) { console.error('Error saving quotation:', error); showMessage('Error', error.message || 'Failed to save quotation. Please try again.', 'error'); } finally { setSubmitting(false); }
   };
 
+  const pendingCount = saleQueue.filter(entry => entry.status === 'pending').length;
+  const conflictCount = saleQueue.length - pendingCount;
   const isCOD = paymentOption === 'Cash on Delivery'; 
-  const isPaymentInvalidOrMissing = isCOD ? false : !paymentOption || Number.isNaN(parseFloat(tenderedAmount)) || (parseFloat(tenderedAmount) < getSaleTotal());
+  const isPaymentInvalidOrMissing = isCOD || paymentOption === CHARGE_TO_ACCOUNT ? false : !paymentOption || Number.isNaN(parseFloat(tenderedAmount)) || parseFloat(tenderedAmount) <= 0 || (!allowPartial && totalTendered < getSaleTotal());
+  const splitMethods = [paymentSettings.cash_enabled && 'Cash', paymentSettings.gcash_enabled && 'GCash', canUseStoreCredit && 'Store Credit'].filter(m => m && m !== paymentOption);
 
   return (
     <div className="admin-layout">
@@ -407,10 +880,17 @@ const SalesPage = () => {
             <h1 className="page-title">Sales Transaction</h1>
             <p className="page-subtitle">Process customer purchases and manage inventory</p>
           </div>
+          {(offline || saleQueue.length > 0 || recentlySynced.length > 0) && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '10px 14px', marginBottom: '12px', borderRadius: '8px', backgroundColor: offline ? '#fff7ed' : '#eef2ff', color: offline ? '#c2410c' : '#3730a3', fontSize: '0.9rem' }}>
+              {offline && <BsWifiOff />}
+              <span>{offline ? `Offline${catalogSavedAt ? `: catalog and stock as of ${new Date(catalogSavedAt).toLocaleString()}` : ''}. Sales are queued and recorded when the server is back.` : 'Online.'}{pendingCount > 0 && ` ${pendingCount} sale(s) waiting to be sent.`}{conflictCount > 0 && ` ${conflictCount} need attention.`}{!offline && saleQueue.length === 0 && ` ${recentlySynced.length} offline sale(s) recorded.`}</span>
+              <button onClick={() => setQueueOpen(true)} className="btn btn-secondary" style={{ marginLeft: 'auto' }}>Offline Queue</button>
+            </div>
+          )}
           {error && ( <div className="error-state"> <p>{error}</p> <button onClick={fetchProductsAndInventory} className="btn btn-danger">Retry</button> </div> )}
           <div className="sales-content">
             <div className="products-section">
-              <div className="products-header"> <h2>Product Catalog</h2> <div className="search-box"> <input type="text" placeholder="Search Product Name" value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} className="search-input" /> <button className="search-btn" type="button"><BsSearch /></button> </div> </div>
+              <div className="products-header"> <h2>Product Catalog</h2> <div className="search-box"> <input type="text" placeholder="Search Product Name" value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} className="search-input" /> <button className="search-btn" type="button"><BsSearch /></button> </div> <form className="search-box" onSubmit={handleScan}> <input ref={scanInputRef} type="text" placeholder="Scan barcode or serial number" value={scanCode} onChange={(e) => setScanCode(e.target.value)} className="search-input" readOnly={scanning} autoComplete="off" /> <button className="search-btn" type="submit" disabled={scanning}><BsUpcScan /></button> </form> </div>
               <div className="products-table-container">
                 {loading ? ( <div className="loading-state"><p>Loading products...</p></div> ) : (
                   <table className="products-table">
@@ -421,11 +901,11 @@ const SalesPage = () => {
                         const requiredQty = quantities[product.product_id] || 1;
                         return (
                           <tr key={product.product_id} className={product.stock === 0 ? 'row-disabled' : ''}>
-                            <td className="product-name-text">{product.name}</td><td>{product.brand}</td><td className="price-cell">₱{product.price.toLocaleString()}</td>
+                            <td className="product-name-text">{product.name}</td><td>{product.brand}</td><td className="price-cell">₱{priceFor(product).toLocaleString()}{priceFor(product) !== product.price && (<div style={{ fontSize: '11px', color: '#999', textDecoration: 'line-through', fontWeight: 'normal' }}>₱{product.price.toLocaleString()}</div>)}</td>
                             <td className="stock-cell-sales"><span className={ product.stock === 0 ? 'out-of-stock' : product.stock <= (product.reorder_point || 10) ? 'low-stock' : 'good-stock' }>{product.stock}</span></td>
                             <td>{product.stock > 0 ? (<div className="quantity-controls"><button onClick={() => handleQuantityChange(product.product_id, -1)} disabled={(quantities[product.product_id] || 1) <= 1} className="quantity-btn">-</button><input type="number" value={quantities[product.product_id] || 1} onChange={(e) => setProductQuantity(product.product_id, e.target.value)} className="quantity-input" min="1" max={product.stock} /><button onClick={() => handleQuantityChange(product.product_id, 1)} className="quantity-btn">+</button></div>) : (<span className="quantity-disabled">—</span>)}</td>
                             <td>{product.requires_serial ? (<div style={{ fontSize: '12px' }}>{productSerials.length > 0 ? (<div style={{ color: productSerials.length === requiredQty ? '#28a745' : '#ffc107' }}>{productSerials.length}/{requiredQty} selected<div style={{ fontSize: '11px', color: '#666', marginTop: '2px' }}>{productSerials.join(', ')}</div></div>) : (<span style={{ color: '#dc3545' }}>None selected</span>)}</div>) : (<span style={{ color: '#999', fontSize: '12px' }}>N/A</span>)}</td>
-                            <td><div className="action-buttons-cell">{!!product.requires_serial && (<button onClick={() => handleOpenSerialModal(product)} disabled={product.stock === 0} className="btn btn-info">Select Serial</button>)}<button onClick={() => addToSale(product)} disabled={product.stock === 0} className="btn btn-primary"><BsCartPlus className="sale-icon" />Add to Sale</button></div></td>
+                            <td><div className="action-buttons-cell">{!!product.requires_serial && !quoteMode && (<button onClick={() => handleOpenSerialModal(product)} disabled={product.stock === 0} className="btn btn-info">Select Serial</button>)}<button onClick={() => addToSale(product)} disabled={product.stock === 0} className="btn btn-primary"><BsCartPlus className="sale-icon" />Add to Sale</button></div></td>
                           </tr>
                         );
                       })}
@@ -436,22 +916,46 @@ const SalesPage = () => {
             </div>
             <div className="right-panel">
               <div className="sale-section">
-                <div className="sale-header"><h2>Current Sale</h2></div>
+                <div className="sale-header"><h2>{quoteMode ? 'New Quotation' : 'Current Sale'}</h2>{canQuote && !loadedQuotation && (<label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85rem' }} title={saleItems.length > 0 ? 'Clear the cart to switch' : 'Price a quote without taking payment or deducting stock'}><input type="checkbox" checked={quoteMode} disabled={saleItems.length > 0} onChange={(e) => setQuoteMode(e.target.checked)} />Quotation</label>)}{loadedQuotation && (<small style={{ color: '#667eea', fontWeight: '600' }}>From quotation {loadedQuotation.quote_number}</small>)}{!quoteMode && (<button onClick={openParkedList} className="btn btn-secondary" style={{ marginLeft: 'auto' }}>Parked Sales</button>)}</div>
                 <div className="sale-items">
                   {saleItems.length === 0 ? (<div className="empty-sale"><p>No items in current sale.</p></div>) : (
                     <>
                       {saleItems.map(item => {
                         const hasSerials = item.serialNumbers && item.serialNumbers.length > 0;
+                        const line = quoteLine(item.product_id);
+                        const lineDiscount = line?.discount_amount || 0;
+                        const unitPrice = line ? Number(line.price) : item.price;
                         return (
                           <div key={item.product_id} className="sale-item">
-                            <div className="sale-item-info"><h4>{item.name}</h4><p>{item.brand}</p><p>₱{item.price.toLocaleString()}</p>{hasSerials && (<p style={{ fontSize: '11px', color: '#667eea', marginTop: '4px', fontWeight: '600' }}>🔒 Serial: {item.serialNumbers.join(', ')}</p>)}</div>
+                            <div className="sale-item-info"><h4>{item.name}</h4><p>{item.brand}</p><p>₱{unitPrice.toLocaleString()}{line?.original_price != null && (<span style={{ fontSize: '11px', color: '#b45309', marginLeft: '6px' }}>list ₱{Number(line.original_price).toLocaleString()}{line.needs_approval ? ' · needs approval' : ''}</span>)}</p>{hasSerials && (<p style={{ fontSize: '11px', color: '#667eea', marginTop: '4px', fontWeight: '600' }}>🔒 Serial: {item.serialNumbers.join(', ')}</p>)}{lineDiscount > 0 && (<p style={{ fontSize: '11px', color: '#28a745', marginTop: '4px', fontWeight: '600' }}>{line.discount_label}: -₱{lineDiscount.toLocaleString()}</p>)}{canDiscount && (<div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}><select value={item.discount?.type || 'fixed'} onChange={(e) => updateItemDiscount(item.product_id, { type: e.target.value })} className="form-input" style={{ width: '52px', padding: '2px', fontSize: '11px' }}><option value="fixed">₱</option><option value="percent">%</option></select><input type="number" min="0" step="0.01" placeholder="Discount" value={item.discount?.value || ''} onChange={(e) => updateItemDiscount(item.product_id, { value: e.target.value })} className="form-input" style={{ width: '70px', padding: '2px 4px', fontSize: '11px' }} /><input type="text" maxLength={100} placeholder="Reason" value={item.discount?.reason || ''} onChange={(e) => updateItemDiscount(item.product_id, { reason: e.target.value })} className="form-input" style={{ width: '90px', padding: '2px 4px', fontSize: '11px' }} /></div>)}{canOverride && !quoteMode && (<div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}><input type="number" min="0" step="0.01" placeholder="New price" value={item.override?.price ?? ''} onChange={(e) => updateItemOverride(item.product_id, { price: e.target.value })} className="form-input" style={{ width: '76px', padding: '2px 4px', fontSize: '11px' }} title="Override the unit price" /><input type="text" maxLength={150} placeholder="Override reason" value={item.override?.reason || ''} onChange={(e) => updateItemOverride(item.product_id, { reason: e.target.value })} className="form-input" style={{ width: '136px', padding: '2px 4px', fontSize: '11px' }} /></div>)}</div>
                             <div className="sale-item-quantity"><div className="quantity-controls"><button onClick={() => updateSaleQuantity(item.product_id, -1)} className="quantity-btn" disabled={hasSerials} title={hasSerials ? "Cannot change quantity for items with serial numbers" : "Decrease quantity"}>-</button><input type="number" value={item.quantity} onChange={(e) => handleSaleQuantityInput(item.product_id, e)} className="quantity-input" min="1" disabled={hasSerials} style={{ width: '40px', textAlign: 'center' }} title={hasSerials ? "Cannot change quantity for items with serial numbers" : "Enter quantity"} /><button onClick={() => updateSaleQuantity(item.product_id, 1)} className="quantity-btn" disabled={hasSerials} title={hasSerials ? "Cannot change quantity for items with serial numbers" : "Increase quantity"}>+</button></div></div>
-                            <div className="sale-item-total">₱{(item.price * item.quantity).toLocaleString()}</div>
+                            <div className="sale-item-total">{lineDiscount > 0 && (<div style={{ fontSize: '11px', color: '#999', textDecoration: 'line-through', fontWeight: 'normal' }}>₱{(unitPrice * item.quantity).toLocaleString()}</div>)}₱{(unitPrice * item.quantity - lineDiscount).toLocaleString()}</div>
                             <button onClick={() => removeFromSale(item.product_id)} className="remove-btn" title="Remove from sale"><BsTrash /></button>
                           </div>
                         );
                       })}
-                      <div className="sale-total"><strong>Total: ₱{getSaleTotal().toLocaleString()}</strong></div>
+                      <div style={{ padding: '12px 20px', borderTop: '1px solid var(--color-border)', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                        <div style={{ display: 'flex', gap: '6px' }}>
+                          <input type="text" placeholder="Coupon code" value={couponInput} onChange={(e) => setCouponInput(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') applyCoupon(); }} className="form-input" disabled={!!appliedCoupon} style={{ flex: 1, textTransform: 'uppercase' }} />
+                          {appliedCoupon ? (<button type="button" onClick={removeCoupon} className="btn btn-danger">Remove</button>) : (<button type="button" onClick={applyCoupon} className="btn btn-info" disabled={!couponInput.trim()}>Apply</button>)}
+                        </div>
+                        {quote?.coupon && !quote.coupon.applied && (<small style={{ color: '#c2410c' }}>Coupon {quote.coupon.code} does not apply to this sale or a better discount is already applied.</small>)}
+                        {canDiscount && (
+                          <div style={{ display: 'flex', gap: '6px' }}>
+                            <select value={orderDiscount.type} onChange={(e) => setOrderDiscount(prev => ({ ...prev, type: e.target.value }))} className="form-input" style={{ width: '60px' }}><option value="percent">%</option><option value="fixed">₱</option></select>
+                            <input type="number" min="0" step="0.01" placeholder="Order discount" value={orderDiscount.value} onChange={(e) => setOrderDiscount(prev => ({ ...prev, value: e.target.value }))} className="form-input" style={{ width: '120px' }} />
+                            <input type="text" maxLength={100} placeholder="Reason" value={orderDiscount.reason} onChange={(e) => setOrderDiscount(prev => ({ ...prev, reason: e.target.value }))} className="form-input" style={{ flex: 1 }} />
+                          </div>
+                        )}
+                      </div>
+                      {quote && quote.discount_total > 0 && (
+                        <div style={{ padding: '8px 20px', fontSize: '0.9rem', color: '#4b5563' }}>
+                          <div style={{ display: 'flex', justifyContent: 'space-between' }}><span>Subtotal</span><span>₱{quote.subtotal.toLocaleString()}</span></div>
+                          {quote.line_discount_total > 0 && (<div style={{ display: 'flex', justifyContent: 'space-between', color: '#28a745' }}><span>Item discounts</span><span>-₱{quote.line_discount_total.toLocaleString()}</span></div>)}
+                          {quote.order_discount > 0 && (<div style={{ display: 'flex', justifyContent: 'space-between', color: '#28a745' }}><span>{quote.order_discount_label}</span><span>-₱{quote.order_discount.toLocaleString()}</span></div>)}
+                        </div>
+                      )}
+                      <div className="sale-total"><strong>Total: ₱{getSaleTotal().toLocaleString()}</strong>{quote?.tax?.vat_registered && quote.tax.vat_amount > 0 && (<div style={{ fontSize: '0.75rem', fontWeight: 'normal', color: '#6b7280' }}>Includes VAT ({quote.tax.vat_rate}%): ₱{quote.tax.vat_amount.toLocaleString()}</div>)}</div>
                     </>
                   )}
                 </div>
@@ -494,6 +998,7 @@ const SalesPage = () => {
                     )}
                   </div>
                 )}
+                {tierPrices && (<p style={{ fontSize: '0.85rem', color: '#166534', margin: '0 0 10px' }}>Priced at the customer's <strong>{tierPrices.tier.name}</strong> tier</p>)}
                 <div className="customer-info">
                   <div className="form-group"><label>First Name</label><input type="text" value={firstName} onChange={(e) => setFirstName(e.target.value)} placeholder="Enter First Name" className="form-input" disabled={customerType === 'existing'} /></div>
                   <div className="form-group"><label>Middle Name</label><input type="text" value={middleName} onChange={(e) => setMiddleName(e.target.value)} placeholder="Enter Middle Name" className="form-input" disabled={customerType === 'existing'} /></div>
@@ -504,30 +1009,107 @@ const SalesPage = () => {
                   <div className="customer-form-actions"><button onClick={clearCustomerInfo} className="btn btn-outline">Clear Form</button></div>
                 </div>
               </div>
+              {quoteMode ? (
               <div className="payment-shipping-section">
                 <div className="form-row">
-                  <div className="form-group"><label>Payment Option</label><select value={paymentOption} onChange={(e) => handlePaymentOptionChange(e.target.value)} className="form-select"><option value="">Select payment option</option>{paymentSettings.cash_enabled && (<option value="Cash">Cash</option>)}{paymentSettings.gcash_enabled && (<option value="GCash">GCash</option>)}{paymentSettings.cod_enabled && (<option value="Cash on Delivery" disabled={!isCompanyDeliveryAvailable}>Cash on Delivery</option>)}</select></div>
+                  <div className="form-group"><label>Valid Until</label><input type="date" value={quoteValidUntil} onChange={(e) => setQuoteValidUntil(e.target.value)} className="form-input" /></div>
+                  <div className="form-group"><label>Notes</label><input type="text" maxLength={255} value={quoteNotes} onChange={(e) => setQuoteNotes(e.target.value)} className="form-input" placeholder="e.g. Vehicle, installation, lead time" /></div>
+                </div>
+              </div>
+              ) : (
+              <div className="payment-shipping-section">
+                <div className="form-row">
+                  <div className="form-group"><label>Payment Option</label><select value={paymentOption} onChange={(e) => handlePaymentOptionChange(e.target.value)} className="form-select"><option value="">Select payment option</option>{paymentSettings.cash_enabled && (<option value="Cash">Cash</option>)}{paymentSettings.gcash_enabled && (<option value="GCash">GCash</option>)}{paymentSettings.cod_enabled && (<option value="Cash on Delivery" disabled={!isCompanyDeliveryAvailable}>Cash on Delivery</option>)}{canUseStoreCredit && (<option value="Store Credit">Store Credit (₱{storeCredit.toLocaleString()} available)</option>)}{canChargeToAccount && (<option value={CHARGE_TO_ACCOUNT} disabled={chargeAccount.available_credit < getSaleTotal()}>Charge to Account (₱{chargeAccount.available_credit.toLocaleString()} available)</option>)}</select></div>
                   <div className="form-group"><label>Shipping Option</label><select value={shippingOption} onChange={(e) => handleShippingOptionChange(e.target.value)} className="form-select"><option value="In-Store Pickup" disabled={paymentOption === 'Cash on Delivery'}>In-Store Pickup</option><option value="Company Delivery" disabled={!isCompanyDeliveryAvailable}>Company Delivery (Free)</option></select></div>
                 </div>
                 <div className="form-row">
-                  {paymentOption !== 'Cash on Delivery' && (<div className="form-group"><label>Customer Payment Amount</label><input type="number" min={0} step={0.01} value={tenderedAmount} onChange={(e) => setTenderedAmount(e.target.value)} className="form-input" placeholder={!paymentOption ? 'Select payment option first' : paymentOption === 'Cash' ? 'Cash tendered' : 'Amount paid'} disabled={!paymentOption} /></div>)}
+                  {paymentOption === CHARGE_TO_ACCOUNT && (<div className="form-group"><label>Charged to {chargeAccount.customer_name}'s account</label><small style={{ color: chargeAccount.overdue > 0 ? '#b91c1c' : '#6b7280' }}>Due in {chargeAccount.payment_terms_days} days · Balance ₱{chargeAccount.balance.toLocaleString()} of ₱{chargeAccount.credit_limit.toLocaleString()} limit{chargeAccount.overdue > 0 ? ` · ₱${chargeAccount.overdue.toLocaleString()} past due` : ''}</small></div>)}
+                  {paymentOption !== 'Cash on Delivery' && paymentOption !== CHARGE_TO_ACCOUNT && (<div className="form-group"><label>Customer Payment Amount</label><input type="number" min={0} step={0.01} value={tenderedAmount} onChange={(e) => setTenderedAmount(e.target.value)} className="form-input" placeholder={!paymentOption ? 'Select payment option first' : paymentOption === 'Cash' ? 'Cash tendered' : paymentOption === 'Store Credit' ? `Up to ₱${Math.min(storeCredit || 0, getSaleTotal()).toLocaleString()}` : 'Amount paid'} disabled={!paymentOption} /></div>)}
                   {paymentOption === 'GCash' && (<div className="form-group"><label>GCash Reference Number</label><input type="text" value={gcashRef} onChange={(e) => setGcashRef(e.target.value)} className="form-input" placeholder="Enter GCash reference" /></div>)}
-                  {paymentOption === 'Cash' && (<div className="form-group"><label>Change</label><input type="text" readOnly value={`₱${Math.max(0, (parseFloat(tenderedAmount || 0) - getSaleTotal())).toLocaleString()}`} className="form-input readonly" /></div>)}
+                  {(paymentOption === 'Cash' || splitMethod === 'Cash') && (<div className="form-group"><label>Change</label><input type="text" readOnly value={`₱${Math.max(0, totalTendered - getSaleTotal()).toLocaleString()}`} className="form-input readonly" /></div>)}
                 </div>
+                {paymentOption && !isCOD && paymentOption !== CHARGE_TO_ACCOUNT && (<div className="form-row">
+                  <div className="form-group"><label>Second Payment (optional)</label><select value={splitMethod} onChange={(e) => { setSplitMethod(e.target.value); setSplitAmount(''); setSplitRef(''); }} className="form-select"><option value="">None</option>{splitMethods.map(m => (<option key={m} value={m}>{m}</option>))}</select></div>
+                  {splitMethod && (<div className="form-group"><label>{splitMethod} Amount</label><input type="number" min={0} step={0.01} value={splitAmount} onChange={(e) => setSplitAmount(e.target.value)} className="form-input" placeholder={`Balance: ₱${Math.max(0, getSaleTotal() - (parseFloat(tenderedAmount) || 0)).toLocaleString()}`} /></div>)}
+                  {splitMethod === 'GCash' && (<div className="form-group"><label>GCash Reference Number</label><input type="text" value={splitRef} onChange={(e) => setSplitRef(e.target.value)} className="form-input" placeholder="Enter GCash reference" /></div>)}
+                  <div className="form-group"><label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}><input type="checkbox" checked={allowPartial} onChange={(e) => setAllowPartial(e.target.checked)} />Partial payment (settle the balance later)</label>{allowPartial && totalTendered < getSaleTotal() && (<small style={{ color: '#b45309' }}>Balance due: ₱{(getSaleTotal() - totalTendered).toLocaleString()}</small>)}</div>
+                </div>)}
               </div>
-              <div className="action-buttons-right"><button onClick={confirmSale} disabled={submitting || saleItems.length === 0 || !paymentOption || isPaymentInvalidOrMissing} className="btn btn-primary">{submitting ? 'Processing...' : 'Confirm Sale'}</button><button onClick={clearSale} className="btn btn-secondary">Clear Sale</button></div>
+              )}
+              <div className="action-buttons-right">{quoteMode ? (<button onClick={saveQuotation} disabled={submitting || saleItems.length === 0} className="btn btn-primary">{submitting ? 'Saving...' : 'Save Quotation'}</button>) : (<button onClick={() => confirmSale()} disabled={submitting || saleItems.length === 0 || !paymentOption || isPaymentInvalidOrMissing} className="btn btn-primary">{submitting ? 'Processing...' : 'Confirm Sale'}</button>)}{!quoteMode && (<button onClick={() => setParkModalOpen(true)} disabled={submitting || saleItems.length === 0} className="btn btn-secondary">Park Sale</button>)}<button onClick={clearSale} className="btn btn-secondary">Clear Sale</button></div>
             </div>
           </div>
         </div>
         <MessageBox isOpen={msgBox.isOpen} title={msgBox.title} message={msgBox.message} type={msgBox.type} onClose={closeMessage} onConfirm={msgBox.onConfirm} />
+        {approvalModalOpen && (
+          <div className="modal-overlay" onClick={() => setApprovalModalOpen(false)}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '400px' }}>
+              <div className="modal-header"><h2>Manager Approval</h2><button onClick={() => setApprovalModalOpen(false)} className="close-btn">×</button></div>
+              <div className="modal-body">
+                <p style={{ fontSize: '0.9rem', color: '#555', marginBottom: '12px' }}>{(quote?.items || []).filter(line => line.needs_approval).map(line => `${line.product_name}: ₱${Number(line.price).toLocaleString()} (list ₱${Number(line.original_price).toLocaleString()}) - ${line.override_reason}`).join('\n')}</p>
+                <div className="form-group"><label>Manager Username</label><input type="text" value={approval.username} onChange={(e) => setApproval(prev => ({ ...prev, username: e.target.value }))} className="form-input" autoComplete="off" /></div>
+                <div className="form-group"><label>Override PIN</label><input type="password" inputMode="numeric" maxLength={8} value={approval.pin} onChange={(e) => setApproval(prev => ({ ...prev, pin: e.target.value.replace(/\D/g, '') }))} className="form-input" autoComplete="off" /></div>
+              </div>
+              <div className="modal-actions"><button onClick={() => setApprovalModalOpen(false)} className="cancel-btn">Cancel</button><button onClick={() => { setApprovalModalOpen(false); confirmSale({ username: approval.username.trim(), pin: approval.pin }); setApproval({ username: '', pin: '' }); }} disabled={!approval.username.trim() || approval.pin.length < 4} className="confirm-btn">Approve &amp; Confirm Sale</button></div>
+            </div>
+          </div>
+        )}
+        {parkModalOpen && (
+          <div className="modal-overlay" onClick={() => setParkModalOpen(false)}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '420px' }}>
+              <div className="modal-header"><h2>Park Sale</h2><button onClick={() => setParkModalOpen(false)} className="close-btn">×</button></div>
+              <div className="modal-body">
+                <p style={{ fontSize: '0.9rem', color: '#555', marginBottom: '12px' }}>{saleItems.length} item(s), ₱{getSaleTotal().toLocaleString()}. Nothing is charged; selected serial numbers are held until the sale is resumed or the hold expires.</p>
+                <div className="form-group"><label>Note</label><input type="text" value={parkNote} maxLength={255} onChange={(e) => setParkNote(e.target.value)} className="form-input" placeholder="e.g. Customer getting cash" /></div>
+              </div>
+              <div className="modal-actions"><button onClick={() => setParkModalOpen(false)} className="cancel-btn">Cancel</button><button onClick={parkCurrentSale} disabled={submitting} className="confirm-btn">{submitting ? 'Parking...' : 'Park Sale'}</button></div>
+            </div>
+          </div>
+        )}
+        {parkedListOpen && (
+          <div className="modal-overlay" onClick={() => setParkedListOpen(false)}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '760px' }}>
+              <div className="modal-header"><h2>Parked Sales</h2><button onClick={() => setParkedListOpen(false)} className="close-btn">×</button></div>
+              <div className="modal-body">
+                {parkedSales.length === 0 ? (<p style={{ color: '#666' }}>No parked sales.</p>) : (
+                  <table className="products-table"><thead><tr><th>Customer</th><th>Note</th><th>Items</th><th>Total</th><th>Parked</th><th>Expires</th><th>Actions</th></tr></thead><tbody>
+                    {parkedSales.map(parked => (<tr key={parked.id}><td>{parked.customer_name || 'Walk-in'}</td><td>{parked.note || '-'}</td><td>{parked.item_count}</td><td>₱{Number(parked.total).toLocaleString()}</td><td>{parked.parked_by || '-'}<br /><small>{new Date(parked.parked_at).toLocaleString()}</small></td><td>{new Date(parked.expires_at).toLocaleString()}</td><td><div className="action-buttons-cell"><button onClick={() => resumeParked(parked)} className="btn btn-primary">Resume</button><button onClick={() => discardParked(parked)} className="btn btn-secondary">Discard</button></div></td></tr>))}
+                  </tbody></table>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+        {queueOpen && (
+          <div className="modal-overlay" onClick={() => setQueueOpen(false)}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '900px' }}>
+              <div className="modal-header"><h2>Offline Queue</h2><button onClick={() => setQueueOpen(false)} className="close-btn">×</button></div>
+              <div className="modal-body">
+                {saleQueue.length === 0 ? (<p style={{ color: '#666' }}>No sales waiting to be sent.</p>) : (
+                  <table className="products-table"><thead><tr><th>Receipt</th><th>Customer</th><th>Items</th><th>Total</th><th>Rung Up</th><th>Status</th><th>Actions</th></tr></thead><tbody>
+                    {saleQueue.map(entry => (<tr key={entry.client_ref}><td>{offlineNumber(entry.client_ref)}</td><td>{entry.sale.customer_name}</td><td>{entry.sale.items.map(item => `${item.product_name} × ${item.quantity}`).join(', ')}</td><td>₱{Number(entry.sale.total).toLocaleString()}</td><td>{new Date(entry.queued_at).toLocaleString()}</td><td>{entry.status === 'conflict' ? (<span style={{ color: '#dc3545' }}>{entry.error}</span>) : 'Waiting'}</td><td>{entry.status === 'conflict' && (<div className="action-buttons-cell"><button onClick={() => retryQueuedSale(entry)} disabled={syncing} className="btn btn-primary">Retry</button><button onClick={() => editQueuedSale(entry)} className="btn btn-secondary">Edit in Cart</button><button onClick={() => discardQueuedSale(entry)} className="btn btn-secondary">Discard</button></div>)}</td></tr>))}
+                  </tbody></table>
+                )}
+                {recentlySynced.length > 0 && (<>
+                  <h3 style={{ fontSize: '1rem', margin: '16px 0 8px' }}>Recorded</h3>
+                  <table className="products-table"><thead><tr><th>Receipt</th><th>Sale Number</th><th>Customer</th><th>Total</th></tr></thead><tbody>
+                    {recentlySynced.map(entry => (<tr key={entry.client_ref}><td>{offlineNumber(entry.client_ref)}</td><td>{entry.sale_number}</td><td>{entry.customer_name}</td><td>₱{entry.total.toLocaleString()}</td></tr>))}
+                  </tbody></table>
+                </>)}
+              </div>
+              <div className="modal-actions"><button onClick={() => setQueueOpen(false)} className="cancel-btn">Close</button><button onClick={() => syncTick.current()} disabled={syncing || pendingCount === 0} className="confirm-btn">{syncing ? 'Sending...' : 'Send Now'}</button></div>
+            </div>
+          </div>
+        )}
         {serialModalOpen && selectedProductForSerial && (
           <div className="modal-overlay" onClick={handleCloseSerialModal}>
             <div className="modal-content serial-modal" onClick={(e) => e.stopPropagation()}>
               <div className="modal-header"><h2>Select Serial Numbers</h2><button onClick={handleCloseSerialModal} className="close-btn">×</button></div>
               <div className="modal-body">
-                <div className="product-info-header"><h3>{selectedProductForSerial.name}</h3><p className="product-brand">{selectedProductForSerial.brand}</p><p className="selected-count" style={{ color: (selectedSerials[selectedProductForSerial.product_id] || []).length === (quantities[selectedProductForSerial.product_id] || 1) ? '#28a745' : '#dc3545' }}>Selected: {(selectedSerials[selectedProductForSerial.product_id] || []).length} / {quantities[selectedProductForSerial.product_id] || 1} required</p><p style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>Available serial numbers: {availableSerials.length}</p></div>
+                <div className="product-info-header"><h3>{selectedProductForSerial.name}</h3><p className="product-brand">{selectedProductForSerial.brand}</p><p className="selected-count" style={{ color: (selectedSerials[selectedProductForSerial.product_id] || []).length === (quantities[selectedProductForSerial.product_id] || 1) ? '#28a745' : '#dc3545' }}>Selected: {(selectedSerials[selectedProductForSerial.product_id] || []).length} / {quantities[selectedProductForSerial.product_id] || 1} required</p><p style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>Available serial numbers: {availableSerials.filter(serial => serial.status === 'available').length}</p></div>
                 <div className="serial-list">
                   {availableSerials.map((serial) => {
+                    if (serial.status === 'reserved') return (<div key={serial.serial_number} className="serial-item disabled" style={{ cursor: 'not-allowed', opacity: 0.6 }} title={`Parked by ${serial.parked_by || 'another cashier'}${serial.parked_for ? ` for ${serial.parked_for}` : ''}`}><input type="checkbox" checked={false} disabled className="serial-checkbox" /><span className="serial-number">{serial.serial_number}</span><small style={{ color: '#666' }}>until {new Date(serial.reserved_until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</small><span className="serial-status reserved">reserved</span></div>);
                     const isSelected = (selectedSerials[selectedProductForSerial.product_id] || []).includes(serial.serial_number);
                     return (<div key={serial.serial_number} className={`serial-item ${isSelected ? 'selected' : ''} ${!isSelected && (selectedSerials[selectedProductForSerial.product_id] || []).length >= (quantities[selectedProductForSerial.product_id] || 1) ? 'disabled' : ''}`} onClick={() => handleSerialSelection(serial.serial_number)} style={{ cursor: !isSelected && (selectedSerials[selectedProductForSerial.product_id] || []).length >= (quantities[selectedProductForSerial.product_id] || 1) ? 'not-allowed' : 'pointer', opacity: !isSelected && (selectedSerials[selectedProductForSerial.product_id] || []).length >= (quantities[selectedProductForSerial.product_id] || 1) ? 0.5 : 1 }}><input type="checkbox" checked={isSelected} onChange={() => {}} className="serial-checkbox" disabled={!isSelected && (selectedSerials[selectedProductForSerial.product_id] || []).length >= (quantities[selectedProductForSerial.product_id] || 1)} /><span className="serial-number">{serial.serial_number}</span><span className={`serial-status ${serial.status}`}>{serial.status}</span></div>);
                   })}
@@ -1,6 +1,8 @@
 import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import Navbar from '../../components/admin/Navbar';
-import { settingsAPI, usersAPI, authAPI } from '../../utils/api';
+import { settingsAPI, usersAPI, authAPI, maintenanceAPI } from '../../utils/api';
+import { hasPermission, clearSession, isTwoFactorSetupRequired, setTwoFactorSetupRequired, isPasswordChangeRequired, setPasswordChangeRequired } from '../../utils/auth';
 import { BsPlusLg, BsEye, BsEyeSlash } from 'react-icons/bs';
 import '../../styles/SettingsPage.css';
 
@@ -31,7 +33,12 @@ const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
   );
 };
 
+const SessionsTable = ({ sessions, loading, onRevoke }) => (
+  <div className="table-container"><table className="table"><thead><tr><th>Device</th><th>IP Address</th><th>Signed In</th><th>Last Active</th><th>Action</th></tr></thead><tbody>{loading ? (<tr><td colSpan="5" style={{textAlign: 'center'}}>Loading...</td></tr>) : sessions.length === 0 ? (<tr><td colSpan="5" style={{textAlign: 'center'}}>No active sessions.</td></tr>) : (sessions.map(s => (<tr key={s.session_id}><td style={{maxWidth: '260px', wordBreak: 'break-word', fontSize: '0.8rem'}}>{s.user_agent || 'Unknown device'}{s.current && (<span className="badge status-active" style={{marginLeft: '6px'}}>This device</span>)}</td><td>{s.ip_address || '—'}</td><td>{new Date(s.created_at).toLocaleString()}</td><td>{s.last_used_at ? new Date(s.last_used_at).toLocaleString() : '—'}</td><td>{!s.current && (<button className="btn btn-outline" style={{height: '36px', padding: '0 12px'}} onClick={() => onRevoke(s)}>Revoke</button>)}</td></tr>)))}</tbody></table></div>
+);
+
 const SettingsPage = () => {
+  const navigate = useNavigate();
   const [storeName, setStoreName] = useState('');
   const [bizAddress, setBizAddress] = useState('');
   const [bizContact, setBizContact] = useState('');
@@ -40,7 +47,15 @@ const SettingsPage = () => {
   const [cashEnabled, setCashEnabled] = useState(true);
   const [gcashEnabled, setGcashEnabled] = useState(true);
   const [codEnabled, setCodEnabled] = useState(true);
+  const [parkExpiryMinutes, setParkExpiryMinutes] = useState('120');
+  const [overrideApprovalPercent, setOverrideApprovalPercent] = useState('10');
   const [savingPrefs, setSavingPrefs] = useState(false);
+  const [vatRegistered, setVatRegistered] = useState(false);
+  const [tin, setTin] = useState('');
+  const [vatRate, setVatRate] = useState('12');
+  const [savingTax, setSavingTax] = useState(false);
+  const [sequences, setSequences] = useState([]);
+  const [savingSequence, setSavingSequence] = useState(null);
   const [users, setUsers] = useState([]);
   const [loadingUsers, setLoadingUsers] = useState(true);
   const [showAddUser, setShowAddUser] = useState(false);
@@ -55,12 +70,51 @@ const SettingsPage = () => {
   const [formPassword, setFormPassword] = useState('');
   const [formRole, setFormRole] = useState('staff');
   const [formStatus, setFormStatus] = useState('Active');
+  const [formMustChange, setFormMustChange] = useState(true);
   const [formAvatarFile, setFormAvatarFile] = useState(null);
   const [formAvatarPreview, setFormAvatarPreview] = useState(null);
   const [pwd, setPwd] = useState({ current: '', next: '', confirm: '' });
   const [showPwd, setShowPwd] = useState({ current: false, next: false, confirm: false });
   const [savingPwd, setSavingPwd] = useState(false);
-  const isAdmin = useMemo(() => (localStorage.getItem('userRole') === 'admin'), []);
+  const [permRoles, setPermRoles] = useState([]);
+  const [permList, setPermList] = useState([]);
+  const [permMatrix, setPermMatrix] = useState({});
+  const [savingPerms, setSavingPerms] = useState(false);
+  const [historyUser, setHistoryUser] = useState(null);
+  const [loginHistory, setLoginHistory] = useState([]);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [mySessions, setMySessions] = useState([]);
+  const [loadingMySessions, setLoadingMySessions] = useState(true);
+  const [sessionsUser, setSessionsUser] = useState(null);
+  const [userSessions, setUserSessions] = useState([]);
+  const [loadingUserSessions, setLoadingUserSessions] = useState(false);
+  const [twoFactor, setTwoFactor] = useState({ enabled: false, required: false, recovery_codes_remaining: 0 });
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [savingTwoFactor, setSavingTwoFactor] = useState(false);
+  const [requireTwoFactor, setRequireTwoFactor] = useState(false);
+  const [savingSecurity, setSavingSecurity] = useState(false);
+  const [setupRequired, setSetupRequired] = useState(isTwoFactorSetupRequired());
+  const [passwordChangeRequired, setPasswordChangeRequiredState] = useState(isPasswordChangeRequired());
+  const [passwordRules, setPasswordRules] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [resetPwdUser, setResetPwdUser] = useState(null);
+  const [resetPwdMode, setResetPwdMode] = useState('temporary');
+  const [resetPwdValue, setResetPwdValue] = useState('');
+  const [resetPwdRequireChange, setResetPwdRequireChange] = useState(true);
+  const [savingResetPwd, setSavingResetPwd] = useState(false);
+  const [orphanUploads, setOrphanUploads] = useState(null);
+  const [scanningUploads, setScanningUploads] = useState(false);
+  const isAdmin = useMemo(() => hasPermission('users.manage'), []);
+  // Approvers set a PIN they enter on a cashier's terminal to approve price overrides
+  const canApproveOverrides = useMemo(() => hasPermission('sales.approve_override'), []);
+  const [overridePinSet, setOverridePinSet] = useState(false);
+  const [overridePin, setOverridePin] = useState('');
+  const [overridePinPassword, setOverridePinPassword] = useState('');
+  const [savingOverridePin, setSavingOverridePin] = useState(false);
+  const canEditSettings = useMemo(() => hasPermission('settings.manage'), []);
   const userId = useMemo(() => localStorage.getItem('userId'), []);
 
   // Message Box State
@@ -74,14 +128,31 @@ const SettingsPage = () => {
         setLoadingUsers(true);
         const settingsRes = await settingsAPI.get();
         if (settingsRes.success && settingsRes.data) {
-          const s = settingsRes.data; setStoreName(s.store_name || ''); setBizAddress(s.address || ''); setBizContact(s.contact_number || ''); setBizEmail(s.email || ''); setCashEnabled(!!s.cash_enabled); setGcashEnabled(!!s.gcash_enabled); setCodEnabled(!!s.cod_enabled);
+          const s = settingsRes.data; setStoreName(s.store_name || ''); setBizAddress(s.address || ''); setBizContact(s.contact_number || ''); setBizEmail(s.email || ''); setCashEnabled(!!s.cash_enabled); setGcashEnabled(!!s.gcash_enabled); setCodEnabled(!!s.cod_enabled); setParkExpiryMinutes(String(s.park_expiry_minutes || 120)); setOverrideApprovalPercent(s.override_approval_percent != null ? String(Number(s.override_approval_percent)) : '10'); setRequireTwoFactor(!!s.require_two_factor); setVatRegistered(!!s.vat_registered); setTin(s.tin || ''); setVatRate(s.vat_rate != null ? String(Number(s.vat_rate)) : '12');
+        }
+        if (isAdmin) {
+          const permsRes = await settingsAPI.getPermissions(); if (permsRes.success && permsRes.data) { setPermRoles(permsRes.data.roles || []); setPermList(permsRes.data.permissions || []); setPermMatrix(permsRes.data.matrix || {}); }
         }
-        if (isAdmin) { const usersRes = await usersAPI.list(); if (usersRes.success && usersRes.data) setUsers(usersRes.data); }
-      } catch (err) { console.error("Failed to fetch settings:", err); } finally { setLoadingUsers(false); }
+      } catch (err) { console.error("Failed to fetch settings:", err); }
     };
     fetchAllData();
+    loadMySessions();
+    loadTwoFactor();
+    if (hasPermission('sales.approve_override')) authAPI.getOverridePinStatus().then(res => setOverridePinSet(!!res.data?.enabled)).catch(err => console.error('Failed to load override PIN status:', err));
+    authAPI.getPasswordPolicy().then(res => setPasswordRules(res.data?.rules || [])).catch(err => console.error('Failed to load password policy:', err));
   }, [isAdmin]);
 
+  useEffect(() => {
+    if (!canEditSettings) return;
+    settingsAPI.getNumbering().then(res => setSequences(res.data || [])).catch(err => console.error('Failed to load document numbering:', err));
+  }, [canEditSettings]);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    setLoadingUsers(true);
+    usersAPI.list({ includeArchived: showArchived }).then(res => setUsers(res.data || [])).catch(err => console.error('Load users failed:', err)).finally(() => setLoadingUsers(false));
+  }, [isAdmin, showArchived]);
+
   const saveBusinessInfo = async () => {
     try {
       setSavingBiz(true); await settingsAPI.updateBusinessInfo({ store_name: storeName, address: bizAddress, contact_number: bizContact, email: bizEmail });
@@ -91,12 +162,39 @@ const SettingsPage = () => {
 
   const savePreferences = async () => {
     try {
-      setSavingPrefs(true); await settingsAPI.updatePreferences({ cash_enabled: cashEnabled, gcash_enabled: gcashEnabled, cod_enabled: codEnabled });
+      setSavingPrefs(true); await settingsAPI.updatePreferences({ cash_enabled: cashEnabled, gcash_enabled: gcashEnabled, cod_enabled: codEnabled, park_expiry_minutes: parseInt(parkExpiryMinutes, 10) || 120, override_approval_percent: parseFloat(overrideApprovalPercent) || 0 });
       showMessage('Success', 'Preferences saved', 'success');
     } catch (e) { showMessage('Error', e.message || 'Failed to save preferences', 'error'); } finally { setSavingPrefs(false); }
   };
   
-  const resetForm = () => { setEditUser(null); setIsEditMode(false); setFormUsername(''); setFormFirstName(''); setFormMiddleName(''); setFormLastName(''); setFormEmail(''); setFormPassword(''); setFormRole('staff'); setFormStatus('Active'); setFormAvatarFile(null); setFormAvatarPreview(null); };
+  const saveTax = async () => {
+    try {
+      setSavingTax(true); await settingsAPI.updateTax({ vat_registered: vatRegistered, tin, vat_rate: vatRate === '' ? 12 : parseFloat(vatRate) });
+      showMessage('Success', 'Tax settings saved', 'success');
+    } catch (e) { showMessage('Error', e.message || 'Failed to save tax settings', 'error'); } finally { setSavingTax(false); }
+  };
+
+  const updateSequenceField = (docType, field, value) => setSequences(prev => prev.map(s => s.doc_type === docType ? { ...s, [field]: value } : s));
+
+  const saveSequence = async (seq) => {
+    try {
+      setSavingSequence(seq.doc_type);
+      await settingsAPI.updateNumbering(seq.doc_type, { prefix: seq.prefix, format: seq.format, padding: parseInt(seq.padding, 10) || 1, reset_period: seq.reset_period });
+      const res = await settingsAPI.getNumbering(); setSequences(res.data || []);
+      showMessage('Success', `${seq.label} numbering saved`, 'success');
+    } catch (e) { showMessage('Error', e.message || 'Failed to save document numbering', 'error'); } finally { setSavingSequence(null); }
+  };
+
+  const togglePermission = (role, key) => setPermMatrix(prev => { const granted = prev[role] || []; return { ...prev, [role]: granted.includes(key) ? granted.filter(p => p !== key) : [...granted, key] }; });
+
+  const savePermissions = async () => {
+    try {
+      setSavingPerms(true); const res = await settingsAPI.updatePermissions(permMatrix); if (res.data) setPermMatrix(res.data);
+      showMessage('Success', 'Role permissions saved. Users pick up changes on their next request.', 'success');
+    } catch (e) { showMessage('Error', e.message || 'Failed to save role permissions', 'error'); } finally { setSavingPerms(false); }
+  };
+
+  const resetForm = () => { setEditUser(null); setIsEditMode(false); setFormUsername(''); setFormFirstName(''); setFormMiddleName(''); setFormLastName(''); setFormEmail(''); setFormPassword(''); setFormRole('staff'); setFormStatus('Active'); setFormMustChange(true); setFormAvatarFile(null); setFormAvatarPreview(null); };
   const openAdd = () => { resetForm(); setShowAddUser(true); };
   const openEdit = (u) => { setEditUser(u); setIsEditMode(true); setFormUsername(u.username || ''); setFormFirstName(u.first_name || ''); setFormMiddleName(u.middle_name || ''); setFormLastName(u.last_name || ''); setFormEmail(u.email || ''); setFormPassword(''); setFormRole(u.role || 'staff'); setFormStatus(u.status || 'Active'); setFormAvatarFile(null); setFormAvatarPreview(u.avatar ? `http://localhost:5000${u.avatar}` : null); setShowAddUser(true); };
   const handleAvatarChange = (e) => { const file = e.target.files[0]; if (file) { setFormAvatarFile(file); setFormAvatarPreview(URL.createObjectURL(file)); } };
@@ -108,7 +206,6 @@ const SettingsPage = () => {
       const fd = new FormData(); fd.append('username', formUsername); fd.append('first_name', formFirstName); fd.append('middle_name', formMiddleName || ''); fd.append('last_name', formLastName); fd.append('email', formEmail); fd.append('role', formRole); fd.append('status', formStatus);
       if (formAvatarFile) fd.append('avatar', formAvatarFile);
       if (isEditMode) {
-        if (formPassword) fd.append('password', formPassword);
         const res = await usersAPI.update(editUser.id, fd);
         if (res && res.success && String(editUser.id) === String(userId)) {
           if (typeof res.avatar !== 'undefined') { if (res.avatar) localStorage.setItem('avatar', res.avatar); else localStorage.removeItem('avatar'); window.dispatchEvent(new Event('avatarChanged')); }
@@ -116,21 +213,126 @@ const SettingsPage = () => {
         }
       } else {
         if (!formPassword) { showMessage('Validation Error', 'Password is required for new users.', 'warning'); return; }
-        fd.append('password', formPassword); await usersAPI.create(fd);
+        fd.append('password', formPassword); fd.append('must_change_password', formMustChange ? 'true' : 'false'); await usersAPI.create(fd);
       }
       setShowAddUser(false); resetForm(); await loadUsers(); showMessage('Success', 'User saved successfully.', 'success');
     } catch (e) { showMessage('Error', e.message || 'Failed to save user', 'error'); } finally { setSavingUser(false); }
   };
   
-  const loadUsers = async () => { try { setLoadingUsers(true); const res = await usersAPI.list(); setUsers(res.data || []); } catch (e) { console.error('Load users failed:', e); } finally { setLoadingUsers(false); } };
+  const openLoginHistory = async (u) => {
+    setHistoryUser(u); setLoginHistory([]);
+    try { setLoadingHistory(true); const res = await usersAPI.getLoginHistory(u.id); setLoginHistory(res.data || []); } catch (e) { showMessage('Error', e.message || 'Failed to load login history', 'error'); } finally { setLoadingHistory(false); }
+  };
+
+  const unlockUser = async (u) => {
+    try { await usersAPI.unlock(u.id); await loadUsers(); showMessage('Success', `${u.username} has been unlocked.`, 'success'); } catch (e) { showMessage('Error', e.message || 'Failed to unlock account', 'error'); }
+  };
+
+  const loadMySessions = async () => { try { setLoadingMySessions(true); const res = await authAPI.getSessions(); setMySessions(res.data || []); } catch (e) { console.error('Load sessions failed:', e); } finally { setLoadingMySessions(false); } };
+
+  const revokeMySession = async (s) => {
+    try { await authAPI.revokeSession(s.session_id); await loadMySessions(); showMessage('Success', 'Session revoked.', 'success'); } catch (e) { showMessage('Error', e.message || 'Failed to revoke session', 'error'); }
+  };
+
+  const logoutAllDevices = async () => {
+    try { await authAPI.logoutAll(); } catch (e) { console.error('Logout all failed:', e); }
+    clearSession(); navigate('/admin/login');
+  };
+
+  const openUserSessions = async (u) => {
+    setSessionsUser(u); setUserSessions([]);
+    try { setLoadingUserSessions(true); const res = await usersAPI.getSessions(u.id); setUserSessions(res.data || []); } catch (e) { showMessage('Error', e.message || 'Failed to load sessions', 'error'); } finally { setLoadingUserSessions(false); }
+  };
+
+  const revokeUserSessions = async (u, s = null) => {
+    try { await usersAPI.revokeSessions(u.id, s ? s.session_id : null); if (s) { await openUserSessions(u); } else { setSessionsUser(null); showMessage('Success', `${u.username} has been signed out everywhere.`, 'success'); } } catch (e) { showMessage('Error', e.message || 'Failed to revoke sessions', 'error'); }
+  };
+
+  const loadTwoFactor = async () => { try { const res = await authAPI.getTwoFactorStatus(); if (res.data) setTwoFactor(res.data); } catch (e) { console.error('Load two-factor status failed:', e); } };
+
+  const startTwoFactorSetup = async () => {
+    try { setSavingTwoFactor(true); const res = await authAPI.setupTwoFactor(); setTwoFactorSetup(res.data); setTwoFactorCode(''); } catch (e) { showMessage('Error', e.message || 'Failed to start two-factor setup', 'error'); } finally { setSavingTwoFactor(false); }
+  };
+
+  const enableTwoFactor = async () => {
+    if (!twoFactorCode.trim()) { showMessage('Missing Code', 'Enter the 6-digit code from your authenticator app', 'warning'); return; }
+    try {
+      setSavingTwoFactor(true); const res = await authAPI.enableTwoFactor(twoFactorCode.trim());
+      setTwoFactorSetup(null); setTwoFactorCode(''); setRecoveryCodes(res.data?.recovery_codes || []);
+      setTwoFactorSetupRequired(false); setSetupRequired(false); await loadTwoFactor();
+    } catch (e) { showMessage('Error', e.message || 'Failed to enable two-factor authentication', 'error'); } finally { setSavingTwoFactor(false); }
+  };
+
+  const disableTwoFactor = async () => {
+    if (!twoFactorPassword) { showMessage('Missing Password', 'Enter your password to turn off two-factor authentication', 'warning'); return; }
+    try { setSavingTwoFactor(true); await authAPI.disableTwoFactor(twoFactorPassword); setTwoFactorPassword(''); await loadTwoFactor(); showMessage('Success', 'Two-factor authentication turned off', 'success'); } catch (e) { showMessage('Error', e.message || 'Failed to disable two-factor authentication', 'error'); } finally { setSavingTwoFactor(false); }
+  };
+
+  const regenerateRecoveryCodes = async () => {
+    if (!twoFactorCode.trim()) { showMessage('Missing Code', 'Enter a current code from your authenticator app', 'warning'); return; }
+    try { setSavingTwoFactor(true); const res = await authAPI.regenerateRecoveryCodes(twoFactorCode.trim()); setTwoFactorCode(''); setRecoveryCodes(res.data?.recovery_codes || []); await loadTwoFactor(); } catch (e) { showMessage('Error', e.message || 'Failed to regenerate recovery codes', 'error'); } finally { setSavingTwoFactor(false); }
+  };
+
+  const saveOverridePin = async () => {
+    if (!/^\d{4,8}$/.test(overridePin)) { showMessage('Invalid PIN', 'The PIN must be 4 to 8 digits', 'warning'); return; }
+    if (!overridePinPassword) { showMessage('Missing Password', 'Enter your password to set the PIN', 'warning'); return; }
+    try { setSavingOverridePin(true); await authAPI.setOverridePin(overridePinPassword, overridePin); setOverridePin(''); setOverridePinPassword(''); setOverridePinSet(true); showMessage('Success', 'Override PIN saved', 'success'); } catch (e) { showMessage('Error', e.message || 'Failed to save override PIN', 'error'); } finally { setSavingOverridePin(false); }
+  };
+
+  const saveSecurity = async () => {
+    try { setSavingSecurity(true); await settingsAPI.updateSecurity({ require_two_factor: requireTwoFactor }); await loadTwoFactor(); showMessage('Success', 'Security settings saved', 'success'); } catch (e) { showMessage('Error', e.message || 'Failed to save security settings', 'error'); } finally { setSavingSecurity(false); }
+  };
+
+  const scanOrphanUploads = async () => {
+    try { setScanningUploads(true); const res = await maintenanceAPI.getOrphanUploads(); setOrphanUploads(res.data); } catch (e) { showMessage('Error', e.message || 'Failed to scan uploaded files', 'error'); } finally { setScanningUploads(false); }
+  };
+
+  const purgeOrphanUploads = async () => {
+    if (!window.confirm(`Delete ${orphanUploads.count} orphaned file(s)? This cannot be undone.`)) return;
+    try { setScanningUploads(true); const res = await maintenanceAPI.purgeOrphanUploads(); setOrphanUploads(null); showMessage('Success', res.message || 'Orphaned files deleted', 'success'); } catch (e) { showMessage('Error', e.message || 'Failed to delete orphaned files', 'error'); } finally { setScanningUploads(false); }
+  };
+
+  const resetUserTwoFactor = async (u) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${u.username}? They will need to set it up again.`)) return;
+    try { await usersAPI.resetTwoFactor(u.id); await loadUsers(); showMessage('Success', `Two-factor authentication reset for ${u.username}.`, 'success'); } catch (e) { showMessage('Error', e.message || 'Failed to reset two-factor authentication', 'error'); }
+  };
+
+  const openResetPassword = (u) => { setResetPwdUser(u); setResetPwdMode('temporary'); setResetPwdValue(''); setResetPwdRequireChange(true); };
+
+  const submitResetPassword = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingResetPwd(true);
+      const payload = resetPwdMode === 'link' ? { send_link: true } : { password: resetPwdValue, require_change: resetPwdRequireChange };
+      const res = await usersAPI.resetPassword(resetPwdUser.id, payload);
+      setResetPwdUser(null); await loadUsers(); showMessage('Success', res.message || 'Password has been reset.', 'success');
+    } catch (e) { showMessage('Error', e.message || 'Failed to reset password', 'error'); } finally { setSavingResetPwd(false); }
+  };
+
+  const archiveUser = async (u) => {
+    if (!window.confirm(`Archive ${u.username}? They will be signed out and can no longer log in.`)) return;
+    try { await usersAPI.archive(u.id); await loadUsers(); showMessage('Success', `${u.username} has been archived.`, 'success'); } catch (e) { showMessage('Error', e.message || 'Failed to archive user', 'error'); }
+  };
+
+  const restoreUser = async (u) => {
+    try { const res = await usersAPI.restore(u.id); await loadUsers(); showMessage('Success', res.message || `${u.username} has been restored.`, 'success'); } catch (e) { showMessage('Error', e.message || 'Failed to restore user', 'error'); }
+  };
+
+  const deleteUser = async (u) => {
+    if (!window.confirm(`Permanently delete ${u.username}? This cannot be undone.`)) return;
+    try { await usersAPI.remove(u.id); await loadUsers(); showMessage('Success', `${u.username} has been deleted.`, 'success'); } catch (e) { showMessage('Error', e.message || 'Failed to delete user', 'error'); }
+  };
+
+  const loadUsers = async () => { try { setLoadingUsers(true); const res = await usersAPI.list({ includeArchived: showArchived }); setUsers(res.data || []); } catch (e) { console.error('Load users failed:', e); } finally { setLoadingUsers(false); } };
 
   const saveNewPassword = async () => {
     try {
       setSavingPwd(true);
       if (!pwd.current || !pwd.next || !pwd.confirm) { showMessage('Missing Fields', 'Please fill out all password fields', 'warning'); return; }
       if (pwd.next !== pwd.confirm) { showMessage('Mismatch', 'New passwords do not match', 'warning'); return; }
-      await authAPI.changePassword(userId, pwd.current, pwd.next);
+      await authAPI.changePassword(pwd.current, pwd.next);
       showMessage('Success', 'Password updated', 'success'); setPwd({ current: '', next: '', confirm: '' });
+      setPasswordChangeRequired(false); setPasswordChangeRequiredState(false);
     } catch (e) { showMessage('Error', e.message || 'Failed to update password', 'error'); } finally { setSavingPwd(false); }
   };
 
@@ -139,14 +341,88 @@ const SettingsPage = () => {
       <Navbar />
       <main className="admin-main">
         <div className="admin-container">
+          {passwordChangeRequired && (<div className="alert alert-danger" style={{ marginBottom: '16px' }}>Your password was reset by an administrator. Choose a new password below to continue using the system.</div>)}
+          {setupRequired && (<div className="alert alert-danger" style={{ marginBottom: '16px' }}>Two-factor authentication is required for your account. Set it up below to continue using the system.</div>)}
           <div className="settings-grid">
-            <section className="card"><h2>Business Information</h2><p className="section-sub">Update your store details and contact information</p><div className="form-group"><label>Store Name</label><input className="form-input" value={storeName} onChange={(e) => setStoreName(e.target.value)} /></div><div className="form-group"><label>Address</label><input className="form-input" value={bizAddress} onChange={(e) => setBizAddress(e.target.value)} /></div><div className="form-group"><label>Contact Number</label><input className="form-input" value={bizContact} onChange={(e) => setBizContact(e.target.value)} /></div><div className="form-group"><label>Email</label><input className="form-input" value={bizEmail} onChange={(e) => setBizEmail(e.target.value)} /></div><button className="btn btn-primary" onClick={saveBusinessInfo} disabled={savingBiz}>{savingBiz ? 'Saving...' : 'Save Business Information'}</button></section>
-            <section className="card"><div className="card-head"><h2>User Management</h2>{isAdmin && (<button className="btn btn-outline" onClick={openAdd}><BsPlusLg /> Add User</button>)}</div><div className="table-container"><table className="table"><thead><tr><th>Name</th><th>Role</th><th>Status</th><th>Action</th></tr></thead><tbody>{loadingUsers ? (<tr><td colSpan="4" style={{textAlign: 'center'}}>Loading...</td></tr>) : (users.map(u => (<tr key={u.id}><td>{u.username}</td><td><span className={`badge role-${(u.role||'').toLowerCase()}`}>{u.role}</span></td><td><span className={`badge status-${(u.status||'').toLowerCase()}`}>{u.status}</span></td><td><button className="btn btn-outline" style={{height: '36px', padding: '0 12px'}} onClick={() => openEdit(u)}>Edit</button></td></tr>)))}</tbody></table></div></section>
-            <section className="card"><h2>System Preferences</h2><p className="section-sub">Configure payments, and shipping options</p><div className="switch-row"><label>Cash Payment</label><input type="checkbox" checked={cashEnabled} onChange={(e) => setCashEnabled(e.target.checked)} /></div><div className="switch-row"><label>GCash Payment</label><input type="checkbox" checked={gcashEnabled} onChange={(e) => setGcashEnabled(e.target.checked)} /></div><div className="switch-row"><label>Cash On Delivery</label><input type="checkbox" checked={codEnabled} onChange={(e) => setCodEnabled(e.target.checked)} /></div><button className="btn btn-primary" onClick={savePreferences} disabled={savingPrefs}>{savingPrefs ? 'Saving...' : 'Save Preferences'}</button></section>
-            <section className="card"><h2>Password Management</h2><p className="section-sub">Update your account password for security</p><div className="form-group"><label>Current Password</label><div className="password-input"><input className="form-input" type={showPwd.current ? 'text' : 'password'} placeholder="Enter your current password" value={pwd.current} onChange={(e)=>setPwd({...pwd, current: e.target.value})} /><button type="button" onClick={()=>setShowPwd({...showPwd, current: !showPwd.current})}>{showPwd.current ? <BsEyeSlash/> : <BsEye/>}</button></div></div><div className="form-group"><label>New Password</label><div className="password-input"><input className="form-input" type={showPwd.next ? 'text' : 'password'} placeholder="Enter your new password" value={pwd.next} onChange={(e)=>setPwd({...pwd, next: e.target.value})} /><button type="button" onClick={()=>setShowPwd({...showPwd, next: !showPwd.next})}>{showPwd.next ? <BsEyeSlash/> : <BsEye/>}</button></div></div><div className="form-group"><label>Confirm New Password</label><div className="password-input"><input className="form-input" type={showPwd.confirm ? 'text' : 'password'} placeholder="Confirm your new password" value={pwd.confirm} onChange={(e)=>setPwd({...pwd, confirm: e.target.value})} /><button type="button" onClick={()=>setShowPwd({...showPwd, confirm: !showPwd.confirm})}>{showPwd.confirm ? <BsEyeSlash/> : <BsEye/>}</button></div></div><button className="btn btn-primary" onClick={saveNewPassword} disabled={savingPwd}>{savingPwd ? 'Saving...' : 'Save New Password'}</button></section>
+            {canEditSettings && (<section className="card"><h2>Business Information</h2><p className="section-sub">Update your store details and contact information</p><div className="form-group"><label>Store Name</label><input className="form-input" value={storeName} onChange={(e) => setStoreName(e.target.value)} /></div><div className="form-group"><label>Address</label><input className="form-input" value={bizAddress} onChange={(e) => setBizAddress(e.target.value)} /></div><div className="form-group"><label>Contact Number</label><input className="form-input" value={bizContact} onChange={(e) => setBizContact(e.target.value)} /></div><div className="form-group"><label>Email</label><input className="form-input" value={bizEmail} onChange={(e) => setBizEmail(e.target.value)} /></div><button className="btn btn-primary" onClick={saveBusinessInfo} disabled={savingBiz}>{savingBiz ? 'Saving...' : 'Save Business Information'}</button></section>)}
+            {isAdmin && (<section className="card"><div className="card-head"><h2>User Management</h2><div style={{display: 'flex', gap: '10px', alignItems: 'center'}}><label style={{fontSize: '0.85rem', display: 'flex', gap: '6px', alignItems: 'center'}}><input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} /> Show archived</label>{isAdmin && (<button className="btn btn-outline" onClick={openAdd}><BsPlusLg /> Add User</button>)}</div></div><div className="table-container"><table className="table"><thead><tr><th>Name</th><th>Role</th><th>Status</th><th>Action</th></tr></thead><tbody>{loadingUsers ? (<tr><td colSpan="4" style={{textAlign: 'center'}}>Loading...</td></tr>) : (users.map(u => (<tr key={u.id}><td>{u.username}<div style={{fontSize: '0.8rem', color: '#6b7280'}}>{[u.first_name, u.middle_name, u.last_name].filter(Boolean).join(' ')}{u.email ? ` · ${u.email}` : ''}</div></td><td><span className={`badge role-${(u.role||'').toLowerCase()}`}>{u.role}</span></td><td><span className={`badge status-${(u.status||'').toLowerCase()}`}>{u.status}</span>{!!u.archived_at && (<span className="badge status-inactive" style={{marginLeft: '6px'}} title={`Archived ${new Date(u.archived_at).toLocaleString()}`}>Archived</span>)}{!!u.must_change_password && (<span className="badge status-inactive" style={{marginLeft: '6px'}}>Must change password</span>)}{!!u.two_factor_enabled && (<span className="badge status-active" style={{marginLeft: '6px'}}>2FA</span>)}{!!u.is_locked && (<span className="badge status-inactive" style={{marginLeft: '6px'}} title={`Locked until ${new Date(u.locked_until).toLocaleString()}`}>Locked</span>)}</td><td><div style={{display: 'flex', gap: '6px', flexWrap: 'wrap'}}>{u.archived_at ? (<><button className="btn btn-outline" style={{height: '36px', padding: '0 12px'}} onClick={() => restoreUser(u)}>Restore</button><button className="btn btn-outline" style={{height: '36px', padding: '0 12px'}} onClick={() => deleteUser(u)}>Delete</button></>) : (<><button className="btn btn-outline" style={{height: '36px', padding: '0 12px'}} onClick={() => openEdit(u)}>Edit</button><button className="btn btn-outline" style={{height: '36px', padding: '0 12px'}} onClick={() => openResetPassword(u)}>Reset Password</button>{String(u.id) !== String(userId) && (<button className="btn btn-outline" style={{height: '36px', padding: '0 12px'}} onClick={() => archiveUser(u)}>Archive</button>)}</>)}<button className="btn btn-outline" style={{height: '36px', padding: '0 12px'}} onClick={() => openLoginHistory(u)}>Logins</button><button className="btn btn-outline" style={{height: '36px', padding: '0 12px'}} onClick={() => openUserSessions(u)}>Sessions</button>{!u.archived_at && (!!u.is_locked || u.failed_login_attempts > 0) && (<button className="btn btn-outline" style={{height: '36px', padding: '0 12px'}} onClick={() => unlockUser(u)}>Unlock</button>)}{!!u.two_factor_enabled && (<button className="btn btn-outline" style={{height: '36px', padding: '0 12px'}} onClick={() => resetUserTwoFactor(u)}>Reset 2FA</button>)}</div></td></tr>)))}</tbody></table></div></section>)}
+            {isAdmin && (<section className="card"><h2>Role Permissions</h2><p className="section-sub">Choose what each role can do. Admins always have full access.</p><div className="table-container"><table className="table"><thead><tr><th>Permission</th>{permRoles.map(role => (<th key={role} style={{textTransform: 'capitalize', textAlign: 'center'}}>{role}</th>))}</tr></thead><tbody>{permList.map(p => (<tr key={p.key}><td>{p.label}</td>{permRoles.map(role => (<td key={role} style={{textAlign: 'center'}}><input type="checkbox" checked={role === 'admin' || (permMatrix[role] || []).includes(p.key)} disabled={role === 'admin'} onChange={() => togglePermission(role, p.key)} /></td>))}</tr>))}</tbody></table></div><button className="btn btn-primary" onClick={savePermissions} disabled={savingPerms}>{savingPerms ? 'Saving...' : 'Save Role Permissions'}</button></section>)}
+            {canEditSettings && (<section className="card"><h2>System Preferences</h2><p className="section-sub">Configure payments, and shipping options</p><div className="switch-row"><label>Cash Payment</label><input type="checkbox" checked={cashEnabled} onChange={(e) => setCashEnabled(e.target.checked)} /></div><div className="switch-row"><label>GCash Payment</label><input type="checkbox" checked={gcashEnabled} onChange={(e) => setGcashEnabled(e.target.checked)} /></div><div className="switch-row"><label>Cash On Delivery</label><input type="checkbox" checked={codEnabled} onChange={(e) => setCodEnabled(e.target.checked)} /></div><div className="switch-row"><label title="Parked sales expire after this long and their serial numbers are released">Parked Sale Hold (minutes)</label><input type="number" min={5} max={10080} value={parkExpiryMinutes} onChange={(e) => setParkExpiryMinutes(e.target.value)} style={{ width: '90px' }} /></div><div className="switch-row"><label title="Price overrides that cut the list price by more than this need a manager's approval">Override Approval Above (% off list)</label><input type="number" min={0} max={100} step={0.5} value={overrideApprovalPercent} onChange={(e) => setOverrideApprovalPercent(e.target.value)} style={{ width: '90px' }} /></div><button className="btn btn-primary" onClick={savePreferences} disabled={savingPrefs}>{savingPrefs ? 'Saving...' : 'Save Preferences'}</button></section>)}
+            {canEditSettings && (<section className="card"><h2>Tax</h2><p className="section-sub">VAT registration printed on receipts. Prices are entered VAT-inclusive.</p><div className="switch-row"><label>VAT Registered</label><input type="checkbox" checked={vatRegistered} onChange={(e) => setVatRegistered(e.target.checked)} /></div><div className="form-group"><label>TIN</label><input className="form-input" placeholder="123-456-789-000" value={tin} onChange={(e) => setTin(e.target.value)} /></div><div className="form-group"><label>VAT Rate (%)</label><input className="form-input" type="number" min="0" max="100" step="0.01" value={vatRate} onChange={(e) => setVatRate(e.target.value)} disabled={!vatRegistered} /></div><button className="btn btn-primary" onClick={saveTax} disabled={savingTax}>{savingTax ? 'Saving...' : 'Save Tax Settings'}</button></section>)}
+            {canEditSettings && sequences.length > 0 && (<section className="card"><h2>Document Numbering</h2><p className="section-sub">Format tokens: {'{prefix}'} {'{yyyy}'} {'{yy}'} {'{mm}'} {'{dd}'} {'{seq}'}. Counters restart when the reset period changes; the date parts it needs must be in the format.</p><div className="table-responsive"><table className="table"><thead><tr><th>Document</th><th>Prefix</th><th>Format</th><th>Digits</th><th>Reset</th><th>Next Number</th><th></th></tr></thead><tbody>{sequences.map(seq => (<tr key={seq.doc_type}><td>{seq.label}</td><td><input className="form-input" value={seq.prefix} maxLength={20} onChange={(e) => updateSequenceField(seq.doc_type, 'prefix', e.target.value)} /></td><td><input className="form-input" value={seq.format} maxLength={60} onChange={(e) => updateSequenceField(seq.doc_type, 'format', e.target.value)} /></td><td><input className="form-input" type="number" min={seq.min_padding || 1} max="10" value={seq.padding} onChange={(e) => updateSequenceField(seq.doc_type, 'padding', e.target.value)} style={{ width: '70px' }} /></td><td><select className="form-input" value={seq.reset_period} onChange={(e) => updateSequenceField(seq.doc_type, 'reset_period', e.target.value)}><option value="never">Never</option><option value="daily">Daily</option><option value="monthly">Monthly</option><option value="yearly">Yearly</option></select></td><td style={{ fontFamily: 'monospace' }}>{seq.preview}</td><td><button className="btn btn-primary" onClick={() => saveSequence(seq)} disabled={savingSequence === seq.doc_type}>{savingSequence === seq.doc_type ? 'Saving...' : 'Save'}</button></td></tr>))}</tbody></table></div></section>)}
+            {canEditSettings && (<section className="card"><div className="card-head"><h2>Stored Files</h2><div style={{display: 'flex', gap: '10px'}}><button className="btn btn-outline" onClick={scanOrphanUploads} disabled={scanningUploads}>{scanningUploads ? 'Working...' : 'Scan for Orphaned Files'}</button>{orphanUploads?.count > 0 && (<button className="btn btn-primary" onClick={purgeOrphanUploads} disabled={scanningUploads}>Delete Orphaned Files</button>)}</div></div><p className="section-sub">Uploaded images that no product, user, order or return uses any more. Files uploaded within the last hour are skipped.</p>{orphanUploads && (orphanUploads.count === 0 ? (<p>No orphaned files found.</p>) : (<><p>{orphanUploads.count} file(s), {(orphanUploads.total_size / 1024 / 1024).toFixed(2)} MB</p><div className="table-container" style={{maxHeight: '240px', overflowY: 'auto'}}><table className="table"><thead><tr><th>File</th><th>Size</th><th>Last Modified</th></tr></thead><tbody>{orphanUploads.files.map(f => (<tr key={f.path}><td style={{wordBreak: 'break-all'}}>{f.path}</td><td>{Math.ceil(f.size / 1024)} KB</td><td>{new Date(f.modified_at).toLocaleString()}</td></tr>))}</tbody></table></div></>))}</section>)}
+            <section className="card"><h2>Password Management</h2><p className="section-sub">Update your account password for security</p><div className="form-group"><label>Current Password</label><div className="password-input"><input className="form-input" type={showPwd.current ? 'text' : 'password'} placeholder="Enter your current password" value={pwd.current} onChange={(e)=>setPwd({...pwd, current: e.target.value})} /><button type="button" onClick={()=>setShowPwd({...showPwd, current: !showPwd.current})}>{showPwd.current ? <BsEyeSlash/> : <BsEye/>}</button></div></div><div className="form-group"><label>New Password</label><div className="password-input"><input className="form-input" type={showPwd.next ? 'text' : 'password'} placeholder="Enter your new password" value={pwd.next} onChange={(e)=>setPwd({...pwd, next: e.target.value})} /><button type="button" onClick={()=>setShowPwd({...showPwd, next: !showPwd.next})}>{showPwd.next ? <BsEyeSlash/> : <BsEye/>}</button></div>{passwordRules.length > 0 && (<p className="section-sub" style={{marginTop: '6px'}}>{passwordRules.join(' · ')}</p>)}</div><div className="form-group"><label>Confirm New Password</label><div className="password-input"><input className="form-input" type={showPwd.confirm ? 'text' : 'password'} placeholder="Confirm your new password" value={pwd.confirm} onChange={(e)=>setPwd({...pwd, confirm: e.target.value})} /><button type="button" onClick={()=>setShowPwd({...showPwd, confirm: !showPwd.confirm})}>{showPwd.confirm ? <BsEyeSlash/> : <BsEye/>}</button></div></div><button className="btn btn-primary" onClick={saveNewPassword} disabled={savingPwd}>{savingPwd ? 'Saving...' : 'Save New Password'}</button></section>
+            {isAdmin && (<section className="card"><h2>Security</h2><p className="section-sub">Sign-in requirements for staff accounts</p><div className="switch-row"><label>Require two-factor authentication for admin and manager accounts</label><input type="checkbox" checked={requireTwoFactor} onChange={(e) => setRequireTwoFactor(e.target.checked)} /></div><button className="btn btn-primary" onClick={saveSecurity} disabled={savingSecurity}>{savingSecurity ? 'Saving...' : 'Save Security Settings'}</button></section>)}
+            <section className="card"><h2>Two-Factor Authentication</h2><p className="section-sub">Protect your account with a code from an authenticator app</p>
+              {twoFactor.enabled ? (<>
+                <p><span className="badge status-active">Enabled</span> <span style={{color: '#6b7280', fontSize: '0.9rem'}}>{twoFactor.recovery_codes_remaining} recovery code(s) left</span></p>
+                <div className="form-group"><label>Authenticator Code</label><input className="form-input" inputMode="numeric" placeholder="Enter a current code to get new recovery codes" value={twoFactorCode} onChange={(e) => setTwoFactorCode(e.target.value)} /></div>
+                <button className="btn btn-outline" onClick={regenerateRecoveryCodes} disabled={savingTwoFactor}>Regenerate Recovery Codes</button>
+                {!twoFactor.required && (<><div className="form-group" style={{marginTop: '16px'}}><label>Password</label><input className="form-input" type="password" placeholder="Enter your password to turn off 2FA" value={twoFactorPassword} onChange={(e) => setTwoFactorPassword(e.target.value)} /></div><button className="btn btn-outline" onClick={disableTwoFactor} disabled={savingTwoFactor}>Turn Off Two-Factor Authentication</button></>)}
+              </>) : twoFactorSetup ? (<>
+                <p style={{fontSize: '0.9rem'}}>Scan this QR code with your authenticator app, or enter the key manually, then type the 6-digit code it shows.</p>
+                <img src={twoFactorSetup.qr_code} alt="Two-factor QR code" style={{ width: '180px', height: '180px', display: 'block', marginBottom: '10px' }} />
+                <p style={{fontFamily: 'monospace', wordBreak: 'break-all'}}>{twoFactorSetup.secret}</p>
+                <div className="form-group"><label>Authenticator Code</label><input className="form-input" inputMode="numeric" autoComplete="one-time-code" placeholder="123456" value={twoFactorCode} onChange={(e) => setTwoFactorCode(e.target.value)} /></div>
+                <div style={{display: 'flex', gap: '8px'}}><button className="btn btn-primary" onClick={enableTwoFactor} disabled={savingTwoFactor}>{savingTwoFactor ? 'Verifying...' : 'Enable'}</button><button className="btn btn-outline" onClick={() => { setTwoFactorSetup(null); setTwoFactorCode(''); }}>Cancel</button></div>
+              </>) : (<>
+                <p><span className="badge status-inactive">Disabled</span>{twoFactor.required && (<span style={{color: '#b91c1c', fontSize: '0.9rem', marginLeft: '6px'}}>Required for your role</span>)}</p>
+                <button className="btn btn-primary" onClick={startTwoFactorSetup} disabled={savingTwoFactor}>Set Up Two-Factor Authentication</button>
+              </>)}
+            </section>
+            {canApproveOverrides && (<section className="card"><h2>Price Override PIN</h2><p className="section-sub">Enter this PIN on a cashier's terminal to approve a large price override</p><p>{overridePinSet ? <span className="badge status-active">Set</span> : <span className="badge status-inactive">Not set</span>}</p><div className="form-group"><label>{overridePinSet ? 'New PIN' : 'PIN'}</label><input className="form-input" type="password" inputMode="numeric" maxLength={8} placeholder="4 to 8 digits" value={overridePin} onChange={(e) => setOverridePin(e.target.value.replace(/\D/g, ''))} /></div><div className="form-group"><label>Password</label><input className="form-input" type="password" placeholder="Enter your password to confirm" value={overridePinPassword} onChange={(e) => setOverridePinPassword(e.target.value)} /></div><button className="btn btn-primary" onClick={saveOverridePin} disabled={savingOverridePin}>{savingOverridePin ? 'Saving...' : 'Save PIN'}</button></section>)}
+            <section className="card"><div className="card-head"><h2>Active Sessions</h2><button className="btn btn-outline" onClick={logoutAllDevices}>Log Out All Devices</button></div><p className="section-sub">Devices currently signed in to your account</p><SessionsTable sessions={mySessions} loading={loadingMySessions} onRevoke={revokeMySession} /></section>
           </div>
         </div>
       </main>
+      {historyUser && (
+        <div className="modal-overlay" onClick={() => setHistoryUser(null)}>
+          <div className="modal-content" style={{ maxWidth: '760px', width: '95%' }} onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header"><h3>Login History — {historyUser.username}</h3><button onClick={() => setHistoryUser(null)} className="close-btn">×</button></div>
+            <div className="modal-body">
+              <p className="section-sub">Failed attempts since last success: {historyUser.failed_login_attempts || 0}{historyUser.is_locked ? ` · Locked until ${new Date(historyUser.locked_until).toLocaleString()}` : ''}</p>
+              <div className="table-container"><table className="table"><thead><tr><th>Time</th><th>Result</th><th>IP Address</th><th>Device</th></tr></thead><tbody>{loadingHistory ? (<tr><td colSpan="4" style={{textAlign: 'center'}}>Loading...</td></tr>) : loginHistory.length === 0 ? (<tr><td colSpan="4" style={{textAlign: 'center'}}>No login attempts recorded.</td></tr>) : (loginHistory.map(h => (<tr key={h.id}><td>{new Date(h.created_at).toLocaleString()}</td><td><span className={`badge status-${h.success ? 'active' : 'inactive'}`}>{h.success ? 'Success' : `Failed (${(h.failure_reason || '').replace(/_/g, ' ')})`}</span></td><td>{h.ip_address || '—'}</td><td style={{maxWidth: '260px', wordBreak: 'break-word', fontSize: '0.8rem'}}>{h.user_agent || '—'}</td></tr>)))}</tbody></table></div>
+            </div>
+            <div className="modal-actions">{(!!historyUser.is_locked || historyUser.failed_login_attempts > 0) && (<button type="button" className="save-btn" onClick={async () => { await unlockUser(historyUser); setHistoryUser(null); }}>Unlock Account</button>)}<button type="button" className="cancel-btn" onClick={() => setHistoryUser(null)}>Close</button></div>
+          </div>
+        </div>
+      )}
+      {sessionsUser && (
+        <div className="modal-overlay" onClick={() => setSessionsUser(null)}>
+          <div className="modal-content" style={{ maxWidth: '760px', width: '95%' }} onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header"><h3>Active Sessions — {sessionsUser.username}</h3><button onClick={() => setSessionsUser(null)} className="close-btn">×</button></div>
+            <div className="modal-body"><SessionsTable sessions={userSessions} loading={loadingUserSessions} onRevoke={(s) => revokeUserSessions(sessionsUser, s)} /></div>
+            <div className="modal-actions">{userSessions.length > 0 && (<button type="button" className="save-btn" onClick={() => revokeUserSessions(sessionsUser)}>Sign Out Everywhere</button>)}<button type="button" className="cancel-btn" onClick={() => setSessionsUser(null)}>Close</button></div>
+          </div>
+        </div>
+      )}
+      {recoveryCodes && (
+        <div className="modal-overlay">
+          <div className="modal-content" style={{ maxWidth: '480px', width: '95%' }}>
+            <div className="modal-header"><h3>Recovery Codes</h3></div>
+            <div className="modal-body">
+              <p className="section-sub">Store these somewhere safe. Each code signs you in once if you lose your authenticator app. They will not be shown again.</p>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', fontFamily: 'monospace', fontSize: '1rem' }}>{recoveryCodes.map(c => (<span key={c}>{c}</span>))}</div>
+            </div>
+            <div className="modal-actions"><button type="button" className="save-btn" onClick={() => setRecoveryCodes(null)}>I Have Saved These Codes</button></div>
+          </div>
+        </div>
+      )}
+      {resetPwdUser && (
+        <div className="modal-overlay" onClick={() => setResetPwdUser(null)}>
+          <div className="modal-content" style={{ maxWidth: '480px', width: '95%' }} onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header"><h3>Reset Password — {resetPwdUser.username}</h3><button onClick={() => setResetPwdUser(null)} className="close-btn">×</button></div>
+            <form onSubmit={submitResetPassword}>
+              <div className="modal-body">
+                <p className="section-sub">The user is signed out of every device.</p>
+                <div className="form-group"><label style={{display: 'flex', gap: '6px', alignItems: 'center'}}><input type="radio" checked={resetPwdMode === 'temporary'} onChange={() => setResetPwdMode('temporary')} /> Set a temporary password</label><label style={{display: 'flex', gap: '6px', alignItems: 'center'}}><input type="radio" checked={resetPwdMode === 'link'} onChange={() => setResetPwdMode('link')} /> Email a reset link to {resetPwdUser.email}</label></div>
+                {resetPwdMode === 'temporary' && (<><div className="form-group"><label>Temporary Password</label><input className="form-input" type="password" value={resetPwdValue} onChange={(e) => setResetPwdValue(e.target.value)} required />{passwordRules.length > 0 && (<p className="section-sub" style={{marginTop: '6px'}}>{passwordRules.join(' · ')}</p>)}</div><div className="switch-row"><label>Require password change at next login</label><input type="checkbox" checked={resetPwdRequireChange} onChange={(e) => setResetPwdRequireChange(e.target.checked)} /></div></>)}
+              </div>
+              <div className="modal-actions"><button type="button" className="cancel-btn" onClick={() => setResetPwdUser(null)}>Cancel</button><button type="submit" className="save-btn" disabled={savingResetPwd}>{savingResetPwd ? 'Saving...' : (resetPwdMode === 'link' ? 'Send Link' : 'Reset Password')}</button></div>
+            </form>
+          </div>
+        </div>
+      )}
       <MessageBox isOpen={msgBox.isOpen} title={msgBox.title} message={msgBox.message} type={msgBox.type} onClose={closeMessage} />
       {showAddUser && (
         <div className="modal-overlay" onClick={()=>{ setShowAddUser(false); resetForm(); }}>
@@ -158,9 +434,9 @@ const SettingsPage = () => {
                  <div className="form-group"><label>Middle Name</label><input className="form-input" value={formMiddleName} onChange={(e)=>setFormMiddleName(e.target.value)} placeholder="Enter middle name (optional)" /></div>
                 <div className="form-group"><label>Username <span style={{color: 'red'}}>*</span></label><input className="form-input" value={formUsername} onChange={(e)=>setFormUsername(e.target.value)} placeholder="Enter username" required /></div>
                 <div className="form-group"><label>Email <span style={{color: 'red'}}>*</span></label><input className="form-input" type="email" value={formEmail} onChange={(e)=>setFormEmail(e.target.value)} required /></div>
-                <div className="form-group"><label>Password {isEditMode ? '(Leave blank to keep unchanged)' : <span style={{color: 'red'}}>*</span>}</label><input className="form-input" type="password" value={formPassword} onChange={(e)=>setFormPassword(e.target.value)} required={!isEditMode} /></div>
-                <div className="form-row"><div className="form-group"><label>Role</label><select className="form-select" value={formRole} onChange={(e)=>setFormRole(e.target.value)}><option value="admin">Admin</option><option value="driver">Driver</option><option value="staff">Staff</option></select></div><div className="form-group"><label>Status</label><select className="form-select" value={formStatus} onChange={(e)=>setFormStatus(e.target.value)}><option value="Active">Active</option><option value="Inactive">Inactive</option></select></div></div>
-                <div className="form-group"><label>Avatar</label>{formAvatarPreview && <img src={formAvatarPreview} alt="Avatar" style={{ width: '80px', height: '80px', borderRadius: '50%', objectFit: 'cover', marginBottom: '10px' }} />}<input className="form-input" type="file" accept="image/*" onChange={handleAvatarChange} /></div>
+                {!isEditMode && (<><div className="form-group"><label>Password <span style={{color: 'red'}}>*</span></label><input className="form-input" type="password" value={formPassword} onChange={(e)=>setFormPassword(e.target.value)} required />{passwordRules.length > 0 && (<p className="section-sub" style={{marginTop: '6px'}}>{passwordRules.join(' · ')}</p>)}</div><div className="switch-row"><label>Require password change at first login</label><input type="checkbox" checked={formMustChange} onChange={(e)=>setFormMustChange(e.target.checked)} /></div></>)}
+                <div className="form-row"><div className="form-group"><label>Role</label><select className="form-select" value={formRole} onChange={(e)=>setFormRole(e.target.value)}><option value="admin">Admin</option><option value="manager">Manager</option><option value="driver">Driver</option><option value="staff">Staff</option></select></div><div className="form-group"><label>Status</label><select className="form-select" value={formStatus} onChange={(e)=>setFormStatus(e.target.value)}><option value="Active">Active</option><option value="Inactive">Inactive</option></select></div></div>
+                <div className="form-group"><label>Avatar</label>{formAvatarPreview && <img src={formAvatarPreview} alt="Avatar" style={{ width: '80px', height: '80px', borderRadius: '50%', objectFit: 'cover', marginBottom: '10px' }} />}<input className="form-input" type="file" accept="image/jpeg,image/png,image/gif,image/webp" onChange={handleAvatarChange} /></div>
               </div>
               <div className="modal-actions"><button type="button" className="cancel-btn" onClick={()=>{ setShowAddUser(false); resetForm(); }}>Cancel</button><button type="submit" className="save-btn" disabled={savingUser}>{savingUser ? 'Saving...' : (isEditMode ? 'Save Changes' : 'Add User')}</button></div>
             </form>
@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import Navbar from '../../components/admin/Navbar';
+import { shiftsAPI } from '../../utils/api';
+import { hasPermission } from '../../utils/auth';
+import { generateZReportPDF } from '../../utils/pdfGenerator';
+import { BsFileEarmarkPdf, BsBoxArrowInDown, BsBoxArrowUp } from 'react-icons/bs';
+import '../../styles/Admin.css';
+
+// --- CUSTOM MESSAGE BOX COMPONENT ---
+const MessageBox = ({ isOpen, title, message, type, onClose, onConfirm }) => {
+  if (!isOpen) return null;
+  let headerColor = '#f8f9fa';
+  let titleColor = '#2c3e50';
+  if (type === 'error') { headerColor = '#fee2e2'; titleColor = '#b91c1c'; }
+  else if (type === 'success') { headerColor = '#dcfce7'; titleColor = '#166534'; }
+  else if (type === 'warning') { headerColor = '#fff7ed'; titleColor = '#c2410c'; }
+
+  return (
+    <div className="modal-overlay" style={{ zIndex: 9999 }}>
+      <div className="modal-content" style={{ maxWidth: '400px', width: '90%', borderRadius: '12px', overflow: 'hidden' }}>
+        <div className="modal-header" style={{ backgroundColor: headerColor, borderBottom: '1px solid rgba(0,0,0,0.05)', padding: '15px 20px' }}>
+          <h3 style={{ color: titleColor, fontSize: '1.1rem', margin: 0, fontWeight: '600' }}>{title}</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+        <div className="modal-body" style={{ padding: '25px 20px' }}>
+          <p style={{ margin: 0, fontSize: '0.95rem', color: '#4b5563', lineHeight: '1.5', whiteSpace: 'pre-line' }}>{message}</p>
+        </div>
+        <div className="modal-actions" style={{ padding: '15px 20px', backgroundColor: '#f9fafb' }}>
+          {onConfirm ? (
+            <>
+              <button onClick={onClose} className="cancel-btn">Cancel</button>
+              <button onClick={() => { onConfirm(); onClose(); }} className="confirm-btn" style={{ backgroundColor: type === 'error' || type === 'warning' ? '#dc3545' : 'var(--color-primary)' }}>Confirm</button>
+            </>
+          ) : (
+            <button onClick={onClose} className="confirm-btn" style={{ marginLeft: 'auto' }}>OK</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const peso = (value) => `₱${Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const varianceColor = (variance) => (Number(variance) < 0 ? '#b91c1c' : Number(variance) > 0 ? '#b45309' : '#166534');
+
+const Stat = ({ label, value, color }) => (
+  <div><div style={{ fontSize: '0.8rem', color: '#6b7280' }}>{label}</div><strong style={{ color }}>{value}</strong></div>
+);
+
+const ShiftsPage = () => {
+  const canOperate = useMemo(() => hasPermission('shifts.operate'), []);
+  const adminName = localStorage.getItem('username') || 'Admin User';
+
+  const [current, setCurrent] = useState(null);
+  const [loadingCurrent, setLoadingCurrent] = useState(true);
+  const [history, setHistory] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [page, setPage] = useState(1);
+  const [saving, setSaving] = useState(false);
+
+  const [openForm, setOpenForm] = useState({ opening_float: '', notes: '' });
+  const [movement, setMovement] = useState({ type: 'out', amount: '', reason: '' });
+  const [closeForm, setCloseForm] = useState({ counted_cash: '', notes: '' });
+
+  const [msgBox, setMsgBox] = useState({ isOpen: false, title: '', message: '', type: 'info', onConfirm: null });
+  const showMessage = (title, message, type = 'info', onConfirm = null) => setMsgBox({ isOpen: true, title, message, type, onConfirm });
+  const closeMessage = () => setMsgBox(prev => ({ ...prev, isOpen: false }));
+
+  const fetchCurrent = useCallback(async () => {
+    if (!canOperate) { setLoadingCurrent(false); return; }
+    try {
+      const res = await shiftsAPI.getCurrentShift();
+      setCurrent(res.data);
+    } catch (error) {
+      console.error('Failed to fetch current shift:', error);
+    } finally {
+      setLoadingCurrent(false);
+    }
+  }, [canOperate]);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const res = await shiftsAPI.getShifts({ page, limit: 10 });
+      setHistory(res.data || []);
+      setPagination(res.pagination || {});
+    } catch (error) {
+      console.error('Failed to fetch shifts:', error);
+      setMsgBox({ isOpen: true, title: 'Error', message: error.message || 'Failed to load shifts.', type: 'error', onConfirm: null });
+    }
+  }, [page]);
+
+  useEffect(() => { fetchCurrent(); }, [fetchCurrent]);
+  useEffect(() => { fetchHistory(); }, [fetchHistory]);
+
+  const printReport = async (report) => {
+    try {
+      const doc = await generateZReportPDF(report, adminName);
+      doc.save(`Z-Report_${report.shift.shift_number}.pdf`);
+    } catch (error) {
+      console.error('Failed to generate Z-report:', error);
+      showMessage('Error', 'Failed to generate the Z-report.', 'error');
+    }
+  };
+
+  const printShift = async (shift) => {
+    try {
+      const res = await shiftsAPI.getShift(shift.id);
+      await printReport(res.data);
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to load shift.', 'error');
+    }
+  };
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    const openingFloat = parseFloat(openForm.opening_float);
+    if (Number.isNaN(openingFloat) || openingFloat < 0) { showMessage('Opening Float', 'Enter the cash counted into the drawer (0 if empty).', 'warning'); return; }
+    setSaving(true);
+    try {
+      const res = await shiftsAPI.openShift({ opening_float: openingFloat, notes: openForm.notes.trim() });
+      setCurrent(res.data);
+      setOpenForm({ opening_float: '', notes: '' });
+      fetchHistory();
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to open shift.', 'error');
+      fetchCurrent();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMovement = async (e) => {
+    e.preventDefault();
+    const amount = parseFloat(movement.amount);
+    if (Number.isNaN(amount) || amount <= 0) { showMessage('Cash In / Out', 'Enter an amount greater than zero.', 'warning'); return; }
+    if (movement.reason.trim().length < 3) { showMessage('Cash In / Out', 'Enter the reason for the cash movement.', 'warning'); return; }
+    setSaving(true);
+    try {
+      const res = await shiftsAPI.addMovement(current.shift.id, { type: movement.type, amount, reason: movement.reason.trim() });
+      setCurrent(res.data);
+      setMovement({ type: 'out', amount: '', reason: '' });
+    } catch (error) {
+      showMessage('Error', error.message || 'Failed to record cash movement.', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const countedCash = parseFloat(closeForm.counted_cash);
+  const variancePreview = current && !Number.isNaN(countedCash) ? countedCash - current.expected_cash : null;
+
+  const handleClose = (e) => {
+    e.preventDefault();
+    if (Number.isNaN(countedCash) || countedCash < 0) { showMessage('Close Shift', 'Enter the cash counted in the drawer.', 'warning'); return; }
+    const note = variancePreview === 0 ? 'The drawer balances.' : `The drawer is ${variancePreview < 0 ? 'short' : 'over'} by ${peso(Math.abs(variancePreview))}.`;
+    showMessage('Close Shift', `Close shift ${current.shift.shift_number} with ${peso(countedCash)} counted?\n${note}\n\nNo more cash movements can be recorded once it is closed.`, 'warning', async () => {
+      setSaving(true);
+      try {
+        const res = await shiftsAPI.closeShift(current.shift.id, { counted_cash: countedCash, notes: closeForm.notes.trim() });
+        setCurrent(null);
+        setCloseForm({ counted_cash: '', notes: '' });
+        fetchHistory();
+        await printReport(res.data);
+      } catch (error) {
+        showMessage('Error', error.message || 'Failed to close shift.', 'error');
+      } finally {
+        setSaving(false);
+      }
+    });
+  };
+
+  return (
+    <div className="admin-layout">
+      <Navbar />
+      <main className="admin-main">
+        <div className="admin-container">
+          <div className="page-header">
+            <h1 className="page-title">Cash Drawer</h1>
+            <p className="page-subtitle">Open and close shifts, record cash in and out, and print the Z-report</p>
+          </div>
+
+          {canOperate && (
+            <div className="card">
+              {loadingCurrent ? <p>Loading...</p> : !current ? (
+                <>
+                  <div className="card-header-action"><h2>No Open Shift</h2></div>
+                  <form onSubmit={handleOpen} className="form-row" style={{ alignItems: 'flex-end' }}>
+                    <div className="form-group"><label>Opening Float (₱)</label><input type="number" min="0" step="0.01" className="form-input" value={openForm.opening_float} onChange={e => setOpenForm(prev => ({ ...prev, opening_float: e.target.value }))} placeholder="Cash counted into the drawer" /></div>
+                    <div className="form-group"><label>Notes</label><input maxLength={255} className="form-input" value={openForm.notes} onChange={e => setOpenForm(prev => ({ ...prev, notes: e.target.value }))} /></div>
+                    <div className="form-group"><button type="submit" className="btn btn-primary" disabled={saving}>Open Shift</button></div>
+                  </form>
+                </>
+              ) : (
+                <>
+                  <div className="card-header-action">
+                    <h2>Shift {current.shift.shift_number}</h2>
+                    <button className="btn btn-outline" onClick={() => printReport(current)} title="Figures so far (X-report)"><BsFileEarmarkPdf /> Print Current Figures</button>
+                  </div>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '24px', marginBottom: '16px' }}>
+                    <Stat label="Opened" value={`${new Date(current.shift.opened_at).toLocaleString()} by ${current.shift.opened_by || '—'}`} />
+                    <Stat label="Opening Float" value={peso(current.cash.opening_float)} />
+                    <Stat label="Sales" value={`${current.sales.count} · ${peso(current.sales.net)}`} />
+                    <Stat label="Expected Cash" value={peso(current.expected_cash)} color="#166534" />
+                  </div>
+
+                  <div className="table-container">
+                    <table className="table">
+                      <thead><tr><th>Payment Method</th><th>Payments</th><th>Received</th><th>Reversed (voids)</th><th>Net</th></tr></thead>
+                      <tbody>
+                        {current.payments.length === 0 ? (
+                          <tr><td colSpan="5" style={{ textAlign: 'center', padding: '20px' }}>No payments received yet.</td></tr>
+                        ) : current.payments.map(p => (
+                          <tr key={p.method}><td>{p.method}</td><td>{p.count}</td><td>{peso(p.received)}</td><td>{p.reversed > 0 ? `-${peso(p.reversed)}` : '—'}</td><td><strong>{peso(p.net)}</strong></td></tr>
+                        ))}
+                        {current.refunds.map(r => (
+                          <tr key={`refund-${r.method}`} style={{ color: '#b91c1c' }}><td>Refunds: {r.method}</td><td>{r.count}</td><td colSpan="2"></td><td>-{peso(r.amount)}</td></tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p style={{ color: '#6b7280', fontSize: '0.85rem' }}>
+                    Expected cash = float {peso(current.cash.opening_float)} + cash sales {peso(current.cash.sales)} − cash refunds {peso(current.cash.refunds)} + cash in {peso(current.cash.cash_in)} − cash out {peso(current.cash.cash_out)}
+                  </p>
+
+                  <h3 style={{ fontSize: '1rem', margin: '16px 0 8px' }}>Cash In / Out</h3>
+                  {current.movements.length > 0 && (
+                    <div className="table-container">
+                      <table className="table">
+                        <thead><tr><th>Time</th><th>Type</th><th>Reason</th><th>By</th><th>Amount</th></tr></thead>
+                        <tbody>
+                          {current.movements.map(m => (
+                            <tr key={m.id}><td>{new Date(m.created_at).toLocaleTimeString()}</td><td>{m.movement_type === 'in' ? <><BsBoxArrowInDown /> In</> : <><BsBoxArrowUp /> Out</>}</td><td>{m.reason}</td><td>{m.created_by || '—'}</td><td style={{ color: m.movement_type === 'in' ? '#166534' : '#b91c1c' }}>{m.movement_type === 'in' ? '+' : '-'}{peso(m.amount)}</td></tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                  <form onSubmit={handleMovement} className="form-row" style={{ alignItems: 'flex-end' }}>
+                    <div className="form-group"><label>Type</label><select className="form-input" value={movement.type} onChange={e => setMovement(prev => ({ ...prev, type: e.target.value }))}><option value="out">Cash out (pickup, petty cash)</option><option value="in">Cash in (more change)</option></select></div>
+                    <div className="form-group"><label>Amount (₱)</label><input type="number" min="0.01" step="0.01" className="form-input" value={movement.amount} onChange={e => setMovement(prev => ({ ...prev, amount: e.target.value }))} /></div>
+                    <div className="form-group"><label>Reason</label><input maxLength={255} className="form-input" value={movement.reason} onChange={e => setMovement(prev => ({ ...prev, reason: e.target.value }))} /></div>
+                    <div className="form-group"><button type="submit" className="btn btn-outline" disabled={saving}>Record</button></div>
+                  </form>
+
+                  <h3 style={{ fontSize: '1rem', margin: '16px 0 8px' }}>Close Shift</h3>
+                  <form onSubmit={handleClose} className="form-row" style={{ alignItems: 'flex-end' }}>
+                    <div className="form-group"><label>Counted Cash (₱)</label><input type="number" min="0" step="0.01" className="form-input" value={closeForm.counted_cash} onChange={e => setCloseForm(prev => ({ ...prev, counted_cash: e.target.value }))} placeholder="Cash in the drawer now" />{variancePreview !== null && <small style={{ color: varianceColor(variancePreview) }}>Variance: {peso(variancePreview)}</small>}</div>
+                    <div className="form-group"><label>Notes</label><input maxLength={255} className="form-input" value={closeForm.notes} onChange={e => setCloseForm(prev => ({ ...prev, notes: e.target.value }))} /></div>
+                    <div className="form-group"><button type="submit" className="btn btn-danger" disabled={saving}>Close Shift</button></div>
+                  </form>
+                </>
+              )}
+            </div>
+          )}
+
+          <div className="card">
+            <div className="card-header-action"><h2>Shift History</h2></div>
+            <div className="table-container">
+              <table className="table">
+                <thead><tr><th>Shift</th><th>Opened</th><th>Closed</th><th>Float</th><th>Expected</th><th>Counted</th><th>Variance</th><th>Z-Report</th></tr></thead>
+                <tbody>
+                  {history.length === 0 ? (
+                    <tr><td colSpan="8" style={{ textAlign: 'center', padding: '40px' }}>No shifts yet.</td></tr>
+                  ) : history.map(s => (
+                    <tr key={s.id}>
+                      <td>{s.shift_number}</td>
+                      <td>{new Date(s.opened_at).toLocaleString()}<br /><small style={{ color: '#6b7280' }}>{s.opened_by || '—'}</small></td>
+                      <td>{s.closed_at ? <>{new Date(s.closed_at).toLocaleString()}<br /><small style={{ color: '#6b7280' }}>{s.closed_by || '—'}</small></> : <span className="status-badge active">Open</span>}</td>
+                      <td>{peso(s.opening_float)}</td>
+                      <td>{s.expected_cash != null ? peso(s.expected_cash) : '—'}</td>
+                      <td>{s.counted_cash != null ? peso(s.counted_cash) : '—'}</td>
+                      <td style={{ color: s.variance != null ? varianceColor(s.variance) : undefined }}>{s.variance != null ? peso(s.variance) : '—'}</td>
+                      <td><button className="btn btn-outline btn-small" onClick={() => printShift(s)} title={s.status === 'Open' ? 'Figures so far' : 'Z-report'}><BsFileEarmarkPdf /></button></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {pagination.total_pages > 1 && (
+              <div className="pagination" style={{ marginTop: '12px' }}>
+                <button className="pagination-btn" disabled={page === 1} onClick={() => setPage(page - 1)}>Previous</button>
+                <span style={{ padding: '0 10px' }}>Page {page} of {pagination.total_pages}</span>
+                <button className="pagination-btn" disabled={page >= pagination.total_pages} onClick={() => setPage(page + 1)}>Next</button>
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+
+      <MessageBox isOpen={msgBox.isOpen} title={msgBox.title} message={msgBox.message} type={msgBox.type} onClose={closeMessage} onConfirm={msgBox.onConfirm} />
+    </div>
+  );
+};
+
+export default ShiftsPage;
@@ -48,25 +48,9 @@ const OrderStatus = () => {
     setError('');
     setOrder(null);
     try {
-      // Try filter by sale_number on backend; use exact match only, no fallback
-      const list = await salesAPI.getSales({ sale_number: orderId.trim() });
-      const found = (list || []).find(s => (s.sale_number || '').toLowerCase() === orderId.trim().toLowerCase());
-      
-      if (!found) {
-        setError('Order not found.');
-        return;
-      }
-      
-      // REMOVED: The block that checked for "Company Delivery" was deleted here.
-      // Now it will proceed to show the order regardless of delivery_type.
-      
-      const items = await salesAPI.getSaleItems(found.id);
-      const isCancelled = String(found.status || '').toLowerCase().includes('cancel');
-      if (isCancelled) {
-        setError('Order not found.');
-        return;
-      }
-      setOrder({ header: found, items });
+      const result = await salesAPI.trackOrder(orderId.trim());
+      const { items, ...header } = result.data;
+      setOrder({ header, items });
     } catch (e) {
       setError(e.message || 'Failed to fetch order');
     } finally {
@@ -33,6 +33,7 @@ const Products = () => {
           price: p.price,
           status: p.status,
           image: p.image,
+          thumbnail: p.thumbnail || p.image,
           stock: p.stock ?? p.currentStock ?? 0,
           description: p.description,
           vehicle_compatibility: p.vehicle_compatibility
@@ -116,7 +117,7 @@ const Products = () => {
                   </div>
                   
                   <img 
-                      src={p.image ? (p.image.startsWith('http') ? p.image : `http://localhost:5000${p.image}`) : 'https://placehold.co/400x300?text=No+Image'} 
+                      src={p.thumbnail ? (p.thumbnail.startsWith('http') ? p.thumbnail : `http://localhost:5000${p.thumbnail}`) : 'https://placehold.co/400x300?text=No+Image'} 
                       alt={p.name} 
                       onError={(e) => {
                         e.currentTarget.onerror = null;
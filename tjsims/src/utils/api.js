@@ -1,10 +1,60 @@
+import { getAuthToken, getRefreshToken, updateTokens, clearSession } from './auth';
+
 const API_BASE_URL = 'http://localhost:5000/api';
 
-// Helper function to handle API responses
+// One refresh at a time: concurrent 401s wait on the same rotation, since a
+// refresh token is only valid once
+let refreshPromise = null;
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) return false;
+      const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken })
+      });
+      if (!response.ok) return false;
+      const result = await response.json();
+      updateTokens(result.data);
+      return true;
+    })().catch(() => false).finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+};
+
+const send = (url, options) => {
+  const token = getAuthToken();
+  const headers = { ...(options.headers || {}) };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return fetch(url, { ...options, headers });
+};
+
+// fetch wrapper that attaches the access token, renews it once on 401 and
+// ends the session when that fails
+export const apiFetch = async (url, options = {}) => {
+  const hadToken = !!getAuthToken();
+  let response = await send(url, options);
+  if (response.status === 401 && hadToken) {
+    if (await refreshSession()) {
+      response = await send(url, options);
+      if (response.status !== 401) return response;
+    }
+    clearSession();
+    if (window.location.pathname.startsWith('/admin') && window.location.pathname !== '/admin/login') {
+      window.location.assign('/admin/login');
+    }
+  }
+  return response;
+};
+
+// Helper function to handle API responses. Errors carry the HTTP status;
+// one without a status never got an answer (offline or server down).
 const handleResponse = async (response) => {
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+    throw Object.assign(new Error(errorData.message || `HTTP error! status: ${response.status}`), { status: response.status });
   }
   return response.json();
 };
@@ -15,7 +65,170 @@ export const customersAPI = {
     const params = new URLSearchParams();
     if (search) params.append('search', search);
     const query = params.toString();
-    const response = await fetch(`${API_BASE_URL}/customers${query ? `?${query}` : ''}`, {
+    const response = await apiFetch(`${API_BASE_URL}/customers${query ? `?${query}` : ''}`, {
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  // Creates the customer's record, or updates the one with the same name + contact
+  saveCustomer: async (data) => {
+    const response = await apiFetch(`${API_BASE_URL}/customers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  updateCustomer: async (id, data) => {
+    const response = await apiFetch(`${API_BASE_URL}/customers/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  // { customer, balance, opening_balance, entries } for the statement period
+  getStoreCredit: async (id, filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    const response = await apiFetch(`${API_BASE_URL}/customers/${id}/store-credit?${params}`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  // amount: positive to add credit, negative to take it away
+  adjustStoreCredit: async (id, data) => {
+    const response = await apiFetch(`${API_BASE_URL}/customers/${id}/store-credit/adjustments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  // Charge account: settings, balance, available credit and open invoices
+  getChargeAccount: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/customers/${id}/charge-account`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  updateChargeAccount: async (id, data) => {
+    const response = await apiFetch(`${API_BASE_URL}/customers/${id}/charge-account`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  // data: { method, amount, reference?, notes? }; applied to the oldest invoices first
+  receiveAccountPayment: async (id, data) => {
+    const response = await apiFetch(`${API_BASE_URL}/customers/${id}/charge-account/payments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  getAccountStatement: async (id, filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => { if (value) params.append(key, value); });
+    const response = await apiFetch(`${API_BASE_URL}/customers/${id}/charge-account/statement?${params}`, { credentials: 'include' });
+    return handleResponse(response);
+  }
+};
+
+// Customer price tiers: per-product prices or percent off, assigned to customers
+export const priceTiersAPI = {
+  getTiers: async (filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    const response = await apiFetch(`${API_BASE_URL}/price-tiers?${params}`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  getTier: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/price-tiers/${id}`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  // { tier, prices: [{ product_id, price }] } for every product
+  getTierPrices: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/price-tiers/${id}/prices`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  createTier: async (data) => {
+    const response = await apiFetch(`${API_BASE_URL}/price-tiers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  updateTier: async (id, data) => {
+    const response = await apiFetch(`${API_BASE_URL}/price-tiers/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  deleteTier: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/price-tiers/${id}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  }
+};
+
+// Cash drawer shifts: opening float, cash in/out, close with the counted cash (Z-report)
+export const shiftsAPI = {
+  getShifts: async (filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    const response = await apiFetch(`${API_BASE_URL}/shifts?${params}`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  // The open shift with its running totals; data is null when the drawer is closed
+  getCurrentShift: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/shifts/current`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  getShift: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/shifts/${id}`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  openShift: async (data) => {
+    const response = await apiFetch(`${API_BASE_URL}/shifts`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  // data: { type: 'in' | 'out', amount, reason }
+  addMovement: async (id, data) => {
+    const response = await apiFetch(`${API_BASE_URL}/shifts/${id}/movements`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  closeShift: async (id, data) => {
+    const response = await apiFetch(`${API_BASE_URL}/shifts/${id}/close`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
       credentials: 'include'
     });
     return handleResponse(response);
@@ -25,7 +238,7 @@ export const customersAPI = {
 // Authentication API
 export const authAPI = {
   login: async (email, password) => {
-    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+    const response = await apiFetch(`${API_BASE_URL}/auth/login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ email, password }),
@@ -33,33 +246,133 @@ export const authAPI = {
     });
     return handleResponse(response);
   },
-  changePassword: async (userId, current_password, new_password) => {
-    const response = await fetch(`${API_BASE_URL}/auth/change-password`, {
+  changePassword: async (current_password, new_password) => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/change-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ current_password, new_password }),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  verifyTwoFactor: async (challenge_token, { code, recovery_code }) => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/login/verify-2fa`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challenge_token, code, recovery_code }),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  getOverridePinStatus: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/override-pin`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  setOverridePin: async (password, pin) => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/override-pin`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password, pin }),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  getTwoFactorStatus: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/2fa`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  setupTwoFactor: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/2fa/setup`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  enableTwoFactor: async (code) => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/2fa/enable`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code }),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  disableTwoFactor: async (password) => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/2fa/disable`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password }),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  regenerateRecoveryCodes: async (code) => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/2fa/recovery-codes`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ userId, current_password, new_password }),
+      body: JSON.stringify({ code }),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  getPasswordPolicy: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/password-policy`);
+    return handleResponse(response);
+  },
+  forgotPassword: async (email) => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/forgot-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email }),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  resetPassword: async (token, new_password) => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/reset-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token, new_password }),
       credentials: 'include'
     });
     return handleResponse(response);
   },
   logout: async () => {
-    const response = await fetch(`${API_BASE_URL}/auth/logout`, {
+    const response = await apiFetch(`${API_BASE_URL}/auth/logout`, {
       method: 'POST',
       credentials: 'include'
     });
     return handleResponse(response);
+  },
+  logoutAll: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/logout-all`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  getSessions: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/sessions`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  revokeSession: async (sessionId) => {
+    const response = await apiFetch(`${API_BASE_URL}/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    return handleResponse(response);
   }
 };
 
 // Users API
 export const usersAPI = {
-  list: async () => {
-    const response = await fetch(`${API_BASE_URL}/users`, { credentials: 'include' });
+  list: async ({ includeArchived = false } = {}) => {
+    const response = await apiFetch(`${API_BASE_URL}/users${includeArchived ? '?include_archived=true' : ''}`, { credentials: 'include' });
     return handleResponse(response);
   },
   create: async (user) => {
     const isForm = typeof FormData !== 'undefined' && user instanceof FormData;
-    const response = await fetch(`${API_BASE_URL}/users`, {
+    const response = await apiFetch(`${API_BASE_URL}/users`, {
       method: 'POST',
       headers: isForm ? undefined : { 'Content-Type': 'application/json' },
       body: isForm ? user : JSON.stringify(user),
@@ -69,24 +382,83 @@ export const usersAPI = {
   },
   update: async (id, user) => {
     const isForm = typeof FormData !== 'undefined' && user instanceof FormData;
-    const response = await fetch(`${API_BASE_URL}/users/${id}`, {
+    const response = await apiFetch(`${API_BASE_URL}/users/${id}`, {
       method: 'PUT',
       headers: isForm ? undefined : { 'Content-Type': 'application/json' },
       body: isForm ? user : JSON.stringify(user),
       credentials: 'include'
     });
     return handleResponse(response);
+  },
+  getLoginHistory: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/users/${id}/login-history`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  unlock: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/users/${id}/unlock`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  getSessions: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/users/${id}/sessions`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  revokeSessions: async (id, sessionId = null) => {
+    const response = await apiFetch(`${API_BASE_URL}/users/${id}/sessions${sessionId ? `/${sessionId}` : ''}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  resetPassword: async (id, payload) => {
+    const response = await apiFetch(`${API_BASE_URL}/users/${id}/reset-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  archive: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/users/${id}/archive`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  restore: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/users/${id}/restore`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  remove: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/users/${id}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  resetTwoFactor: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/users/${id}/two-factor`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    return handleResponse(response);
   }
 };
 
 // Settings API
 export const settingsAPI = {
   get: async () => {
-    const response = await fetch(`${API_BASE_URL}/settings`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/settings`, { credentials: 'include' });
     return handleResponse(response);
   },
   updateBusinessInfo: async (payload) => {
-    const response = await fetch(`${API_BASE_URL}/settings`, {
+    const response = await apiFetch(`${API_BASE_URL}/settings`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
@@ -95,13 +467,57 @@ export const settingsAPI = {
     return handleResponse(response);
   },
   updatePreferences: async (payload) => {
-    const response = await fetch(`${API_BASE_URL}/settings/preferences`, {
+    const response = await apiFetch(`${API_BASE_URL}/settings/preferences`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  updateTax: async (payload) => {
+    const response = await apiFetch(`${API_BASE_URL}/settings/tax`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
       credentials: 'include'
     });
     return handleResponse(response);
+  },
+  getNumbering: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/settings/numbering`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  updateNumbering: async (docType, payload) => {
+    const response = await apiFetch(`${API_BASE_URL}/settings/numbering/${docType}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  updateSecurity: async (payload) => {
+    const response = await apiFetch(`${API_BASE_URL}/settings/security`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  getPermissions: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/settings/permissions`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  updatePermissions: async (matrix) => {
+    const response = await apiFetch(`${API_BASE_URL}/settings/permissions`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ matrix }),
+      credentials: 'include'
+    });
+    return handleResponse(response);
   }
 };
 
@@ -114,15 +530,20 @@ export const productAPI = {
         params.append(key, value);
       }
     });
-    const response = await fetch(`${API_BASE_URL}/products?${params}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/products?${params}`, { credentials: 'include' });
     return handleResponse(response);
   },
   getProductById: async (id) => {
-    const response = await fetch(`${API_BASE_URL}/products/${id}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/products/${id}`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  // Resolves a scanned barcode, product ID or serial number: { type, product, serial }
+  lookupCode: async (code) => {
+    const response = await apiFetch(`${API_BASE_URL}/products/lookup/${encodeURIComponent(code)}`, { credentials: 'include' });
     return handleResponse(response);
   },
   createProduct: async (productData) => {
-    const response = await fetch(`${API_BASE_URL}/products`, {
+    const response = await apiFetch(`${API_BASE_URL}/products`, {
       method: 'POST',
       body: productData,
       credentials: 'include'
@@ -130,7 +551,7 @@ export const productAPI = {
     return handleResponse(response);
   },
   updateProduct: async (id, productData) => {
-    const response = await fetch(`${API_BASE_URL}/products/${id}`, {
+    const response = await apiFetch(`${API_BASE_URL}/products/${id}`, {
       method: 'PUT',
       body: productData,
       credentials: 'include'
@@ -138,18 +559,18 @@ export const productAPI = {
     return handleResponse(response);
   },
   deleteProduct: async (id) => {
-    const response = await fetch(`${API_BASE_URL}/products/${id}`, {
+    const response = await apiFetch(`${API_BASE_URL}/products/${id}`, {
       method: 'DELETE',
       credentials: 'include'
     });
     return handleResponse(response);
   },
   getCategories: async () => {
-    const response = await fetch(`${API_BASE_URL}/products/categories`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/products/categories`, { credentials: 'include' });
     return handleResponse(response);
   },
   getBrands: async () => {
-    const response = await fetch(`${API_BASE_URL}/products/brands`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/products/brands`, { credentials: 'include' });
     return handleResponse(response);
   },
 };
@@ -157,7 +578,17 @@ export const productAPI = {
 // Sales API functions
 export const salesAPI = {
   createSale: async (saleData) => {
-    const response = await fetch(`${API_BASE_URL}/sales`, {
+    const response = await apiFetch(`${API_BASE_URL}/sales`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(saleData),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  // Price a cart (promotions, coupon, manual discounts) without saving it
+  quoteSale: async (saleData) => {
+    const response = await apiFetch(`${API_BASE_URL}/sales/quote`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(saleData),
@@ -165,12 +596,40 @@ export const salesAPI = {
     });
     return handleResponse(response);
   },
+  // Parked carts are shared by all terminals; their serials stay reserved until resumed
+  getParkedSales: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/sales/parked`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  parkSale: async (data) => {
+    const response = await apiFetch(`${API_BASE_URL}/sales/parked`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  resumeParkedSale: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/sales/parked/${id}/resume`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  discardParkedSale: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/sales/parked/${id}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
   getSales: async (filters = {}) => {
     const params = new URLSearchParams();
     Object.entries(filters).forEach(([key, value]) => {
       if (value) params.append(key, value);
     });
-    const response = await fetch(`${API_BASE_URL}/sales?${params}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/sales?${params}`, { credentials: 'include' });
     const result = await handleResponse(response);
     return result.data?.sales || [];
   },
@@ -178,20 +637,24 @@ export const salesAPI = {
     const params = new URLSearchParams();
     if (dateFrom) params.append('date_from', dateFrom);
     if (dateTo) params.append('date_to', dateTo);
-    const response = await fetch(`${API_BASE_URL}/sales/stats?${params}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/sales/stats?${params}`, { credentials: 'include' });
     return handleResponse(response);
   },
   getSaleById: async (id) => {
-    const response = await fetch(`${API_BASE_URL}/sales/${id}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/sales/${id}`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  trackOrder: async (saleNumber) => {
+    const response = await apiFetch(`${API_BASE_URL}/sales/track/${encodeURIComponent(saleNumber)}`, { credentials: 'include' });
     return handleResponse(response);
   },
   getSaleItems: async (saleId) => {
-    const response = await fetch(`${API_BASE_URL}/sales/${saleId}/items`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/sales/${saleId}/items`, { credentials: 'include' });
     const result = await handleResponse(response);
     return result.data || [];
   },
   updateSale: async (id, saleData) => {
-    const response = await fetch(`${API_BASE_URL}/sales/${id}`, {
+    const response = await apiFetch(`${API_BASE_URL}/sales/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(saleData),
@@ -199,14 +662,41 @@ export const salesAPI = {
     });
     return handleResponse(response);
   },
-  deleteSale: async (id) => {
-    const response = await fetch(`${API_BASE_URL}/sales/${id}`, { method: 'DELETE', credentials: 'include' });
+  // Cancels a sale, restoring stock and serials and reversing its payments
+  voidSale: async (id, reason) => {
+    const response = await apiFetch(`${API_BASE_URL}/sales/${id}/void`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason }),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  // Status timeline plus the statuses the order can move to next
+  getHistory: async (saleId) => {
+    const response = await apiFetch(`${API_BASE_URL}/sales/${saleId}/history`, { credentials: 'include' });
+    const result = await handleResponse(response);
+    return result.data;
+  },
+  getPayments: async (saleId) => {
+    const response = await apiFetch(`${API_BASE_URL}/sales/${saleId}/payments`, { credentials: 'include' });
+    const result = await handleResponse(response);
+    return result.data;
+  },
+  // payments: [{ method, amount, reference?, notes? }]; change is worked out by the server
+  recordPayment: async (saleId, payments) => {
+    const response = await apiFetch(`${API_BASE_URL}/sales/${saleId}/payments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ payments }),
+      credentials: 'include'
+    });
     return handleResponse(response);
   },
   uploadDeliveryProof: async (id, imageFile) => {
     const formData = new FormData();
     formData.append('proof', imageFile);
-    const response = await fetch(`${API_BASE_URL}/sales/${id}/delivery-proof`, {
+    const response = await apiFetch(`${API_BASE_URL}/sales/${id}/delivery-proof`, {
       method: 'POST',
       body: formData,
       credentials: 'include'
@@ -218,7 +708,7 @@ export const salesAPI = {
 // Inventory API functions
 export const inventoryAPI = {
   getStats: async () => {
-    const response = await fetch(`${API_BASE_URL}/inventory/stats`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/inventory/stats`, { credentials: 'include' });
     return handleResponse(response);
   },
   getProducts: async (filters = {}) => {
@@ -226,17 +716,17 @@ export const inventoryAPI = {
     if (filters.search) params.append('search', filters.search);
     if (filters.category) params.append('category', filters.category);
     if (filters.status) params.append('status', filters.status);
-    const response = await fetch(`${API_BASE_URL}/inventory/products?${params}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/inventory/products?${params}`, { credentials: 'include' });
     return handleResponse(response);
   },
   getProductsWithInventory: async () => {
-    const response = await fetch(`${API_BASE_URL}/inventory/products`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/inventory/products`, { credentials: 'include' });
     return handleResponse(response);
   },
   updateStock: async (productId, data) => {
     let bodyData = data;
     if (typeof data === 'number') bodyData = { quantityToAdd: data };
-    const response = await fetch(`${API_BASE_URL}/inventory/${productId}/stock`, {
+    const response = await apiFetch(`${API_BASE_URL}/inventory/${productId}/stock`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(bodyData),
@@ -245,7 +735,7 @@ export const inventoryAPI = {
     return handleResponse(response);
   },
   bulkStockIn: async (data) => {
-    const response = await fetch(`${API_BASE_URL}/inventory/bulk-stock-in`, {
+    const response = await apiFetch(`${API_BASE_URL}/inventory/bulk-stock-in`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
@@ -254,7 +744,7 @@ export const inventoryAPI = {
     return handleResponse(response);
   },
   returnToSupplier: async (data) => {
-    const response = await fetch(`${API_BASE_URL}/inventory/return-to-supplier`, {
+    const response = await apiFetch(`${API_BASE_URL}/inventory/return-to-supplier`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
@@ -269,7 +759,7 @@ export const reportsAPI = {
   getSalesReport: async (filters = {}) => {
     const params = new URLSearchParams();
     Object.entries(filters).forEach(([key, value]) => { if (value) params.append(key, value); });
-    const response = await fetch(`${API_BASE_URL}/reports/sales?${params}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/reports/sales?${params}`, { credentials: 'include' });
     const result = await handleResponse(response);
     return {
       sales: result.data?.sales || [],
@@ -280,7 +770,7 @@ export const reportsAPI = {
   getInventoryReport: async (filters = {}) => {
     const params = new URLSearchParams();
     Object.entries(filters).forEach(([key, value]) => { if (value) params.append(key, value); });
-    const response = await fetch(`${API_BASE_URL}/reports/inventory?${params}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/reports/inventory?${params}`, { credentials: 'include' });
     const result = await handleResponse(response);
     return {
       inventory: result.data?.products || [],
@@ -291,7 +781,7 @@ export const reportsAPI = {
   getReturnsReport: async (filters = {}) => {
     const params = new URLSearchParams();
     Object.entries(filters).forEach(([key, value]) => { if (value) params.append(key, value); });
-    const response = await fetch(`${API_BASE_URL}/reports/returns?${params}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/reports/returns?${params}`, { credentials: 'include' });
     const result = await handleResponse(response);
     return {
       returns: result.data?.returns || [],
@@ -300,23 +790,31 @@ export const reportsAPI = {
     };
   },
   getFilterOptions: async () => {
-    const response = await fetch(`${API_BASE_URL}/reports/filter-options`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/reports/filter-options`, { credentials: 'include' });
     return handleResponse(response);
+  },
+  // Charge account balances by days past due: { as_of, accounts, totals }
+  getReceivablesAging: async (filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => { if (value) params.append(key, value); });
+    const response = await apiFetch(`${API_BASE_URL}/reports/receivables-aging?${params}`, { credentials: 'include' });
+    const result = await handleResponse(response);
+    return result.data || { accounts: [], totals: {} };
   }
 };
 
 // Dashboard API
 export const dashboardAPI = {
   getDashboardStats: async () => {
-    const response = await fetch(`${API_BASE_URL}/dashboard/stats`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/dashboard/stats`, { credentials: 'include' });
     return handleResponse(response);
   },
   getRecentSales: async () => {
-    const response = await fetch(`${API_BASE_URL}/dashboard/recent-sales`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/dashboard/recent-sales`, { credentials: 'include' });
     return handleResponse(response);
   },
   getLowStockItems: async () => {
-    const response = await fetch(`${API_BASE_URL}/dashboard/low-stock`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/dashboard/low-stock`, { credentials: 'include' });
     return handleResponse(response);
   },
   getDailySales: async (params = 'week') => {
@@ -328,19 +826,19 @@ export const dashboardAPI = {
       if (params.end_date) search.append('end_date', params.end_date);
       if (params.granularity) search.append('granularity', params.granularity);
     }
-    const response = await fetch(`${API_BASE_URL}/dashboard/daily-sales?${search}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/dashboard/daily-sales?${search}`, { credentials: 'include' });
     return handleResponse(response);
   },
   getFastMovingProducts: async () => {
-    const response = await fetch(`${API_BASE_URL}/dashboard/fast-moving`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/dashboard/fast-moving`, { credentials: 'include' });
     return handleResponse(response);
   },
   getSlowMovingProducts: async () => {
-    const response = await fetch(`${API_BASE_URL}/dashboard/slow-moving`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/dashboard/slow-moving`, { credentials: 'include' });
     return handleResponse(response);
   },
   getSalesByCategory: async () => {
-    const response = await fetch(`${API_BASE_URL}/dashboard/sales-by-category`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/dashboard/sales-by-category`, { credentials: 'include' });
     return handleResponse(response);
   },
 };
@@ -349,7 +847,7 @@ export const dashboardAPI = {
 export const returnsAPI = {
   processReturn: async (returnData) => {
     const isFormData = returnData instanceof FormData;
-    const response = await fetch(`${API_BASE_URL}/returns/process`, {
+    const response = await apiFetch(`${API_BASE_URL}/returns/process`, {
       method: 'POST',
       headers: isFormData ? {} : { 'Content-Type': 'application/json' },
       body: isFormData ? returnData : JSON.stringify(returnData),
@@ -358,7 +856,7 @@ export const returnsAPI = {
     return handleResponse(response);
   },
   getReturnsByOrder: async (orderId) => {
-    const response = await fetch(`${API_BASE_URL}/returns/order/${orderId}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/returns/order/${orderId}`, { credentials: 'include' });
     return handleResponse(response);
   },
   getAllReturns: async (filters = {}) => {
@@ -368,11 +866,11 @@ export const returnsAPI = {
     if (filters.returnReason) params.append('returnReason', filters.returnReason);
     if (filters.limit) params.append('limit', filters.limit);
     if (filters.offset) params.append('offset', filters.offset);
-    const response = await fetch(`${API_BASE_URL}/returns?${params}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/returns?${params}`, { credentials: 'include' });
     return handleResponse(response);
   },
   getReturnStats: async () => {
-    const response = await fetch(`${API_BASE_URL}/returns/stats`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/returns/stats`, { credentials: 'include' });
     return handleResponse(response);
   }
 };
@@ -380,19 +878,19 @@ export const returnsAPI = {
 // Serial Numbers API
 export const serialNumberAPI = {
   getAvailableSerials: async (productId) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers/product/${productId}/available`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers/product/${productId}/available`, { credentials: 'include' });
     return handleResponse(response);
   },
   getAllSerials: async (productId) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers/product/${productId}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers/product/${productId}`, { credentials: 'include' });
     return handleResponse(response);
   },
   getBySaleId: async (saleId) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers/sale/${saleId}`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers/sale/${saleId}`, { credentials: 'include' });
     return handleResponse(response);
   },
   createSerials: async (serialNumbers) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers`, {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ serialNumbers }),
@@ -401,7 +899,7 @@ export const serialNumberAPI = {
     return handleResponse(response);
   },
   markAsSold: async (serialNumbers, saleId, saleItemId = null) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers/mark-sold`, {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers/mark-sold`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ serialNumbers, saleId, saleItemId }),
@@ -410,7 +908,7 @@ export const serialNumberAPI = {
     return handleResponse(response);
   },
   markAsDefective: async (serialNumbers, notes = null) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers/defective`, {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers/defective`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ serialNumbers, notes }),
@@ -419,7 +917,7 @@ export const serialNumberAPI = {
     return handleResponse(response);
   },
   deleteSerials: async (serialNumbers) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers`, {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers`, {
       method: 'DELETE',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ serialNumbers }),
@@ -432,11 +930,11 @@ export const serialNumberAPI = {
 // Suppliers API (THIS WAS MISSING)
 export const suppliersAPI = {
   getAll: async () => {
-    const response = await fetch(`${API_BASE_URL}/suppliers`, { credentials: 'include' });
+    const response = await apiFetch(`${API_BASE_URL}/suppliers`, { credentials: 'include' });
     return handleResponse(response);
   },
   create: async (data) => {
-    const response = await fetch(`${API_BASE_URL}/suppliers`, {
+    const response = await apiFetch(`${API_BASE_URL}/suppliers`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
@@ -445,7 +943,7 @@ export const suppliersAPI = {
     return handleResponse(response);
   },
   update: async (id, data) => {
-    const response = await fetch(`${API_BASE_URL}/suppliers/${id}`, {
+    const response = await apiFetch(`${API_BASE_URL}/suppliers/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
@@ -454,10 +952,110 @@ export const suppliersAPI = {
     return handleResponse(response);
   },
   delete: async (id) => {
-    const response = await fetch(`${API_BASE_URL}/suppliers/${id}`, {
+    const response = await apiFetch(`${API_BASE_URL}/suppliers/${id}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  }
+};
+
+// Audit Log API
+export const auditLogAPI = {
+  search: async (filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    const response = await apiFetch(`${API_BASE_URL}/audit-logs?${params}`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  getFilters: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/audit-logs/filters`, { credentials: 'include' });
+    return handleResponse(response);
+  }
+};
+
+// Maintenance API
+export const maintenanceAPI = {
+  getOrphanUploads: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/maintenance/uploads/orphans`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  purgeOrphanUploads: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/maintenance/uploads/orphans`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  }
+};
+
+export const promotionsAPI = {
+  getPromotions: async (filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    const response = await apiFetch(`${API_BASE_URL}/promotions?${params}`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  createPromotion: async (data) => {
+    const response = await apiFetch(`${API_BASE_URL}/promotions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  updatePromotion: async (id, data) => {
+    const response = await apiFetch(`${API_BASE_URL}/promotions/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  deletePromotion: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/promotions/${id}`, {
       method: 'DELETE',
       credentials: 'include'
     });
     return handleResponse(response);
   }
-};
\ No newline at end of file
+};
+
+// Quotations: priced like sales, no stock deducted; convert with salesAPI.createSale({ ..., quotation_id })
+export const quotationsAPI = {
+  getQuotations: async (filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    const response = await apiFetch(`${API_BASE_URL}/quotations?${params}`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  // Includes each line's current price and stock
+  getQuotation: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/quotations/${id}`, { credentials: 'include' });
+    return handleResponse(response);
+  },
+  createQuotation: async (data) => {
+    const response = await apiFetch(`${API_BASE_URL}/quotations`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+  cancelQuotation: async (id) => {
+    const response = await apiFetch(`${API_BASE_URL}/quotations/${id}/cancel`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  }
+};
@@ -0,0 +1,124 @@
+// Session helpers for the admin app. The short-lived access token and the
+// rotating refresh token issued by POST /api/auth/login live in localStorage
+// next to the cached profile.
+
+const SESSION_KEYS = ['isAuthenticated', 'authToken', 'refreshToken', 'userRole', 'userId', 'username', 'avatar', 'permissions', 'twoFactorSetupRequired', 'passwordChangeRequired'];
+
+export const getAuthToken = () => localStorage.getItem('authToken');
+export const getRefreshToken = () => localStorage.getItem('refreshToken');
+
+// Store the tokens (and refreshed role/permissions) from POST /api/auth/refresh
+export const updateTokens = ({ token, refresh_token, role, permissions }) => {
+  localStorage.setItem('authToken', token);
+  localStorage.setItem('refreshToken', refresh_token);
+  if (role) localStorage.setItem('userRole', role);
+  if (permissions) localStorage.setItem('permissions', JSON.stringify(permissions));
+};
+
+export const saveSession = (user) => {
+  localStorage.setItem('isAuthenticated', 'true');
+  localStorage.setItem('authToken', user.token);
+  localStorage.setItem('refreshToken', user.refresh_token);
+  localStorage.setItem('userRole', user.role);
+  localStorage.setItem('userId', user.id);
+  localStorage.setItem('username', user.username);
+  localStorage.setItem('permissions', JSON.stringify(user.permissions || []));
+  setTwoFactorSetupRequired(!!user.two_factor_setup_required);
+  setPasswordChangeRequired(!!user.must_change_password);
+  if (user.avatar) {
+    localStorage.setItem('avatar', user.avatar);
+  } else {
+    localStorage.removeItem('avatar');
+  }
+};
+
+export const clearSession = () => {
+  SESSION_KEYS.forEach((key) => localStorage.removeItem(key));
+  localStorage.setItem('isAuthenticated', 'false');
+};
+
+// Decode the JWT payload (no signature check; the server does that)
+const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch {
+    return null;
+  }
+};
+
+// An expired access token is fine as long as there is a refresh token; the
+// API layer renews it on the next 401
+export const isAuthenticated = () => {
+  const token = getAuthToken();
+  if (!token || localStorage.getItem('isAuthenticated') !== 'true') return false;
+  if (getRefreshToken()) return true;
+  const payload = decodeToken(token);
+  return !!payload && (!payload.exp || payload.exp * 1000 > Date.now());
+};
+
+// Set at login when the store requires 2FA and this account has not enrolled;
+// until it is cleared only the Settings page is reachable
+export const isTwoFactorSetupRequired = () => localStorage.getItem('twoFactorSetupRequired') === 'true';
+export const setTwoFactorSetupRequired = (required) => {
+  if (required) localStorage.setItem('twoFactorSetupRequired', 'true');
+  else localStorage.removeItem('twoFactorSetupRequired');
+};
+
+// Set at login after an administrator reset the password; cleared once the
+// user picks their own
+export const isPasswordChangeRequired = () => localStorage.getItem('passwordChangeRequired') === 'true';
+export const setPasswordChangeRequired = (required) => {
+  if (required) localStorage.setItem('passwordChangeRequired', 'true');
+  else localStorage.removeItem('passwordChangeRequired');
+};
+
+// Pending account setup confines the user to the Settings page
+const isAccountSetupPending = () => isPasswordChangeRequired() || isTwoFactorSetupRequired();
+
+export const getPermissions = () => {
+  try {
+    return JSON.parse(localStorage.getItem('permissions')) || [];
+  } catch {
+    return [];
+  }
+};
+
+// True when the signed-in user holds at least one of the given permissions.
+// This only hides UI; the API enforces the same matrix.
+export const hasPermission = (...permissions) => {
+  if (localStorage.getItem('userRole') === 'admin') return true;
+  const granted = getPermissions();
+  return permissions.some((p) => granted.includes(p));
+};
+
+// Admin pages in sidebar order with the permission(s) that unlock each one
+export const ADMIN_PAGES = [
+  { path: '/admin/dashboard', permissions: ['dashboard.view'] },
+  { path: '/admin/sales', permissions: ['sales.create'] },
+  { path: '/admin/quotations', permissions: ['quotations.manage'] },
+  { path: '/admin/orders', permissions: ['sales.view'] },
+  { path: '/admin/shifts', permissions: ['shifts.operate', 'reports.view'] },
+  { path: '/admin/inventory', permissions: ['inventory.view'] },
+  { path: '/admin/suppliers', permissions: ['suppliers.view', 'suppliers.manage'] },
+  { path: '/admin/reports', permissions: ['reports.view'] },
+  { path: '/admin/products', permissions: ['products.manage'] },
+  { path: '/admin/promotions', permissions: ['promotions.manage'] },
+  { path: '/admin/customers', permissions: ['customers.view', 'customers.manage', 'price_tiers.manage', 'accounts.manage'] },
+  { path: '/admin/audit-log', permissions: ['audit.view'] },
+  { path: '/admin/delivery', permissions: ['deliveries.view'] },
+  { path: '/admin/settings', permissions: [] }
+];
+
+export const canAccessPage = (path) => {
+  if (isAccountSetupPending()) return path === '/admin/settings';
+  const page = ADMIN_PAGES.find((p) => p.path === path);
+  return !page || page.permissions.length === 0 || hasPermission(...page.permissions);
+};
+
+// Where to land after login or when a page is not permitted
+export const getHomePath = () => {
+  if (isAccountSetupPending()) return '/admin/settings';
+  const page = ADMIN_PAGES.find((p) => p.permissions.length > 0 && hasPermission(...p.permissions));
+  return page ? page.path : '/admin/settings';
+};
@@ -0,0 +1,115 @@
+// Offline point of sale. The Sales page keeps a copy of the product list
+// (with stock) and of the available serials, so the counter can keep selling
+// when the server cannot be reached. Sales confirmed meanwhile are queued in
+// localStorage with a client_ref; the server records a client_ref only once,
+// so a sale can be resent safely when an earlier attempt's answer was lost.
+// A queued sale the server refuses (stock or serial already sold, coupon
+// expired...) stays in the queue as a conflict for staff to retry, edit in the
+// cart or discard. Neither key is cleared on logout: each queued sale belongs
+// to the cashier who rang it up, and is only listed and sent while they are
+// signed in, so it is never recorded under someone else's name.
+
+import { salesAPI } from './api';
+
+const CATALOG_KEY = 'posCatalog';
+const QUEUE_KEY = 'posSaleQueue';
+
+const read = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+const write = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+
+// No answer at all (no connection, server down); see handleResponse in api.js
+export const isNetworkError = (error) => !error?.status;
+
+// Refused by the server: retrying as is will fail again. A lost session (401)
+// or a server error is retried once the cashier is back in.
+const isRejected = (error) => error?.status >= 400 && error.status < 500 && error.status !== 401;
+
+// crypto.randomUUID is only there on https or localhost
+export const newClientRef = () =>
+  window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+// Short reference printed on offline receipts until the sale number is known
+export const offlineNumber = (clientRef) => `OFFLINE-${clientRef.replace(/-/g, '').slice(0, 8).toUpperCase()}`;
+
+const currentCashier = () => localStorage.getItem('username');
+
+// Every cashier's queued sales (for what they took from the catalog)
+const allQueued = () => read(QUEUE_KEY, []);
+
+// The signed-in cashier's queued sales
+export const getQueue = () => allQueued().filter(entry => entry.cashier === currentCashier());
+
+// fn gets and returns the signed-in cashier's entries; the others are kept as is
+const updateQueue = (fn) => {
+  const queue = fn(getQueue());
+  write(QUEUE_KEY, [...allQueued().filter(entry => entry.cashier !== currentCashier()), ...queue]);
+  return queue;
+};
+
+// sale: the POST /api/sales body, including its client_ref. cart: what the
+// Sales page needs to put the sale back in the cart (same shape as a parked cart).
+export const queueSale = (sale, cart) => updateQueue(queue => [
+  ...queue,
+  { client_ref: sale.client_ref, cashier: currentCashier(), queued_at: new Date().toISOString(), sale, cart, status: 'pending', error: null }
+]);
+
+export const retryQueued = (clientRef) => updateQueue(queue => queue.map(entry => (
+  entry.client_ref === clientRef ? { ...entry, status: 'pending', error: null } : entry
+)));
+
+export const removeQueued = (clientRef) => updateQueue(queue => queue.filter(entry => entry.client_ref !== clientRef));
+
+export const saveCatalog = (products, serials) => write(CATALOG_KEY, { saved_at: new Date().toISOString(), products, serials });
+
+// The last copy of the product list and serials, less what the queued sales
+// took. Returns null when the page has never loaded online on this browser.
+export const loadCatalog = () => {
+  const catalog = read(CATALOG_KEY, null);
+  if (!catalog) return null;
+  const taken = {};
+  const soldSerials = new Set();
+  for (const { sale } of allQueued()) {
+    for (const item of sale.items) {
+      taken[item.product_id] = (taken[item.product_id] || 0) + item.quantity;
+      (item.serialNumbers || []).forEach(serial => soldSerials.add(serial));
+    }
+  }
+  return {
+    saved_at: catalog.saved_at,
+    products: catalog.products.map(product => ({ ...product, stock: Math.max(0, product.stock - (taken[product.product_id] || 0)) })),
+    serials: catalog.serials.filter(serial => !soldSerials.has(serial.serial_number))
+  };
+};
+
+// Sends the pending sales, oldest first, and stops at the first that gets no
+// answer. Only one sync runs at a time.
+// Resolves to { synced: [{ entry, sale }], conflicts: [entry], offline }
+let running = null;
+export const syncQueuedSales = () => {
+  if (!running) {
+    running = (async () => {
+      const synced = [];
+      const conflicts = [];
+      for (const entry of getQueue().filter(e => e.status === 'pending')) {
+        try {
+          const result = await salesAPI.createSale(entry.sale);
+          removeQueued(entry.client_ref);
+          synced.push({ entry, sale: result.data });
+        } catch (error) {
+          if (!isRejected(error)) return { synced, conflicts, offline: isNetworkError(error) };
+          const conflict = { ...entry, status: 'conflict', error: error.message };
+          updateQueue(queue => queue.map(e => (e.client_ref === entry.client_ref ? conflict : e)));
+          conflicts.push(conflict);
+        }
+      }
+      return { synced, conflicts, offline: false };
+    })().finally(() => { running = null; });
+  }
+  return running;
+};
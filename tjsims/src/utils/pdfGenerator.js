@@ -105,25 +105,23 @@ const drawFooter = (doc, adminName) => {
 // ==========================================
 
 // --- SALES REPORT ---
-export const generateSalesReportPDF = async (salesData, startDate, endDate, adminName, rangeLabel = 'Daily') => {
+// salesData: the flat item rows from GET /reports/sales; summary: its summary (for the tax section)
+export const generateSalesReportPDF = async (salesData, startDate, endDate, adminName, rangeLabel = 'Daily', summary = null) => {
   const doc = new jsPDF();
   const logoDataUrl = await loadImageAsDataURL(logoUrl);
   
   // 1. Header
   let yPos = drawReportHeader(doc, 'Sales Report', `Period: ${formatDate(startDate)} - ${formatDate(endDate)}`, logoDataUrl);
 
-  // 2. Process Data
-  const filteredOrders = salesData || [];
-  const allowedStatuses = ['Completed', 'Partially Returned', 'Pending', null];
-  const flattenedData = filteredOrders.flatMap(order =>
-    order.items.filter(item => allowedStatuses.includes(order.status)).map(item => ({
-      date: formatDate(order.orderDate),
-      name: item.productName,
-      qty: Number(item.quantity) || 0,
-      price: Number(item.unitPrice) || 0,
-      total: Number(item.totalPrice) || 0
-    }))
-  );
+  // 2. Process Data (the report endpoint already keeps only completed sales)
+  const flattenedData = (salesData || []).map(item => ({
+    orderId: item.orderId,
+    date: formatDate(item.orderDate),
+    name: item.productName || '',
+    qty: Number(item.quantity) || 0,
+    price: Number(item.unitPrice) || 0,
+    total: Number(item.totalPrice) || 0
+  }));
 
   // 3. Table Config (Note the ALIGN property)
   const cols = {
@@ -221,7 +219,7 @@ export const generateSalesReportPDF = async (salesData, startDate, endDate, admi
   doc.setFont('helvetica', 'normal');
 
   // Calculations
-  const totalTransactions = filteredOrders.length;
+  const totalTransactions = new Set(flattenedData.map(i => i.orderId)).size;
   const totalItems = flattenedData.reduce((acc, i) => acc + i.qty, 0);
   const avgValue = totalTransactions ? grandTotal / totalTransactions : 0;
   
@@ -250,6 +248,39 @@ export const generateSalesReportPDF = async (salesData, startDate, endDate, admi
   doc.setFont('helvetica', 'bold');
   doc.text(formatCurrency(avgValue), 150, sumY);
 
+  // 8. Tax Summary (VAT breakdown of the revenue above)
+  const tax = summary?.tax;
+  if (tax) {
+    yPos += 45;
+    if (yPos > 240) { doc.addPage(); yPos = 20; }
+    doc.setFillColor(THEME.accent);
+    doc.setDrawColor(THEME.line);
+    doc.roundedRect(15, yPos, 180, 41, 2, 2, 'FD');
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(THEME.primary);
+    doc.text('Tax Summary', 20, yPos + 8);
+
+    doc.setFontSize(9);
+    doc.setTextColor(THEME.text);
+    const taxLines = [
+      ['VATable Sales:', tax.vatableSales],
+      ['VAT Amount:', tax.vatAmount],
+      ['VAT-Exempt Sales:', tax.vatExemptSales],
+      ['Zero-Rated Sales:', tax.zeroRatedSales],
+      ['Non-VAT Sales:', tax.nonVatSales]
+    ];
+    taxLines.forEach(([label, value], i) => {
+      const x = i < 3 ? 20 : 110;
+      const y = yPos + 16 + (i % 3) * 6;
+      doc.setFont('helvetica', 'normal');
+      doc.text(label, x, y);
+      doc.setFont('helvetica', 'bold');
+      doc.text(formatCurrency(value || 0), x + 40, y);
+    });
+  }
+
   drawFooter(doc, adminName);
   return doc;
 };
@@ -429,12 +460,18 @@ export const generateSaleReceipt = async ({
   customerName,
   items = [],
   totalAmount = 0,
+  subtotal = null,
+  discounts = [],
   paymentMethod = 'Cash',
   tenderedAmount = 0,
   changeAmount = 0,
   address = '',
   shippingOption = 'In-Store Pickup',
-  createdAt = new Date()
+  createdAt = new Date(),
+  tin = '',
+  tax = null, // { vat_registered, vat_rate, vatable_sales, vat_amount, vat_exempt_sales, zero_rated_sales }
+  payments = [], // [{ method, tendered, amount, change_given, reference }] from the payment ledger
+  balanceDue = 0
 }) => {
   const doc = new jsPDF({ unit: 'mm', format: 'a4' }); // Switched to mm for consistency
   const pageWidth = 210;
@@ -458,6 +495,7 @@ export const generateSaleReceipt = async ({
   doc.text('General Hizon Avenue, Santa Lucia', 200, y + 10, { align: 'right' });
   doc.text('San Fernando, Pampanga', 200, y + 14, { align: 'right' });
   doc.text('tjautosupply@gmail.com | 0912 345 6789', 200, y + 18, { align: 'right' });
+  if (tin) doc.text(`${tax?.vat_registered ? 'VAT REG' : 'NON-VAT REG'} TIN: ${tin}`, 200, y + 22, { align: 'right' });
 
   y += 30;
 
@@ -557,6 +595,21 @@ export const generateSaleReceipt = async ({
       y += 3; // extra spacing
     }
 
+    // Line discount (promotion, coupon or manual) under the item
+    const lineDiscount = Number(it.discount_amount || it.discountAmount || 0);
+    if (lineDiscount > 0) {
+      y += 5;
+      doc.setFontSize(7);
+      doc.setFont('helvetica', 'italic');
+      doc.setTextColor(THEME.lightText);
+      doc.text(`Less: ${it.discount_label || it.discountLabel || 'Discount'}`, cols.desc.x + 5, y + 5.5);
+      doc.text(`-${formatCurrency(lineDiscount).replace('PHP', '').trim()}`, cols.total.x, y + 5.5, { align: 'right' });
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(THEME.text);
+      y += 3;
+    }
+
     y += 8;
   });
 
@@ -581,9 +634,23 @@ export const generateSaleReceipt = async ({
     y += isGrand ? 10 : 6;
   };
 
-  drawTotalLine('Subtotal:', formatCurrency(totalAmount));
+  // Receipts printed before discounts existed pass only totalAmount
+  const grossTotal = subtotal != null ? Number(subtotal) : items.reduce((sum, it) => sum + Number(it.quantity) * Number(it.price || it.unitPrice), 0) || totalAmount;
+  drawTotalLine('Subtotal:', formatCurrency(grossTotal));
+  discounts.filter(d => Number(d.amount) > 0).forEach(d => {
+    const label = d.label.length > 28 ? d.label.substring(0, 25) + '...' : d.label;
+    drawTotalLine(`${label}:`, `-${formatCurrency(d.amount)}`);
+  });
   
-  if (tenderedAmount > 0 && paymentMethod === 'Cash') {
+  if (payments.length > 0) {
+    payments.forEach(p => {
+      const label = p.reference ? `${p.method} (${p.reference})` : p.method;
+      drawTotalLine(`${label.length > 28 ? label.substring(0, 25) + '...' : label}:`, formatCurrency(p.tendered ?? p.amount));
+    });
+    const change = payments.reduce((sum, p) => sum + Number(p.change_given || 0), 0);
+    if (change > 0) drawTotalLine('Change:', formatCurrency(change));
+    if (Number(balanceDue) > 0) drawTotalLine('Balance Due:', formatCurrency(balanceDue), true);
+  } else if (tenderedAmount > 0 && paymentMethod === 'Cash') {
     drawTotalLine('Cash Tendered:', formatCurrency(tenderedAmount));
     drawTotalLine('Change:', formatCurrency(changeAmount));
   }
@@ -597,6 +664,32 @@ export const generateSaleReceipt = async ({
   doc.setFontSize(12);
   doc.text('TOTAL', totalBoxX, y + 7);
   doc.text(formatCurrency(totalAmount), 195, y + 7, { align: 'right' });
+  y += 14;
+
+  // VAT breakdown required on BIR receipts
+  if (tax) {
+    if (y > 250) { doc.addPage(); y = 20; }
+    doc.setFontSize(9);
+    doc.setTextColor(THEME.text);
+    if (tax.vat_registered) {
+      const taxLines = [
+        ['VATable Sales:', tax.vatable_sales],
+        [`VAT (${Number(tax.vat_rate)}%):`, tax.vat_amount],
+        ['VAT-Exempt Sales:', tax.vat_exempt_sales],
+        ['Zero-Rated Sales:', tax.zero_rated_sales]
+      ];
+      taxLines.forEach(([label, value]) => {
+        doc.setFont('helvetica', 'normal');
+        doc.text(label, totalBoxX, y + 4);
+        doc.text(formatCurrency(value || 0), 195, y + 4, { align: 'right' });
+        y += 5;
+      });
+    } else {
+      doc.setFont('helvetica', 'italic');
+      doc.setTextColor(THEME.lightText);
+      doc.text('THIS DOCUMENT IS NOT VALID FOR CLAIM OF INPUT TAX', pageWidth / 2, y + 4, { align: 'center' });
+    }
+  }
 
   // 5. Footer
   const footerY = 280;
@@ -607,4 +700,481 @@ export const generateSaleReceipt = async ({
   doc.text('Returns accepted within 7 days with receipt.', pageWidth / 2, footerY + 4, { align: 'center' });
 
   return doc;
-};
\ No newline at end of file
+};
+// Quotation for a walk-in customer, laid out like the sale receipt. Prices are
+// the ones quoted; they are re-checked when the quote is converted into a sale.
+export const generateQuotationPDF = async ({
+  quoteNumber,
+  customerName,
+  contact = '',
+  address = '',
+  items = [], // [{ product_name, brand, price, quantity, discount_amount, discount_label }]
+  subtotal = 0,
+  discounts = [],
+  totalAmount = 0,
+  vatAmount = 0,
+  vatRate = null,
+  validUntil,
+  notes = '',
+  createdAt = new Date(),
+  tin = ''
+}) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = 210;
+  let y = 15;
+
+  const logoDataUrl = await loadImageAsDataURL(logoUrl);
+
+  // 1. Header Section (Logo + Company Info)
+  if (logoDataUrl) {
+    doc.addImage(logoDataUrl, 'PNG', 15, y, 25, 18);
+  }
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.setTextColor(THEME.primary);
+  doc.text('TJC AUTO SUPPLY', 200, y + 5, { align: 'right' });
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(THEME.lightText);
+  doc.text('General Hizon Avenue, Santa Lucia', 200, y + 10, { align: 'right' });
+  doc.text('San Fernando, Pampanga', 200, y + 14, { align: 'right' });
+  doc.text('tjautosupply@gmail.com | 0912 345 6789', 200, y + 18, { align: 'right' });
+  if (tin) doc.text(`TIN: ${tin}`, 200, y + 22, { align: 'right' });
+
+  y += 30;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.setTextColor(THEME.text);
+  doc.text('QUOTATION', 15, y);
+  y += 5;
+
+  // 2. Quote Details Box
+  doc.setDrawColor(THEME.line);
+  doc.setFillColor(THEME.accent);
+  doc.roundedRect(15, y, 180, 25, 2, 2, 'F');
+
+  doc.setTextColor(THEME.text);
+  doc.setFontSize(10);
+
+  // Left Side (Prepared For)
+  doc.setFont('helvetica', 'bold');
+  doc.text('Prepared For:', 20, y + 6);
+  doc.setFont('helvetica', 'normal');
+  doc.text(customerName || 'Walk-in Customer', 20, y + 12);
+  doc.setFontSize(9);
+  doc.setTextColor(THEME.lightText);
+  const contactLine = [contact, address ? address.substring(0, 40) : ''].filter(Boolean).join(' | ');
+  if (contactLine) doc.text(contactLine, 20, y + 17);
+
+  // Right Side (Quote Info)
+  doc.setTextColor(THEME.text);
+  doc.setFontSize(10);
+
+  doc.setFont('helvetica', 'bold');
+  doc.text('Quote #:', 130, y + 6);
+  doc.text('Date:', 130, y + 12);
+  doc.text('Valid Until:', 130, y + 18);
+
+  doc.setFont('helvetica', 'normal');
+  doc.text(String(quoteNumber), 190, y + 6, { align: 'right' });
+  doc.text(new Date(createdAt).toLocaleDateString(), 190, y + 12, { align: 'right' });
+  doc.text(formatDate(validUntil), 190, y + 18, { align: 'right' });
+
+  y += 35;
+
+  // 3. Item Table
+  const cols = {
+    desc: { x: 15, w: 90 },
+    qty: { x: 130, w: 20 },
+    price: { x: 160, w: 25 },
+    total: { x: 195, w: 25 }
+  };
+
+  doc.setFillColor(THEME.primary);
+  doc.rect(15, y, 180, 8, 'F');
+  doc.setTextColor(THEME.white);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.text('Item Description', cols.desc.x + 2, y + 5.5);
+  doc.text('Qty', cols.qty.x, y + 5.5, { align: 'center' });
+  doc.text('Unit Price', cols.price.x, y + 5.5, { align: 'right' });
+  doc.text('Amount', cols.total.x, y + 5.5, { align: 'right' });
+
+  y += 8;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(THEME.text);
+
+  items.forEach((it, index) => {
+    if (y > 260) { doc.addPage(); y = 20; }
+
+    if (index % 2 === 0) {
+      doc.setFillColor(THEME.accent);
+      doc.rect(15, y, 180, 8, 'F');
+    }
+
+    const name = [it.product_name || it.name || '', it.brand ? `(${it.brand})` : ''].filter(Boolean).join(' ');
+    const qty = Number(it.quantity);
+    const price = Number(it.price);
+    const displayName = name.length > 45 ? name.substring(0, 42) + '...' : name;
+
+    doc.text(displayName, cols.desc.x + 2, y + 5.5);
+    doc.text(String(qty), cols.qty.x, y + 5.5, { align: 'center' });
+    doc.text(formatCurrency(price).replace('PHP', ''), cols.price.x, y + 5.5, { align: 'right' });
+    doc.text(formatCurrency(qty * price).replace('PHP', ''), cols.total.x, y + 5.5, { align: 'right' });
+
+    const lineDiscount = Number(it.discount_amount || 0);
+    if (lineDiscount > 0) {
+      y += 5;
+      doc.setFontSize(7);
+      doc.setFont('helvetica', 'italic');
+      doc.setTextColor(THEME.lightText);
+      doc.text(`Less: ${it.discount_label || 'Discount'}`, cols.desc.x + 5, y + 5.5);
+      doc.text(`-${formatCurrency(lineDiscount).replace('PHP', '').trim()}`, cols.total.x, y + 5.5, { align: 'right' });
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(THEME.text);
+      y += 3;
+    }
+
+    y += 8;
+  });
+
+  y += 5;
+
+  // 4. Totals Section
+  const totalBoxX = 120;
+  const totalBoxW = 75;
+
+  doc.setDrawColor(THEME.line);
+  doc.line(15, y, 195, y);
+  y += 5;
+
+  const drawTotalLine = (label, value) => {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.setTextColor(THEME.text);
+    doc.text(label, totalBoxX, y + 5);
+    doc.text(value, 195, y + 5, { align: 'right' });
+    y += 6;
+  };
+
+  drawTotalLine('Subtotal:', formatCurrency(subtotal));
+  discounts.filter(d => Number(d.amount) > 0).forEach(d => {
+    const label = d.label.length > 28 ? d.label.substring(0, 25) + '...' : d.label;
+    drawTotalLine(`${label}:`, `-${formatCurrency(d.amount)}`);
+  });
+
+  y += 2;
+  doc.setFillColor(THEME.primary);
+  doc.rect(totalBoxX - 5, y, totalBoxW + 5, 10, 'F');
+  doc.setTextColor(THEME.white);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(12);
+  doc.text('TOTAL', totalBoxX, y + 7);
+  doc.text(formatCurrency(totalAmount), 195, y + 7, { align: 'right' });
+  y += 14;
+
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'italic');
+  doc.setTextColor(THEME.lightText);
+  if (Number(vatAmount) > 0) {
+    doc.text(`Prices are VAT-inclusive. VAT (${Number(vatRate)}%): ${formatCurrency(vatAmount)}`, 195, y, { align: 'right' });
+    y += 6;
+  }
+
+  if (notes) {
+    if (y > 250) { doc.addPage(); y = 20; }
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(THEME.text);
+    doc.text('Notes:', 15, y + 4);
+    doc.setFont('helvetica', 'normal');
+    doc.text(doc.splitTextToSize(notes, 160), 32, y + 4);
+  }
+
+  // 5. Footer
+  const footerY = 280;
+  doc.setFontSize(8);
+  doc.setTextColor(THEME.lightText);
+  doc.setFont('helvetica', 'normal');
+  doc.text('This is a quotation, not a receipt. No items have been reserved.', pageWidth / 2, footerY, { align: 'center' });
+  doc.text(`Prices and availability are subject to change after ${formatDate(validUntil)}.`, pageWidth / 2, footerY + 4, { align: 'center' });
+
+  return doc;
+};
+
+// --- RECEIVABLES AGING REPORT ---
+// aging: GET /reports/receivables-aging ({ as_of, accounts, totals })
+export const generateReceivablesAgingPDF = async (aging, adminName) => {
+  const doc = new jsPDF();
+  const logoDataUrl = await loadImageAsDataURL(logoUrl);
+
+  let yPos = drawReportHeader(doc, 'Accounts Receivable Aging', `As of ${formatDate(aging.as_of)}`, logoDataUrl);
+
+  const buckets = [['not_due', 'Current'], ['days_1_30', '1-30'], ['days_31_60', '31-60'], ['days_61_90', '61-90'], ['days_over_90', '90+'], ['total', 'Total']];
+  const amountX = (index) => 88 + index * 21.4;
+
+  const drawHeader = (y) => {
+    doc.setFillColor(THEME.primary);
+    doc.rect(15, y, 180, 8, 'F');
+    doc.setTextColor(THEME.white);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8);
+    doc.text('Customer', 17, y + 5.5);
+    buckets.forEach(([, label], index) => doc.text(label, amountX(index), y + 5.5, { align: 'right' }));
+  };
+
+  drawHeader(yPos);
+  yPos += 8;
+  doc.setFontSize(8);
+
+  // Amounts without the PHP prefix so six columns fit across the page
+  const amount = (value) => Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  aging.accounts.forEach((account, index) => {
+    if (yPos > 270) {
+      doc.addPage();
+      yPos = 20;
+      drawHeader(yPos);
+      yPos += 8;
+      doc.setFontSize(8);
+    }
+    if (index % 2 === 0) {
+      doc.setFillColor(THEME.accent);
+      doc.rect(15, yPos, 180, 7, 'F');
+    }
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(THEME.text);
+    const name = account.customer_name?.length > 30 ? account.customer_name.substring(0, 28) + '..' : account.customer_name;
+    doc.text(name || '', 17, yPos + 5);
+    buckets.forEach(([key], index) => doc.text(amount(account[key]), amountX(index), yPos + 5, { align: 'right' }));
+    yPos += 7;
+  });
+
+  yPos += 3;
+  doc.setDrawColor(THEME.line);
+  doc.line(15, yPos, 195, yPos);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Total', 17, yPos + 5);
+  buckets.forEach(([key], index) => doc.text(amount(aging.totals[key]), amountX(index), yPos + 5, { align: 'right' }));
+
+  drawFooter(doc, adminName);
+  return doc;
+};
+
+// --- STATEMENT OF ACCOUNT ---
+// statement: GET /customers/:id/charge-account/statement ({ account, opening_balance, closing_balance, entries })
+export const generateAccountStatementPDF = async (statement, { dateFrom, dateTo } = {}) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const { account } = statement;
+  const logoDataUrl = await loadImageAsDataURL(logoUrl);
+  let y = 15;
+
+  if (logoDataUrl) doc.addImage(logoDataUrl, 'PNG', 15, y, 25, 18);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.setTextColor(THEME.primary);
+  doc.text('STATEMENT OF ACCOUNT', 195, y + 7, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(THEME.lightText);
+  const period = dateFrom || dateTo ? `${dateFrom ? formatDate(dateFrom) : 'Opening'} - ${formatDate(dateTo || new Date())}` : `As of ${formatDate(new Date())}`;
+  doc.text(period, 195, y + 13, { align: 'right' });
+  y += 30;
+
+  // Customer and account terms
+  doc.setFontSize(10);
+  doc.setTextColor(THEME.text);
+  doc.setFont('helvetica', 'bold');
+  doc.text(account.customer_name, 15, y);
+  doc.setFont('helvetica', 'normal');
+  if (account.contact) doc.text(account.contact, 15, y + 5);
+  if (account.address) doc.text(doc.splitTextToSize(account.address, 90), 15, y + 10);
+  doc.text(`Credit limit: ${formatCurrency(account.credit_limit)}`, 195, y, { align: 'right' });
+  doc.text(`Terms: ${account.payment_terms_days} days`, 195, y + 5, { align: 'right' });
+  y += 22;
+
+  const drawHeader = (top) => {
+    doc.setFillColor(THEME.primary);
+    doc.rect(15, top, 180, 8, 'F');
+    doc.setTextColor(THEME.white);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    doc.text('Date', 17, top + 5.5);
+    doc.text('Reference', 42, top + 5.5);
+    doc.text('Details', 85, top + 5.5);
+    doc.text('Charges', 140, top + 5.5, { align: 'right' });
+    doc.text('Credits', 167, top + 5.5, { align: 'right' });
+    doc.text('Balance', 193, top + 5.5, { align: 'right' });
+  };
+
+  drawHeader(y);
+  y += 8;
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(THEME.text);
+  doc.text('Opening balance', 85, y + 5);
+  doc.text(formatCurrency(statement.opening_balance), 193, y + 5, { align: 'right' });
+  y += 7;
+
+  const details = {
+    invoice: (entry) => `Invoice, due ${formatDate(entry.due_date)}`,
+    payment: (entry) => `Payment${entry.method ? ` (${entry.method})` : ''}`,
+    return: () => 'Returned items'
+  };
+
+  statement.entries.forEach((entry, index) => {
+    if (y > 270) {
+      doc.addPage();
+      y = 20;
+      drawHeader(y);
+      y += 8;
+      doc.setFont('helvetica', 'normal');
+    }
+    if (index % 2 === 0) {
+      doc.setFillColor(THEME.accent);
+      doc.rect(15, y, 180, 7, 'F');
+    }
+    doc.setTextColor(THEME.text);
+    const isCharge = entry.entry_type === 'invoice';
+    doc.text(formatDate(entry.entry_date), 17, y + 5);
+    doc.text(String(entry.reference || '').substring(0, 22), 42, y + 5);
+    doc.text(details[entry.entry_type](entry), 85, y + 5);
+    doc.text(isCharge ? formatCurrency(entry.amount) : '', 140, y + 5, { align: 'right' });
+    doc.text(isCharge ? '' : formatCurrency(entry.amount), 167, y + 5, { align: 'right' });
+    doc.text(formatCurrency(entry.balance_after), 193, y + 5, { align: 'right' });
+    y += 7;
+  });
+
+  y += 5;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.text('Balance Due:', 160, y, { align: 'right' });
+  doc.text(formatCurrency(statement.closing_balance), 193, y, { align: 'right' });
+  if (Number(account.overdue) > 0) {
+    y += 6;
+    doc.setFontSize(9);
+    doc.setTextColor('#b91c1c');
+    doc.text(`Past due: ${formatCurrency(account.overdue)}`, 193, y, { align: 'right' });
+  }
+
+  const footerY = 280;
+  doc.setFontSize(8);
+  doc.setTextColor(THEME.lightText);
+  doc.setFont('helvetica', 'normal');
+  doc.text('Please settle past-due invoices promptly. Contact us if any entry on this statement looks wrong.', 105, footerY, { align: 'center' });
+
+  return doc;
+};
+
+// --- Z-REPORT (end of shift) ---
+// report: GET /shifts/:id ({ shift, sales, voids, payments, refunds, cash, expected_cash, movements })
+export const generateZReportPDF = async (report, adminName) => {
+  const doc = new jsPDF();
+  const { shift } = report;
+  const logoDataUrl = await loadImageAsDataURL(logoUrl);
+  const formatTime = (value) => (value ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' }) : 'Still open');
+
+  let y = drawReportHeader(doc, 'Z-Report', `Shift ${shift.shift_number}`, logoDataUrl);
+
+  const ensureRoom = (needed) => {
+    if (y + needed > 270) {
+      doc.addPage();
+      y = 20;
+    }
+  };
+
+  const sectionTitle = (title) => {
+    ensureRoom(16);
+    doc.setFillColor(THEME.primary);
+    doc.rect(15, y, 180, 8, 'F');
+    doc.setTextColor(THEME.white);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text(title, 17, y + 5.5);
+    y += 10;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(THEME.text);
+  };
+
+  // label ... value rows; bold for totals
+  const row = (label, value, bold = false) => {
+    ensureRoom(7);
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.text(label, 17, y + 4);
+    doc.text(String(value), 193, y + 4, { align: 'right' });
+    y += 6;
+  };
+
+  sectionTitle('Shift');
+  row('Opened', `${formatTime(shift.opened_at)} by ${shift.opened_by || 'N/A'}`);
+  row('Closed', shift.closed_at ? `${formatTime(shift.closed_at)} by ${shift.closed_by || 'N/A'}` : 'Still open');
+  y += 3;
+
+  sectionTitle('Sales');
+  row('Transactions', report.sales.count);
+  row('Gross sales', formatCurrency(report.sales.gross));
+  row('Discounts', `- ${formatCurrency(report.sales.discounts)}`);
+  row('Net sales', formatCurrency(report.sales.net), true);
+  row('VAT included', formatCurrency(report.sales.vat));
+  if (report.sales.on_account_count > 0) row(`Charged to accounts (${report.sales.on_account_count})`, formatCurrency(report.sales.on_account_total));
+  if (report.voids.count > 0) row(`Voided sales (${report.voids.count})`, formatCurrency(report.voids.amount));
+  y += 3;
+
+  sectionTitle('Payments by Method');
+  if (report.payments.length === 0) row('No payments received', formatCurrency(0));
+  report.payments.forEach(payment => {
+    row(`${payment.method} (${payment.count})`, formatCurrency(payment.received));
+    if (payment.reversed > 0) row(`   ${payment.method} reversed (voids)`, `- ${formatCurrency(payment.reversed)}`);
+  });
+  row('Total received', formatCurrency(report.payments.reduce((sum, payment) => sum + payment.net, 0)), true);
+  y += 3;
+
+  if (report.refunds.length > 0) {
+    sectionTitle('Refunds by Method');
+    report.refunds.forEach(refund => row(`${refund.method} (${refund.count})`, formatCurrency(refund.amount)));
+    y += 3;
+  }
+
+  if (report.movements.length > 0) {
+    sectionTitle('Cash In / Out');
+    report.movements.forEach(movement => row(`${movement.movement_type === 'in' ? 'In' : 'Out'}: ${movement.reason}`.substring(0, 70), `${movement.movement_type === 'in' ? '' : '- '}${formatCurrency(movement.amount)}`));
+    y += 3;
+  }
+
+  sectionTitle('Cash Drawer');
+  row('Opening float', formatCurrency(report.cash.opening_float));
+  row('Cash sales', formatCurrency(report.cash.sales));
+  row('Cash refunds', `- ${formatCurrency(report.cash.refunds)}`);
+  row('Cash in', formatCurrency(report.cash.cash_in));
+  row('Cash out', `- ${formatCurrency(report.cash.cash_out)}`);
+  row('Expected cash', formatCurrency(shift.expected_cash ?? report.expected_cash), true);
+  if (shift.counted_cash != null) {
+    row('Counted cash', formatCurrency(shift.counted_cash), true);
+    const variance = Number(shift.variance);
+    doc.setTextColor(variance < 0 ? '#b91c1c' : variance > 0 ? '#b45309' : THEME.text);
+    row(variance < 0 ? 'Variance (short)' : variance > 0 ? 'Variance (over)' : 'Variance', formatCurrency(variance), true);
+    doc.setTextColor(THEME.text);
+  }
+  // Offline sales rung up during the shift that only reached the server after
+  // it closed: in the figures above, but not in the cash expected at closing
+  if (report.late_synced?.length > 0) {
+    y += 3;
+    sectionTitle('Offline Sales Synced After Closing');
+    report.late_synced.forEach(sale => row(`${sale.sale_number} - rung up ${formatTime(sale.created_at)}, synced ${formatTime(sale.synced_at)}`, formatCurrency(sale.total)));
+    row('Not in expected cash', formatCurrency(report.late_synced.reduce((sum, sale) => sum + sale.total, 0)), true);
+  }
+  if (shift.closing_notes) {
+    y += 3;
+    ensureRoom(12);
+    doc.setFont('helvetica', 'italic');
+    doc.text(doc.splitTextToSize(`Notes: ${shift.closing_notes}`, 176), 17, y + 4);
+  }
+
+  drawFooter(doc, adminName);
+  return doc;
+};
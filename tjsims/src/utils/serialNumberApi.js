@@ -1,19 +1,29 @@
+import { apiFetch } from './api';
+
 const API_BASE_URL = 'http://localhost:5000/api';
 
-// Helper function to handle API responses
+// Helper function to handle API responses (errors carry the HTTP status, as in api.js)
 const handleResponse = async (response) => {
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+    throw Object.assign(new Error(errorData.message || `HTTP error! status: ${response.status}`), { status: response.status });
   }
   return response.json();
 };
 
 // Serial Number API functions
 export const serialNumberAPI = {
+  // Get available serial numbers of every product (the Sales page's offline copy)
+  getAllAvailableSerials: async () => {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers/available`, {
+      credentials: 'include'
+    });
+    return handleResponse(response);
+  },
+
   // Get available serial numbers for a product
   getAvailableSerials: async (productId) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers/product/${productId}/available`, {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers/product/${productId}/available`, {
       credentials: 'include'
     });
     return handleResponse(response);
@@ -21,7 +31,7 @@ export const serialNumberAPI = {
 
   // Get all serial numbers for a product
   getAllSerials: async (productId) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers/product/${productId}`, {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers/product/${productId}`, {
       credentials: 'include'
     });
     return handleResponse(response);
@@ -29,7 +39,7 @@ export const serialNumberAPI = {
 
   // Get serial numbers by sale ID
   getBySaleId: async (saleId) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers/sale/${saleId}`, {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers/sale/${saleId}`, {
       credentials: 'include'
     });
     return handleResponse(response);
@@ -37,7 +47,7 @@ export const serialNumberAPI = {
 
   // Create serial numbers
   createSerials: async (serialNumbers) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers`, {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -50,7 +60,7 @@ export const serialNumberAPI = {
 
   // Mark serial numbers as sold
   markAsSold: async (serialNumbers, saleId, saleItemId = null) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers/mark-sold`, {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers/mark-sold`, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json'
@@ -63,7 +73,7 @@ export const serialNumberAPI = {
 
   // Mark serial numbers as defective
   markAsDefective: async (serialNumbers, notes = null) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers/defective`, {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers/defective`, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json'
@@ -76,7 +86,7 @@ export const serialNumberAPI = {
 
   // Delete serial numbers
   deleteSerials: async (serialNumbers) => {
-    const response = await fetch(`${API_BASE_URL}/serial-numbers`, {
+    const response = await apiFetch(`${API_BASE_URL}/serial-numbers`, {
       method: 'DELETE',
       headers: {
         'Content-Type': 'application/json'